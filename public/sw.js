@@ -0,0 +1,71 @@
+/* eslint-env serviceworker */
+// --- 快照提醒 (Service Worker) ---
+// App 把下一次提醒的內容存在 IndexedDB 的 meta store (key: 'reminder')：
+// { enabled, dueAt, title, body }。瀏覽器定期喚醒 (periodicsync) 時，
+// 到期且該期尚未通知過就發出通知，並記錄在 'reminderNotified'。
+// 標籤需與 src/lib/schedule.js 的 REMINDER_SYNC_TAG 一致。
+
+const DB_NAME = 'investment-notebook';
+const META_STORE = 'meta';
+const REMINDER_SYNC_TAG = 'snapshot-reminder';
+
+// 不帶版本開啟；資料庫還不存在時中止，避免建立空的資料庫擋住 App 的遷移
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME);
+  request.onupgradeneeded = () => request.transaction.abort();
+  request.onsuccess = () => {
+    const db = request.result;
+    db.onversionchange = () => db.close();
+    resolve(db);
+  };
+  request.onerror = () => reject(request.error);
+});
+
+const withMeta = async (mode, run) => {
+  const db = await openDatabase();
+  try {
+    if (!db.objectStoreNames.contains(META_STORE)) return undefined;
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(META_STORE, mode);
+      const result = run(tx.objectStore(META_STORE));
+      tx.oncomplete = () => resolve(result.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+const readMeta = async (key) => {
+  const entry = await withMeta('readonly', store => store.get(key));
+  return entry ? entry.value : undefined;
+};
+
+const writeMeta = (key, value) => withMeta('readwrite', store => store.put({ key, value }));
+
+const checkReminder = async () => {
+  const reminder = await readMeta('reminder');
+  if (!reminder || !reminder.enabled) return;
+  const today = new Date().toISOString().split('T')[0];
+  if (reminder.dueAt > today) return;
+  if ((await readMeta('reminderNotified')) === reminder.dueAt) return;
+  await self.registration.showNotification(reminder.title, { body: reminder.body, tag: REMINDER_SYNC_TAG });
+  await writeMeta('reminderNotified', reminder.dueAt);
+};
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) event.waitUntil(checkReminder().catch(() => {}));
+});
+
+// 點擊通知時切回已開啟的分頁，沒有的話開新分頁
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows =>
+      windows.length > 0 ? windows[0].focus() : self.clients.openWindow(self.registration.scope))
+  );
+});
@@ -0,0 +1,149 @@
+/* eslint-env node */
+// --- 同步參考伺服器 ---
+// 給「多裝置同步」離線測試用的最小實作：以 JSON 檔保存每筆記錄的最新版本 (含刪除的 tombstone)。
+//   node server/sync-server.js [--port 8787] [--file server/sync-data.json]
+// 設定環境變數 SYNC_TOKEN 時，請求需帶 Authorization: Bearer <token>。
+// 記錄以明文保存在 JSON 檔，所以 App 啟用資料加密時會暫停同步。
+// 上傳的 body 超過 MAX_BODY_BYTES 時回傳 413。
+//
+// GET  /changes?since=<seq>&device=<id>  取得 seq 之後由其他裝置寫入的變更 → { changes, cursor }
+// POST /changes { deviceId, changes }    上傳變更 (last-writer-wins) → { accepted, rejected }
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const arg = (name, fallback) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 ? process.argv[i + 1] : fallback;
+};
+
+const PORT = Number(arg('port', process.env.PORT || 8787));
+const FILE = path.resolve(arg('file', 'server/sync-data.json'));
+const TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// 與前端 src/lib/sync.js 的 isNewer 相同規則
+const isNewer = (a, b) =>
+  a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && a.deviceId > b.deviceId);
+
+const load = () => {
+  try {
+    return JSON.parse(fs.readFileSync(FILE, 'utf8'));
+  } catch {
+    return { seq: 0, records: {} };
+  }
+};
+
+const state = load();
+
+const save = () => {
+  fs.mkdirSync(path.dirname(FILE), { recursive: true });
+  fs.writeFileSync(`${FILE}.tmp`, JSON.stringify(state));
+  fs.renameSync(`${FILE}.tmp`, FILE);
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// 超過上限時不再保留資料 (剩下的內容照樣讀完丟掉，才能回應 413)
+const readBody = (req) => new Promise((resolve, reject) => {
+  if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+    req.resume();
+    return reject(httpError(413, 'request body too large'));
+  }
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      req.removeAllListeners('data');
+      req.removeAllListeners('end');
+      req.resume();
+      reject(httpError(413, 'request body too large'));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch {
+      reject(httpError(400, 'invalid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const isValidChange = (c) =>
+  c && typeof c.ledger === 'string' && c.recordId !== undefined &&
+  typeof c.updatedAt === 'string' && typeof c.deviceId === 'string' &&
+  (c.record === null || typeof c.record === 'object');
+
+const handlePull = (url, res) => {
+  const since = Number(url.searchParams.get('since')) || 0;
+  const device = url.searchParams.get('device') || '';
+  const changes = Object.values(state.records)
+    .filter(r => r.seq > since && r.deviceId !== device)
+    .sort((a, b) => a.seq - b.seq);
+  send(res, 200, { changes, cursor: state.seq });
+};
+
+const handlePush = async (req, res) => {
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (err) {
+    return send(res, err.status || 400, { error: err.message });
+  }
+  if (!Array.isArray(body.changes)) return send(res, 400, { error: 'changes must be an array' });
+
+  const accepted = [];
+  const rejected = [];
+  body.changes.forEach(change => {
+    if (!isValidChange(change)) return;
+    const key = `${change.ledger}:${change.recordId}`;
+    const existing = state.records[key];
+    if (existing && !isNewer(change, existing)) {
+      rejected.push(existing);
+      return;
+    }
+    state.seq += 1;
+    state.records[key] = {
+      id: key,
+      ledger: change.ledger,
+      recordId: change.recordId,
+      record: change.record,
+      updatedAt: change.updatedAt,
+      deviceId: change.deviceId,
+      actor: change.actor ?? null,
+      seq: state.seq,
+    };
+    accepted.push(change.id ?? key);
+  });
+
+  if (accepted.length > 0) save();
+  send(res, 200, { accepted, rejected });
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: 'unauthorized' });
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (url.pathname !== '/changes') return send(res, 404, { error: 'not found' });
+  if (req.method === 'GET') return handlePull(url, res);
+  if (req.method === 'POST') return handlePush(req, res);
+  send(res, 405, { error: 'method not allowed' });
+});
+
+server.listen(PORT);
@@ -1,46 +1,114 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef, useCallback, useDeferredValue } from 'react';
 import { 
   PieChart, Pie, Cell, ResponsiveContainer, Tooltip as RechartsTooltip, Legend,
-  LineChart, Line, XAxis, YAxis, CartesianGrid
+  LineChart, Line, XAxis, YAxis, CartesianGrid, ComposedChart, Area, ReferenceLine, Brush
 } from 'recharts';
 import { 
-  Wallet, TrendingUp, DollarSign, Calendar, PlusCircle, 
+  Wallet, TrendingUp, DollarSign, PlusCircle, 
   Trash2, History, ArrowUpRight, ArrowDownRight, Users,
-  Save, Search, Edit, X
+  Save, Search, Edit, X, Database, Download, Upload, AlertTriangle, Settings, Archive, ArchiveRestore,
+  Layers, Calculator, ArrowLeftRight, Undo2, Redo2, Clock, RotateCcw, UserCircle, RefreshCw, Cloud, Target,
+  FileText, Printer, Languages, ShieldCheck, BellRing, Activity, LineChart as LineChartIcon, Coins, CreditCard, Lock
 } from 'lucide-react';
+import { cumulativeReturnSeries } from './lib/returns';
+import { COMPARE_PRESETS, overlayPeriods } from './lib/compare';
+import { calculateMemberUnits } from './lib/units';
+import { DEFAULT_MEMBERS, ensureMembers, findMember, tint } from './lib/members';
+import {
+  ACCOUNT_CLASSES, BASE_CURRENCY, COMMON_CURRENCIES, DEFAULT_ACCOUNTS, DEFAULT_RATES,
+  ensureAccounts, findAccount, formatMoney, isAmountInput, isForeign, isLiability
+} from './lib/accounts';
+import {
+  TRANSACTION_KINDS, replayTransactions, openTickers, latestPrices, calculateTickerPnl
+} from './lib/holdings';
+import {
+  REPORTING_CURRENCIES, rateOn, reportingRate, toReportingAssets, toReportingFlows, upsertRates, ratesFromSnapshots, parseRatesCsv, fxAttribution
+} from './lib/fx';
+import {
+  MAX_UNDO, diffRecords, applyRecordChanges, invertChanges,
+  buildHistoryEntries, updateTrash, describeChanges
+} from './lib/history';
+import {
+  SYNC_LEDGERS, queueChanges, queueAll, mergeRemoteChanges, pullChanges, pushChanges
+} from './lib/sync';
+import {
+  DEFAULT_ASSUMPTIONS, SIMULATION_RUNS, simulateProjection, goalProbability, requiredMonthlyContribution, monthsBetween
+} from './lib/planner';
+import { DEFAULT_BAND, hasTargets, calculateAllocation, directContribution } from './lib/allocation';
+import { yearsInData, buildAnnualStatement, statementHtml } from './lib/reports';
+import {
+  buildTimeline, createTimelineBuilder, latestValues, toValuePoints, rangePoints, trailingGrowth, rangeGrowth, annualGrowth
+} from './lib/valuation';
+import { riskMetrics } from './lib/risk';
+import { debtProgress, yearlySchedule } from './lib/liabilities';
+import { parseBenchmarkCsv, mergePrices, toReportingPrices, benchmarkComparison } from './lib/benchmarks';
+import {
+  DIVIDEND_SOURCES, TAX_BRACKETS, DIVIDEND_TAX_DEFAULTS, DIVIDEND_TAX_RULES, dividendTwd, defaultSource, defaultWithholding,
+  nhiPremium, dividendYield, dividendYears, yearlyDividendSummary
+} from './lib/dividends';
+import { HEALTH_DEFAULTS, checkAsset, checkContribution, runHealthChecks } from './lib/health';
+import {
+  SCHEDULE_DEFAULTS, SCHEDULE_FREQUENCIES, snapshotFreshness, registerReminderWorker, unregisterReminderSync, showReminder
+} from './lib/schedule';
+import {
+  LOCALES, detectLocale, createTranslator, formatCurrency, formatCompact, formatDate, formatDateTick, formatDateTime, formatMonthName, formatWeekday
+} from './lib/i18n';
+import { FLOW_KINDS, flowKind, flowCurrency, flowTwd, toCashFlows, stockAccountFlows, memberNetContributions } from './lib/flows';
+import {
+  COLLECTIONS, createId, getStoredData, saveCollectionChanges, saveMeta,
+  isEncrypted, verifyPassphrase, setPassphrase, disableEncryption, lockStorage
+} from './lib/storage';
+import { isCryptoSupported } from './lib/crypto';
+import {
+  buildBackup, buildCsv, parseBackupFile, mergeRecords, replaceRecords, assetKey, contributionKey, transactionKey, dividendKey
+} from './lib/backup';
 
 // --- Constants & Helpers ---
 
-const ASSET_LABELS = {
-  tw_stock: '台股',
-  us_stock: '美股',
-  tw_cash: '台幣現金',
-  us_cash: '美元現金',
-};
-
-const COLORS = {
-  tw_stock: '#8884d8',
-  us_stock: '#82ca9d',
-  tw_cash: '#ffc658',
-  us_cash: '#ff8042',
-};
-
+// months：以最新一筆資料往前推的月數；名稱取自訊息檔的 periods.<value>
 const PERIODS = [
-  { label: '1個月', value: '1m' },
-  { label: '3個月', value: '3m' },
-  { label: '6個月', value: '6m' },
-  { label: '1年', value: '1y' },
-  { label: '3年', value: '3y' },
-  { label: '全部', value: 'all' },
+  { value: '1m', months: 1 },
+  { value: '3m', months: 3 },
+  { value: '6m', months: 6 },
+  { value: '1y', months: 12 },
+  { value: '3y', months: 36 },
+  { value: 'all' },
+  { value: 'custom' },
 ];
 
-const YEARS = ['2024', '2025', '2026', '2027'];
+const generateId = createId;
+
+// 自動鎖定的閒置分鐘數 (0 = 不自動鎖定)
+const AUTO_LOCK_MINUTES = [0, 5, 15, 30, 60];
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// 鎖定：等寫入完成、丟棄金鑰後重新載入，畫面上的資料一併清除並回到解鎖畫面
+const lockAndReload = () => lockStorage().then(() => window.location.reload());
+
+// 觸發瀏覽器下載
+const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// 成員標籤 (淡色底 + 成員顏色文字)
+const renderMemberBadge = (member) => (
+  <span className="px-2 py-1 rounded text-xs" style={{ backgroundColor: tint(member.color), color: member.color }}>
+    {member.name}
+  </span>
+);
 
-const generateId = () => Math.random().toString(36).substr(2, 9);
+// 格式化百分比 (含正負號)
+const formatPercent = (val, digits = 2) =>
+  val === null || val === undefined ? '-' : `${val > 0 ? '+' : ''}${val.toFixed(digits)}%`;
 
-// 格式化金額
-const formatCurrency = (val) => 
-  new Intl.NumberFormat('zh-TW', { style: 'currency', currency: 'TWD', maximumFractionDigits: 0 }).format(val);
+// 漲跌顏色 (台灣慣例：紅漲綠跌)
+const growthColor = (val) =>
+  val === null || val === undefined ? 'text-slate-400' : val >= 0 ? 'text-red-500' : 'text-green-500';
 
 // --- Main Component ---
 
@@ -48,11 +116,26 @@ export default function InvestmentTracker() {
   // --- State ---
   const [activeTab, setActiveTab] = useState('dashboard');
   
+  // 資料已在 main.jsx 啟動時由 IndexedDB 載入
+  const stored = getStoredData();
+
+  // 介面語系：記住使用者的選擇，沒有時依瀏覽器語言
+  const [locale, setLocale] = useState(() => stored.meta.locale || detectLocale());
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const handleChangeLocale = (next) => {
+    setLocale(next);
+    saveMeta('locale', next);
+  };
+
   // 初始範例資料 (根據使用者需求更新)
   const [assets, setAssets] = useState(() => {
-    const saved = localStorage.getItem('inv_assets');
-    // 如果沒有存檔，使用使用者指定的新預設資料
-    if (!saved) {
+    // 第一次使用 (沒有任何存檔)，使用使用者指定的新預設資料
+    if (stored.isFirstRun) {
       return [
         // 2025-01-05 資料
         { id: '1', date: '2025-01-05', type: 'us_stock', amount: 78130, exchangeRate: 32.5, note: '初始記錄 (匯率預設32.5)' },
@@ -62,246 +145,973 @@ export default function InvestmentTracker() {
         { id: '4', date: '2026-01-05', type: 'tw_stock', amount: 147107, exchangeRate: 1, note: '年度更新' },
       ];
     }
-    return JSON.parse(saved);
+    return stored.assets;
   });
 
   const [contributions, setContributions] = useState(() => {
-    const saved = localStorage.getItem('inv_contributions');
-    // 如果沒有存檔，使用使用者指定的新預設資料
-    if (!saved) {
+    // 第一次使用 (沒有任何存檔)，使用使用者指定的新預設資料
+    if (stored.isFirstRun) {
       return [
         { id: '1', person: 'A_Hui', date: '2026-12-31', amount: 350000 },
       ];
     }
-    return JSON.parse(saved);
+    return stored.contributions;
   });
 
-  // --- Persistence ---
-  useEffect(() => {
-    localStorage.setItem('inv_assets', JSON.stringify(assets));
-  }, [assets]);
+  // 家庭成員 (舊資料中出現過的 person 會自動補上)
+  const [members, setMembers] = useState(() =>
+    ensureMembers(stored.members.length > 0 ? stored.members : DEFAULT_MEMBERS, contributions)
+  );
+
+  const activeMembers = members.filter(m => !m.archived);
+
+  // 帳戶 (舊資料的 tw_stock / us_stock / tw_cash / us_cash 對應預設帳戶)
+  const [accounts, setAccounts] = useState(() =>
+    ensureAccounts(stored.accounts.length > 0 ? stored.accounts : DEFAULT_ACCOUNTS, assets)
+  );
+
+  const activeAccounts = accounts.filter(a => !a.archived);
 
+  // 匯率歷史 (1 單位外幣 = ? 台幣)
+  const [fxRates, setFxRates] = useState(stored.fxRates);
+
+  // 第一次使用時由既有快照上的匯率建立匯率歷史 (只做一次，記在 meta)
+  const fxSeedRef = useRef(stored.fxRates.length === 0 && !stored.meta.fxSeeded ? { assets, accounts } : null);
   useEffect(() => {
-    localStorage.setItem('inv_contributions', JSON.stringify(contributions));
-  }, [contributions]);
+    const source = fxSeedRef.current;
+    if (!source) return;
+    fxSeedRef.current = null;
+    setFxRates(upsertRates([], ratesFromSnapshots(source.assets, source.accounts), generateId));
+    saveMeta('fxSeeded', true);
+  }, []);
 
-  // --- Dashboard Logic: Current Status ---
-  
-  // 取得每個類別"最新"的一筆記錄
-  const currentStatus = useMemo(() => {
-    const status = { tw_stock: 0, us_stock: 0, tw_cash: 0, us_cash: 0 };
-    
-    // 對每個類別，找到日期最新的一筆
-    Object.keys(ASSET_LABELS).forEach(type => {
-      const recordsOfType = assets.filter(a => a.type === type);
-      if (recordsOfType.length > 0) {
-        // 排序：日期新 -> 舊
-        recordsOfType.sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
-        const latest = recordsOfType[0];
-        status[type] = latest.amount * latest.exchangeRate; // 轉台幣
+  // 股票帳戶底下的交易明細 (買進 / 賣出 / 股利 / 分割)
+  const [transactions, setTransactions] = useState(stored.transactions);
+
+  // 資產 / 投入兩本帳的編輯歷史與資源回收筒
+  const [history, setHistory] = useState(stored.history);
+  const [trash, setTrash] = useState(stored.trash);
+
+  // 多裝置同步：待上傳的變更、未處理的衝突與連線設定 (存在 meta)
+  const [outbox, setOutbox] = useState(stored.outbox);
+  const [conflicts, setConflicts] = useState(stored.conflicts);
+  const [syncSettings, setSyncSettings] = useState(() => ({
+    url: '',
+    token: '',
+    deviceId: createId(),
+    cursor: 0,
+    lastSyncAt: null,
+    ...stored.meta.sync
+  }));
+  const [syncForm, setSyncForm] = useState({ url: syncSettings.url, token: syncSettings.token });
+  const [syncStatus, setSyncStatus] = useState({ state: 'idle', message: '' });
+
+  // 財務目標 (名稱、目標金額、目標日期)
+  const [goals, setGoals] = useState(stored.goals);
+  const [benchmarks, setBenchmarks] = useState(stored.benchmarks);
+  const [dividends, setDividends] = useState(stored.dividends);
+
+  // 目前的操作者 (記錄在編輯歷史中)
+  const [currentUser, setCurrentUser] = useState(() => stored.meta.currentUser || activeMembers[0]?.id || '');
+
+  // 報表幣別：儀表板與報表的金額都換算成此幣別顯示
+  const [reportCurrency, setReportCurrency] = useState(() => stored.meta.reportCurrency || BASE_CURRENCY);
+
+  // --- Persistence ---
+  // 記住最後寫入 IndexedDB 的陣列，每次變更只寫入有差異的記錄
+  const persistedRef = useRef(null);
+  if (persistedRef.current === null) {
+    persistedRef.current = Object.fromEntries(COLLECTIONS.map(name => [name, stored[name]]));
+  }
+
+  const persist = useCallback((name, records) => {
+    const previous = persistedRef.current[name];
+    if (previous === records) return;
+    persistedRef.current[name] = records;
+    saveCollectionChanges(name, previous, records).catch(err => {
+      alert(t('alerts.saveFailed', { message: err.message }));
+    });
+  }, [t]);
+
+  useEffect(() => persist('assets', assets), [persist, assets]);
+  useEffect(() => persist('contributions', contributions), [persist, contributions]);
+  useEffect(() => persist('members', members), [persist, members]);
+  useEffect(() => persist('accounts', accounts), [persist, accounts]);
+  useEffect(() => persist('transactions', transactions), [persist, transactions]);
+  useEffect(() => persist('fxRates', fxRates), [persist, fxRates]);
+  useEffect(() => persist('history', history), [persist, history]);
+  useEffect(() => persist('trash', trash), [persist, trash]);
+  useEffect(() => persist('outbox', outbox), [persist, outbox]);
+  useEffect(() => persist('conflicts', conflicts), [persist, conflicts]);
+  useEffect(() => persist('goals', goals), [persist, goals]);
+  useEffect(() => persist('benchmarks', benchmarks), [persist, benchmarks]);
+  useEffect(() => persist('dividends', dividends), [persist, dividends]);
+
+  // --- Edit History / Undo / Redo ---
+
+  const ledgerState = { assets, contributions };
+  const ledgerSetters = { assets: setAssets, contributions: setContributions };
+
+  // 復原 / 重做堆疊 (只保留在記憶體中)，每一步是一批 { ledger, changes }
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+
+  // 以函式形式更新 state，同步完成後 (非同步) 套用遠端變更時也不會蓋掉期間的修改
+  const applyBatch = (batch, source) => {
+    batch.forEach(({ ledger, changes }) => {
+      const entries = buildHistoryEntries(ledger, changes, { actor: currentUser, source, makeId: generateId });
+      ledgerSetters[ledger](records => applyRecordChanges(records, changes));
+      setHistory(prev => [...prev, ...entries]);
+      setTrash(prev => updateTrash(prev, ledger, changes, currentUser));
+      // 本機修改才需要上傳；從伺服器拉下來的變更不再排入 outbox
+      if (syncSettings.url && source !== 'sync') {
+        setOutbox(prev => queueChanges(prev, ledger, changes, { deviceId: syncSettings.deviceId, actor: currentUser }));
       }
     });
-    return status;
-  }, [assets]);
+  };
 
-  const totalAssetsTwd = Object.values(currentStatus).reduce((a, b) => a + b, 0);
+  // 所有對資產 / 投入的修改都經過這裡，以便記錄歷史並可復原
+  const commitLedgers = (nextByLedger, label, source = 'edit') => {
+    const batch = Object.entries(nextByLedger)
+      .map(([ledger, next]) => ({ ledger, changes: diffRecords(ledgerState[ledger], next) }))
+      .filter(b => b.changes.length > 0);
+    if (batch.length === 0) return;
+    applyBatch(batch, source);
+    setUndoStack([...undoStack, { label, batch }].slice(-MAX_UNDO));
+    setRedoStack([]);
+  };
 
-  const pieData = [
-    { name: '台股', value: currentStatus.tw_stock, type: 'tw_stock' },
-    { name: '美股', value: currentStatus.us_stock, type: 'us_stock' },
-    { name: '台幣現金', value: currentStatus.tw_cash, type: 'tw_cash' },
-    { name: '美元現金', value: currentStatus.us_cash, type: 'us_cash' },
-  ].filter(d => d.value > 0);
+  const handleUndo = () => {
+    const step = undoStack[undoStack.length - 1];
+    if (!step) return;
+    applyBatch(step.batch.map(b => ({ ledger: b.ledger, changes: invertChanges(b.changes) })), 'undo');
+    setUndoStack(undoStack.slice(0, -1));
+    setRedoStack([...redoStack, step]);
+  };
 
-  // --- Dashboard Logic: Timeline & Growth ---
+  const handleRedo = () => {
+    const step = redoStack[redoStack.length - 1];
+    if (!step) return;
+    applyBatch(step.batch, 'redo');
+    setRedoStack(redoStack.slice(0, -1));
+    setUndoStack([...undoStack, step]);
+  };
 
-  const [chartPeriod, setChartPeriod] = useState('all');
-  const [chartMode, setChartMode] = useState('total'); // 總資產 or 投資部位(股)
-  const [selectedYear, setSelectedYear] = useState(new Date().getFullYear().toString());
+  // 快捷鍵：Ctrl/Cmd+Z 復原，Ctrl/Cmd+Shift+Z 或 Ctrl+Y 重做 (輸入框中不攔截)
+  const undoRedoRef = useRef({});
+  undoRedoRef.current = { handleUndo, handleRedo };
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoRedoRef.current.handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        undoRedoRef.current.handleRedo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
 
-  // 建立歷史曲線數據 (Fill-Forward Logic)
-  const timelineData = useMemo(() => {
-    if (assets.length === 0) return [];
+  // --- Sync ---
 
-    // 1. 收集所有獨特的日期點
-    const uniqueDates = Array.from(new Set(assets.map(a => a.date))).sort();
-    
-    const dataPoints = uniqueDates.map(date => {
-      const currentMoment = new Date(date).getTime();
-      
-      let twStockVal = 0;
-      let usStockVal = 0;
-      let twCashVal = 0;
-      let usCashVal = 0;
-
-      // 對於每個類別，找到 <= currentMoment 的最新一筆
-      ['tw_stock', 'us_stock', 'tw_cash', 'us_cash'].forEach(type => {
-        const relevantRecords = assets.filter(a => a.type === type && new Date(a.date).getTime() <= currentMoment);
-        if (relevantRecords.length > 0) {
-          relevantRecords.sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
-          const latest = relevantRecords[0];
-          const val = latest.amount * latest.exchangeRate;
-          if (type === 'tw_stock') twStockVal = val;
-          if (type === 'us_stock') usStockVal = val;
-          if (type === 'tw_cash') twCashVal = val;
-          if (type === 'us_cash') usCashVal = val;
+  // 同步是非同步流程，await 之後改從 ref 取最新的 state
+  const syncRef = useRef({});
+  syncRef.current = { assets, contributions, outbox, conflicts, syncSettings };
+
+  // 連續更新 (尚未重新 render) 時也要以上一次的結果為基礎，所以同時寫回 ref
+  const updateSyncSettings = (changes) => {
+    const next = { ...syncRef.current.syncSettings, ...changes };
+    syncRef.current.syncSettings = next;
+    setSyncSettings(next);
+    saveMeta('sync', next);
+  };
+  const syncingRef = useRef(false);
+  const syncedLedgers = () => Object.fromEntries(SYNC_LEDGERS.map(ledger => [ledger, syncRef.current[ledger]]));
+
+  // 套用遠端變更並移除被取代的 outbox 項目 (期間若又修改過則保留)
+  const applyRemote = ({ changesByLedger, superseded, conflicts: nextConflicts }) => {
+    const batch = Object.entries(changesByLedger).map(([ledger, changes]) => ({ ledger, changes }));
+    if (batch.length > 0) applyBatch(batch, 'sync');
+    const dropped = new Map(superseded.map(o => [o.id, o.updatedAt]));
+    setOutbox(prev => prev.filter(o => dropped.get(o.id) !== o.updatedAt));
+    setConflicts(nextConflicts);
+  };
+
+  const handleSync = async () => {
+    const { url, token, deviceId, cursor } = syncRef.current.syncSettings;
+    if (!url || syncingRef.current) return;
+    // 伺服器以明文保存記錄，加密時不上傳 (變更留在 outbox，關閉加密後再同步)
+    if (isEncrypted()) {
+      setSyncStatus({ state: 'error', message: t('sync.encrypted') });
+      return;
+    }
+    syncingRef.current = true;
+    setSyncStatus({ state: 'syncing', message: t('sync.syncing') });
+    try {
+      // 1. 先拉取其他裝置的變更
+      const pulled = await pullChanges({ url, token, deviceId, cursor });
+      const pullResult = mergeRemoteChanges({
+        remote: pulled.changes,
+        outbox: syncRef.current.outbox,
+        ledgers: syncedLedgers(),
+        conflicts: syncRef.current.conflicts
+      });
+      applyRemote(pullResult);
+
+      // 2. 再上傳本機變更；伺服器上已有較新版本的會被退回，視為遠端勝出的衝突
+      const supersededIds = new Set(pullResult.superseded.map(o => o.id));
+      const toPush = syncRef.current.outbox.filter(o => !supersededIds.has(o.id));
+      let pushed = { accepted: [], rejected: [] };
+      if (toPush.length > 0) {
+        pushed = await pushChanges({ url, token, deviceId, changes: toPush });
+        const accepted = new Map(toPush.filter(o => pushed.accepted.includes(o.id)).map(o => [o.id, o.updatedAt]));
+        setOutbox(prev => prev.filter(o => accepted.get(o.id) !== o.updatedAt));
+        if (pushed.rejected.length > 0) {
+          applyRemote(mergeRemoteChanges({
+            remote: pushed.rejected,
+            outbox: toPush,
+            ledgers: syncedLedgers(),
+            conflicts: syncRef.current.conflicts
+          }));
         }
+      }
+
+      updateSyncSettings({ cursor: pulled.cursor, lastSyncAt: new Date().toISOString() });
+      setSyncStatus({
+        state: 'idle',
+        message: t('sync.synced', { pulled: pulled.changes.length, pushed: pushed.accepted.length })
       });
+    } catch (err) {
+      setSyncStatus({ state: 'error', message: t('sync.failed', { message: err.status ? t('sync.httpError', { status: err.status }) : err.message }) });
+    } finally {
+      syncingRef.current = false;
+    }
+  };
+  syncRef.current.handleSync = handleSync;
 
-      return {
-        date,
-        total: twStockVal + usStockVal + twCashVal + usCashVal,
-        investment: twStockVal + usStockVal,
-        us_inv: usStockVal,
-        tw_inv: twStockVal
-      };
-    });
+  // 有待上傳的變更時稍後自動同步，另外每分鐘及恢復連線時拉取一次
+  useEffect(() => {
+    if (!syncSettings.url || outbox.length === 0) return;
+    const timer = setTimeout(() => syncRef.current.handleSync(), 5000);
+    return () => clearTimeout(timer);
+  }, [syncSettings.url, outbox]);
+
+  useEffect(() => {
+    if (!syncSettings.url) return;
+    const sync = () => syncRef.current.handleSync();
+    const timer = setInterval(sync, 60000);
+    window.addEventListener('online', sync);
+    sync();
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', sync);
+    };
+  }, [syncSettings.url]);
+
+  // 啟用時把現有記錄全部排入 outbox，讓對方裝置也拿到這台的資料
+  const handleEnableSync = () => {
+    const url = syncForm.url.trim();
+    if (!/^https?:\/\//.test(url)) {
+      alert(t('sync.invalidUrl'));
+      return;
+    }
+    if (isEncrypted()) {
+      alert(t('sync.encrypted'));
+      return;
+    }
+    setOutbox(prev => queueAll(prev, syncedLedgers(), { deviceId: syncSettings.deviceId, actor: currentUser }));
+    updateSyncSettings({ url, token: syncForm.token.trim() });
+  };
+
+  const handleDisableSync = () => {
+    if (!confirm(t('sync.confirmDisable'))) return;
+    updateSyncSettings({ url: '' });
+    setOutbox([]);
+    setSyncStatus({ state: 'idle', message: '' });
+  };
+
+  // 手動解決衝突：選擇的版本若不是目前生效的版本，當成一次新的修改寫回 (會再同步到對方)
+  const handleResolveConflict = (conflict, choice) => {
+    if (choice !== conflict.winner) {
+      const chosen = choice === 'local' ? conflict.local : conflict.remote;
+      const records = ledgerState[conflict.ledger].filter(r => r.id !== conflict.recordId);
+      commitLedgers({ [conflict.ledger]: chosen ? [...records, chosen] : records }, t('undo.resolveConflict'));
+    }
+    setConflicts(conflicts.filter(c => c.id !== conflict.id));
+  };
+
+  const handleChangeUser = (id) => {
+    setCurrentUser(id);
+    saveMeta('currentUser', id);
+  };
+
+  const handleChangeReportCurrency = (currency) => {
+    setReportCurrency(currency);
+    saveMeta('reportCurrency', currency);
+  };
+
+  const handleRestoreTrash = (entry) => {
+    commitLedgers({ [entry.ledger]: [...ledgerState[entry.ledger], entry.record] }, t('undo.restoreRecord', { ledger: t(entry.ledger === 'assets' ? 'ledger.asset' : 'ledger.contribution') }), 'trash');
+  };
+
+  const handlePurgeTrash = (entry) => {
+    if (!confirm(t('history.confirmPurge'))) return;
+    setTrash(trash.filter(item => item.id !== entry.id));
+    setHistory([...history, {
+      id: generateId(),
+      at: new Date().toISOString(),
+      actor: currentUser,
+      ledger: entry.ledger,
+      recordId: entry.record.id,
+      action: 'purge',
+      source: 'trash',
+      before: entry.record,
+      after: null
+    }]);
+  };
+
+  // --- Dashboard Logic: Reporting Currency ---
+  // 資產快照與資金進出依各自日期的匯率換算成報表幣別，以下的分析一律使用換算後的副本
+
+  const reportAssets = useMemo(
+    () => toReportingAssets(assets, fxRates, reportCurrency),
+    [assets, fxRates, reportCurrency]
+  );
+  const reportContributions = useMemo(
+    () => toReportingFlows(contributions, fxRates, reportCurrency),
+    [contributions, fxRates, reportCurrency]
+  );
+
+  const formatValue = (val) => formatCurrency(val, reportCurrency, locale);
+  // 記錄本身的台幣金額 (不隨報表幣別換算)
+  const formatTwd = (val) => formatCurrency(val, BASE_CURRENCY, locale);
+
+  // --- Dashboard Logic: Valuation ---
+  // 走勢與目前狀態由估值引擎 (lib/valuation) 計算；建立器會記住上一次的結果，
+  // 資產變動時只重算變動日期之後的時間點
+
+  const [buildTimelineIncremental] = useState(createTimelineBuilder);
+
+  // 建立歷史曲線數據 (Fill-Forward Logic)
+  const timelineData = useMemo(
+    () => buildTimelineIncremental(reportAssets, accounts),
+    [buildTimelineIncremental, reportAssets, accounts]
+  );
+
+  // 每個類別"最新"的一筆記錄 (即走勢最後一個時間點)
+  const currentStatus = useMemo(() => latestValues(timelineData, accounts), [timelineData, accounts]);
+
+  // 負債帳戶不計入總資產與資產分布
+  const assetAccounts = useMemo(() => accounts.filter(a => !isLiability(a)), [accounts]);
+  const liabilityAccounts = useMemo(() => accounts.filter(isLiability), [accounts]);
+  const totalAssets = assetAccounts.reduce((sum, a) => sum + currentStatus[a.id], 0);
+  const totalLiabilities = liabilityAccounts.reduce((sum, a) => sum + currentStatus[a.id], 0);
+  const netWorth = totalAssets - totalLiabilities;
+
+  const pieData = assetAccounts
+    .map(a => ({ name: a.name, value: currentStatus[a.id], type: a.id, color: a.color }))
+    .filter(d => d.value > 0);
+
+  // 投資部位 = 類別為股票的帳戶
+  const stockAccounts = accounts.filter(a => a.class === 'stock');
+
+  // --- Dashboard Logic: Timeline & Growth ---
 
-    return dataPoints;
-  }, [assets]);
+  const [chartPeriod, setChartPeriod] = useState('all');
+  const [chartMode, setChartMode] = useState('total'); // 總資產 / 投資部位(股) / 淨資產 (有負債帳戶時)
+  const chartModeLabel = { total: t('chart.total'), investment: t('chart.investmentTotal'), netWorth: t('chart.netWorth') }[chartMode];
+  const [selectedYear, setSelectedYear] = useState(new Date().getFullYear().toString());
+
+  const latestDate = timelineData.length > 0 ? timelineData[timelineData.length - 1].date : null;
+  const [customRange, setCustomRange] = useState({ start: '', end: '' });
 
   // Filter timeline based on period
+  // 預設區間以最新一筆資料往前推 (而不是今天)，避免資料較舊時「1個月」沒有任何點
   const filteredTimeline = useMemo(() => {
-    if (chartPeriod === 'all') return timelineData;
-    
-    const now = new Date();
-    let cutoffDate = new Date();
-    
-    if (chartPeriod === '1m') cutoffDate.setMonth(now.getMonth() - 1);
-    if (chartPeriod === '3m') cutoffDate.setMonth(now.getMonth() - 3);
-    if (chartPeriod === '6m') cutoffDate.setMonth(now.getMonth() - 6);
-    if (chartPeriod === '1y') cutoffDate.setFullYear(now.getFullYear() - 1);
-    if (chartPeriod === '3y') cutoffDate.setFullYear(now.getFullYear() - 3);
-
-    return timelineData.filter(d => new Date(d.date) >= cutoffDate);
-  }, [timelineData, chartPeriod]);
-
-  // Growth Calculation (Trailing Periods)
-  const calculateTrailingGrowth = (months, mode) => {
-    if (timelineData.length < 2) return null;
-    
-    const lastPoint = timelineData[timelineData.length - 1];
-    const currentValue = mode === 'total' ? lastPoint.total : lastPoint.investment;
-    
-    const now = new Date(lastPoint.date);
-    const targetDate = new Date(now);
-    targetDate.setMonth(targetDate.getMonth() - months);
-    
-    let comparisonPoint = timelineData[0];
-    let minDiff = Infinity;
-
-    timelineData.forEach(p => {
-      const pDate = new Date(p.date);
-      const diff = Math.abs(pDate.getTime() - targetDate.getTime());
-      if (diff < minDiff) {
-        minDiff = diff;
-        comparisonPoint = p;
-      }
+    if (chartPeriod === 'all' || !latestDate) return timelineData;
+
+    if (chartPeriod === 'custom') {
+      return timelineData.filter(d =>
+        (!customRange.start || d.date >= customRange.start) && (!customRange.end || d.date <= customRange.end)
+      );
+    }
+
+    const cutoff = new Date(`${latestDate}T00:00:00Z`);
+    cutoff.setUTCMonth(cutoff.getUTCMonth() - PERIODS.find(p => p.value === chartPeriod).months);
+    const cutoffDate = cutoff.toISOString().split('T')[0];
+
+    return timelineData.filter(d => d.date >= cutoffDate);
+  }, [timelineData, chartPeriod, latestDate, customRange]);
+
+  // 外部現金流：投入為正、提領為負，成員間轉移不計
+  const cashFlows = useMemo(() => toCashFlows(reportContributions), [reportContributions]);
+  // 目前圖表模式的現金流：投資部位只扣除指定股票類帳戶的資金進出
+  const modeCashFlows = useMemo(
+    () => chartMode === 'investment' ? toCashFlows(stockAccountFlows(reportContributions, accounts)) : cashFlows,
+    [chartMode, reportContributions, accounts, cashFlows]
+  );
+
+  // 年度選單：資料中出現過的年份 (沒有資料時為今年)
+  const dataYears = useMemo(() => {
+    const years = yearsInData(assets, contributions);
+    return years.length > 0 ? years : [new Date().getFullYear().toString()];
+  }, [assets, contributions]);
+  // 今年尚無資料時改查最新的年度
+  const annualYear = dataYears.includes(selectedYear) ? selectedYear : dataYears[dataYears.length - 1];
+
+  const annualStats = annualGrowth(timelineData, modeCashFlows, annualYear, chartMode);
+
+  // --- Reports: Annual Statements ---
+
+  const [reportYear, setReportYear] = useState('');
+  // 未選擇時顯示最新的年度
+  const statementYear = dataYears.includes(reportYear) ? reportYear : dataYears[dataYears.length - 1];
+  const statement = useMemo(
+    () => buildAnnualStatement({ year: statementYear, timeline: timelineData, accounts: assetAccounts, contributions: reportContributions }),
+    [statementYear, timelineData, assetAccounts, reportContributions]
+  );
+
+  const statementLabels = {
+    accountName: (id) => findAccount(accounts, id).name,
+    memberName: (id) => findMember(members, id).name,
+    money: formatValue,
+    percent: (val) => formatPercent(val),
+    t,
+    locale,
+  };
+  const statementTitle = t('reports.title', { year: statementYear, currency: reportCurrency });
+
+  const handleDownloadStatement = () => {
+    downloadFile(`statement-${statementYear}.html`, statementHtml(statement, statementTitle, statementLabels), 'text/html;charset=utf-8');
+  };
+
+  // 在新視窗開啟列印版面，由瀏覽器的列印對話框輸出紙本或 PDF
+  const handlePrintStatement = () => {
+    const win = window.open('', '_blank');
+    if (!win) {
+      alert(t('reports.popupBlocked'));
+      return;
+    }
+    win.document.write(statementHtml(statement, statementTitle, statementLabels));
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+
+  // --- Dashboard Logic: Risk ---
+  // 依目前的圖表模式計算；投資部位只扣除股票類帳戶的資金進出，
+  // 各帳戶只扣除指定該帳戶的資金進出 (未指定帳戶的投入會算成該帳戶的上漲)
+
+  const riskStats = useMemo(
+    () => riskMetrics(toValuePoints(timelineData, chartMode), modeCashFlows),
+    [timelineData, chartMode, modeCashFlows]
+  );
+
+  const accountRisk = useMemo(
+    () => accounts
+      .filter(a => !isLiability(a) && (chartMode !== 'investment' || a.class === 'stock'))
+      .map(account => ({
+        account,
+        stats: riskMetrics(
+          timelineData.map(p => ({ date: p.date, value: p.values[account.id] })),
+          toCashFlows(reportContributions.filter(c => c.accountId === account.id))
+        ),
+      }))
+      .filter(r => r.stats),
+    [accounts, chartMode, timelineData, reportContributions]
+  );
+
+  // 滾動 12 個月報酬：整體與各帳戶依日期合併成同一份圖表資料
+  const rollingData = useMemo(() => {
+    const byDate = {};
+    const add = (key, series) => series.forEach(p => {
+      byDate[p.date] = { ...byDate[p.date], date: p.date, [key]: p.value };
     });
+    if (riskStats) add('portfolio', riskStats.rolling);
+    accountRisk.forEach(r => add(r.account.id, r.stats.rolling));
+    return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+  }, [riskStats, accountRisk]);
 
-    const prevValue = mode === 'total' ? comparisonPoint.total : comparisonPoint.investment;
-    if (prevValue === 0) return 0;
-    
-    return ((currentValue - prevValue) / prevValue) * 100;
+  // --- Dashboard Logic: Period Comparison ---
+
+  const [compareMode, setCompareMode] = useState(false);
+  const [comparePreset, setComparePreset] = useState('ytd');
+  const [customCompare, setCustomCompare] = useState({ a: { start: '', end: '' }, b: { start: '', end: '' } });
+
+  const updateCustomCompare = (key, changes) =>
+    setCustomCompare({ ...customCompare, [key]: { ...customCompare[key], ...changes } });
+
+  const compareRanges = comparePreset === 'custom' || !latestDate
+    ? customCompare
+    : COMPARE_PRESETS[comparePreset].build(latestDate);
+
+  // 兩段期間的累積時間加權報酬，依距離期初的天數對齊
+  const compareSeries = (range) =>
+    range.start && range.end
+      ? cumulativeReturnSeries(toValuePoints(rangePoints(timelineData, range.start, range.end), chartMode), modeCashFlows)
+      : [];
+  const compareData = compareMode
+    ? overlayPeriods(compareSeries(compareRanges.a), compareSeries(compareRanges.b), compareRanges.a.start, compareRanges.b.start)
+    : [];
+  const compareStats = compareMode
+    ? {
+        a: rangeGrowth(timelineData, modeCashFlows, compareRanges.a.start, compareRanges.a.end, chartMode),
+        b: rangeGrowth(timelineData, modeCashFlows, compareRanges.b.start, compareRanges.b.end, chartMode)
+      }
+    : null;
+
+  // --- Dashboard Logic: Liabilities ---
+  // 還款進度以帳戶原幣計算 (與報表幣別無關)
+
+  const debtRows = useMemo(
+    () => liabilityAccounts
+      .map(account => ({ account, progress: debtProgress(account, assets) }))
+      .filter(r => r.progress && (!r.account.archived || r.progress.balance > 0)),
+    [liabilityAccounts, assets]
+  );
+  const [amortisationAccountId, setAmortisationAccountId] = useState(null);
+
+  // --- Dashboard Logic: Benchmarks ---
+  // 所選期間內投資組合 (扣除資金進出) 與基準指數的累積報酬，基準價格換算成報表幣別
+
+  const [benchmarkMode, setBenchmarkMode] = useState(false);
+  const [hiddenBenchmarks, setHiddenBenchmarks] = useState([]);
+
+  const benchmarkStats = useMemo(
+    () => benchmarkMode
+      ? benchmarkComparison({
+        points: toValuePoints(filteredTimeline, chartMode),
+        flows: modeCashFlows,
+        benchmarks: benchmarks
+          .filter(b => !hiddenBenchmarks.includes(b.id))
+          .map(b => ({ id: b.id, prices: toReportingPrices(b, fxRates, reportCurrency) })),
+      })
+      : null,
+    [benchmarkMode, filteredTimeline, chartMode, modeCashFlows, benchmarks, hiddenBenchmarks, fxRates, reportCurrency]
+  );
+
+  const toggleBenchmark = (id) =>
+    setHiddenBenchmarks(hiddenBenchmarks.includes(id) ? hiddenBenchmarks.filter(h => h !== id) : [...hiddenBenchmarks, id]);
+
+  // 儀表板顯示的成員：未封存者，以及仍有投入記錄的已封存者
+  const dashboardMembers = members.filter(m => !m.archived || contributions.some(c => c.person === m.id || c.toPerson === m.id));
+
+  // 每位成員的淨投入 (投入 - 提領 ± 轉移)
+  const netContributions = useMemo(() => memberNetContributions(reportContributions), [reportContributions]);
+
+  // 成員持分：每筆投入依當時淨值買入單位，依單位比例分配目前總資產
+  const memberUnits = useMemo(
+    () => calculateMemberUnits(reportContributions, timelineData, totalAssets),
+    [reportContributions, timelineData, totalAssets]
+  );
+
+  // --- Goal Planner ---
+
+  const [showProjection, setShowProjection] = useState(false);
+
+  // 預設每月投入 = 最近 12 個月的平均投入 (台幣)
+  const [assumptions, setAssumptions] = useState(() => {
+    if (stored.meta.planner) return { ...DEFAULT_ASSUMPTIONS, ...stored.meta.planner };
+    const cutoff = new Date();
+    cutoff.setFullYear(cutoff.getFullYear() - 1);
+    const lastYear = toCashFlows(contributions)
+      .filter(f => new Date(f.date) >= cutoff)
+      .reduce((sum, f) => sum + f.amount, 0);
+    return { ...DEFAULT_ASSUMPTIONS, monthlyContribution: Math.round(lastYear / 12) };
+  });
+
+  const updateAssumptions = (changes) => {
+    const next = { ...assumptions, ...changes };
+    setAssumptions(next);
+    saveMeta('planner', next);
   };
 
-  // Annual Growth Calculation (Selected Year)
-  const calculateAnnualGrowth = (year) => {
-    if (timelineData.length === 0) return { growth: null, startVal: 0, endVal: 0 };
+  // 預測從最後一筆資產記錄開始 (沒有記錄時從今天)，至少 10 年，涵蓋最遠的目標
+  const projectionStart = timelineData.length > 0 ? timelineData[timelineData.length - 1].date : new Date().toISOString().split('T')[0];
+  const projectionMonths = Math.min(480, Math.max(120, ...goals.map(g => monthsBetween(projectionStart, g.date))));
 
-    // 定義該年度的範圍
-    // 邏輯：比較 (該年度最後一筆紀錄) 與 (前一年度最後一筆紀錄)
-    // 如果前一年度沒有紀錄，則比較 (該年度最後一筆) 與 (該年度第一筆)
-    
-    const pointsInYear = timelineData.filter(d => d.date.startsWith(year));
-    const pointsBeforeYear = timelineData.filter(d => d.date < `${year}-01-01`);
+  // 模擬以報表幣別進行：每月投入 (台幣) 與目標金額 (建立時的幣別) 以起點的匯率換算
+  const projectionRate = reportingRate(fxRates, reportCurrency, projectionStart);
+  const projectionAssumptions = useMemo(
+    () => ({ ...assumptions, monthlyContribution: assumptions.monthlyContribution / projectionRate }),
+    [assumptions, projectionRate]
+  );
+  const goalTarget = (goal) =>
+    goal.target * reportingRate(fxRates, goal.currency || BASE_CURRENCY, projectionStart) / projectionRate;
 
-    if (pointsInYear.length === 0) return { growth: null, startVal: 0, endVal: 0 };
+  const projection = useMemo(
+    () => simulateProjection({ startValue: totalAssets, startDate: projectionStart, months: projectionMonths, assumptions: projectionAssumptions }),
+    [totalAssets, projectionStart, projectionMonths, projectionAssumptions]
+  );
 
-    const endPoint = pointsInYear[pointsInYear.length - 1];
-    const endVal = chartMode === 'total' ? endPoint.total : endPoint.investment;
+  const goalStats = goals
+    .map(goal => {
+      const months = monthsBetween(projectionStart, goal.date);
+      const target = goalTarget(goal);
+      return {
+        goal,
+        months,
+        median: projection.points[Math.min(months, projectionMonths)].p50,
+        probability: goalProbability(projection, months, target),
+        required: requiredMonthlyContribution({ startValue: totalAssets, months, target, assumptions: projectionAssumptions })
+      };
+    })
+    .sort((a, b) => a.goal.date.localeCompare(b.goal.date));
 
-    let startVal = 0;
-    
-    if (pointsBeforeYear.length > 0) {
-        // 有前一年的資料，取前一年最後一筆當作基期
-        const prevEndPoint = pointsBeforeYear[pointsBeforeYear.length - 1];
-        startVal = chartMode === 'total' ? prevEndPoint.total : prevEndPoint.investment;
-    } else {
-        // 沒有前一年資料，取今年第一筆當作基期 (若只有一筆則無成長)
-        const startPoint = pointsInYear[0];
-        // 如果該年只有一筆數據，且沒有前一年數據，無法計算成長率
-        if (pointsInYear.length === 1) return { growth: null, startVal: 0, endVal };
-        
-        startVal = chartMode === 'total' ? startPoint.total : startPoint.investment;
-    }
+  // 曲線圖資料：歷史 + 預測 (中位數與 25-75 / 10-90 百分位區間)，最後一筆歷史點與預測起點相接
+  const chartData = useMemo(() => {
+    if (!showProjection || chartMode !== 'total') return filteredTimeline;
+    const toBands = p => ({ median: p.p50, band50: [p.p25, p.p75], band80: [p.p10, p.p90] });
+    const past = filteredTimeline.map((p, i) =>
+      i === filteredTimeline.length - 1 ? { ...p, ...toBands(projection.points[0]) } : p
+    );
+    const future = projection.points.slice(1).map(p => ({ date: p.date, ...toBands(p) }));
+    return [...past, ...future];
+  }, [showProjection, chartMode, filteredTimeline, projection]);
 
-    if (startVal === 0) return { growth: null, startVal, endVal };
+  const chartMultiYear = chartData.length > 0 && chartData[0].date.slice(0, 4) !== chartData[chartData.length - 1].date.slice(0, 4);
 
-    const growth = ((endVal - startVal) / startVal) * 100;
-    return { growth, startVal, endVal };
+  const [newGoal, setNewGoal] = useState({ name: '', target: '', date: '' });
+
+  const handleAddGoal = () => {
+    const name = newGoal.name.trim();
+    const target = parseFloat(newGoal.target);
+    if (!name || !(target > 0) || !newGoal.date) {
+      alert(t('planner.goalRequired'));
+      return;
+    }
+    if (newGoal.date <= projectionStart) {
+      alert(t('planner.goalDateTooEarly'));
+      return;
+    }
+    setGoals([...goals, { id: generateId(), name, target, currency: reportCurrency, date: newGoal.date }]);
+    setNewGoal({ name: '', target: '', date: '' });
+    setShowProjection(true);
   };
 
-  const annualStats = calculateAnnualGrowth(selectedYear);
+  const handleDeleteGoal = (id) => {
+    if (confirm(t('planner.confirmDeleteGoal'))) {
+      setGoals(goals.filter(g => g.id !== id));
+    }
+  };
 
   // --- Input Forms State ---
-  const [newAsset, setNewAsset] = useState({
-    date: new Date().toISOString().split('T')[0],
-    type: 'tw_stock',
-    exchangeRate: 1,
-    amount: 0,
-    note: ''
+
+  // 預設匯率：取匯率歷史中該日 (含) 之前最近的一筆，沒有時依幣別帶入預設值
+  const defaultRateForCurrency = (currency, date) =>
+    rateOn(fxRates, currency, date) ?? DEFAULT_RATES[currency] ?? 1;
+
+  const defaultRateFor = (accountId, date) =>
+    defaultRateForCurrency(findAccount(accounts, accountId).currency, date);
+
+  const blankAsset = (type = activeAccounts[0]?.id || '', date = new Date().toISOString().split('T')[0]) => ({
+    date,
+    type,
+    exchangeRate: defaultRateFor(type, date),
+    amount: '',
+    note: '',
+    positions: null // null = 整筆金額 (lump)；陣列 = 依持股 × 價格計算
   });
 
+  const [newAsset, setNewAsset] = useState(() => blankAsset());
+
+  // 依交易明細算出某帳戶在某日的持股，價格沿用已輸入的值或最新報價
+  const buildSnapshotPositions = (accountId, date, previous = []) => {
+    const { positions } = replayTransactions(transactions, accountId, date);
+    const prices = latestPrices(assets, transactions.filter(tx => tx.date <= date), accountId);
+    return openTickers(positions).map(ticker => {
+      const entered = previous.find(p => p.ticker === ticker);
+      return {
+        ticker,
+        shares: positions[ticker].shares,
+        price: entered ? entered.price : prices[ticker]?.price || 0,
+      };
+    });
+  };
+
+  const sumPositions = (positions) => positions.reduce((sum, p) => sum + p.shares * p.price, 0);
+
+  // 修改持股快照的日期 / 帳戶 / 價格時，重新計算股數與金額
+  const updateAssetForm = (changes) => {
+    const next = { ...newAsset, ...changes };
+    // 新增時依日期自動帶入匯率；編輯既有記錄時保留原本的匯率 (除非換成不同幣別的帳戶)
+    const currencyChanged = changes.type !== undefined &&
+      findAccount(accounts, changes.type).currency !== findAccount(accounts, newAsset.type).currency;
+    if ((!editingAssetId && (changes.date !== undefined || changes.type !== undefined)) || currencyChanged) {
+      next.exchangeRate = defaultRateFor(next.type, next.date);
+    }
+    if (next.positions && findAccount(accounts, next.type).class !== 'stock') {
+      next.positions = null;
+    } else if (next.positions && (changes.date !== undefined || changes.type !== undefined)) {
+      next.positions = buildSnapshotPositions(next.type, next.date, next.positions);
+    }
+    if (next.positions) next.amount = sumPositions(next.positions);
+    setNewAsset(next);
+  };
+
+  const handleTogglePositions = () => {
+    if (newAsset.positions) {
+      setNewAsset({ ...newAsset, positions: null });
+    } else {
+      const positions = buildSnapshotPositions(newAsset.type, newAsset.date);
+      setNewAsset({ ...newAsset, positions, amount: sumPositions(positions) });
+    }
+  };
+
+  const handlePositionPrice = (ticker, price) => {
+    const positions = newAsset.positions.map(p => p.ticker === ticker ? { ...p, price } : p);
+    setNewAsset({ ...newAsset, positions, amount: sumPositions(positions) });
+  };
+
   // 新增編輯狀態
   const [editingAssetId, setEditingAssetId] = useState(null);
 
-  const [newContribution, setNewContribution] = useState({
+  const blankContribution = (previous = {}) => ({
     date: new Date().toISOString().split('T')[0],
-    person: 'A_Ru',
+    kind: 'deposit',
+    person: activeMembers[0]?.id || '',
+    toPerson: '',
+    currency: BASE_CURRENCY,
+    exchangeRate: 1,
+    accountId: '',
+    note: '',
+    ...previous,
     amount: 0
   });
 
+  const [newContribution, setNewContribution] = useState(() => blankContribution());
+  const [editingContributionId, setEditingContributionId] = useState(null);
+
+  // --- 資料健康檢查 ---
+
+  const [healthThresholds, setHealthThresholds] = useState(() => ({ ...HEALTH_DEFAULTS, ...stored.meta.health }));
+
+  const updateHealthThresholds = (changes) => {
+    const next = { ...healthThresholds, ...changes };
+    setHealthThresholds(next);
+    saveMeta('health', next);
+  };
+
+  const healthContext = { assets, contributions, accounts, fxRates, thresholds: healthThresholds };
+  // 全面檢查只供健康面板與分頁上的問題數使用：以延後的資料計算，
+  // 編輯後先更新畫面，再於低優先的重新渲染中檢查，不拖慢每次輸入
+  const deferredAssets = useDeferredValue(assets);
+  const deferredContributions = useDeferredValue(contributions);
+  const healthIssues = useMemo(
+    () => runHealthChecks({ assets: deferredAssets, contributions: deferredContributions, accounts, fxRates, thresholds: healthThresholds }),
+    [deferredAssets, deferredContributions, accounts, fxRates, healthThresholds]
+  );
+
+  const describeHealthIssue = (issue) => {
+    const p = issue.params;
+    const money = (val) => formatMoney(val, p.currency || BASE_CURRENCY, locale);
+    return t(`health.${issue.code}`, {
+      ...p,
+      ...(p.since && { since: formatDate(p.since, locale) }),
+      ...(p.until && { until: formatDate(p.until, locale) }),
+      ...(p.previous !== undefined && { previous: money(p.previous), current: money(p.current) }),
+      ...(p.change !== undefined && { change: formatPercent(p.change, 0) }),
+      ...(p.typical !== undefined && { amount: formatTwd(p.amount), typical: formatTwd(p.typical), multiple: p.multiple.toFixed(1) }),
+      ...(p.reference !== undefined && { reference: p.reference.toLocaleString(locale, { maximumFractionDigits: 4 }) }),
+    });
+  };
+
+  // 儲存前的檢查：有疑慮時列出問題並讓使用者決定是否仍要儲存
+  const confirmHealthIssues = (issues) =>
+    issues.length === 0 || confirm(t('health.confirmSave', { issues: issues.map(i => `• ${describeHealthIssue(i)}`).join('\n') }));
+
+  // --- 快照排程與提醒 ---
+  // currentStatus 取各帳戶最新一筆快照，不論多舊；依排程標出該更新或已過時的帳戶
+
+  const [snapshotSchedule, setSnapshotSchedule] = useState(() => ({ ...SCHEDULE_DEFAULTS, ...stored.meta.schedule }));
+  const [reminderSupport, setReminderSupport] = useState(null); // 'background' | 'foreground' | 'unsupported'
+  const [reminderError, setReminderError] = useState('');
+
+  const today = new Date().toISOString().split('T')[0];
+  const freshness = useMemo(
+    () => snapshotFreshness({ assets, accounts, schedule: snapshotSchedule, today }),
+    [assets, accounts, snapshotSchedule, today]
+  );
+
+  const updateSnapshotSchedule = async (changes) => {
+    if (changes.notify) {
+      // 先取得通知權限 (需在使用者點擊後立即詢問)，再註冊 Service Worker
+      if (typeof Notification === 'undefined') {
+        alert(t('schedule.unsupported'));
+        return;
+      }
+      if (await Notification.requestPermission() !== 'granted') {
+        alert(t('schedule.permissionDenied'));
+        return;
+      }
+    }
+    if (changes.notify === false) unregisterReminderSync().catch(() => {});
+    const next = { ...snapshotSchedule, ...changes };
+    setSnapshotSchedule(next);
+    saveMeta('schedule', next);
+  };
+
+  useEffect(() => {
+    if (!snapshotSchedule.notify) return;
+    registerReminderWorker()
+      .then(setReminderSupport)
+      .catch(() => setReminderSupport('unsupported'));
+  }, [snapshotSchedule.notify]);
+
+  // 把下一次提醒交給 Service Worker (分頁關閉時由它通知)；開著 App 且已到期時直接通知
+  const notifiedReminder = useRef(stored.meta.reminderNotified);
+  useEffect(() => {
+    const reminder = {
+      enabled: snapshotSchedule.notify,
+      dueAt: freshness.dueAt,
+      title: t('schedule.notifyTitle'),
+      body: t('schedule.notifyBody', { date: formatDate(freshness.dueAt, locale) }),
+    };
+    saveMeta('reminder', reminder);
+    if (!reminder.enabled || freshness.pending.length === 0 || notifiedReminder.current === reminder.dueAt) return;
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    notifiedReminder.current = reminder.dueAt;
+    saveMeta('reminderNotified', reminder.dueAt);
+    showReminder(reminder).then(() => setReminderError(''), err => setReminderError(err.message));
+  }, [snapshotSchedule.notify, freshness, t, locale]);
+
+  // --- 資料加密與自動鎖定 ---
+
+  const [encrypted, setEncrypted] = useState(isEncrypted);
+  const [lockSettings, setLockSettings] = useState(() => ({ autoLockMinutes: 15, ...stored.meta.lock }));
+  const [lockForm, setLockForm] = useState({ current: '', next: '', confirm: '' });
+  const [lockBusy, setLockBusy] = useState(false);
+
+  const updateLockSettings = (changes) => {
+    const next = { ...lockSettings, ...changes };
+    setLockSettings(next);
+    saveMeta('lock', next);
+  };
+
+  // 閒置超過設定的分鐘數 (沒有點擊、按鍵、捲動) 就鎖定
+  useEffect(() => {
+    if (!encrypted || !lockSettings.autoLockMinutes) return;
+    const events = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+    let timer;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lockAndReload, lockSettings.autoLockMinutes * 60 * 1000);
+    };
+    events.forEach(name => window.addEventListener(name, restart, { passive: true }));
+    restart();
+    return () => {
+      clearTimeout(timer);
+      events.forEach(name => window.removeEventListener(name, restart));
+    };
+  }, [encrypted, lockSettings.autoLockMinutes]);
+
+  // 啟用加密或變更密碼；已加密時需先輸入目前的密碼
+  const handleSetPassphrase = async () => {
+    if (!isCryptoSupported()) {
+      alert(t('lock.unsupported'));
+      return;
+    }
+    if (lockForm.next.length < MIN_PASSPHRASE_LENGTH) {
+      alert(t('lock.tooShort', { count: MIN_PASSPHRASE_LENGTH }));
+      return;
+    }
+    if (lockForm.next !== lockForm.confirm) {
+      alert(t('lock.mismatch'));
+      return;
+    }
+    if (!encrypted && !confirm(syncSettings.url ? `${t('lock.confirmEnable')}\n\n${t('sync.encrypted')}` : t('lock.confirmEnable'))) return;
+
+    setLockBusy(true);
+    try {
+      if (encrypted && !(await verifyPassphrase(lockForm.current))) {
+        alert(t('lock.wrongPassphrase'));
+        return;
+      }
+      await setPassphrase(lockForm.next);
+      alert(encrypted ? t('lock.changed') : t('lock.enabled'));
+      setEncrypted(true);
+      setLockForm({ current: '', next: '', confirm: '' });
+    } catch (err) {
+      alert(t('lock.failed', { message: err.message }));
+    } finally {
+      setLockBusy(false);
+    }
+  };
+
+  // 關閉加密：驗證目前的密碼後把全部資料改回明文
+  const handleDisableEncryption = async () => {
+    setLockBusy(true);
+    try {
+      if (!(await verifyPassphrase(lockForm.current))) {
+        alert(t('lock.wrongPassphrase'));
+        return;
+      }
+      if (!confirm(t('lock.confirmDisable'))) return;
+      await disableEncryption();
+      alert(t('lock.disabled'));
+      setEncrypted(false);
+      // 加密期間暫停的同步立即恢復
+      syncRef.current.handleSync();
+      setLockForm({ current: '', next: '', confirm: '' });
+    } catch (err) {
+      alert(t('lock.failed', { message: err.message }));
+    } finally {
+      setLockBusy(false);
+    }
+  };
+
   // --- Handlers ---
 
   // 修改後的儲存/更新邏輯
   const handleSaveAsset = () => {
-    if (!newAsset.amount || !newAsset.date) return;
+    if (!isAmountInput(newAsset.amount) || !newAsset.date) return;
+
+    // 持股快照保留每檔的股數與價格；整筆金額記錄不帶 positions
+    const positions = newAsset.positions
+      ? { positions: newAsset.positions.map(p => ({ ticker: p.ticker, shares: p.shares, price: Number(p.price) })) }
+      : {};
+    const fields = {
+      date: newAsset.date,
+      type: newAsset.type,
+      amount: Number(newAsset.amount),
+      exchangeRate: isForeign(findAccount(accounts, newAsset.type)) ? Number(newAsset.exchangeRate) : 1,
+    };
+    if (!confirmHealthIssues(checkAsset({ id: editingAssetId, ...fields }, healthContext))) return;
 
     if (editingAssetId) {
       // 更新現有記錄
-      setAssets(assets.map(a => a.id === editingAssetId ? {
-        ...a,
-        date: newAsset.date,
-        type: newAsset.type,
-        amount: Number(newAsset.amount),
-        exchangeRate: (newAsset.type === 'us_stock' || newAsset.type === 'us_cash') ? Number(newAsset.exchangeRate) : 1,
-        note: newAsset.note || ''
-      } : a));
+      commitLedgers({ assets: assets.map(a => {
+        if (a.id !== editingAssetId) return a;
+        const rest = { ...a };
+        delete rest.positions;
+        return {
+          ...rest,
+          ...fields,
+          note: newAsset.note || '',
+          ...positions
+        };
+      }) }, t('undo.updateAsset'));
       setEditingAssetId(null);
-      alert('已更新資產記錄');
+      alert(t('alerts.assetUpdated'));
     } else {
       // 新增記錄
       const record = {
         id: generateId(),
-        date: newAsset.date,
-        type: newAsset.type,
-        amount: Number(newAsset.amount),
-        exchangeRate: (newAsset.type === 'us_stock' || newAsset.type === 'us_cash') ? Number(newAsset.exchangeRate) : 1,
-        note: newAsset.note || ''
+        ...fields,
+        note: newAsset.note || '',
+        ...positions
       };
-      setAssets([...assets, record]);
-      alert('已新增資產記錄');
+      commitLedgers({ assets: [...assets, record] }, t('undo.createAsset'));
+      alert(t('alerts.assetCreated'));
     }
     
     // 重置表單
-    setNewAsset({ 
-      date: new Date().toISOString().split('T')[0],
-      type: 'tw_stock',
-      exchangeRate: 1,
-      amount: 0,
-      note: '' 
-    });
+    setNewAsset(blankAsset());
   };
 
   const handleEditAsset = (record) => {
@@ -311,7 +1121,8 @@ export default function InvestmentTracker() {
       type: record.type,
       amount: record.amount,
       exchangeRate: record.exchangeRate,
-      note: record.note
+      note: record.note,
+      positions: record.positions || null
     });
     // 視窗捲動到頂部方便編輯
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -319,43 +1130,508 @@ export default function InvestmentTracker() {
 
   const handleCancelEdit = () => {
     setEditingAssetId(null);
-    setNewAsset({ 
-      date: new Date().toISOString().split('T')[0],
-      type: 'tw_stock',
-      exchangeRate: 1,
-      amount: 0,
-      note: '' 
-    });
+    setNewAsset(blankAsset());
   };
 
-  const handleAddContribution = () => {
-    if (!newContribution.amount || !newContribution.date) return;
-    const record = {
-      id: generateId(),
-      person: newContribution.person,
-      date: newContribution.date,
-      amount: Number(newContribution.amount)
-    };
-    setContributions([...contributions, record]);
-    setNewContribution({ ...newContribution, amount: 0 });
-    alert('已新增投入記錄');
+  // 從總覽的帳戶卡片直接新增該帳戶今天的快照
+  const handleRecordSnapshot = (accountId) => {
+    setEditingAssetId(null);
+    setNewAsset(blankAsset(accountId));
+    setActiveTab('assets');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
-  const handleDeleteAsset = (id) => {
-    if (confirm('確定刪除此筆記錄？')) {
-      // 如果正在編輯這筆，取消編輯狀態
-      if (editingAssetId === id) {
-        handleCancelEdit();
-      }
-      setAssets(assets.filter(a => a.id !== id));
+  // 選擇帳戶時帶入帳戶幣別；幣別或日期變動時 (新增模式) 自動帶入匯率
+  const updateContributionForm = (changes) => {
+    const next = { ...newContribution, ...changes };
+    if (changes.accountId) next.currency = findAccount(accounts, changes.accountId).currency;
+    const currencyChanged = next.currency !== newContribution.currency;
+    if (currencyChanged || (!editingContributionId && changes.date !== undefined)) {
+      next.exchangeRate = defaultRateForCurrency(next.currency, next.date);
     }
+    setNewContribution(next);
   };
 
-  const handleDeleteContribution = (id) => {
-    if (confirm('確定刪除此筆記錄？')) {
-      setContributions(contributions.filter(c => c.id !== id));
+  const handleSaveContribution = () => {
+    const { date, kind, person, toPerson, amount, accountId, note } = newContribution;
+    if (!amount || !date || !person) return;
+    if (Number(amount) <= 0) {
+      alert(t('contributions.amountPositive'));
+      return;
     }
-  };
+    if (kind === 'transfer' && (!toPerson || toPerson === person)) {
+      alert(t('contributions.sameMember'));
+      return;
+    }
+    const currency = newContribution.currency.trim().toUpperCase() || BASE_CURRENCY;
+    const fields = {
+      date,
+      kind,
+      person,
+      amount: Number(amount),
+      currency,
+      exchangeRate: currency === BASE_CURRENCY ? 1 : Number(newContribution.exchangeRate),
+      ...(kind === 'transfer' && { toPerson }),
+      ...(accountId && { accountId }),
+      ...(note && { note })
+    };
+    if (!confirmHealthIssues(checkContribution({ id: editingContributionId, ...fields }, healthContext))) return;
+
+    if (editingContributionId) {
+      commitLedgers({
+        contributions: contributions.map(c => c.id === editingContributionId ? { id: c.id, ...fields } : c)
+      }, t('undo.updateFlow'));
+      setEditingContributionId(null);
+      alert(t('alerts.flowUpdated'));
+    } else {
+      commitLedgers({ contributions: [...contributions, { id: generateId(), ...fields }] }, t('undo.createFlow'));
+      alert(t('alerts.flowCreated'));
+    }
+    setNewContribution(blankContribution({ date, kind, person, currency, exchangeRate: fields.exchangeRate, accountId }));
+  };
+
+  const handleEditContribution = (record) => {
+    setEditingContributionId(record.id);
+    setNewContribution({
+      ...blankContribution(),
+      date: record.date,
+      kind: flowKind(record),
+      person: record.person,
+      toPerson: record.toPerson || '',
+      amount: record.amount,
+      currency: flowCurrency(record),
+      exchangeRate: record.exchangeRate || 1,
+      accountId: record.accountId || '',
+      note: record.note || ''
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleCancelContribution = () => {
+    setEditingContributionId(null);
+    setNewContribution(blankContribution());
+  };
+
+  // 從資料檢查面板跳到對應分頁並開啟編輯
+  const handleJumpToIssue = (issue) => {
+    if (issue.ledger === 'assets') {
+      const record = assets.find(a => a.id === issue.recordId);
+      if (!record) return;
+      setActiveTab('assets');
+      handleEditAsset(record);
+    } else {
+      const record = contributions.find(c => c.id === issue.recordId);
+      if (!record) return;
+      setActiveTab('contributions');
+      handleEditContribution(record);
+    }
+  };
+
+  // 刪除的記錄會移到資源回收筒，可復原或從回收筒還原
+  const handleDeleteAsset = (id) => {
+    // 如果正在編輯這筆，取消編輯狀態
+    if (editingAssetId === id) {
+      handleCancelEdit();
+    }
+    commitLedgers({ assets: assets.filter(a => a.id !== id) }, t('undo.deleteAsset'));
+  };
+
+  const handleDeleteContribution = (id) => {
+    if (editingContributionId === id) {
+      handleCancelContribution();
+    }
+    commitLedgers({ contributions: contributions.filter(c => c.id !== id) }, t('undo.deleteFlow'));
+  };
+
+  // --- Holdings & Transactions ---
+
+  const [holdingsAccountId, setHoldingsAccountId] = useState('');
+
+  // 選擇的帳戶不存在或已非股票類時，退回第一個股票帳戶
+  const holdingsId = (
+    accounts.find(a => a.id === holdingsAccountId && a.class === 'stock') ||
+    accounts.find(a => a.class === 'stock' && !a.archived)
+  )?.id || '';
+
+  const blankTransaction = () => ({
+    date: new Date().toISOString().split('T')[0],
+    kind: 'buy',
+    ticker: '',
+    shares: 0,
+    price: 0,
+    fee: 0,
+    amount: 0,
+    ratio: 2,
+    note: ''
+  });
+
+  const [newTransaction, setNewTransaction] = useState(blankTransaction);
+  const [editingTransactionId, setEditingTransactionId] = useState(null);
+
+  const handleSaveTransaction = () => {
+    const tx = newTransaction;
+    if (!holdingsId || !tx.date || !tx.ticker.trim()) return;
+    if ((tx.kind === 'buy' || tx.kind === 'sell') && !(tx.shares > 0)) return;
+    if (tx.kind === 'dividend' && !(tx.amount > 0)) return;
+    if (tx.kind === 'split' && !(tx.ratio > 0)) return;
+
+    const record = {
+      accountId: holdingsId,
+      date: tx.date,
+      kind: tx.kind,
+      ticker: tx.ticker.trim().toUpperCase(),
+      shares: tx.kind === 'buy' || tx.kind === 'sell' ? Number(tx.shares) : 0,
+      price: tx.kind === 'buy' || tx.kind === 'sell' ? Number(tx.price) : 0,
+      fee: tx.kind === 'buy' || tx.kind === 'sell' ? Number(tx.fee) : 0,
+      amount: tx.kind === 'dividend' ? Number(tx.amount) : 0,
+      ratio: tx.kind === 'split' ? Number(tx.ratio) : 1,
+      note: tx.note || ''
+    };
+
+    if (editingTransactionId) {
+      setTransactions(transactions.map(x => x.id === editingTransactionId ? { ...x, ...record } : x));
+      setEditingTransactionId(null);
+    } else {
+      setTransactions([...transactions, { id: generateId(), ...record }]);
+    }
+    setNewTransaction({ ...blankTransaction(), date: tx.date, kind: tx.kind });
+  };
+
+  const handleEditTransaction = (record) => {
+    setEditingTransactionId(record.id);
+    setNewTransaction({ ...blankTransaction(), ...record });
+  };
+
+  const handleCancelTransaction = () => {
+    setEditingTransactionId(null);
+    setNewTransaction(blankTransaction());
+  };
+
+  const handleDeleteTransaction = (id) => {
+    if (confirm(t('holdings.confirmDelete'))) {
+      if (editingTransactionId === id) handleCancelTransaction();
+      setTransactions(transactions.filter(tx => tx.id !== id));
+    }
+  };
+
+  // --- Exchange Rates ---
+
+  const foreignCurrencies = Array.from(new Set(accounts.filter(isForeign).map(a => a.currency)));
+
+  const [fxCurrency, setFxCurrency] = useState(() => foreignCurrencies[0] || 'USD');
+  const [newRate, setNewRate] = useState({ date: new Date().toISOString().split('T')[0], rate: 0 });
+  const [fxImportResult, setFxImportResult] = useState(null);
+
+  const handleSaveRate = () => {
+    if (!newRate.date || !(newRate.rate > 0)) return;
+    setFxRates(upsertRates(fxRates, [{ date: newRate.date, currency: fxCurrency, rate: Number(newRate.rate) }], generateId));
+    setNewRate({ ...newRate, rate: 0 });
+  };
+
+  const handleDeleteRate = (id) => {
+    if (confirm(t('fx.confirmDelete'))) {
+      setFxRates(fxRates.filter(r => r.id !== id));
+    }
+  };
+
+  const handleImportRates = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { rates, issues } = parseRatesCsv(await file.text(), fxCurrency, t);
+    setFxRates(upsertRates(fxRates, rates, generateId));
+    setFxImportResult({ fileName: file.name, count: rates.length, issues });
+  };
+
+  // 匯率 / 市場報酬拆解的期間 (空白 = 使用資料的第一天 / 最後一天)
+  const [fxRange, setFxRange] = useState({ start: '', end: '' });
+  const fxStart = fxRange.start || timelineData[0]?.date || '';
+  const fxEnd = fxRange.end || timelineData[timelineData.length - 1]?.date || '';
+  const fxStats = useMemo(
+    () => fxAttribution(assets, assetAccounts, fxRates, fxStart, fxEnd, reportCurrency),
+    [assets, assetAccounts, fxRates, fxStart, fxEnd, reportCurrency]
+  );
+
+  // --- Benchmarks ---
+
+  const [newBenchmark, setNewBenchmark] = useState({ name: '', currency: BASE_CURRENCY, color: '#f59e0b' });
+  const [benchmarkImportResult, setBenchmarkImportResult] = useState(null);
+
+  // 匯入價格 CSV：名稱相同的基準合併價格 (同日期覆蓋)，否則新增一個基準
+  const handleImportBenchmark = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { prices, issues } = parseBenchmarkCsv(await file.text(), t);
+    const name = newBenchmark.name.trim() || file.name.replace(/\.csv$/i, '');
+    const currency = newBenchmark.currency.trim().toUpperCase() || BASE_CURRENCY;
+    if (prices.length > 0) {
+      const existing = benchmarks.find(b => b.name === name);
+      setBenchmarks(existing
+        ? benchmarks.map(b => b.id === existing.id ? { ...b, currency, prices: mergePrices(b.prices, prices) } : b)
+        : [...benchmarks, { id: generateId(), name, currency, color: newBenchmark.color, prices }]);
+    }
+    setBenchmarkImportResult({ fileName: file.name, name, count: prices.length, issues });
+    setNewBenchmark({ ...newBenchmark, name: '' });
+  };
+
+  const handleUpdateBenchmark = (id, changes) => {
+    setBenchmarks(benchmarks.map(b => b.id === id ? { ...b, ...changes } : b));
+  };
+
+  const handleDeleteBenchmark = (id) => {
+    if (confirm(t('benchmarks.confirmDelete'))) {
+      setBenchmarks(benchmarks.filter(b => b.id !== id));
+    }
+  };
+
+  // --- Dividends ---
+
+  const blankDividend = (previous = {}) => {
+    const account = findAccount(accounts, previous.accountId || activeAccounts.find(a => a.class === 'stock')?.id || activeAccounts[0]?.id || '');
+    const date = previous.date || new Date().toISOString().split('T')[0];
+    return {
+      date,
+      accountId: account.id,
+      person: activeMembers[0]?.id || '',
+      ticker: '',
+      source: defaultSource(account.currency),
+      currency: account.currency,
+      exchangeRate: defaultRateForCurrency(account.currency, date),
+      note: '',
+      ...previous,
+      gross: 0,
+      withholding: 0
+    };
+  };
+
+  const [newDividend, setNewDividend] = useState(() => blankDividend());
+  const [editingDividendId, setEditingDividendId] = useState(null);
+  const [dividendYear, setDividendYear] = useState('');
+  const [dividendTax, setDividendTax] = useState(() => ({ ...DIVIDEND_TAX_DEFAULTS, ...stored.meta.dividendTax }));
+
+  const updateDividendTax = (changes) => {
+    const next = { ...dividendTax, ...changes };
+    setDividendTax(next);
+    saveMeta('dividendTax', next);
+  };
+
+  // 選擇帳戶時帶入幣別與來源；幣別或日期變動時 (新增模式) 帶入匯率；金額或來源變動時重算預設扣繳 (可再手動修改)
+  const updateDividendForm = (changes) => {
+    const next = { ...newDividend, ...changes };
+    if (changes.accountId) {
+      next.currency = findAccount(accounts, changes.accountId).currency;
+      next.source = defaultSource(next.currency);
+    }
+    const currencyChanged = next.currency !== newDividend.currency;
+    if (currencyChanged || (!editingDividendId && changes.date !== undefined)) {
+      next.exchangeRate = defaultRateForCurrency(next.currency, next.date);
+    }
+    if (changes.gross !== undefined || next.source !== newDividend.source) {
+      next.withholding = defaultWithholding(Number(next.gross) || 0, next.source);
+    }
+    setNewDividend(next);
+  };
+
+  const handleSaveDividend = () => {
+    const { date, accountId, person, ticker, source, note } = newDividend;
+    const gross = Number(newDividend.gross);
+    const withholding = Number(newDividend.withholding) || 0;
+    if (!date || !accountId || !person || !(gross > 0)) {
+      alert(t('dividends.required'));
+      return;
+    }
+    if (withholding < 0 || withholding > gross) {
+      alert(t('dividends.badWithholding'));
+      return;
+    }
+    const currency = newDividend.currency.trim().toUpperCase() || BASE_CURRENCY;
+    const fields = {
+      date,
+      accountId,
+      person,
+      ticker: ticker.trim().toUpperCase(),
+      source,
+      gross,
+      withholding,
+      currency,
+      exchangeRate: currency === BASE_CURRENCY ? 1 : Number(newDividend.exchangeRate),
+      ...(note && { note })
+    };
+
+    if (editingDividendId) {
+      setDividends(dividends.map(d => d.id === editingDividendId ? { id: d.id, ...fields } : d));
+      setEditingDividendId(null);
+    } else {
+      setDividends([...dividends, { id: generateId(), ...fields }]);
+    }
+    setNewDividend(blankDividend({ date, accountId, person, source, currency, exchangeRate: fields.exchangeRate }));
+  };
+
+  const handleEditDividend = (record) => {
+    setEditingDividendId(record.id);
+    setNewDividend({
+      ...blankDividend(),
+      date: record.date,
+      accountId: record.accountId,
+      person: record.person,
+      ticker: record.ticker || '',
+      source: record.source,
+      gross: record.gross,
+      withholding: record.withholding || 0,
+      currency: record.currency,
+      exchangeRate: record.exchangeRate || 1,
+      note: record.note || ''
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleCancelDividend = () => {
+    setEditingDividendId(null);
+    setNewDividend(blankDividend());
+  };
+
+  const handleDeleteDividend = (id) => {
+    if (confirm(t('dividends.confirmDelete'))) {
+      setDividends(dividends.filter(d => d.id !== id));
+      if (editingDividendId === id) handleCancelDividend();
+    }
+  };
+
+  // 殖利率以台幣估值計算 (與報表幣別無關)，只在股利分頁計算
+  const dividendTimeline = useMemo(
+    () => (activeTab === 'dividends' ? buildTimeline(assets, accounts) : []),
+    [activeTab, assets, accounts]
+  );
+
+  // --- Members ---
+
+  const [newMember, setNewMember] = useState({ name: '', color: '#16a34a' });
+
+  const handleAddMember = () => {
+    const name = newMember.name.trim();
+    if (!name) return;
+    setMembers([...members, { id: generateId(), name, color: newMember.color, archived: false }]);
+    setNewMember({ name: '', color: newMember.color });
+  };
+
+  const handleUpdateMember = (id, changes) => {
+    setMembers(members.map(m => m.id === id ? { ...m, ...changes } : m));
+    // 封存目前表單選擇的成員時，改選第一位可用成員
+    if (changes.archived && newContribution.person === id) {
+      const next = members.find(m => !m.archived && m.id !== id);
+      setNewContribution({ ...newContribution, person: next ? next.id : '' });
+    }
+  };
+
+  // --- Accounts ---
+
+  const [newAccount, setNewAccount] = useState({ name: '', currency: 'TWD', color: '#0ea5e9', class: 'stock' });
+
+  const handleAddAccount = () => {
+    const name = newAccount.name.trim();
+    const currency = newAccount.currency.trim().toUpperCase();
+    if (!name || !currency) return;
+    setAccounts([...accounts, { id: generateId(), name, currency, color: newAccount.color, class: newAccount.class, archived: false }]);
+    setNewAccount({ ...newAccount, name: '' });
+  };
+
+  const handleUpdateAccount = (id, changes) => {
+    setAccounts(accounts.map(a => a.id === id ? { ...a, ...changes } : a));
+  };
+
+  // --- Target Allocation ---
+
+  // 帳戶幣別與報表幣別不同時，以今天的匯率換算
+  const allocationDate = new Date().toISOString().split('T')[0];
+  const todayReportRate = reportingRate(fxRates, reportCurrency, allocationDate);
+  const allocation = calculateAllocation(
+    assetAccounts,
+    currentStatus,
+    account => defaultRateFor(account.id, allocationDate) / todayReportRate
+  );
+  // 下次投入以報表幣別輸入，未輸入時帶入每月投入 (台幣) 的換算值
+  const [nextContributionAmount, setNextContributionAmount] = useState('');
+  const defaultNextContribution = Math.round((assumptions.monthlyContribution || 0) / todayReportRate);
+  const contributionPlan = directContribution(
+    allocation,
+    parseFloat(nextContributionAmount) || defaultNextContribution
+  );
+
+  // --- Backup / Restore ---
+
+  const [importPreview, setImportPreview] = useState(null);
+  const [importError, setImportError] = useState('');
+
+  const handleExportJson = () => {
+    const today = new Date().toISOString().split('T')[0];
+    downloadFile(`investment-backup-${today}.json`, JSON.stringify(buildBackup({ assets, contributions, members, accounts, transactions, fxRates, goals, benchmarks, dividends }), null, 2), 'application/json');
+  };
+
+  const handleExportCsv = () => {
+    const today = new Date().toISOString().split('T')[0];
+    downloadFile(`investment-backup-${today}.csv`, buildCsv({ assets, contributions, transactions, fxRates, dividends }), 'text/csv;charset=utf-8');
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImportError('');
+    setImportPreview(null);
+    try {
+      const text = await file.text();
+      const parsed = parseBackupFile(file.name, text, {
+        assetTypes: accounts.map(a => a.id),
+        liabilityTypes: accounts.filter(isLiability).map(a => a.id),
+        persons: members.map(m => m.id),
+        t,
+      });
+      setImportPreview({ fileName: file.name, ...parsed });
+    } catch (err) {
+      setImportError(t('backup.readFailed', { message: err.message }));
+    }
+  };
+
+  const handleApplyImport = (mode) => {
+    if (!importPreview) return;
+    const {
+      assets: incomingAssets, contributions: incomingContributions,
+      members: incomingMembers, accounts: incomingAccounts, transactions: incomingTransactions,
+      fxRates: incomingRates, goals: incomingGoals, benchmarks: incomingBenchmarks, dividends: incomingDividends
+    } = importPreview;
+
+    if (mode === 'replace') {
+      if (!confirm(t('backup.confirmReplace'))) return;
+      commitLedgers({
+        assets: replaceRecords(incomingAssets, assetKey, generateId),
+        contributions: replaceRecords(incomingContributions, contributionKey, generateId)
+      }, t('undo.importReplace'), 'import');
+      setMembers(ensureMembers(incomingMembers.length > 0 ? incomingMembers : members, incomingContributions));
+      setAccounts(ensureAccounts(incomingAccounts.length > 0 ? incomingAccounts : accounts, incomingAssets));
+      setTransactions(replaceRecords(incomingTransactions, transactionKey, generateId));
+      setFxRates(upsertRates([], incomingRates, generateId));
+      setDividends(replaceRecords(incomingDividends, dividendKey, generateId));
+      // 舊版備份沒有目標與基準指數時保留目前的設定
+      if (incomingGoals.length > 0) setGoals(replaceRecords(incomingGoals, g => g.id, generateId));
+      if (incomingBenchmarks.length > 0) setBenchmarks(replaceRecords(incomingBenchmarks, b => b.id, generateId));
+    } else {
+      setMembers(ensureMembers(mergeRecords(members, incomingMembers, m => m.id, generateId), incomingContributions));
+      setAccounts(ensureAccounts(mergeRecords(accounts, incomingAccounts, a => a.id, generateId), incomingAssets));
+      setTransactions(mergeRecords(transactions, incomingTransactions, transactionKey, generateId));
+      setFxRates(upsertRates(fxRates, incomingRates, generateId));
+      setDividends(mergeRecords(dividends, incomingDividends, dividendKey, generateId));
+      setGoals(mergeRecords(goals, incomingGoals, g => g.id, generateId));
+      setBenchmarks(mergeRecords(benchmarks, incomingBenchmarks, b => b.id, generateId));
+      commitLedgers({
+        assets: mergeRecords(assets, incomingAssets, assetKey, generateId),
+        contributions: mergeRecords(contributions, incomingContributions, contributionKey, generateId)
+      }, t('undo.importMerge'), 'import');
+    }
+    setImportPreview(null);
+    alert(t('alerts.imported'));
+  };
 
   // --- Render Views ---
 
@@ -364,21 +1640,209 @@ export default function InvestmentTracker() {
       {/* 總覽卡片 */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
-          <h3 className="text-slate-500 text-sm font-medium mb-1">目前總資產 (TWD)</h3>
-          <div className="text-3xl font-bold text-slate-800">{formatCurrency(totalAssetsTwd)}</div>
-          <div className="text-xs text-slate-400 mt-2">根據最新一筆記錄計算</div>
+          <h3 className="text-slate-500 text-sm font-medium mb-1">{t('dashboard.totalAssets', { currency: reportCurrency })}</h3>
+          <div className="text-3xl font-bold text-slate-800">{formatValue(totalAssets)}</div>
+          {liabilityAccounts.length > 0 ? (
+            <div className="mt-2 space-y-1 text-sm">
+              <div className="flex justify-between text-slate-500">
+                <span>{t('dashboard.liabilities')}</span>
+                <span>-{formatValue(totalLiabilities)}</span>
+              </div>
+              <div className="flex justify-between font-bold text-slate-800 border-t border-slate-100 pt-1">
+                <span>{t('dashboard.netWorth')}</span>
+                <span>{formatValue(netWorth)}</span>
+              </div>
+            </div>
+          ) : (
+            <div className="text-xs text-slate-400 mt-2">{t('dashboard.totalAssetsHint')}</div>
+          )}
         </div>
+        {dashboardMembers.map(member => (
+          <div key={member.id} className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+            <h3 className="text-slate-500 text-sm font-medium mb-1">{t('dashboard.memberNet', { name: member.name })}</h3>
+            <div className="text-2xl font-bold" style={{ color: member.color }}>
+              {formatValue(netContributions[member.id] || 0)}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* 各帳戶最新快照與排程 */}
+      {freshness.rows.length > 0 && (
         <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
-          <h3 className="text-slate-500 text-sm font-medium mb-1">阿慧總投入</h3>
-          <div className="text-2xl font-bold text-pink-600">
-            {formatCurrency(contributions.filter(c => c.person === 'A_Hui').reduce((sum, c) => sum + c.amount, 0))}
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4 gap-2">
+            <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+              <Clock className="w-5 h-5" /> {t('schedule.title')}
+            </h3>
+            <span className="text-xs text-slate-500">{t('schedule.nextDue', { date: formatDate(freshness.nextDue, locale) })}</span>
+          </div>
+          {freshness.pending.length > 0 && (
+            <div className="mb-4 bg-orange-50 border border-orange-100 rounded-xl p-3 text-sm text-orange-800 flex items-center gap-2">
+              <AlertTriangle size={16} /> {t('schedule.pending', { count: freshness.pending.length, date: formatDate(freshness.lastDue, locale) })}
+            </div>
+          )}
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            {freshness.rows.map(r => (
+              <div
+                key={r.account.id}
+                className={`p-4 rounded-xl border ${{ ok: 'border-slate-100', due: 'border-orange-200 bg-orange-50', stale: 'border-red-200 bg-red-50' }[r.status]}`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm font-medium" style={{ color: r.account.color }}>{r.account.name}</span>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${{ ok: 'bg-green-100 text-green-700', due: 'bg-orange-100 text-orange-700', stale: 'bg-red-100 text-red-700' }[r.status]}`}>
+                    {t(`schedule.${r.status}`)}
+                  </span>
+                </div>
+                <div className="text-xl font-bold text-slate-800 mt-1">{formatValue(currentStatus[r.account.id])}</div>
+                <div className={`text-xs mt-1 ${r.status === 'stale' ? 'text-red-600' : 'text-slate-500'}`}>
+                  {t('schedule.updated', { date: formatDate(r.lastDate, locale), count: r.ageDays })}
+                </div>
+                {r.status !== 'ok' && (
+                  <button onClick={() => handleRecordSnapshot(r.account.id)} className="mt-2 text-xs text-blue-600 hover:text-blue-800 flex items-center gap-1">
+                    <PlusCircle size={14} /> {t('schedule.record')}
+                  </button>
+                )}
+              </div>
+            ))}
           </div>
         </div>
+      )}
+
+      {/* 負債與還款進度 */}
+      {debtRows.length > 0 && (
         <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
-          <h3 className="text-slate-500 text-sm font-medium mb-1">阿儒總投入</h3>
-          <div className="text-2xl font-bold text-blue-600">
-            {formatCurrency(contributions.filter(c => c.person === 'A_Ru').reduce((sum, c) => sum + c.amount, 0))}
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4 gap-2">
+            <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+              <CreditCard className="w-5 h-5" /> {t('debt.title')}
+            </h3>
+            <span className="text-xs text-slate-500">{t('debt.summary', { liabilities: formatValue(totalLiabilities), netWorth: formatValue(netWorth) })}</span>
+          </div>
+          <div className="space-y-4">
+            {debtRows.map(({ account, progress }) => {
+              const money = (val) => formatMoney(val, account.currency, locale);
+              const { schedule } = progress;
+              return (
+                <div key={account.id} className="p-4 rounded-xl border border-slate-100">
+                  <div className="flex flex-wrap items-baseline justify-between gap-2">
+                    <span className="text-sm font-medium" style={{ color: account.color }}>{account.name}</span>
+                    <span className="text-sm text-slate-500">
+                      {t('debt.balance', { balance: money(progress.balance), date: formatDate(progress.asOf, locale) })}
+                    </span>
+                  </div>
+                  <div className="mt-2 h-2 rounded-full bg-slate-100 overflow-hidden">
+                    <div className="h-full bg-emerald-500" style={{ width: `${progress.paidPercent}%` }} />
+                  </div>
+                  <div className="mt-1 flex flex-wrap justify-between gap-2 text-xs text-slate-500">
+                    <span>{t('debt.paid', { percent: progress.paidPercent.toFixed(1), original: money(progress.original) })}</span>
+                    {schedule ? (
+                      schedule.paysOff ? (
+                        <span>
+                          {t('debt.payoff', { date: formatDate(schedule.payoffDate, locale), count: schedule.rows.length, interest: money(schedule.totalInterest) })}
+                        </span>
+                      ) : (
+                        <span className="text-orange-700"><AlertTriangle size={12} className="inline mr-1" />{t('debt.neverPaidOff')}</span>
+                      )
+                    ) : progress.balance > 0 && (
+                      <span>{t('debt.noTerms')}</span>
+                    )}
+                  </div>
+                  {schedule && schedule.rows.length > 0 && (
+                    <button
+                      onClick={() => setAmortisationAccountId(amortisationAccountId === account.id ? null : account.id)}
+                      className="mt-2 text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      {amortisationAccountId === account.id ? t('debt.hideSchedule') : t('debt.showSchedule')}
+                    </button>
+                  )}
+                  {schedule && amortisationAccountId === account.id && (
+                    <div className="mt-2 overflow-x-auto">
+                      <table className="w-full text-xs text-left text-slate-500">
+                        <thead className="text-slate-700 bg-slate-50">
+                          <tr>
+                            <th className="px-3 py-2">{t('debt.year')}</th>
+                            <th className="px-3 py-2 text-right">{t('debt.payments')}</th>
+                            <th className="px-3 py-2 text-right">{t('debt.interest')}</th>
+                            <th className="px-3 py-2 text-right">{t('debt.principal')}</th>
+                            <th className="px-3 py-2 text-right">{t('debt.yearEndBalance')}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {yearlySchedule(schedule.rows).map(row => (
+                            <tr key={row.year} className="border-b">
+                              <td className="px-3 py-1.5">{row.year}</td>
+                              <td className="px-3 py-1.5 text-right">{money(row.payment)}</td>
+                              <td className="px-3 py-1.5 text-right">{money(row.interest)}</td>
+                              <td className="px-3 py-1.5 text-right">{money(row.principal)}</td>
+                              <td className="px-3 py-1.5 text-right">{money(row.balance)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
           </div>
+          <div className="mt-2 text-xs text-slate-400">{t('debt.hint')}</div>
+        </div>
+      )}
+
+      {/* 成員持分 */}
+      <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4 gap-2">
+          <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+            <Users className="w-5 h-5" /> {t('units.title')}
+          </h3>
+          <span className="text-xs text-slate-500">
+            {t('units.summary', { nav: memberUnits.nav.toFixed(4), units: memberUnits.totalUnits.toLocaleString(locale, { maximumFractionDigits: 2 }) })}
+          </span>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left text-slate-500">
+            <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+              <tr>
+                <th className="px-4 py-3 whitespace-nowrap">{t('common.member')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('units.units')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('reports.net')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('units.equity')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('units.profit')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('units.ownership')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {dashboardMembers.map(member => {
+                const m = memberUnits.members[member.id];
+                if (!m) return null;
+                return (
+                  <tr key={member.id} className="bg-white border-b">
+                    <td className="px-4 py-3 font-medium" style={{ color: member.color }}>{member.name}</td>
+                    <td className="px-4 py-3">{m.units.toLocaleString(locale, { maximumFractionDigits: 2 })}</td>
+                    <td className="px-4 py-3">{formatValue(m.deposits)}</td>
+                    <td className="px-4 py-3 font-medium text-slate-900">{formatValue(m.equity)}</td>
+                    <td className={`px-4 py-3 font-medium ${growthColor(m.profit)}`}>{formatValue(m.profit)}</td>
+                    <td className="px-4 py-3">{m.ownership.toFixed(2)}%</td>
+                  </tr>
+                );
+              })}
+              {memberUnits.opening && (
+                <tr className="bg-slate-50 border-b">
+                  <td className="px-4 py-3 font-medium text-slate-600">
+                    {t('units.opening', { date: formatDate(memberUnits.opening.date, locale) })}
+                  </td>
+                  <td className="px-4 py-3">{memberUnits.opening.units.toLocaleString(locale, { maximumFractionDigits: 2 })}</td>
+                  <td className="px-4 py-3">{formatValue(memberUnits.opening.deposits)}</td>
+                  <td className="px-4 py-3 font-medium text-slate-900">{formatValue(memberUnits.opening.equity)}</td>
+                  <td className={`px-4 py-3 font-medium ${growthColor(memberUnits.opening.profit)}`}>{formatValue(memberUnits.opening.profit)}</td>
+                  <td className="px-4 py-3">{memberUnits.opening.ownership.toFixed(2)}%</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+          {memberUnits.totalUnits === 0 && <div className="p-4 text-center text-slate-400">{t('units.empty')}</div>}
+        </div>
+        <div className="mt-2 text-xs text-slate-400">
+          {t('units.hint')}
         </div>
       </div>
 
@@ -386,7 +1850,7 @@ export default function InvestmentTracker() {
         {/* 圓餅圖 */}
         <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100 lg:col-span-1">
           <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
-            <PieChart className="w-5 h-5" /> 資產分佈
+            <PieChart className="w-5 h-5" /> {t('dashboard.distribution')}
           </h3>
           <div className="h-64">
             <ResponsiveContainer width="100%" height="100%">
@@ -401,10 +1865,26 @@ export default function InvestmentTracker() {
                   dataKey="value"
                 >
                   {pieData.map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={COLORS[entry.type]} />
+                    <Cell key={`cell-${index}`} fill={entry.color} />
                   ))}
                 </Pie>
-                <RechartsTooltip formatter={(value) => formatCurrency(value)} />
+                {hasTargets(accounts) && (
+                  <Pie
+                    data={allocation.rows.filter(r => r.target > 0).map(r => ({ name: `${r.account.name} ${t('allocation.target')}`, value: r.target, color: r.account.color }))}
+                    cx="50%"
+                    cy="50%"
+                    innerRadius={86}
+                    outerRadius={92}
+                    paddingAngle={5}
+                    dataKey="value"
+                    legendType="none"
+                  >
+                    {allocation.rows.filter(r => r.target > 0).map(r => (
+                      <Cell key={r.account.id} fill={r.account.color} fillOpacity={0.5} />
+                    ))}
+                  </Pie>
+                )}
+                <RechartsTooltip formatter={(value, name) => String(name).endsWith(t('allocation.target')) ? `${value}%` : formatValue(value)} />
                 <Legend />
               </PieChart>
             </ResponsiveContainer>
@@ -420,321 +1900,3018 @@ export default function InvestmentTracker() {
                 onClick={() => setChartMode('total')}
                 className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${chartMode === 'total' ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-600'}`}
               >
-                總資產
+                {t('chart.total')}
               </button>
               <button 
                 onClick={() => setChartMode('investment')}
                 className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${chartMode === 'investment' ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-600'}`}
               >
-                投資部位 (股)
+                {t('chart.investment')}
               </button>
-            </div>
-            
-            <div className="flex items-center gap-2">
-               <span className="text-sm text-slate-500">區間:</span>
-               <select 
-                className="bg-slate-50 border border-slate-200 text-slate-700 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
-                value={chartPeriod}
-                onChange={(e) => setChartPeriod(e.target.value)}
+              {liabilityAccounts.length > 0 && (
+                <button
+                  onClick={() => setChartMode('netWorth')}
+                  className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${chartMode === 'netWorth' ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-600'}`}
+                >
+                  {t('chart.netWorth')}
+                </button>
+              )}
+              {chartMode === 'total' && (
+                <button
+                  onClick={() => setShowProjection(!showProjection)}
+                  className={`px-3 py-1.5 text-sm rounded-lg transition-colors flex items-center gap-1 ${showProjection ? 'bg-emerald-600 text-white' : 'bg-slate-100 text-slate-600'}`}
+                >
+                  <Target size={14} /> {t('chart.projection')}
+                </button>
+              )}
+              <button
+                onClick={() => {
+                  setCompareMode(!compareMode);
+                  setBenchmarkMode(false);
+                }}
+                className={`px-3 py-1.5 text-sm rounded-lg transition-colors flex items-center gap-1 ${compareMode ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-600'}`}
               >
-                {PERIODS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
-              </select>
+                <ArrowLeftRight size={14} /> {t('chart.compare')}
+              </button>
+              <button
+                onClick={() => {
+                  setBenchmarkMode(!benchmarkMode);
+                  setCompareMode(false);
+                }}
+                className={`px-3 py-1.5 text-sm rounded-lg transition-colors flex items-center gap-1 ${benchmarkMode ? 'bg-amber-500 text-white' : 'bg-slate-100 text-slate-600'}`}
+              >
+                <LineChartIcon size={14} /> {t('chart.benchmarks')}
+              </button>
             </div>
+            
+            {compareMode ? (
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-slate-500">{t('chart.compareLabel')}</span>
+                <select
+                  className="bg-slate-50 border border-slate-200 text-slate-700 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
+                  value={comparePreset}
+                  onChange={(e) => setComparePreset(e.target.value)}
+                >
+                  {Object.keys(COMPARE_PRESETS).map(key => <option key={key} value={key}>{t(`compare.${key}`)}</option>)}
+                </select>
+              </div>
+            ) : (
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm text-slate-500">{t('chart.periodLabel')}</span>
+                <select 
+                  className="bg-slate-50 border border-slate-200 text-slate-700 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
+                  value={chartPeriod}
+                  onChange={(e) => setChartPeriod(e.target.value)}
+                >
+                  {PERIODS.map(p => <option key={p.value} value={p.value}>{t(`periods.${p.value}`)}</option>)}
+                </select>
+                {chartPeriod === 'custom' && (
+                  <>
+                    <input
+                      type="date"
+                      className="bg-slate-50 border border-slate-200 text-slate-700 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
+                      value={customRange.start}
+                      onChange={e => setCustomRange({ ...customRange, start: e.target.value })}
+                    />
+                    <span className="text-slate-400">~</span>
+                    <input
+                      type="date"
+                      className="bg-slate-50 border border-slate-200 text-slate-700 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
+                      value={customRange.end}
+                      onChange={e => setCustomRange({ ...customRange, end: e.target.value })}
+                    />
+                  </>
+                )}
+              </div>
+            )}
           </div>
           
           {/* 年度成長顯示區塊 */}
           <div className="mb-4 bg-blue-50 border border-blue-100 p-3 rounded-xl flex items-center justify-between">
             <div className="flex items-center gap-2">
               <Search size={16} className="text-blue-500"/>
-              <span className="text-sm font-medium text-blue-900">年度績效查詢：</span>
+              <span className="text-sm font-medium text-blue-900">{t('annual.label')}</span>
               <select 
                   className="bg-white border border-blue-200 text-blue-900 text-sm rounded-md focus:ring-blue-500 focus:border-blue-500 block p-1"
-                  value={selectedYear}
+                  value={annualYear}
                   onChange={(e) => setSelectedYear(e.target.value)}
                 >
-                  {YEARS.map(y => <option key={y} value={y}>{y}年度</option>)}
+                  {dataYears.map(y => <option key={y} value={y}>{t('annual.year', { year: y })}</option>)}
               </select>
             </div>
             <div className="text-right">
               {annualStats.growth !== null ? (
-                <div className="flex items-center gap-2">
-                   <span className={`text-lg font-bold ${annualStats.growth >= 0 ? 'text-red-500' : 'text-green-500'}`}>
-                      {annualStats.growth > 0 ? '+' : ''}{annualStats.growth.toFixed(2)}%
-                   </span>
-                   <span className="text-xs text-slate-500 hidden sm:inline">
-                     ({formatCurrency(annualStats.startVal)} → {formatCurrency(annualStats.endVal)})
-                   </span>
+                <div className="flex flex-col items-end gap-1">
+                  <div className="flex items-center gap-3">
+                    <span className="text-xs text-slate-500">{t('returns.twr')}</span>
+                    <span className={`text-lg font-bold ${growthColor(annualStats.twr)}`}>
+                      {formatPercent(annualStats.twr)}
+                    </span>
+                    <span className="text-xs text-slate-500">{t('returns.xirr')}</span>
+                    <span className={`text-sm font-bold ${growthColor(annualStats.xirr)}`}>
+                      {formatPercent(annualStats.xirr)}
+                    </span>
+                  </div>
+                  <span className="text-xs text-slate-500 hidden sm:inline">
+                    {t('annual.raw', { growth: formatPercent(annualStats.growth), start: formatValue(annualStats.startVal), end: formatValue(annualStats.endVal) })}
+                    {annualStats.netFlow !== 0 && t('annual.netFlow', { amount: formatValue(annualStats.netFlow) })}
+                  </span>
                 </div>
               ) : (
-                <span className="text-sm text-slate-400">該年度資料不足</span>
+                <span className="text-sm text-slate-400">{t('annual.insufficient')}</span>
               )}
             </div>
           </div>
 
-          <div className="h-64 w-full">
-            <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={filteredTimeline}>
-                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
-                <XAxis dataKey="date" tick={{fontSize: 12}} tickFormatter={(tick) => tick.substring(5)} />
-                <YAxis width={80} tick={{fontSize: 12}} tickFormatter={(val) => `${(val/10000).toFixed(0)}萬`} />
-                <RechartsTooltip formatter={(value) => formatCurrency(value)} />
-                <Legend />
-                {chartMode === 'total' ? (
-                  <Line type="monotone" dataKey="total" name="總資產" stroke="#0f172a" strokeWidth={2} dot={{r: 4}} activeDot={{r: 6}} />
-                ) : (
-                  <>
-                    <Line type="monotone" dataKey="investment" name="總投資" stroke="#8884d8" strokeWidth={2} />
-                    <Line type="monotone" dataKey="us_inv" name="美股" stroke="#82ca9d" strokeDasharray="5 5" />
-                    <Line type="monotone" dataKey="tw_inv" name="台股" stroke="#ffc658" strokeDasharray="5 5" />
-                  </>
-                )}
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
+          {compareMode ? renderCompare() : benchmarkMode ? renderBenchmarks() : (
+            <div className="h-72 w-full">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                  <XAxis dataKey="date" tick={{fontSize: 12}} tickFormatter={(tick) => formatDateTick(tick, chartMultiYear, locale)} />
+                  <YAxis width={80} tick={{fontSize: 12}} tickFormatter={(val) => formatCompact(val, reportCurrency)} />
+                  <RechartsTooltip
+                    formatter={(value) => Array.isArray(value) ? `${formatValue(value[0])} ~ ${formatValue(value[1])}` : formatValue(value)}
+                  />
+                  <Legend />
+                  {chartMode === 'total' ? (
+                    <>
+                      {showProjection && (
+                        <>
+                          <Area type="monotone" dataKey="band80" name={t('chart.band80')} stroke="none" fill="#10b981" fillOpacity={0.12} />
+                          <Area type="monotone" dataKey="band50" name={t('chart.band50')} stroke="none" fill="#10b981" fillOpacity={0.25} />
+                          <Line type="monotone" dataKey="median" name={t('chart.median')} stroke="#059669" strokeWidth={2} strokeDasharray="6 4" dot={false} />
+                          {goals.map(goal => (
+                            <ReferenceLine
+                              key={goal.id}
+                              y={goal.target}
+                              stroke="#f59e0b"
+                              strokeDasharray="3 3"
+                              label={{ value: goal.name, position: 'insideTopLeft', fontSize: 11, fill: '#b45309' }}
+                            />
+                          ))}
+                        </>
+                      )}
+                      <Line type="monotone" dataKey="total" name={t('chart.total')} stroke="#0f172a" strokeWidth={2} dot={{r: 4}} activeDot={{r: 6}} />
+                    </>
+                  ) : chartMode === 'netWorth' ? (
+                    <>
+                      <Area type="monotone" dataKey="liabilities" name={t('chart.liabilities')} stroke="#dc2626" fill="#fecaca" fillOpacity={0.4} />
+                      <Line type="monotone" dataKey="total" name={t('chart.total')} stroke="#64748b" strokeDasharray="5 5" dot={false} />
+                      <Line type="monotone" dataKey="netWorth" name={t('chart.netWorth')} stroke="#0f172a" strokeWidth={2} dot={{r: 4}} activeDot={{r: 6}} />
+                    </>
+                  ) : (
+                    <>
+                      <Line type="monotone" dataKey="investment" name={t('chart.investmentTotal')} stroke="#0f172a" strokeWidth={2} />
+                      {stockAccounts.map(account => (
+                        <Line
+                          key={account.id}
+                          type="monotone"
+                          dataKey={p => p.values[account.id]}
+                          name={account.name}
+                          stroke={account.color}
+                          strokeDasharray="5 5"
+                        />
+                      ))}
+                    </>
+                  )}
+                  {chartData.length > 2 && (
+                    <Brush
+                      dataKey="date"
+                      height={24}
+                      stroke="#94a3b8"
+                      travellerWidth={8}
+                      tickFormatter={(tick) => formatDateTick(tick, chartMultiYear, locale)}
+                    />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          )}
 
           {/* 短期成長指標 */}
           <div className="mt-6 grid grid-cols-3 sm:grid-cols-5 gap-2 text-center">
             {[1, 3, 6, 12, 36].map(months => {
-               const growth = calculateTrailingGrowth(months, chartMode);
-               if (growth === null) return null;
+               const stats = trailingGrowth(timelineData, modeCashFlows, months, chartMode);
+               if (stats === null) return null;
+               const growth = stats.twr;
                return (
                  <div key={months} className="bg-slate-50 p-2 rounded-lg">
                    <div className="text-xs text-slate-500 mb-1">
-                     {months === 12 ? '近1年' : months === 36 ? '近3年' : `近${months}月`}
+                     {months === 12 ? t('trailing.1y') : months === 36 ? t('trailing.3y') : t('trailing.months', { months })}
+                   </div>
+                   <div className={`text-sm font-bold flex justify-center items-center gap-1 ${growthColor(growth)}`}>
+                     {growth !== null && (growth >= 0 ? <ArrowUpRight size={12} /> : <ArrowDownRight size={12} />)}
+                     {growth === null ? '-' : `${Math.abs(growth).toFixed(1)}%`}
                    </div>
-                   <div className={`text-sm font-bold flex justify-center items-center gap-1 ${growth >= 0 ? 'text-red-500' : 'text-green-500'}`}>
-                     {growth >= 0 ? <ArrowUpRight size={12} /> : <ArrowDownRight size={12} />}
-                     {Math.abs(growth).toFixed(1)}%
+                   <div className="text-[10px] text-slate-400 mt-1 leading-tight">
+                     <div>XIRR {formatPercent(stats.xirr, 1)}</div>
+                     <div>{t('trailing.raw', { value: formatPercent(stats.raw, 1) })}</div>
                    </div>
                  </div>
                );
             })}
           </div>
+          <div className="mt-2 text-xs text-slate-400">
+            {t('returns.hint')}
+          </div>
         </div>
       </div>
-    </div>
-  );
 
-  const renderAssets = () => (
-    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 animate-in fade-in duration-500">
-      {/* 輸入表單 */}
-      <div className="lg:col-span-1 bg-white p-6 rounded-2xl shadow-sm border border-slate-100 h-fit sticky top-24">
-        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
-          {editingAssetId ? <Edit className="w-5 h-5 text-orange-500" /> : <PlusCircle className="w-5 h-5 text-blue-600" />}
-          {editingAssetId ? '編輯資產記錄' : '新增資產快照'}
-        </h3>
-        <div className="space-y-4">
-          <div>
-            <label className="block mb-2 text-sm font-medium text-slate-700">記錄日期</label>
-            <input 
-              type="date" 
-              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
-              value={newAsset.date}
-              onChange={e => setNewAsset({...newAsset, date: e.target.value})}
-            />
-          </div>
-          <div>
-            <label className="block mb-2 text-sm font-medium text-slate-700">類別</label>
-            <select 
-              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
-              value={newAsset.type}
-              onChange={e => setNewAsset({...newAsset, type: e.target.value})}
-            >
-              {Object.entries(ASSET_LABELS).map(([key, label]) => (
-                <option key={key} value={key}>{label}</option>
-              ))}
-            </select>
-          </div>
-          <div>
-            <label className="block mb-2 text-sm font-medium text-slate-700">金額 (原幣)</label>
-            <input 
-              type="number" 
-              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
-              placeholder="0"
-              value={newAsset.amount || ''}
-              onChange={e => setNewAsset({...newAsset, amount: Number(e.target.value)})}
-            />
+      {/* 風險指標 */}
+      {riskStats && (
+        <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4 gap-2">
+            <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+              <Activity className="w-5 h-5" /> {t('risk.title')}
+            </h3>
+            <span className="text-xs text-slate-500">{chartMode === 'investment' ? t('chart.investment') : chartModeLabel}</span>
           </div>
-          {(newAsset.type === 'us_stock' || newAsset.type === 'us_cash') && (
-            <div>
-              <label className="block mb-2 text-sm font-medium text-slate-700">匯率 (USD/TWD)</label>
-              <input 
-                type="number" 
-                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
-                placeholder="32.5"
-                value={newAsset.exchangeRate || ''}
-                onChange={e => setNewAsset({...newAsset, exchangeRate: Number(e.target.value)})}
-              />
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <div className="bg-slate-50 p-3 rounded-xl">
+              <div className="text-xs text-slate-500 mb-1">{t('risk.maxDrawdown')}</div>
+              <div className={`text-lg font-bold ${riskStats.drawdown.drawdown < 0 ? growthColor(riskStats.drawdown.drawdown) : 'text-slate-800'}`}>{formatPercent(riskStats.drawdown.drawdown, 1)}</div>
+              {riskStats.drawdown.drawdown < 0 && (
+                <div className="text-[11px] text-slate-400 mt-1 leading-tight">
+                  <div>{formatDate(riskStats.drawdown.peakDate, locale)} → {formatDate(riskStats.drawdown.troughDate, locale)}</div>
+                  <div>
+                    {riskStats.drawdown.recoveryDate
+                      ? t('risk.recovered', { date: formatDate(riskStats.drawdown.recoveryDate, locale) })
+                      : t('risk.notRecovered')}
+                  </div>
+                </div>
+              )}
+            </div>
+            <div className="bg-slate-50 p-3 rounded-xl">
+              <div className="text-xs text-slate-500 mb-1">{t('risk.volatility')}</div>
+              <div className="text-lg font-bold text-slate-800">
+                {riskStats.volatility === null ? '-' : `${riskStats.volatility.toFixed(1)}%`}
+              </div>
+              <div className="text-[11px] text-slate-400 mt-1">{t('risk.volatilityHint')}</div>
+            </div>
+            {[['month', riskStats.bestMonth, riskStats.worstMonth], ['year', riskStats.bestYear, riskStats.worstYear]].map(([unit, best, worst]) => (
+              <div key={unit} className="bg-slate-50 p-3 rounded-xl">
+                <div className="text-xs text-slate-500 mb-1">{t(`risk.${unit}Range`)}</div>
+                {[['best', best], ['worst', worst]].map(([kind, r]) => (
+                  <div key={kind} className="flex items-center justify-between text-sm">
+                    <span className="text-slate-500">
+                      {t(`risk.${kind}`)} {r && (unit === 'month' ? formatDateTick(`${r.period}-01`, true, locale) : r.period)}
+                    </span>
+                    <span className={`font-bold ${growthColor(r && r.value)}`}>{formatPercent(r && r.value, 1)}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <h4 className="text-sm font-medium text-slate-700 mb-2">{t('risk.rolling')}</h4>
+          {rollingData.length > 1 ? (
+            <div className="h-64 w-full">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={rollingData}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                  <XAxis dataKey="date" tick={{fontSize: 12}} tickFormatter={(tick) => formatDateTick(tick, true, locale)} />
+                  <YAxis width={60} tick={{fontSize: 12}} tickFormatter={(val) => `${val.toFixed(0)}%`} />
+                  <RechartsTooltip formatter={(value) => formatPercent(value, 1)} labelFormatter={(label) => formatDate(label, locale)} />
+                  <Legend />
+                  <ReferenceLine y={0} stroke="#94a3b8" />
+                  <Line type="monotone" dataKey="portfolio" name={chartModeLabel} stroke="#0f172a" strokeWidth={2} dot={false} connectNulls />
+                  {accountRisk.filter(r => r.stats.rolling.length > 0).map(r => (
+                    <Line
+                      key={r.account.id}
+                      type="monotone"
+                      dataKey={r.account.id}
+                      name={r.account.name}
+                      stroke={r.account.color}
+                      strokeDasharray="5 5"
+                      dot={false}
+                      connectNulls
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          ) : (
+            <div className="p-4 text-center text-sm text-slate-400">{t('risk.rollingInsufficient')}</div>
+          )}
+
+          {accountRisk.length > 0 && (
+            <div className="overflow-x-auto mt-6">
+              <table className="w-full text-sm text-left text-slate-500">
+                <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                  <tr>
+                    <th className="px-4 py-3 whitespace-nowrap">{t('common.account')}</th>
+                    <th className="px-4 py-3 whitespace-nowrap">{t('risk.maxDrawdown')}</th>
+                    <th className="px-4 py-3 whitespace-nowrap">{t('risk.volatility')}</th>
+                    <th className="px-4 py-3 whitespace-nowrap">{t('risk.bestMonth')}</th>
+                    <th className="px-4 py-3 whitespace-nowrap">{t('risk.worstMonth')}</th>
+                    <th className="px-4 py-3 whitespace-nowrap">{t('risk.latestRolling')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {accountRisk.map(({ account, stats }) => (
+                    <tr key={account.id} className="bg-white border-b">
+                      <td className="px-4 py-3 font-medium" style={{ color: account.color }}>{account.name}</td>
+                      <td className={`px-4 py-3 ${stats.drawdown.drawdown < 0 ? growthColor(stats.drawdown.drawdown) : ''}`}>{formatPercent(stats.drawdown.drawdown, 1)}</td>
+                      <td className="px-4 py-3">{stats.volatility === null ? '-' : `${stats.volatility.toFixed(1)}%`}</td>
+                      <td className={`px-4 py-3 ${growthColor(stats.bestMonth && stats.bestMonth.value)}`}>{formatPercent(stats.bestMonth && stats.bestMonth.value, 1)}</td>
+                      <td className={`px-4 py-3 ${growthColor(stats.worstMonth && stats.worstMonth.value)}`}>{formatPercent(stats.worstMonth && stats.worstMonth.value, 1)}</td>
+                      <td className={`px-4 py-3 ${growthColor(stats.rolling.length > 0 ? stats.rolling[stats.rolling.length - 1].value : null)}`}>
+                        {formatPercent(stats.rolling.length > 0 ? stats.rolling[stats.rolling.length - 1].value : null, 1)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <div className="mt-2 text-xs text-slate-400">
+            {t('risk.hint')}
+          </div>
+        </div>
+      )}
+
+      {/* 目標配置與再平衡 */}
+      <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4 gap-2">
+          <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+            <Target className="w-5 h-5" /> {t('allocation.title')}
+          </h3>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-slate-500">{t('allocation.nextContribution')}</span>
+            <input
+              type="number"
+              className="bg-slate-50 border border-slate-200 text-slate-700 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-32 p-1.5"
+              placeholder={String(defaultNextContribution)}
+              value={nextContributionAmount}
+              onChange={e => setNextContributionAmount(e.target.value)}
+            />
+          </div>
+        </div>
+        {allocation.outOfBand > 0 && (
+          <div className="mb-4 bg-orange-50 border border-orange-100 rounded-xl p-3 text-sm text-orange-800 flex items-center gap-2">
+            <AlertTriangle size={16} /> {t('allocation.outOfBand', { count: allocation.outOfBand })}
+          </div>
+        )}
+        {hasTargets(accounts) && Math.abs(allocation.targetSum - 100) > 0.01 && (
+          <div className="mb-4 text-sm text-orange-700">{t('allocation.targetSum', { sum: allocation.targetSum })}</div>
+        )}
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left text-slate-500">
+            <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+              <tr>
+                <th className="px-4 py-3 whitespace-nowrap">{t('common.account')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('allocation.weight')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('allocation.targetPercent')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('allocation.band')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('allocation.drift')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('allocation.rebalance')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('allocation.plan')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {allocation.rows.map(r => (
+                <tr key={r.account.id} className={`border-b ${r.outOfBand ? 'bg-orange-50' : 'bg-white'}`}>
+                  <td className="px-4 py-3 font-medium" style={{ color: r.account.color }}>{r.account.name}</td>
+                  <td className="px-4 py-3">{r.weight.toFixed(1)}%</td>
+                  <td className="px-4 py-3">
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      className="w-20 bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 p-1.5"
+                      value={r.account.target ?? ''}
+                      onChange={e => handleUpdateAccount(r.account.id, { target: e.target.value === '' ? undefined : parseFloat(e.target.value) })}
+                    />
+                  </td>
+                  <td className="px-4 py-3">
+                    <input
+                      type="number"
+                      min="0"
+                      className="w-20 bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 p-1.5"
+                      placeholder={String(DEFAULT_BAND)}
+                      value={r.account.band ?? ''}
+                      onChange={e => handleUpdateAccount(r.account.id, { band: e.target.value === '' ? undefined : parseFloat(e.target.value) })}
+                    />
+                  </td>
+                  <td className={`px-4 py-3 font-medium whitespace-nowrap ${r.outOfBand ? 'text-orange-600' : 'text-slate-700'}`}>
+                    {r.drift > 0 ? '+' : ''}{r.drift.toFixed(1)}%
+                    {r.outOfBand && <AlertTriangle size={14} className="inline ml-1" />}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    {Math.abs(r.trade) < 1 ? '-' : (
+                      <>
+                        <span className={r.trade > 0 ? 'text-blue-600' : 'text-slate-700'}>{t(r.trade > 0 ? 'allocation.buy' : 'allocation.sell', { amount: formatValue(Math.abs(r.trade)) })}</span>
+                        {r.account.currency !== reportCurrency && (
+                          <div className="text-xs text-slate-400">≈ {formatMoney(Math.abs(r.tradeLocal), r.account.currency, locale)}</div>
+                        )}
+                      </>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    {contributionPlan[r.account.id] >= 1 ? (
+                      <>
+                        {formatValue(contributionPlan[r.account.id])}
+                        {r.account.currency !== reportCurrency && (
+                          <div className="text-xs text-slate-400">
+                            ≈ {formatMoney(contributionPlan[r.account.id] / r.rate, r.account.currency, locale)}
+                          </div>
+                        )}
+                      </>
+                    ) : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!hasTargets(accounts) && (
+            <div className="p-4 text-center text-slate-400">{t('allocation.empty')}</div>
+          )}
+        </div>
+        <div className="mt-2 text-xs text-slate-400">
+          {t('allocation.hint')}
+        </div>
+      </div>
+
+      {/* 外幣部位：市場 vs 匯率 */}
+      {fxStats.rows.length > 0 && (
+        <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4 gap-2">
+            <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+              <ArrowLeftRight className="w-5 h-5" /> {t('fxAttribution.title')}
+            </h3>
+            <div className="flex items-center gap-2 text-sm">
+              <input
+                type="date"
+                className="bg-slate-50 border border-slate-200 text-slate-700 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
+                value={fxStart}
+                onChange={e => setFxRange({ ...fxRange, start: e.target.value })}
+              />
+              <span className="text-slate-400">→</span>
+              <input
+                type="date"
+                className="bg-slate-50 border border-slate-200 text-slate-700 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
+                value={fxEnd}
+                onChange={e => setFxRange({ ...fxRange, end: e.target.value })}
+              />
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left text-slate-500">
+              <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                <tr>
+                  <th className="px-4 py-3 whitespace-nowrap">{t('common.account')}</th>
+                  <th className="px-4 py-3 whitespace-nowrap">{t('fxAttribution.local')}</th>
+                  <th className="px-4 py-3 whitespace-nowrap">{t('fxAttribution.rate')}</th>
+                  <th className="px-4 py-3 whitespace-nowrap">{t('fxAttribution.change', { currency: reportCurrency })}</th>
+                  <th className="px-4 py-3 whitespace-nowrap">{t('fxAttribution.market')}</th>
+                  <th className="px-4 py-3 whitespace-nowrap">{t('fxAttribution.fx')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {fxStats.rows.map(r => (
+                  <tr key={r.account.id} className="bg-white border-b">
+                    <td className="px-4 py-3 font-medium" style={{ color: r.account.color }}>{r.account.name}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {formatMoney(r.local0, r.account.currency, locale)} → {formatMoney(r.local1, r.account.currency, locale)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {r.rate0.toLocaleString(locale, { maximumFractionDigits: 4 })} → {r.rate1.toLocaleString(locale, { maximumFractionDigits: 4 })}
+                    </td>
+                    <td className={`px-4 py-3 ${growthColor(r.endValue - r.startValue)}`}>{formatValue(r.endValue - r.startValue)}</td>
+                    <td className={`px-4 py-3 ${growthColor(r.marketPart)}`}>{formatValue(r.marketPart)}</td>
+                    <td className={`px-4 py-3 ${growthColor(r.fxPart)}`}>{formatValue(r.fxPart)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr className="font-medium text-slate-900">
+                  <td className="px-4 py-3" colSpan={3}>{t('common.total')}</td>
+                  <td className={`px-4 py-3 ${growthColor(fxStats.totals.endValue - fxStats.totals.startValue)}`}>
+                    {formatValue(fxStats.totals.endValue - fxStats.totals.startValue)}
+                  </td>
+                  <td className={`px-4 py-3 ${growthColor(fxStats.totals.marketPart)}`}>{formatValue(fxStats.totals.marketPart)}</td>
+                  <td className={`px-4 py-3 ${growthColor(fxStats.totals.fxPart)}`}>{formatValue(fxStats.totals.fxPart)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+          <div className="mt-2 text-xs text-slate-400">
+            {t('fxAttribution.hint')}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  // 期間比較：兩段期間的累積報酬疊圖與績效並列
+  const renderCompare = () => {
+    const periods = [
+      { key: 'a', label: t('compare.periodA'), color: '#0f172a' },
+      { key: 'b', label: t('compare.periodB'), color: '#94a3b8' }
+    ];
+
+    return (
+      <div className="space-y-4">
+        {comparePreset === 'custom' && (
+          <div className="flex flex-col gap-2 text-sm">
+            {periods.map(({ key, label }) => (
+              <div key={key} className="flex flex-wrap items-center gap-2">
+                <span className="text-slate-500 w-14">{label}</span>
+                <input
+                  type="date"
+                  className="bg-slate-50 border border-slate-200 text-slate-700 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
+                  value={customCompare[key].start}
+                  onChange={e => updateCustomCompare(key, { start: e.target.value })}
+                />
+                <span className="text-slate-400">~</span>
+                <input
+                  type="date"
+                  className="bg-slate-50 border border-slate-200 text-slate-700 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
+                  value={customCompare[key].end}
+                  onChange={e => updateCustomCompare(key, { end: e.target.value })}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="h-64 w-full">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={compareData}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+              <XAxis dataKey="day" type="number" domain={[0, 'dataMax']} tick={{fontSize: 12}} tickFormatter={(day) => t('compare.dayTick', { day })} />
+              <YAxis width={60} tick={{fontSize: 12}} tickFormatter={(val) => `${val.toFixed(0)}%`} />
+              <RechartsTooltip
+                labelFormatter={(day) => t('compare.day', { day })}
+                formatter={(value, name, item) => [`${formatPercent(value)} (${formatDate(item.payload[name === periods[0].label ? 'dateA' : 'dateB'], locale) || '-'})`, name]}
+              />
+              <Legend />
+              {periods.map(({ key, label, color }) => (
+                <Line
+                  key={key}
+                  type="monotone"
+                  dataKey={key}
+                  name={label}
+                  stroke={color}
+                  strokeWidth={2}
+                  strokeDasharray={key === 'b' ? '5 5' : undefined}
+                  dot={false}
+                  connectNulls
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {periods.map(({ key, label, color }) => {
+            const range = compareRanges[key];
+            const stats = compareStats[key];
+            return (
+              <div key={key} className="bg-slate-50 p-3 rounded-xl">
+                <div className="text-xs text-slate-500 mb-1">
+                  <span className="font-medium" style={{ color }}>{label}</span> {formatDate(range.start, locale) || '?'} ~ {formatDate(range.end, locale) || '?'}
+                </div>
+                {stats.growth !== null ? (
+                  <div className="flex items-center gap-3 flex-wrap">
+                    <span className="text-xs text-slate-500">{t('returns.twr')}</span>
+                    <span className={`text-lg font-bold ${growthColor(stats.twr)}`}>{formatPercent(stats.twr)}</span>
+                    <span className="text-xs text-slate-500">{t('returns.xirr')}</span>
+                    <span className={`text-sm font-bold ${growthColor(stats.xirr)}`}>{formatPercent(stats.xirr)}</span>
+                    <span className="text-xs text-slate-500">{t('trailing.raw', { value: formatPercent(stats.growth) })}</span>
+                  </div>
+                ) : (
+                  <span className="text-sm text-slate-400">{t('compare.insufficient')}</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
+  // 基準比較：投資組合與基準指數的累積報酬疊圖，以及每年 / 整段期間的超額報酬
+  const renderBenchmarks = () => {
+    if (benchmarks.length === 0) {
+      return <div className="h-72 flex items-center justify-center text-center text-sm text-slate-400">{t('benchmarks.none')}</div>;
+    }
+    const shown = benchmarks.filter(b => !hiddenBenchmarks.includes(b.id));
+    const periodLabel = (period) => (period === 'all' ? t('benchmarks.wholePeriod') : t('annual.year', { year: period }));
+
+    return (
+      <div className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {benchmarks.map(b => (
+            <label key={b.id} className="flex items-center gap-1 px-2 py-1 rounded-lg bg-slate-50 border border-slate-200 cursor-pointer">
+              <input type="checkbox" checked={!hiddenBenchmarks.includes(b.id)} onChange={() => toggleBenchmark(b.id)} />
+              <span style={{ color: b.color }}>{b.name}</span>
+            </label>
+          ))}
+        </div>
+        {benchmarkStats.series.length > 1 ? (
+          <div className="h-72 w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={benchmarkStats.series}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                <XAxis dataKey="date" tick={{fontSize: 12}} tickFormatter={(tick) => formatDateTick(tick, chartMultiYear, locale)} />
+                <YAxis width={60} tick={{fontSize: 12}} tickFormatter={(val) => `${val.toFixed(0)}%`} />
+                <RechartsTooltip formatter={(value) => formatPercent(value)} labelFormatter={(label) => formatDate(label, locale)} />
+                <Legend />
+                <ReferenceLine y={0} stroke="#94a3b8" />
+                <Line type="monotone" dataKey="portfolio" name={chartModeLabel} stroke="#0f172a" strokeWidth={2} dot={false} />
+                {shown.map(b => (
+                  <Line key={b.id} type="monotone" dataKey={b.id} name={b.name} stroke={b.color} strokeWidth={2} strokeDasharray="5 5" dot={false} connectNulls />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="h-72 flex items-center justify-center text-sm text-slate-400">{t('compare.insufficient')}</div>
+        )}
+        {benchmarkStats.periods.length > 0 && shown.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left text-slate-500">
+              <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                <tr>
+                  <th className="px-4 py-2 whitespace-nowrap">{t('benchmarks.period')}</th>
+                  <th className="px-4 py-2 whitespace-nowrap">{chartModeLabel}</th>
+                  {shown.map(b => (
+                    <th key={b.id} className="px-4 py-2 whitespace-nowrap" style={{ color: b.color }}>{t('benchmarks.excessVs', { name: b.name })}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {benchmarkStats.periods.map(p => (
+                  <tr key={p.period} className={`border-b ${p.period === 'all' ? 'bg-slate-50 font-medium' : 'bg-white'}`}>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      {periodLabel(p.period)}
+                      <div className="text-[11px] text-slate-400">{formatDate(p.start, locale)} ~ {formatDate(p.end, locale)}</div>
+                    </td>
+                    <td className={`px-4 py-2 ${growthColor(p.portfolio)}`}>{formatPercent(p.portfolio, 1)}</td>
+                    {shown.map(b => {
+                      const bench = p.benchmarks[b.id];
+                      if (bench === undefined) return <td key={b.id} className="px-4 py-2 text-slate-400">-</td>;
+                      return (
+                        <td key={b.id} className="px-4 py-2 whitespace-nowrap">
+                          <span className={`font-bold ${growthColor(p.portfolio - bench)}`}>{formatPercent(p.portfolio - bench, 1)}</span>
+                          <span className="text-xs text-slate-400 ml-1">({formatPercent(bench, 1)})</span>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div className="text-xs text-slate-400">{t('benchmarks.hint', { currency: reportCurrency })}</div>
+      </div>
+    );
+  };
+
+  const renderPlanner = () => (
+    <div className="mt-8 grid grid-cols-1 lg:grid-cols-3 gap-8 animate-in fade-in duration-500">
+      <div className="lg:col-span-1 bg-white p-6 rounded-2xl shadow-sm border border-slate-100 space-y-6 h-fit">
+        <div>
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <Calculator className="w-5 h-5 text-emerald-600" /> {t('planner.assumptions')}
+          </h3>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block mb-1 text-xs font-medium text-slate-700">{t('planner.annualReturn')}</label>
+              <input
+                type="number"
+                step="0.5"
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                value={assumptions.annualReturn}
+                onChange={e => updateAssumptions({ annualReturn: parseFloat(e.target.value) || 0 })}
+              />
+            </div>
+            <div>
+              <label className="block mb-1 text-xs font-medium text-slate-700">{t('planner.volatility')}</label>
+              <input
+                type="number"
+                step="0.5"
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                value={assumptions.volatility}
+                onChange={e => updateAssumptions({ volatility: parseFloat(e.target.value) || 0 })}
+              />
+            </div>
+            <div>
+              <label className="block mb-1 text-xs font-medium text-slate-700">{t('planner.monthlyContribution')}</label>
+              <input
+                type="number"
+                step="1000"
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                value={assumptions.monthlyContribution}
+                onChange={e => updateAssumptions({ monthlyContribution: parseFloat(e.target.value) || 0 })}
+              />
+            </div>
+            <div>
+              <label className="block mb-1 text-xs font-medium text-slate-700">{t('planner.contributionGrowth')}</label>
+              <input
+                type="number"
+                step="0.5"
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                value={assumptions.contributionGrowth}
+                onChange={e => updateAssumptions({ contributionGrowth: parseFloat(e.target.value) || 0 })}
+              />
+            </div>
+          </div>
+          <p className="mt-3 text-xs text-slate-400">
+            {t('planner.hint', { total: formatValue(totalAssets), runs: SIMULATION_RUNS })}
+          </p>
+        </div>
+
+        <div>
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <PlusCircle className="w-5 h-5 text-blue-600" /> {t('planner.addGoal')}
+          </h3>
+          <div className="space-y-3">
+            <input
+              type="text"
+              placeholder={t('planner.goalNamePlaceholder')}
+              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+              value={newGoal.name}
+              onChange={e => setNewGoal({ ...newGoal, name: e.target.value })}
+            />
+            <div className="grid grid-cols-2 gap-3">
+              <input
+                type="number"
+                placeholder={t('planner.goalTargetPlaceholder', { currency: reportCurrency })}
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                value={newGoal.target}
+                onChange={e => setNewGoal({ ...newGoal, target: e.target.value })}
+              />
+              <input
+                type="date"
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                value={newGoal.date}
+                onChange={e => setNewGoal({ ...newGoal, date: e.target.value })}
+              />
+            </div>
+            <button
+              onClick={handleAddGoal}
+              className="w-full text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center flex items-center justify-center gap-2"
+            >
+              <Save size={16} /> {t('planner.addGoal')}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+          <Target className="w-5 h-5 text-emerald-600" /> {t('planner.goals')}
+        </h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left text-slate-500">
+            <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+              <tr>
+                <th className="px-4 py-3 whitespace-nowrap">{t('planner.goal')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('common.date')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('planner.goalTarget')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('chart.median')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('planner.probability')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('planner.required')}</th>
+                <th className="px-4 py-3">{t('common.actions')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {goalStats.map(({ goal, median, probability, required }) => (
+                <tr key={goal.id} className="bg-white border-b hover:bg-slate-50">
+                  <td className="px-4 py-3 font-medium text-slate-900">{goal.name}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{formatDate(goal.date, locale)}</td>
+                  <td className="px-4 py-3">{formatCurrency(goal.target, goal.currency || BASE_CURRENCY, locale)}</td>
+                  <td className="px-4 py-3">{formatValue(median)}</td>
+                  <td className={`px-4 py-3 font-bold ${probability >= 0.75 ? 'text-emerald-600' : probability >= 0.5 ? 'text-amber-600' : 'text-red-600'}`}>
+                    {`${Math.round(probability * 100)}%`}
+                  </td>
+                  <td className="px-4 py-3">
+                    {required === 0 ? <span className="text-emerald-600">{t('planner.reached')}</span> : formatValue(required)}
+                  </td>
+                  <td className="px-4 py-3">
+                    <button onClick={() => handleDeleteGoal(goal.id)} className="text-red-500 hover:text-red-700" title={t('common.delete')}>
+                      <Trash2 size={16} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {goals.length === 0 && <div className="p-8 text-center text-slate-400">{t('planner.empty')}</div>}
+        </div>
+        <div className="mt-2 text-xs text-slate-400">
+          {t('planner.tableHint')}
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderAssets = () => (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 animate-in fade-in duration-500">
+      {/* 輸入表單 */}
+      <div className="lg:col-span-1 bg-white p-6 rounded-2xl shadow-sm border border-slate-100 h-fit sticky top-24">
+        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+          {editingAssetId ? <Edit className="w-5 h-5 text-orange-500" /> : <PlusCircle className="w-5 h-5 text-blue-600" />}
+          {editingAssetId ? t('assets.editTitle') : t('assets.newTitle')}
+        </h3>
+        <div className="space-y-4">
+          <div>
+            <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.recordDate')}</label>
+            <input 
+              type="date" 
+              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+              value={newAsset.date}
+              onChange={e => updateAssetForm({ date: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="block mb-2 text-sm font-medium text-slate-700">{t('assets.category')}</label>
+            <select 
+              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+              value={newAsset.type}
+              onChange={e => updateAssetForm({ type: e.target.value })}
+            >
+              {accounts.filter(a => !a.archived || a.id === newAsset.type).map(a => (
+                <option key={a.id} value={a.id}>{a.name} ({a.currency})</option>
+              ))}
+            </select>
+          </div>
+          {findAccount(accounts, newAsset.type).class === 'stock' && (
+            <button
+              onClick={handleTogglePositions}
+              className={`w-full text-sm rounded-lg px-3 py-2 flex items-center justify-center gap-2 transition-colors ${newAsset.positions ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}
+            >
+              <Calculator size={16} /> {newAsset.positions ? t('assets.positionsOn') : t('assets.positionsOff')}
+            </button>
+          )}
+          {newAsset.positions && (
+            <div className="bg-slate-50 border border-slate-200 rounded-lg p-3 space-y-2">
+              {newAsset.positions.length === 0 && (
+                <div className="text-xs text-slate-400">{t('assets.noPositions')}</div>
+              )}
+              {newAsset.positions.map(p => (
+                <div key={p.ticker} className="flex items-center gap-2 text-sm">
+                  <span className="w-20 font-medium text-slate-700">{p.ticker}</span>
+                  <span className="w-20 text-xs text-slate-500">{t('assets.sharesTimes', { shares: p.shares.toLocaleString(locale) })}</span>
+                  <input
+                    type="number"
+                    className="flex-1 bg-white border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
+                    placeholder={t('holdings.price')}
+                    value={p.price || ''}
+                    onChange={e => handlePositionPrice(p.ticker, Number(e.target.value))}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+          <div>
+            <label className="block mb-2 text-sm font-medium text-slate-700">{t('assets.amountLocal')}</label>
+            <input 
+              type="number" 
+              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 disabled:text-slate-500"
+              placeholder="0"
+              disabled={Boolean(newAsset.positions)}
+              value={newAsset.amount ?? ''}
+              onChange={e => setNewAsset({...newAsset, amount: e.target.value})}
+            />
+            {isLiability(findAccount(accounts, newAsset.type)) && (
+              <div className="mt-1 text-xs text-slate-500">{t('assets.liabilityHint')}</div>
+            )}
+          </div>
+          {isForeign(findAccount(accounts, newAsset.type)) && (
+            <div>
+              <label className="block mb-2 text-sm font-medium text-slate-700">{t('assets.rate', { currency: findAccount(accounts, newAsset.type).currency })}</label>
+              <input 
+                type="number" 
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                placeholder={String(defaultRateFor(newAsset.type, newAsset.date))}
+                value={newAsset.exchangeRate || ''}
+                onChange={e => setNewAsset({...newAsset, exchangeRate: Number(e.target.value)})}
+              />
+            </div>
+          )}
+          <div>
+            <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.noteOptional')}</label>
+            <textarea 
+              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+              placeholder={t('assets.notePlaceholder')}
+              rows={3}
+              value={newAsset.note}
+              onChange={e => setNewAsset({...newAsset, note: e.target.value})}
+            />
+          </div>
+          
+          <div className="flex gap-2">
+            <button 
+              onClick={handleSaveAsset}
+              className={`flex-1 text-white font-medium rounded-lg text-sm px-5 py-2.5 text-center flex items-center justify-center gap-2 ${editingAssetId ? 'bg-orange-500 hover:bg-orange-600 focus:ring-orange-300' : 'bg-blue-600 hover:bg-blue-700 focus:ring-blue-300 focus:ring-4'}`}
+            >
+              <Save size={16} /> {editingAssetId ? t('common.update') : t('common.save')}
+            </button>
+            {editingAssetId && (
+              <button 
+                onClick={handleCancelEdit}
+                className="text-slate-700 bg-slate-200 hover:bg-slate-300 focus:ring-4 focus:ring-slate-100 font-medium rounded-lg text-sm px-4 py-2.5 flex items-center justify-center"
+              >
+                <X size={16} /> {t('common.cancel')}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* 記錄列表 */}
+      <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+          <History className="w-5 h-5 text-slate-500" /> {t('assets.history')}
+        </h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left text-slate-500">
+            <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+              <tr>
+                <th className="px-4 py-3 whitespace-nowrap">{t('common.date')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('assets.category')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('assets.amountLocalShort')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('assets.valueTwd')}</th>
+                <th className="px-4 py-3 w-1/3 min-w-[200px]">{t('common.note')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('common.actions')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {assets.sort((a,b) => new Date(b.date).getTime() - new Date(a.date).getTime()).map((record) => {
+                const account = findAccount(accounts, record.type);
+                return (
+                  <tr key={record.id} className={`border-b hover:bg-slate-50 ${editingAssetId === record.id ? 'bg-orange-50' : 'bg-white'}`}>
+                    <td className="px-4 py-4 whitespace-nowrap">{formatDate(record.date, locale)}</td>
+                    <td className="px-4 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 rounded-full text-xs text-white bg-opacity-80`} style={{backgroundColor: account.color}}>
+                        {account.name}
+                      </span>
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap">
+                      {formatMoney(record.amount, account.currency, locale)}
+                      {record.positions && (
+                        <div className="text-xs text-slate-400 flex items-center gap-1">
+                          <Layers size={12} /> {t('assets.positionCount', { count: record.positions.length })}
+                        </div>
+                      )}
+                      {isForeign(account) && <div className="text-xs text-slate-400">@{record.exchangeRate}</div>}
+                    </td>
+                    <td className="px-4 py-4 font-medium text-slate-900 whitespace-nowrap">
+                      {formatTwd(record.amount * record.exchangeRate)}
+                    </td>
+                    <td className="px-4 py-4 text-slate-500 break-words">
+                      {record.note}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap">
+                      <div className="flex items-center gap-2">
+                        <button onClick={() => handleEditAsset(record)} className="text-blue-500 hover:text-blue-700" title={t('common.edit')}>
+                          <Edit size={16} />
+                        </button>
+                        <button onClick={() => handleDeleteAsset(record.id)} className="text-red-500 hover:text-red-700" title={t('common.delete')}>
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {assets.length === 0 && <div className="p-8 text-center text-slate-400">{t('common.noRecords')}</div>}
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderHoldings = () => {
+    const stockAccountOptions = accounts.filter(a => a.class === 'stock' && (!a.archived || a.id === holdingsId));
+    const account = findAccount(accounts, holdingsId);
+    const { rows, issues } = calculateTickerPnl(assets, transactions, holdingsId);
+    const accountTransactions = transactions
+      .filter(tx => tx.accountId === holdingsId)
+      .sort((a, b) => b.date.localeCompare(a.date));
+    const isTrade = newTransaction.kind === 'buy' || newTransaction.kind === 'sell';
+    const totals = rows.reduce((sum, r) => ({
+      marketValue: sum.marketValue + r.marketValue,
+      unrealised: sum.unrealised + r.unrealised,
+      realised: sum.realised + r.realised,
+      dividends: sum.dividends + r.dividends,
+    }), { marketValue: 0, unrealised: 0, realised: 0, dividends: 0 });
+
+    return (
+      <div className="mt-8 space-y-4 animate-in fade-in duration-500">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+          <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+            <Layers className="w-5 h-5 text-slate-500" /> {t('holdings.title')}
+          </h3>
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-slate-500">{t('holdings.accountLabel')}</span>
+            <select
+              className="bg-slate-50 border border-slate-200 text-slate-700 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
+              value={holdingsId}
+              onChange={e => { setHoldingsAccountId(e.target.value); handleCancelTransaction(); }}
+            >
+              {stockAccountOptions.map(a => <option key={a.id} value={a.id}>{a.name} ({a.currency})</option>)}
+            </select>
+          </div>
+        </div>
+
+        {stockAccountOptions.length === 0 ? (
+          <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-100 text-center text-slate-400">
+            {t('holdings.noAccounts')}
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            {/* 交易表單 */}
+            <div className="lg:col-span-1 bg-white p-6 rounded-2xl shadow-sm border border-slate-100 h-fit">
+              <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+                {editingTransactionId ? <Edit className="w-5 h-5 text-orange-500" /> : <PlusCircle className="w-5 h-5 text-blue-600" />}
+                {editingTransactionId ? t('holdings.editTitle') : t('holdings.newTitle')}
+              </h3>
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.date')}</label>
+                    <input
+                      type="date"
+                      className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                      value={newTransaction.date}
+                      onChange={e => setNewTransaction({ ...newTransaction, date: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label className="block mb-2 text-sm font-medium text-slate-700">{t('holdings.kind')}</label>
+                    <select
+                      className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                      value={newTransaction.kind}
+                      onChange={e => setNewTransaction({ ...newTransaction, kind: e.target.value })}
+                    >
+                      {TRANSACTION_KINDS.map(key => (
+                        <option key={key} value={key}>{t(`transactionKinds.${key}`)}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <div>
+                  <label className="block mb-2 text-sm font-medium text-slate-700">{t('holdings.ticker')}</label>
+                  <input
+                    type="text"
+                    className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                    placeholder={t('holdings.tickerPlaceholder')}
+                    value={newTransaction.ticker}
+                    onChange={e => setNewTransaction({ ...newTransaction, ticker: e.target.value.toUpperCase() })}
+                  />
+                </div>
+                {isTrade && (
+                  <div className="grid grid-cols-3 gap-2">
+                    <div>
+                      <label className="block mb-2 text-sm font-medium text-slate-700">{t('holdings.shares')}</label>
+                      <input
+                        type="number"
+                        className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                        value={newTransaction.shares || ''}
+                        onChange={e => setNewTransaction({ ...newTransaction, shares: Number(e.target.value) })}
+                      />
+                    </div>
+                    <div>
+                      <label className="block mb-2 text-sm font-medium text-slate-700">{t('holdings.price')}</label>
+                      <input
+                        type="number"
+                        className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                        value={newTransaction.price || ''}
+                        onChange={e => setNewTransaction({ ...newTransaction, price: Number(e.target.value) })}
+                      />
+                    </div>
+                    <div>
+                      <label className="block mb-2 text-sm font-medium text-slate-700">{t('holdings.fee')}</label>
+                      <input
+                        type="number"
+                        className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                        value={newTransaction.fee || ''}
+                        onChange={e => setNewTransaction({ ...newTransaction, fee: Number(e.target.value) })}
+                      />
+                    </div>
+                  </div>
+                )}
+                {newTransaction.kind === 'dividend' && (
+                  <div>
+                    <label className="block mb-2 text-sm font-medium text-slate-700">{t('holdings.dividendAmount', { currency: account.currency })}</label>
+                    <input
+                      type="number"
+                      className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                      value={newTransaction.amount || ''}
+                      onChange={e => setNewTransaction({ ...newTransaction, amount: Number(e.target.value) })}
+                    />
+                  </div>
+                )}
+                {newTransaction.kind === 'split' && (
+                  <div>
+                    <label className="block mb-2 text-sm font-medium text-slate-700">{t('holdings.splitRatio')}</label>
+                    <input
+                      type="number"
+                      className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                      value={newTransaction.ratio || ''}
+                      onChange={e => setNewTransaction({ ...newTransaction, ratio: Number(e.target.value) })}
+                    />
+                  </div>
+                )}
+                <div>
+                  <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.noteOptional')}</label>
+                  <input
+                    type="text"
+                    className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                    value={newTransaction.note}
+                    onChange={e => setNewTransaction({ ...newTransaction, note: e.target.value })}
+                  />
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleSaveTransaction}
+                    className={`flex-1 text-white font-medium rounded-lg text-sm px-5 py-2.5 text-center flex items-center justify-center gap-2 ${editingTransactionId ? 'bg-orange-500 hover:bg-orange-600 focus:ring-orange-300' : 'bg-blue-600 hover:bg-blue-700 focus:ring-blue-300 focus:ring-4'}`}
+                  >
+                    <Save size={16} /> {editingTransactionId ? t('holdings.update') : t('holdings.save')}
+                  </button>
+                  {editingTransactionId && (
+                    <button
+                      onClick={handleCancelTransaction}
+                      className="text-slate-700 bg-slate-200 hover:bg-slate-300 focus:ring-4 focus:ring-slate-100 font-medium rounded-lg text-sm px-4 py-2.5 flex items-center justify-center"
+                    >
+                      <X size={16} /> {t('common.cancel')}
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            <div className="lg:col-span-2 space-y-8">
+              {/* 個股損益 */}
+              <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+                <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+                  <TrendingUp className="w-5 h-5 text-slate-500" /> {t('holdings.pnlTitle', { currency: account.currency })}
+                </h3>
+                {issues.length > 0 && (
+                  <div className="mb-4 bg-orange-50 border border-orange-100 rounded-xl p-3 text-xs text-orange-900 space-y-1">
+                    {issues.map(issue => <div key={issue.id}><AlertTriangle size={12} className="inline mr-1" />{t(issue.key, issue.params)}</div>)}
+                  </div>
+                )}
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left text-slate-500">
+                    <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                      <tr>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('holdings.ticker')}</th>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('holdings.shares')}</th>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('holdings.avgCost')}</th>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('holdings.lastPrice')}</th>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('holdings.marketValue')}</th>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('holdings.unrealised')}</th>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('holdings.realised')}</th>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('holdings.dividends')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(r => (
+                        <tr key={r.ticker} className="bg-white border-b">
+                          <td className="px-4 py-3 font-medium text-slate-900">{r.ticker}</td>
+                          <td className="px-4 py-3">{r.shares.toLocaleString(locale)}</td>
+                          <td className="px-4 py-3">{r.shares > 0 ? r.avgCost.toFixed(2) : '-'}</td>
+                          <td className="px-4 py-3 whitespace-nowrap">
+                            {r.price === null ? '-' : r.price.toLocaleString(locale)}
+                            {r.priceDate && <div className="text-xs text-slate-400">{formatDate(r.priceDate, locale)}</div>}
+                          </td>
+                          <td className="px-4 py-3">{formatMoney(r.marketValue, account.currency, locale)}</td>
+                          <td className={`px-4 py-3 ${growthColor(r.unrealised)}`}>{formatMoney(r.unrealised, account.currency, locale)}</td>
+                          <td className={`px-4 py-3 ${growthColor(r.realised)}`}>{formatMoney(r.realised, account.currency, locale)}</td>
+                          <td className="px-4 py-3">{formatMoney(r.dividends, account.currency, locale)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    {rows.length > 0 && (
+                      <tfoot>
+                        <tr className="font-medium text-slate-900">
+                          <td className="px-4 py-3" colSpan={4}>{t('common.total')}</td>
+                          <td className="px-4 py-3">{formatMoney(totals.marketValue, account.currency, locale)}</td>
+                          <td className={`px-4 py-3 ${growthColor(totals.unrealised)}`}>{formatMoney(totals.unrealised, account.currency, locale)}</td>
+                          <td className={`px-4 py-3 ${growthColor(totals.realised)}`}>{formatMoney(totals.realised, account.currency, locale)}</td>
+                          <td className="px-4 py-3">{formatMoney(totals.dividends, account.currency, locale)}</td>
+                        </tr>
+                      </tfoot>
+                    )}
+                  </table>
+                  {rows.length === 0 && <div className="p-8 text-center text-slate-400">{t('holdings.empty')}</div>}
+                </div>
+                <div className="mt-2 text-xs text-slate-400">
+                  {t('holdings.priceHint')}
+                </div>
+              </div>
+
+              {/* 交易列表 */}
+              <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+                <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+                  <History className="w-5 h-5 text-slate-500" /> {t('holdings.transactions')}
+                </h3>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left text-slate-500">
+                    <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                      <tr>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('common.date')}</th>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('holdings.kind')}</th>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('holdings.ticker')}</th>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('holdings.detail')}</th>
+                        <th className="px-4 py-3 min-w-[120px]">{t('common.note')}</th>
+                        <th className="px-4 py-3 whitespace-nowrap">{t('common.actions')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {accountTransactions.map(tx => (
+                        <tr key={tx.id} className={`border-b hover:bg-slate-50 ${editingTransactionId === tx.id ? 'bg-orange-50' : 'bg-white'}`}>
+                          <td className="px-4 py-3 whitespace-nowrap">{formatDate(tx.date, locale)}</td>
+                          <td className="px-4 py-3 whitespace-nowrap">{t(`transactionKinds.${tx.kind}`)}</td>
+                          <td className="px-4 py-3 whitespace-nowrap font-medium text-slate-900">{tx.ticker}</td>
+                          <td className="px-4 py-3 whitespace-nowrap">
+                            {(tx.kind === 'buy' || tx.kind === 'sell') && t(tx.fee ? 'holdings.tradeWithFee' : 'holdings.trade', { shares: tx.shares.toLocaleString(locale), price: tx.price, fee: tx.fee })}
+                            {tx.kind === 'dividend' && formatMoney(tx.amount, account.currency, locale)}
+                            {tx.kind === 'split' && `1 → ${tx.ratio}`}
+                          </td>
+                          <td className="px-4 py-3 text-slate-500 break-words">{tx.note}</td>
+                          <td className="px-4 py-3 whitespace-nowrap">
+                            <div className="flex items-center gap-2">
+                              <button onClick={() => handleEditTransaction(tx)} className="text-blue-500 hover:text-blue-700" title={t('common.edit')}>
+                                <Edit size={16} />
+                              </button>
+                              <button onClick={() => handleDeleteTransaction(tx.id)} className="text-red-500 hover:text-red-700" title={t('common.delete')}>
+                                <Trash2 size={16} />
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {accountTransactions.length === 0 && <div className="p-8 text-center text-slate-400">{t('holdings.empty')}</div>}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderContributions = () => {
+    const isTransfer = newContribution.kind === 'transfer';
+    const foreignFlow = newContribution.currency.trim().toUpperCase() !== BASE_CURRENCY;
+
+    return (
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 animate-in fade-in duration-500">
+        <div className={`lg:col-span-1 p-6 rounded-2xl shadow-sm border h-fit transition-colors ${editingContributionId ? 'bg-orange-50 border-orange-200' : 'bg-white border-slate-100'}`}>
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            {editingContributionId ? (
+              <>
+                <Edit className="w-5 h-5 text-orange-600" /> {t('contributions.editTitle')}
+              </>
+            ) : (
+              <>
+                <Users className="w-5 h-5 text-indigo-600" /> {t('contributions.newTitle')}
+              </>
+            )}
+          </h3>
+          <div className="space-y-4">
+            <div className="flex gap-2">
+              {FLOW_KINDS.map(kind => (
+                <button
+                  key={kind}
+                  onClick={() => updateContributionForm({ kind })}
+                  className={`flex-1 px-3 py-1.5 text-sm rounded-lg transition-colors ${newContribution.kind === kind ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-600'}`}
+                >
+                  {t(`flowKinds.${kind}`)}
+                </button>
+              ))}
+            </div>
+            <div>
+              <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.recordDate')}</label>
+              <input
+                type="date"
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2.5"
+                value={newContribution.date}
+                onChange={e => updateContributionForm({ date: e.target.value })}
+              />
+            </div>
+            <div className={isTransfer ? 'grid grid-cols-2 gap-3' : ''}>
+              <div>
+                <label className="block mb-2 text-sm font-medium text-slate-700">
+                  {isTransfer ? t('contributions.fromMember') : newContribution.kind === 'withdrawal' ? t('contributions.withdrawer') : t('contributions.depositor')}
+                </label>
+                <select
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2.5"
+                  value={newContribution.person}
+                  onChange={e => updateContributionForm({ person: e.target.value })}
+                >
+                  {activeMembers.map(m => (
+                    <option key={m.id} value={m.id}>{m.name}</option>
+                  ))}
+                </select>
+              </div>
+              {isTransfer && (
+                <div>
+                  <label className="block mb-2 text-sm font-medium text-slate-700">{t('contributions.toMember')}</label>
+                  <select
+                    className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2.5"
+                    value={newContribution.toPerson}
+                    onChange={e => updateContributionForm({ toPerson: e.target.value })}
+                  >
+                    <option value="">{t('common.choose')}</option>
+                    {activeMembers.filter(m => m.id !== newContribution.person).map(m => (
+                      <option key={m.id} value={m.id}>{m.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+            <div>
+              <label className="block mb-2 text-sm font-medium text-slate-700">{t('contributions.accountOptional')}</label>
+              <select
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2.5"
+                value={newContribution.accountId}
+                onChange={e => updateContributionForm({ accountId: e.target.value })}
+              >
+                <option value="">{t('contributions.noAccount')}</option>
+                {activeAccounts.map(a => (
+                  <option key={a.id} value={a.id}>{a.name} ({a.currency})</option>
+                ))}
+              </select>
+            </div>
+            <div className="grid grid-cols-3 gap-3">
+              <div className="col-span-2">
+                <label className="block mb-2 text-sm font-medium text-slate-700">{t('contributions.amount')}</label>
+                <input
+                  type="number"
+                  min="0"
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2.5"
+                  placeholder="0"
+                  value={newContribution.amount || ''}
+                  onChange={e => updateContributionForm({ amount: Number(e.target.value) })}
+                />
+              </div>
+              <div>
+                <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.currency')}</label>
+                <input
+                  type="text"
+                  list="flow-currencies"
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2.5"
+                  value={newContribution.currency}
+                  onChange={e => updateContributionForm({ currency: e.target.value.toUpperCase() })}
+                />
+                <datalist id="flow-currencies">
+                  {COMMON_CURRENCIES.map(c => <option key={c} value={c} />)}
+                </datalist>
+              </div>
+            </div>
+            {foreignFlow && (
+              <div>
+                <label className="block mb-2 text-sm font-medium text-slate-700">{t('contributions.rate', { currency: newContribution.currency })}</label>
+                <input
+                  type="number"
+                  step="0.0001"
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2.5"
+                  value={newContribution.exchangeRate}
+                  onChange={e => updateContributionForm({ exchangeRate: e.target.value })}
+                />
+                <div className="mt-1 text-xs text-slate-500">
+                  {t('contributions.approx', { amount: formatTwd((Number(newContribution.amount) || 0) * (Number(newContribution.exchangeRate) || 0)) })}
+                </div>
+              </div>
+            )}
+            <div>
+              <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.note')}</label>
+              <input
+                type="text"
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2.5"
+                value={newContribution.note}
+                onChange={e => updateContributionForm({ note: e.target.value })}
+              />
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={handleSaveContribution}
+                className={`flex-1 text-white font-medium rounded-lg text-sm px-5 py-2.5 text-center flex items-center justify-center gap-2 focus:ring-4 ${editingContributionId ? 'bg-orange-600 hover:bg-orange-700 focus:ring-orange-300' : 'bg-indigo-600 hover:bg-indigo-700 focus:ring-indigo-300'}`}
+              >
+                <Save size={16} /> {editingContributionId ? t('common.update') : t('common.save')}
+              </button>
+              {editingContributionId && (
+                <button
+                  onClick={handleCancelContribution}
+                  className="text-slate-700 bg-slate-200 hover:bg-slate-300 focus:ring-4 focus:ring-slate-100 font-medium rounded-lg text-sm px-4 py-2.5"
+                >
+                  <X size={16} />
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <History className="w-5 h-5 text-slate-500" /> {t('contributions.history')}
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left text-slate-500">
+              <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                <tr>
+                  <th className="px-4 py-3">{t('common.date')}</th>
+                  <th className="px-4 py-3">{t('contributions.kind')}</th>
+                  <th className="px-4 py-3">{t('common.member')}</th>
+                  <th className="px-4 py-3">{t('contributions.amount')}</th>
+                  <th className="px-4 py-3">{t('common.account')}</th>
+                  <th className="px-4 py-3">{t('common.note')}</th>
+                  <th className="px-4 py-3">{t('common.actions')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...contributions].sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime()).map((record) => {
+                  const kind = flowKind(record);
+                  const currency = flowCurrency(record);
+                  return (
+                    <tr key={record.id} className={`border-b hover:bg-slate-50 ${editingContributionId === record.id ? 'bg-orange-50' : 'bg-white'}`}>
+                      <td className="px-4 py-3 whitespace-nowrap">{formatDate(record.date, locale)}</td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${kind === 'deposit' ? 'bg-indigo-50 text-indigo-700' : kind === 'withdrawal' ? 'bg-orange-50 text-orange-700' : 'bg-slate-100 text-slate-700'}`}>
+                          {t(`flowKinds.${kind}`)}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        {renderMemberBadge(findMember(members, record.person))}
+                        {kind === 'transfer' && <> → {renderMemberBadge(findMember(members, record.toPerson))}</>}
+                      </td>
+                      <td className={`px-4 py-3 font-bold whitespace-nowrap ${kind === 'withdrawal' ? 'text-orange-700' : ''}`}>
+                        {kind === 'withdrawal' && '-'}{formatMoney(record.amount, currency, locale)}
+                        {currency !== BASE_CURRENCY && (
+                          <div className="text-xs font-normal text-slate-400">≈ {formatTwd(flowTwd(record))} @ {record.exchangeRate}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">{record.accountId ? findAccount(accounts, record.accountId).name : '-'}</td>
+                      <td className="px-4 py-3">{record.note || ''}</td>
+                      <td className="px-4 py-3">
+                        <div className="flex items-center gap-2">
+                          <button onClick={() => handleEditContribution(record)} className="text-blue-500 hover:text-blue-700" title={t('common.edit')}>
+                            <Edit size={16} />
+                          </button>
+                          <button onClick={() => handleDeleteContribution(record.id)} className="text-red-500 hover:text-red-700" title={t('common.delete')}>
+                            <Trash2 size={16} />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {contributions.length === 0 && <div className="p-8 text-center text-slate-400">{t('contributions.empty')}</div>}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderDividends = () => {
+    const foreignPayout = newDividend.currency.trim().toUpperCase() !== BASE_CURRENCY;
+    const years = dividendYears(dividends);
+    const year = years.includes(dividendYear) ? dividendYear : (years[0] || today.slice(0, 4));
+    const summary = yearlyDividendSummary({ dividends, year, marginalRate: dividendTax.marginalRate, timeline: dividendTimeline });
+    const inputClass = 'bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-amber-500 focus:border-amber-500 block w-full p-2.5';
+    const ratePercent = (rate) => Number((rate * 100).toFixed(2));
+
+    return (
+      <div className="space-y-8 animate-in fade-in duration-500">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className={`lg:col-span-1 p-6 rounded-2xl shadow-sm border h-fit transition-colors ${editingDividendId ? 'bg-orange-50 border-orange-200' : 'bg-white border-slate-100'}`}>
+            <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+              {editingDividendId ? (
+                <>
+                  <Edit className="w-5 h-5 text-orange-600" /> {t('dividends.editTitle')}
+                </>
+              ) : (
+                <>
+                  <Coins className="w-5 h-5 text-amber-500" /> {t('dividends.newTitle')}
+                </>
+              )}
+            </h3>
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block mb-2 text-sm font-medium text-slate-700">{t('dividends.payDate')}</label>
+                  <input type="date" className={inputClass} value={newDividend.date} onChange={e => updateDividendForm({ date: e.target.value })} />
+                </div>
+                <div>
+                  <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.member')}</label>
+                  <select className={inputClass} value={newDividend.person} onChange={e => updateDividendForm({ person: e.target.value })}>
+                    {activeMembers.map(m => (
+                      <option key={m.id} value={m.id}>{m.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.account')}</label>
+                  <select className={inputClass} value={newDividend.accountId} onChange={e => updateDividendForm({ accountId: e.target.value })}>
+                    {activeAccounts.filter(a => !isLiability(a)).map(a => (
+                      <option key={a.id} value={a.id}>{a.name} ({a.currency})</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block mb-2 text-sm font-medium text-slate-700">{t('dividends.ticker')}</label>
+                  <input type="text" className={inputClass} placeholder="0056 / VTI" value={newDividend.ticker} onChange={e => updateDividendForm({ ticker: e.target.value })} />
+                </div>
+              </div>
+              <div className="flex gap-2">
+                {DIVIDEND_SOURCES.map(source => (
+                  <button
+                    key={source}
+                    onClick={() => updateDividendForm({ source })}
+                    className={`flex-1 px-3 py-1.5 text-sm rounded-lg transition-colors ${newDividend.source === source ? 'bg-amber-500 text-white' : 'bg-slate-100 text-slate-600'}`}
+                  >
+                    {t(`dividends.sources.${source}`)}
+                  </button>
+                ))}
+              </div>
+              <div className="grid grid-cols-3 gap-3">
+                <div className="col-span-2">
+                  <label className="block mb-2 text-sm font-medium text-slate-700">{t('dividends.gross')}</label>
+                  <input type="number" min="0" className={inputClass} placeholder="0" value={newDividend.gross || ''} onChange={e => updateDividendForm({ gross: Number(e.target.value) })} />
+                </div>
+                <div>
+                  <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.currency')}</label>
+                  <input
+                    type="text"
+                    list="dividend-currencies"
+                    className={inputClass}
+                    value={newDividend.currency}
+                    onChange={e => updateDividendForm({ currency: e.target.value.toUpperCase() })}
+                  />
+                  <datalist id="dividend-currencies">
+                    {COMMON_CURRENCIES.map(c => <option key={c} value={c} />)}
+                  </datalist>
+                </div>
+              </div>
+              <div className={foreignPayout ? 'grid grid-cols-2 gap-3' : ''}>
+                <div>
+                  <label className="block mb-2 text-sm font-medium text-slate-700">{t('dividends.withholding')}</label>
+                  <input type="number" min="0" className={inputClass} value={newDividend.withholding || ''} placeholder="0" onChange={e => updateDividendForm({ withholding: e.target.value })} />
+                </div>
+                {foreignPayout && (
+                  <div>
+                    <label className="block mb-2 text-sm font-medium text-slate-700">{t('contributions.rate', { currency: newDividend.currency })}</label>
+                    <input type="number" step="0.0001" className={inputClass} value={newDividend.exchangeRate} onChange={e => updateDividendForm({ exchangeRate: e.target.value })} />
+                  </div>
+                )}
+              </div>
+              <div className="text-xs text-slate-500">
+                {newDividend.source === 'foreign'
+                  ? t('dividends.withholdingHint', { rate: ratePercent(DIVIDEND_TAX_RULES.foreignWithholding) })
+                  : t('dividends.nhiPreview', { amount: formatTwd(nhiPremium({ ...newDividend, gross: Number(newDividend.gross) || 0, exchangeRate: foreignPayout ? Number(newDividend.exchangeRate) : 1 })) })}
+              </div>
+              <div>
+                <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.note')}</label>
+                <input type="text" className={inputClass} value={newDividend.note} onChange={e => updateDividendForm({ note: e.target.value })} />
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={handleSaveDividend}
+                  className={`flex-1 text-white font-medium rounded-lg text-sm px-5 py-2.5 text-center flex items-center justify-center gap-2 focus:ring-4 ${editingDividendId ? 'bg-orange-600 hover:bg-orange-700 focus:ring-orange-300' : 'bg-amber-500 hover:bg-amber-600 focus:ring-amber-300'}`}
+                >
+                  <Save size={16} /> {editingDividendId ? t('common.update') : t('common.save')}
+                </button>
+                {editingDividendId && (
+                  <button
+                    onClick={handleCancelDividend}
+                    className="text-slate-700 bg-slate-200 hover:bg-slate-300 focus:ring-4 focus:ring-slate-100 font-medium rounded-lg text-sm px-4 py-2.5"
+                  >
+                    <X size={16} />
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+            <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+              <History className="w-5 h-5 text-slate-500" /> {t('dividends.ledger')}
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-slate-500">
+                <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                  <tr>
+                    <th className="px-4 py-3">{t('common.date')}</th>
+                    <th className="px-4 py-3">{t('common.account')}</th>
+                    <th className="px-4 py-3">{t('common.member')}</th>
+                    <th className="px-4 py-3">{t('dividends.gross')}</th>
+                    <th className="px-4 py-3">{t('dividends.deductions')}</th>
+                    <th className="px-4 py-3">{t('dividends.yield')}</th>
+                    <th className="px-4 py-3">{t('common.actions')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...dividends].sort((a, b) => b.date.localeCompare(a.date)).map(record => {
+                    const nhi = nhiPremium(record);
+                    const yieldPct = dividendYield(record, dividendTimeline);
+                    return (
+                      <tr key={record.id} className={`border-b hover:bg-slate-50 ${editingDividendId === record.id ? 'bg-orange-50' : 'bg-white'}`}>
+                        <td className="px-4 py-3 whitespace-nowrap">{formatDate(record.date, locale)}</td>
+                        <td className="px-4 py-3 whitespace-nowrap">
+                          {findAccount(accounts, record.accountId).name}
+                          {record.ticker && <span className="ml-1 text-xs font-mono text-slate-400">{record.ticker}</span>}
+                          <div className="text-xs text-slate-400">{t(`dividends.sources.${record.source}`)}</div>
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap">{renderMemberBadge(findMember(members, record.person))}</td>
+                        <td className="px-4 py-3 font-bold whitespace-nowrap">
+                          {formatMoney(record.gross, record.currency, locale)}
+                          {record.currency !== BASE_CURRENCY && (
+                            <div className="text-xs font-normal text-slate-400">≈ {formatTwd(dividendTwd(record))} @ {record.exchangeRate}</div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-xs">
+                          {record.withholding > 0 && <div>{t('dividends.withheld', { amount: formatMoney(record.withholding, record.currency, locale) })}</div>}
+                          {nhi > 0 && <div className="text-orange-700">{t('dividends.nhi', { amount: formatTwd(nhi) })}</div>}
+                          {!(record.withholding > 0) && nhi === 0 && '-'}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap">{yieldPct === null ? '-' : `${yieldPct.toFixed(2)}%`}</td>
+                        <td className="px-4 py-3">
+                          <div className="flex items-center gap-2">
+                            <button onClick={() => handleEditDividend(record)} className="text-blue-500 hover:text-blue-700" title={t('common.edit')}>
+                              <Edit size={16} />
+                            </button>
+                            <button onClick={() => handleDeleteDividend(record.id)} className="text-red-500 hover:text-red-700" title={t('common.delete')}>
+                              <Trash2 size={16} />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {dividends.length === 0 && <div className="p-8 text-center text-slate-400">{t('dividends.empty')}</div>}
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+            <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+              <Calculator className="w-5 h-5 text-amber-500" /> {t('dividends.summaryTitle', { year })}
+            </h3>
+            <div className="flex items-center gap-3 text-sm">
+              <select className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg p-2" value={year} onChange={e => setDividendYear(e.target.value)}>
+                {(years.length > 0 ? years : [year]).map(y => <option key={y} value={y}>{y}</option>)}
+              </select>
+              <label className="flex items-center gap-2 text-slate-600">
+                {t('dividends.marginalRate')}
+                <select
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg p-2"
+                  value={dividendTax.marginalRate}
+                  onChange={e => updateDividendTax({ marginalRate: Number(e.target.value) })}
+                >
+                  {TAX_BRACKETS.map(rate => <option key={rate} value={rate}>{ratePercent(rate)}%</option>)}
+                </select>
+              </label>
+            </div>
+          </div>
+
+          {summary.members.length === 0 ? (
+            <div className="p-8 text-center text-slate-400">{t('dividends.noneInYear')}</div>
+          ) : (
+            <div className="space-y-6">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {[
+                  { key: 'gross', value: summary.total.gross },
+                  { key: 'withholding', value: summary.total.withholding },
+                  { key: 'nhiTotal', value: summary.total.nhi },
+                  { key: 'net', value: summary.total.net },
+                ].map(({ key, value }) => (
+                  <div key={key} className="p-4 rounded-xl bg-slate-50">
+                    <div className="text-xs text-slate-500">{t(`dividends.totals.${key}`)}</div>
+                    <div className="text-lg font-bold text-slate-800">{formatTwd(value)}</div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-slate-500">
+                  <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                    <tr>
+                      <th className="px-4 py-3">{t('common.member')}</th>
+                      <th className="px-4 py-3 text-right">{t('dividends.sources.domestic')}</th>
+                      <th className="px-4 py-3 text-right">{t('dividends.sources.foreign')}</th>
+                      <th className="px-4 py-3 text-right">{t('dividends.totals.nhiTotal')}</th>
+                      <th className="px-4 py-3 text-right">{t('dividends.combinedTax')}</th>
+                      <th className="px-4 py-3 text-right">{t('dividends.separateTax')}</th>
+                      <th className="px-4 py-3">{t('dividends.overseas')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.members.map(row => (
+                      <tr key={row.person} className="bg-white border-b">
+                        <td className="px-4 py-3 whitespace-nowrap">{renderMemberBadge(findMember(members, row.person))}</td>
+                        <td className="px-4 py-3 text-right whitespace-nowrap">{formatTwd(row.domestic)}</td>
+                        <td className="px-4 py-3 text-right whitespace-nowrap">{formatTwd(row.foreign)}</td>
+                        <td className="px-4 py-3 text-right whitespace-nowrap">{formatTwd(row.nhi)}</td>
+                        {row.domestic > 0 ? (
+                          <>
+                            <td className={`px-4 py-3 text-right whitespace-nowrap ${row.tax.better === 'combined' ? 'font-bold text-emerald-700' : ''}`}>
+                              {formatTwd(row.tax.combined)}
+                              <div className="text-xs font-normal text-slate-400">{t('dividends.credit', { amount: formatTwd(row.tax.credit) })}</div>
+                            </td>
+                            <td className={`px-4 py-3 text-right whitespace-nowrap ${row.tax.better === 'separate' ? 'font-bold text-emerald-700' : ''}`}>
+                              {formatTwd(row.tax.separate)}
+                            </td>
+                          </>
+                        ) : (
+                          <>
+                            <td className="px-4 py-3 text-right">-</td>
+                            <td className="px-4 py-3 text-right">-</td>
+                          </>
+                        )}
+                        <td className="px-4 py-3 text-xs">
+                          {row.foreign === 0 ? '-' : row.overseasDeclare ? (
+                            <span className="text-orange-700"><AlertTriangle size={12} className="inline mr-1" />{t('dividends.overseasDeclare')}</span>
+                          ) : t('dividends.overseasBelow')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-slate-500">
+                  <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                    <tr>
+                      <th className="px-4 py-3">{t('common.account')}</th>
+                      <th className="px-4 py-3 text-right">{t('dividends.payouts')}</th>
+                      <th className="px-4 py-3 text-right">{t('dividends.totals.gross')}</th>
+                      <th className="px-4 py-3 text-right">{t('dividends.totals.net')}</th>
+                      <th className="px-4 py-3 text-right">{t('dividends.yearYield')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.accounts.map(row => (
+                      <tr key={row.accountId} className="bg-white border-b">
+                        <td className="px-4 py-3 whitespace-nowrap">{findAccount(accounts, row.accountId).name}</td>
+                        <td className="px-4 py-3 text-right">{row.count}</td>
+                        <td className="px-4 py-3 text-right whitespace-nowrap">{formatTwd(row.gross)}</td>
+                        <td className="px-4 py-3 text-right whitespace-nowrap">{formatTwd(row.net)}</td>
+                        <td className="px-4 py-3 text-right whitespace-nowrap">{row.yield === null ? '-' : `${row.yield.toFixed(2)}%`}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+          <p className="mt-4 text-xs text-slate-400">
+            {t('dividends.taxHint', {
+              credit: ratePercent(DIVIDEND_TAX_RULES.creditRate),
+              cap: formatTwd(DIVIDEND_TAX_RULES.creditCap),
+              separate: ratePercent(DIVIDEND_TAX_RULES.separateRate),
+              nhi: ratePercent(DIVIDEND_TAX_RULES.nhiRate),
+              threshold: formatTwd(DIVIDEND_TAX_RULES.nhiThreshold),
+              overseas: formatTwd(DIVIDEND_TAX_RULES.overseasThreshold),
+            })}
+          </p>
+        </div>
+      </div>
+    );
+  };
+
+  const renderFxRates = () => {
+    const currencyOptions = Array.from(new Set([...foreignCurrencies, ...fxRates.map(r => r.currency), fxCurrency]));
+    const rates = fxRates
+      .filter(r => r.currency === fxCurrency)
+      .sort((a, b) => b.date.localeCompare(a.date));
+
+    return (
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 animate-in fade-in duration-500">
+        <div className="lg:col-span-1 space-y-8">
+          <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+            <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+              <PlusCircle className="w-5 h-5 text-blue-600" /> {t('fx.editTitle')}
+            </h3>
+            <div className="space-y-4">
+              <div>
+                <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.currency')}</label>
+                <select
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                  value={fxCurrency}
+                  onChange={e => setFxCurrency(e.target.value)}
+                >
+                  {currencyOptions.map(c => <option key={c} value={c}>{c}/TWD</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.date')}</label>
+                <input
+                  type="date"
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                  value={newRate.date}
+                  onChange={e => setNewRate({ ...newRate, date: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block mb-2 text-sm font-medium text-slate-700">{t('contributions.rate', { currency: fxCurrency })}</label>
+                <input
+                  type="number"
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                  placeholder={String(rateOn(fxRates, fxCurrency, newRate.date) ?? '')}
+                  value={newRate.rate || ''}
+                  onChange={e => setNewRate({ ...newRate, rate: Number(e.target.value) })}
+                />
+              </div>
+              <button
+                onClick={handleSaveRate}
+                className="w-full text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center flex items-center justify-center gap-2"
+              >
+                <Save size={16} /> {t('fx.save')}
+              </button>
+              <div className="text-xs text-slate-400">{t('fx.overwriteHint')}</div>
+            </div>
+          </div>
+
+          <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+            <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+              <Upload className="w-5 h-5 text-indigo-600" /> {t('fx.importCsv')}
+            </h3>
+            <p className="text-sm text-slate-500 mb-4">
+              {t('fx.csvHint', { currency: fxCurrency })}
+            </p>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+              onChange={handleImportRates}
+            />
+            {fxImportResult && (
+              <div className="mt-3 text-sm text-slate-600 space-y-1">
+                <div>{t('fx.imported', { fileName: fxImportResult.fileName, count: fxImportResult.count })}</div>
+                {fxImportResult.issues.map(issue => (
+                  <div key={issue.row} className="text-xs text-orange-800">{t('fx.issueRow', { row: issue.row })}{issue.messages.join(t('common.listSeparator'))}</div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <History className="w-5 h-5 text-slate-500" /> {fxCurrency}/TWD {t('fx.history')}
+          </h3>
+          {rates.length > 1 && (
+            <div className="h-48 w-full mb-4">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={[...rates].reverse()}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                  <XAxis dataKey="date" tick={{fontSize: 12}} />
+                  <YAxis width={60} tick={{fontSize: 12}} domain={['auto', 'auto']} />
+                  <RechartsTooltip />
+                  <Line type="monotone" dataKey="rate" name={`${fxCurrency}/TWD`} stroke="#0f172a" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+          <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+            <table className="w-full text-sm text-left text-slate-500">
+              <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                <tr>
+                  <th className="px-6 py-3">{t('common.date')}</th>
+                  <th className="px-6 py-3">{t('fx.rate')}</th>
+                  <th className="px-6 py-3">{t('common.actions')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rates.map(r => (
+                  <tr key={r.id} className="bg-white border-b hover:bg-slate-50">
+                    <td className="px-6 py-3">{formatDate(r.date, locale)}</td>
+                    <td className="px-6 py-3 font-medium text-slate-900">{r.rate}</td>
+                    <td className="px-6 py-3">
+                      <div className="flex items-center gap-2">
+                        <button onClick={() => setNewRate({ date: r.date, rate: r.rate })} className="text-blue-500 hover:text-blue-700" title={t('common.edit')}>
+                          <Edit size={16} />
+                        </button>
+                        <button onClick={() => handleDeleteRate(r.id)} className="text-red-500 hover:text-red-700" title={t('common.delete')}>
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rates.length === 0 && <div className="p-8 text-center text-slate-400">{t('fx.empty')}</div>}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderSettings = () => (
+    <div className="space-y-8 animate-in fade-in duration-500">
+      {/* 成員管理 */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-1 bg-white p-6 rounded-2xl shadow-sm border border-slate-100 h-fit">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <PlusCircle className="w-5 h-5 text-blue-600" /> {t('settings.addMember')}
+          </h3>
+          <div className="space-y-4">
+            <div>
+              <label className="block mb-2 text-sm font-medium text-slate-700">{t('settings.name')}</label>
+              <input
+                type="text"
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                placeholder={t('settings.memberPlaceholder')}
+                value={newMember.name}
+                onChange={e => setNewMember({ ...newMember, name: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block mb-2 text-sm font-medium text-slate-700">{t('settings.color')}</label>
+              <input
+                type="color"
+                className="h-10 w-20 rounded border border-slate-300 bg-slate-50 p-1"
+                value={newMember.color}
+                onChange={e => setNewMember({ ...newMember, color: e.target.value })}
+              />
+            </div>
+            <button
+              onClick={handleAddMember}
+              className="w-full text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center flex items-center justify-center gap-2"
+            >
+              <Save size={16} /> {t('settings.addMember')}
+            </button>
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <Users className="w-5 h-5 text-slate-500" /> {t('settings.members')}
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left text-slate-500">
+              <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                <tr>
+                  <th className="px-4 py-3">{t('settings.name')}</th>
+                  <th className="px-4 py-3">{t('settings.color')}</th>
+                  <th className="px-4 py-3">{t('settings.preview')}</th>
+                  <th className="px-4 py-3">{t('settings.flowCount')}</th>
+                  <th className="px-4 py-3">{t('common.actions')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {members.map(member => (
+                  <tr key={member.id} className={`border-b ${member.archived ? 'bg-slate-50 text-slate-400' : 'bg-white'}`}>
+                    <td className="px-4 py-3">
+                      <input
+                        type="text"
+                        className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-1.5"
+                        value={member.name}
+                        onChange={e => handleUpdateMember(member.id, { name: e.target.value })}
+                      />
+                    </td>
+                    <td className="px-4 py-3">
+                      <input
+                        type="color"
+                        className="h-8 w-14 rounded border border-slate-300 bg-slate-50 p-0.5"
+                        value={member.color}
+                        onChange={e => handleUpdateMember(member.id, { color: e.target.value })}
+                      />
+                    </td>
+                    <td className="px-4 py-3">{renderMemberBadge(member)}</td>
+                    <td className="px-4 py-3">{contributions.filter(c => c.person === member.id).length}</td>
+                    <td className="px-4 py-3">
+                      <button
+                        onClick={() => handleUpdateMember(member.id, { archived: !member.archived })}
+                        className="text-slate-500 hover:text-slate-800 flex items-center gap-1"
+                        title={member.archived ? t('settings.unarchive') : t('settings.archive')}
+                      >
+                        {member.archived ? <ArchiveRestore size={16} /> : <Archive size={16} />}
+                        <span className="text-xs">{member.archived ? t('settings.unarchive') : t('settings.archive')}</span>
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 text-xs text-slate-400">
+            {t('settings.memberArchiveHint')}
+          </div>
+        </div>
+      </div>
+
+      {/* 帳戶管理 */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-1 bg-white p-6 rounded-2xl shadow-sm border border-slate-100 h-fit">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <PlusCircle className="w-5 h-5 text-blue-600" /> {t('settings.addAccount')}
+          </h3>
+          <div className="space-y-4">
+            <div>
+              <label className="block mb-2 text-sm font-medium text-slate-700">{t('settings.name')}</label>
+              <input
+                type="text"
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                placeholder={t('settings.accountPlaceholder')}
+                value={newAccount.name}
+                onChange={e => setNewAccount({ ...newAccount, name: e.target.value })}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.currency')}</label>
+                <input
+                  type="text"
+                  list="currency-options"
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                  value={newAccount.currency}
+                  onChange={e => setNewAccount({ ...newAccount, currency: e.target.value.toUpperCase() })}
+                />
+                <datalist id="currency-options">
+                  {COMMON_CURRENCIES.map(c => <option key={c} value={c} />)}
+                </datalist>
+              </div>
+              <div>
+                <label className="block mb-2 text-sm font-medium text-slate-700">{t('settings.class')}</label>
+                <select
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                  value={newAccount.class}
+                  onChange={e => setNewAccount({ ...newAccount, class: e.target.value })}
+                >
+                  {ACCOUNT_CLASSES.map(key => (
+                    <option key={key} value={key}>{t(`accountClasses.${key}`)}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div>
+              <label className="block mb-2 text-sm font-medium text-slate-700">{t('settings.color')}</label>
+              <input
+                type="color"
+                className="h-10 w-20 rounded border border-slate-300 bg-slate-50 p-1"
+                value={newAccount.color}
+                onChange={e => setNewAccount({ ...newAccount, color: e.target.value })}
+              />
+            </div>
+            <button
+              onClick={handleAddAccount}
+              className="w-full text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center flex items-center justify-center gap-2"
+            >
+              <Save size={16} /> {t('settings.addAccount')}
+            </button>
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <Wallet className="w-5 h-5 text-slate-500" /> {t('settings.accounts')}
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left text-slate-500">
+              <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                <tr>
+                  <th className="px-4 py-3">{t('settings.name')}</th>
+                  <th className="px-4 py-3">{t('common.currency')}</th>
+                  <th className="px-4 py-3">{t('settings.class')}</th>
+                  <th className="px-4 py-3">{t('settings.color')}</th>
+                  <th className="px-4 py-3">{t('settings.recordCount')}</th>
+                  <th className="px-4 py-3">{t('common.actions')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {accounts.map(account => {
+                  const recordCount = assets.filter(a => a.type === account.id).length;
+                  return (
+                    <tr key={account.id} className={`border-b ${account.archived ? 'bg-slate-50 text-slate-400' : 'bg-white'}`}>
+                      <td className="px-4 py-3">
+                        <input
+                          type="text"
+                          className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-1.5"
+                          value={account.name}
+                          onChange={e => handleUpdateAccount(account.id, { name: e.target.value })}
+                        />
+                      </td>
+                      <td className="px-4 py-3">
+                        {/* 已有記錄的帳戶不可改幣別，避免舊記錄的原幣金額被誤讀 */}
+                        <input
+                          type="text"
+                          list="currency-options"
+                          disabled={recordCount > 0}
+                          className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-20 p-1.5 disabled:text-slate-400"
+                          value={account.currency}
+                          onChange={e => handleUpdateAccount(account.id, { currency: e.target.value.toUpperCase() })}
+                        />
+                      </td>
+                      <td className="px-4 py-3">
+                        <select
+                          className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block p-1.5"
+                          value={account.class}
+                          onChange={e => handleUpdateAccount(account.id, { class: e.target.value })}
+                        >
+                          {ACCOUNT_CLASSES.map(key => (
+                            <option key={key} value={key}>{t(`accountClasses.${key}`)}</option>
+                          ))}
+                        </select>
+                        {/* 負債帳戶的貸款條件 (選填)，用於還款進度與攤還試算 */}
+                        {isLiability(account) && (
+                          <div className="mt-2 space-y-1">
+                            {[
+                              { key: 'principal', step: 1000 },
+                              { key: 'interestRate', step: 0.01 },
+                              { key: 'monthlyPayment', step: 100 },
+                            ].map(({ key, step }) => (
+                              <label key={key} className="flex items-center justify-between gap-2 text-xs text-slate-500">
+                                {t(`debt.terms.${key}`)}
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step={step}
+                                  className="bg-slate-50 border border-slate-300 text-slate-900 text-xs rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-24 p-1"
+                                  value={account[key] ?? ''}
+                                  onChange={e => handleUpdateAccount(account.id, { [key]: e.target.value === '' ? undefined : parseFloat(e.target.value) })}
+                                />
+                              </label>
+                            ))}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <input
+                          type="color"
+                          className="h-8 w-14 rounded border border-slate-300 bg-slate-50 p-0.5"
+                          value={account.color}
+                          onChange={e => handleUpdateAccount(account.id, { color: e.target.value })}
+                        />
+                      </td>
+                      <td className="px-4 py-3">{recordCount}</td>
+                      <td className="px-4 py-3">
+                        <button
+                          onClick={() => handleUpdateAccount(account.id, { archived: !account.archived })}
+                          className="text-slate-500 hover:text-slate-800 flex items-center gap-1"
+                          title={account.archived ? t('settings.unarchive') : t('settings.archive')}
+                        >
+                          {account.archived ? <ArchiveRestore size={16} /> : <Archive size={16} />}
+                          <span className="text-xs">{account.archived ? t('settings.unarchive') : t('settings.archive')}</span>
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 text-xs text-slate-400">
+            {t('settings.accountArchiveHint')}
+          </div>
+        </div>
+      </div>
+
+      {/* 基準指數 */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-1 bg-white p-6 rounded-2xl shadow-sm border border-slate-100 h-fit">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <Upload className="w-5 h-5 text-amber-500" /> {t('benchmarks.import')}
+          </h3>
+          <div className="space-y-4">
+            <div>
+              <label className="block mb-2 text-sm font-medium text-slate-700">{t('settings.name')}</label>
+              <input
+                type="text"
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                placeholder={t('benchmarks.namePlaceholder')}
+                value={newBenchmark.name}
+                onChange={e => setNewBenchmark({ ...newBenchmark, name: e.target.value })}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block mb-2 text-sm font-medium text-slate-700">{t('common.currency')}</label>
+                <input
+                  type="text"
+                  list="currency-options"
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                  value={newBenchmark.currency}
+                  onChange={e => setNewBenchmark({ ...newBenchmark, currency: e.target.value.toUpperCase() })}
+                />
+              </div>
+              <div>
+                <label className="block mb-2 text-sm font-medium text-slate-700">{t('settings.color')}</label>
+                <input
+                  type="color"
+                  className="h-10 w-20 rounded border border-slate-300 bg-slate-50 p-1"
+                  value={newBenchmark.color}
+                  onChange={e => setNewBenchmark({ ...newBenchmark, color: e.target.value })}
+                />
+              </div>
+            </div>
+            <p className="text-sm text-slate-500">{t('benchmarks.csvHint')}</p>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-amber-50 file:text-amber-700 hover:file:bg-amber-100"
+              onChange={handleImportBenchmark}
+            />
+            {benchmarkImportResult && (
+              <div className="text-sm text-slate-600 space-y-1">
+                <div>{t('benchmarks.imported', { fileName: benchmarkImportResult.fileName, name: benchmarkImportResult.name, count: benchmarkImportResult.count })}</div>
+                {benchmarkImportResult.issues.map(issue => (
+                  <div key={issue.row} className="text-xs text-orange-800">{t('fx.issueRow', { row: issue.row })}{issue.messages.join(t('common.listSeparator'))}</div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <LineChartIcon className="w-5 h-5 text-slate-500" /> {t('benchmarks.title')}
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left text-slate-500">
+              <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                <tr>
+                  <th className="px-4 py-3">{t('settings.name')}</th>
+                  <th className="px-4 py-3">{t('common.currency')}</th>
+                  <th className="px-4 py-3">{t('settings.color')}</th>
+                  <th className="px-4 py-3">{t('benchmarks.prices')}</th>
+                  <th className="px-4 py-3">{t('common.actions')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {benchmarks.map(b => (
+                  <tr key={b.id} className="bg-white border-b">
+                    <td className="px-4 py-3">
+                      <input
+                        type="text"
+                        className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-1.5"
+                        value={b.name}
+                        onChange={e => handleUpdateBenchmark(b.id, { name: e.target.value })}
+                      />
+                    </td>
+                    <td className="px-4 py-3">
+                      <input
+                        type="text"
+                        list="currency-options"
+                        className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-20 p-1.5"
+                        value={b.currency}
+                        onChange={e => handleUpdateBenchmark(b.id, { currency: e.target.value.toUpperCase() })}
+                      />
+                    </td>
+                    <td className="px-4 py-3">
+                      <input
+                        type="color"
+                        className="h-8 w-14 rounded border border-slate-300 bg-slate-50 p-0.5"
+                        value={b.color}
+                        onChange={e => handleUpdateBenchmark(b.id, { color: e.target.value })}
+                      />
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {t('benchmarks.priceRange', {
+                        count: b.prices.length,
+                        start: formatDate(b.prices[0]?.date, locale),
+                        end: formatDate(b.prices[b.prices.length - 1]?.date, locale),
+                      })}
+                    </td>
+                    <td className="px-4 py-3">
+                      <button onClick={() => handleDeleteBenchmark(b.id)} className="text-red-400 hover:text-red-600" title={t('common.delete')}>
+                        <Trash2 size={16} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {benchmarks.length === 0 && <div className="p-4 text-center text-slate-400">{t('benchmarks.empty')}</div>}
+          </div>
+        </div>
+      </div>
+
+      {/* 快照排程與提醒 */}
+      <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+          <BellRing className="w-5 h-5 text-slate-500" /> {t('schedule.settings')}
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div>
+            <label className="block mb-2 text-sm font-medium text-slate-700">{t('schedule.frequency')}</label>
+            <select
+              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+              value={snapshotSchedule.frequency}
+              onChange={e => updateSnapshotSchedule({
+                frequency: e.target.value,
+                day: e.target.value === 'weekly' ? Math.min(snapshotSchedule.day, 6) : Math.max(snapshotSchedule.day, 1),
+              })}
+            >
+              {SCHEDULE_FREQUENCIES.map(key => (
+                <option key={key} value={key}>{t(`schedule.frequencies.${key}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block mb-2 text-sm font-medium text-slate-700">{t('schedule.day')}</label>
+            <select
+              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+              value={snapshotSchedule.day}
+              onChange={e => updateSnapshotSchedule({ day: Number(e.target.value) })}
+            >
+              {snapshotSchedule.frequency === 'weekly'
+                ? [0, 1, 2, 3, 4, 5, 6].map(day => <option key={day} value={day}>{formatWeekday(day, locale)}</option>)
+                : Array.from({ length: 28 }, (_, i) => i + 1).map(day => (
+                  <option key={day} value={day}>{t('schedule.dayOfMonth', { day })}</option>
+                ))}
+            </select>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-slate-700 p-2.5">
+            <input
+              type="checkbox"
+              className="w-4 h-4 rounded border-slate-300"
+              checked={snapshotSchedule.notify}
+              onChange={e => updateSnapshotSchedule({ notify: e.target.checked })}
+            />
+            {t('schedule.notify')}
+          </label>
+        </div>
+        <div className="mt-2 text-xs text-slate-400">
+          {t('schedule.hint')}
+          {snapshotSchedule.notify && reminderSupport && ` ${t(`schedule.support.${reminderSupport}`)}`}
+        </div>
+        {snapshotSchedule.notify && reminderError && (
+          <div className="mt-1 text-xs text-red-600">{t('schedule.notifyFailed', { message: reminderError })}</div>
+        )}
+      </div>
+
+      {/* 資料加密與自動鎖定 */}
+      <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+            <Lock className="w-5 h-5 text-slate-500" /> {t('lock.title')}
+          </h3>
+          <span className={`text-xs px-2 py-0.5 rounded-full ${encrypted ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-600'}`}>
+            {encrypted ? t('lock.statusOn') : t('lock.statusOff')}
+          </span>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          {encrypted && (
+            <div>
+              <label className="block mb-2 text-sm font-medium text-slate-700">{t('lock.currentPassphrase')}</label>
+              <input
+                type="password"
+                autoComplete="current-password"
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                value={lockForm.current}
+                onChange={e => setLockForm({ ...lockForm, current: e.target.value })}
+              />
             </div>
           )}
           <div>
-            <label className="block mb-2 text-sm font-medium text-slate-700">備註 (選填)</label>
-            <textarea 
+            <label className="block mb-2 text-sm font-medium text-slate-700">{encrypted ? t('lock.newPassphrase') : t('lock.passphrase')}</label>
+            <input
+              type="password"
+              autoComplete="new-password"
               className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
-              placeholder="例如：賣出台積電..."
-              rows={3}
-              value={newAsset.note}
-              onChange={e => setNewAsset({...newAsset, note: e.target.value})}
+              value={lockForm.next}
+              onChange={e => setLockForm({ ...lockForm, next: e.target.value })}
             />
           </div>
-          
-          <div className="flex gap-2">
-            <button 
-              onClick={handleSaveAsset}
-              className={`flex-1 text-white font-medium rounded-lg text-sm px-5 py-2.5 text-center flex items-center justify-center gap-2 ${editingAssetId ? 'bg-orange-500 hover:bg-orange-600 focus:ring-orange-300' : 'bg-blue-600 hover:bg-blue-700 focus:ring-blue-300 focus:ring-4'}`}
-            >
-              <Save size={16} /> {editingAssetId ? '更新記錄' : '儲存記錄'}
-            </button>
-            {editingAssetId && (
-              <button 
-                onClick={handleCancelEdit}
-                className="text-slate-700 bg-slate-200 hover:bg-slate-300 focus:ring-4 focus:ring-slate-100 font-medium rounded-lg text-sm px-4 py-2.5 flex items-center justify-center"
+          <div>
+            <label className="block mb-2 text-sm font-medium text-slate-700">{t('lock.confirmPassphrase')}</label>
+            <input
+              type="password"
+              autoComplete="new-password"
+              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+              value={lockForm.confirm}
+              onChange={e => setLockForm({ ...lockForm, confirm: e.target.value })}
+            />
+          </div>
+        </div>
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          <button
+            onClick={handleSetPassphrase}
+            disabled={lockBusy}
+            className="text-white bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 font-medium rounded-lg text-sm px-4 py-2"
+          >
+            {encrypted ? t('lock.change') : t('lock.enable')}
+          </button>
+          {encrypted && (
+            <>
+              <button
+                onClick={handleDisableEncryption}
+                disabled={lockBusy}
+                className="text-slate-700 bg-slate-200 hover:bg-slate-300 disabled:opacity-50 font-medium rounded-lg text-sm px-4 py-2"
+              >
+                {t('lock.disable')}
+              </button>
+              <button
+                onClick={lockAndReload}
+                className="text-slate-700 bg-slate-200 hover:bg-slate-300 font-medium rounded-lg text-sm px-4 py-2 flex items-center gap-1"
               >
-                <X size={16} /> 取消
+                <Lock size={14} /> {t('lock.lockNow')}
               </button>
+              <label className="flex items-center gap-2 text-sm text-slate-700 ml-auto">
+                {t('lock.autoLock')}
+                <select
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg p-2"
+                  value={lockSettings.autoLockMinutes}
+                  onChange={e => updateLockSettings({ autoLockMinutes: Number(e.target.value) })}
+                >
+                  {AUTO_LOCK_MINUTES.map(minutes => (
+                    <option key={minutes} value={minutes}>
+                      {minutes === 0 ? t('lock.never') : t('lock.minutes', { count: minutes })}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </>
+          )}
+        </div>
+        <div className="mt-2 text-xs text-slate-400">{t('lock.hint')}</div>
+      </div>
+    </div>
+  );
+
+  // 歷史與回收筒中記錄的簡短說明
+  const summariseRecord = (ledger, record) => {
+    if (ledger === 'assets') {
+      const account = findAccount(accounts, record.type);
+      return `${formatDate(record.date, locale)} ${account.name} ${formatMoney(record.amount, account.currency, locale)}`;
+    }
+    const member = findMember(members, record.person);
+    const target = flowKind(record) === 'transfer' ? ` → ${findMember(members, record.toPerson).name}` : '';
+    return `${formatDate(record.date, locale)} ${t(`flowKinds.${flowKind(record)}`)} ${member.name}${target} ${formatMoney(record.amount, flowCurrency(record), locale)}`;
+  };
+
+  const renderHistory = () => {
+    const trashEntries = [...trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    const logEntries = [...history].sort((a, b) => b.at.localeCompare(a.at)).slice(0, 200);
+
+    return (
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 animate-in fade-in duration-500">
+        <div className="lg:col-span-1 bg-white p-6 rounded-2xl shadow-sm border border-slate-100 h-fit">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <Trash2 className="w-5 h-5 text-red-500" /> {t('history.trash')}
+          </h3>
+          <p className="text-sm text-slate-500 mb-4">{t('history.trashHint')}</p>
+          <div className="space-y-2 max-h-[40rem] overflow-y-auto">
+            {trashEntries.map(entry => (
+              <div key={entry.id} className="flex items-center justify-between gap-2 p-3 rounded-lg bg-slate-50 text-sm">
+                <div>
+                  <div className="font-medium text-slate-800">{summariseRecord(entry.ledger, entry.record)}</div>
+                  <div className="text-xs text-slate-500">
+                    {t(entry.ledger === 'assets' ? 'ledger.asset' : 'ledger.contribution')} · {formatDateTime(entry.deletedAt, locale)} · {t('history.deletedBy', { name: findMember(members, entry.deletedBy).name })}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <button onClick={() => handleRestoreTrash(entry)} className="text-blue-500 hover:text-blue-700" title={t('history.restore')}>
+                    <RotateCcw size={16} />
+                  </button>
+                  <button onClick={() => handlePurgeTrash(entry)} className="text-red-500 hover:text-red-700" title={t('history.purge')}>
+                    <X size={16} />
+                  </button>
+                </div>
+              </div>
+            ))}
+            {trashEntries.length === 0 && <div className="p-8 text-center text-slate-400">{t('history.trashEmpty')}</div>}
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <Clock className="w-5 h-5 text-slate-500" /> {t('history.title')}
+          </h3>
+          <div className="overflow-x-auto max-h-[40rem] overflow-y-auto">
+            <table className="w-full text-sm text-left text-slate-500">
+              <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                <tr>
+                  <th className="px-4 py-3 whitespace-nowrap">{t('history.time')}</th>
+                  <th className="px-4 py-3 whitespace-nowrap">{t('history.actor')}</th>
+                  <th className="px-4 py-3 whitespace-nowrap">{t('history.action')}</th>
+                  <th className="px-4 py-3">{t('history.record')}</th>
+                  <th className="px-4 py-3">{t('history.changes')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {logEntries.map(entry => (
+                  <tr key={entry.id} className="bg-white border-b hover:bg-slate-50">
+                    <td className="px-4 py-3 whitespace-nowrap">{formatDateTime(entry.at, locale)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{renderMemberBadge(findMember(members, entry.actor))}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {t(`historyActions.${entry.action}`)}
+                      {(entry.source === 'undo' || entry.source === 'redo' || entry.source === 'import') && (
+                        <span className="ml-1 text-xs text-slate-400">({t(`historySources.${entry.source}`)})</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className="text-xs text-slate-400 mr-1">{t(entry.ledger === 'assets' ? 'ledger.asset' : 'ledger.contribution')}</span>
+                      {summariseRecord(entry.ledger, entry.after || entry.before)}
+                    </td>
+                    <td className="px-4 py-3 text-xs">{describeChanges(entry.before, entry.after, t)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {logEntries.length === 0 && <div className="p-8 text-center text-slate-400">{t('history.empty')}</div>}
+            {history.length > logEntries.length && (
+              <div className="p-3 text-center text-xs text-slate-400">{t('history.truncated', { shown: logEntries.length, total: history.length })}</div>
             )}
           </div>
         </div>
       </div>
+    );
+  };
+
+  const renderHealth = () => (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 animate-in fade-in duration-500">
+      <div className="lg:col-span-1 bg-white p-6 rounded-2xl shadow-sm border border-slate-100 h-fit">
+        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+          <Settings className="w-5 h-5 text-slate-500" /> {t('health.thresholds')}
+        </h3>
+        <div className="grid grid-cols-2 gap-3">
+          {[
+            { key: 'jumpPercent', step: 5 },
+            { key: 'fxTolerance', step: 5 },
+            { key: 'staleDays', step: 30 },
+            { key: 'flowMultiple', step: 1 },
+          ].map(({ key, step }) => (
+            <div key={key}>
+              <label className="block mb-1 text-xs font-medium text-slate-700">{t(`health.${key}`)}</label>
+              <input
+                type="number"
+                min="0"
+                step={step}
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+                value={healthThresholds[key]}
+                onChange={e => updateHealthThresholds({ [key]: parseFloat(e.target.value) || 0 })}
+              />
+            </div>
+          ))}
+        </div>
+        <p className="mt-4 text-xs text-slate-400">{t('health.hint')}</p>
+      </div>
 
-      {/* 記錄列表 */}
       <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
         <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
-          <History className="w-5 h-5 text-slate-500" /> 歷史記錄
+          <ShieldCheck className="w-5 h-5 text-emerald-600" /> {t('health.title', { count: healthIssues.length })}
         </h3>
         <div className="overflow-x-auto">
           <table className="w-full text-sm text-left text-slate-500">
             <thead className="text-xs text-slate-700 uppercase bg-slate-50">
               <tr>
-                <th className="px-4 py-3 whitespace-nowrap">日期</th>
-                <th className="px-4 py-3 whitespace-nowrap">類別</th>
-                <th className="px-4 py-3 whitespace-nowrap">金額(原幣)</th>
-                <th className="px-4 py-3 whitespace-nowrap">台幣現值</th>
-                <th className="px-4 py-3 w-1/3 min-w-[200px]">備註</th>
-                <th className="px-4 py-3 whitespace-nowrap">操作</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('common.date')}</th>
+                <th className="px-4 py-3">{t('history.record')}</th>
+                <th className="px-4 py-3">{t('health.problem')}</th>
+                <th className="px-4 py-3 whitespace-nowrap">{t('common.actions')}</th>
               </tr>
             </thead>
             <tbody>
-              {assets.sort((a,b) => new Date(b.date).getTime() - new Date(a.date).getTime()).map((record) => (
-                <tr key={record.id} className={`border-b hover:bg-slate-50 ${editingAssetId === record.id ? 'bg-orange-50' : 'bg-white'}`}>
-                  <td className="px-4 py-4 whitespace-nowrap">{record.date}</td>
-                  <td className="px-4 py-4 whitespace-nowrap">
-                    <span className={`px-2 py-1 rounded-full text-xs text-white bg-opacity-80`} style={{backgroundColor: COLORS[record.type]}}>
-                      {ASSET_LABELS[record.type]}
-                    </span>
-                  </td>
-                  <td className="px-4 py-4 whitespace-nowrap">
-                    {record.type.includes('us') ? '$' : 'NT$'} {record.amount.toLocaleString()}
-                    {record.type.includes('us') && <div className="text-xs text-slate-400">@{record.exchangeRate}</div>}
-                  </td>
-                  <td className="px-4 py-4 font-medium text-slate-900 whitespace-nowrap">
-                    {formatCurrency(record.amount * record.exchangeRate)}
-                  </td>
-                  <td className="px-4 py-4 text-slate-500 break-words">
-                    {record.note}
-                  </td>
-                  <td className="px-4 py-4 whitespace-nowrap">
-                    <div className="flex items-center gap-2">
-                      <button onClick={() => handleEditAsset(record)} className="text-blue-500 hover:text-blue-700" title="編輯">
-                        <Edit size={16} />
-                      </button>
-                      <button onClick={() => handleDeleteAsset(record.id)} className="text-red-500 hover:text-red-700" title="刪除">
-                        <Trash2 size={16} />
+              {healthIssues.map(issue => {
+                const record = (issue.ledger === 'assets' ? assets : contributions).find(r => r.id === issue.recordId);
+                return (
+                  <tr key={issue.id} className="bg-white border-b hover:bg-slate-50">
+                    <td className="px-4 py-3 whitespace-nowrap">{formatDate(issue.date, locale)}</td>
+                    <td className="px-4 py-3">
+                      <span className="text-xs text-slate-400 mr-1">{t(issue.ledger === 'assets' ? 'ledger.asset' : 'ledger.contribution')}</span>
+                      {record && summariseRecord(issue.ledger, record)}
+                    </td>
+                    <td className="px-4 py-3 text-orange-800">
+                      <AlertTriangle size={14} className="inline mr-1" />{describeHealthIssue(issue)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <button onClick={() => handleJumpToIssue(issue)} className="text-blue-500 hover:text-blue-700 flex items-center gap-1" title={t('common.edit')}>
+                        <Edit size={16} /> <span className="text-xs">{t('common.edit')}</span>
                       </button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
+                    </td>
+                  </tr>
+                );
+              })}
             </tbody>
           </table>
-          {assets.length === 0 && <div className="p-8 text-center text-slate-400">目前沒有記錄</div>}
+          {healthIssues.length === 0 && <div className="p-8 text-center text-slate-400">{t('health.empty')}</div>}
         </div>
       </div>
     </div>
   );
 
-  const renderContributions = () => (
-    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 animate-in fade-in duration-500">
-      <div className="lg:col-span-1 bg-white p-6 rounded-2xl shadow-sm border border-slate-100 h-fit">
-        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
-          <Users className="w-5 h-5 text-indigo-600" /> 新增投入資金
-        </h3>
-        <div className="space-y-4">
-          <div>
-            <label className="block mb-2 text-sm font-medium text-slate-700">記錄日期</label>
-            <input 
-              type="date" 
-              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2.5"
-              value={newContribution.date}
-              onChange={e => setNewContribution({...newContribution, date: e.target.value})}
-            />
+  const renderReports = () => {
+    const memberRows = Object.entries(statement.members);
+    const statementMultiYear = statement.chart.length > 0 && statement.chart[0].date.slice(0, 4) !== statementYear;
+
+    return (
+      <div className="space-y-8 animate-in fade-in duration-500">
+        <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+            <div>
+              <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+                <FileText className="w-5 h-5 text-blue-500" /> {statementTitle}
+              </h3>
+              <p className="text-sm text-slate-500 mt-1">
+                {t('reports.period', { opening: formatDate(statement.openingDate, locale) || '-', closing: formatDate(statement.closingDate, locale) || '-' })}
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <select
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg p-2"
+                value={statementYear}
+                onChange={e => setReportYear(e.target.value)}
+              >
+                {[...dataYears].reverse().map(y => <option key={y} value={y}>{t('annual.year', { year: y })}</option>)}
+              </select>
+              <button
+                onClick={handlePrintStatement}
+                className="flex items-center gap-2 px-3 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg"
+              >
+                <Printer size={16} /> {t('reports.print')}
+              </button>
+              <button
+                onClick={handleDownloadStatement}
+                className="flex items-center gap-2 px-3 py-2 text-sm font-medium text-slate-700 bg-slate-100 hover:bg-slate-200 rounded-lg"
+              >
+                <Download size={16} /> {t('reports.download')}
+              </button>
+            </div>
           </div>
-          <div>
-            <label className="block mb-2 text-sm font-medium text-slate-700">投入者</label>
-            <select 
-              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2.5"
-              value={newContribution.person}
-              onChange={e => setNewContribution({...newContribution, person: e.target.value})}
-            >
-              <option value="A_Ru">阿儒</option>
-              <option value="A_Hui">阿慧</option>
-            </select>
+
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
+            {[
+              { label: t('reports.openingTotal'), value: formatValue(statement.openingTotal) },
+              { label: t('reports.closingTotal'), value: formatValue(statement.closingTotal) },
+              { label: t('reports.netFlow'), value: formatValue(statement.netFlow) },
+              { label: t('reports.netGain'), value: formatValue(statement.netGain), color: growthColor(statement.netGain) },
+              { label: t('reports.twr'), value: formatPercent(statement.twr), color: growthColor(statement.twr) },
+              { label: t('returns.xirr'), value: formatPercent(statement.xirr), color: growthColor(statement.xirr) },
+            ].map(card => (
+              <div key={card.label} className="p-3 rounded-xl bg-slate-50">
+                <div className="text-xs text-slate-500">{card.label}</div>
+                <div className={`text-lg font-bold ${card.color || 'text-slate-800'}`}>{card.value}</div>
+              </div>
+            ))}
           </div>
-          <div>
-            <label className="block mb-2 text-sm font-medium text-slate-700">投入金額 (TWD)</label>
-            <input 
-              type="number" 
-              className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2.5"
-              placeholder="0"
-              value={newContribution.amount || ''}
-              onChange={e => setNewContribution({...newContribution, amount: Number(e.target.value)})}
-            />
+
+          {statement.chart.length > 1 ? (
+            <div className="h-64 w-full">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={statement.chart}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                  <XAxis dataKey="date" tick={{fontSize: 12}} tickFormatter={(tick) => formatDateTick(tick, statementMultiYear, locale)} />
+                  <YAxis width={80} tick={{fontSize: 12}} tickFormatter={(val) => formatCompact(val, reportCurrency)} />
+                  <RechartsTooltip formatter={(value) => formatValue(value)} />
+                  <Line type="monotone" dataKey="total" name={t('chart.total')} stroke="#2563eb" strokeWidth={2} dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          ) : (
+            <div className="p-8 text-center text-slate-400">{t('reports.noChart')}</div>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+            <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+              <Wallet className="w-5 h-5 text-slate-500" /> {t('reports.accounts')}
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-slate-500">
+                <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                  <tr>
+                    <th className="px-4 py-3">{t('common.account')}</th>
+                    <th className="px-4 py-3 text-right">{t('reports.opening')}</th>
+                    <th className="px-4 py-3 text-right">{t('reports.closing')}</th>
+                    <th className="px-4 py-3 text-right">{t('reports.change')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {statement.accounts.map(row => (
+                    <tr key={row.account.id} className="bg-white border-b">
+                      <td className="px-4 py-3 font-medium text-slate-800">
+                        <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: row.account.color }} />
+                        {row.account.name}
+                      </td>
+                      <td className="px-4 py-3 text-right">{formatValue(row.opening)}</td>
+                      <td className="px-4 py-3 text-right">{formatValue(row.closing)}</td>
+                      <td className={`px-4 py-3 text-right ${growthColor(row.change)}`}>{formatValue(row.change)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {statement.accounts.length === 0 && <div className="p-8 text-center text-slate-400">{t('reports.noAssets')}</div>}
+            </div>
+          </div>
+
+          <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+            <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+              <Users className="w-5 h-5 text-slate-500" /> {t('reports.members')}
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-slate-500">
+                <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                  <tr>
+                    <th className="px-4 py-3">{t('common.member')}</th>
+                    <th className="px-4 py-3 text-right">{t('reports.deposits')}</th>
+                    <th className="px-4 py-3 text-right">{t('reports.withdrawals')}</th>
+                    <th className="px-4 py-3 text-right">{t('reports.transfers')}</th>
+                    <th className="px-4 py-3 text-right">{t('reports.net')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {memberRows.map(([id, row]) => (
+                    <tr key={id} className="bg-white border-b">
+                      <td className="px-4 py-3">{renderMemberBadge(findMember(members, id))}</td>
+                      <td className="px-4 py-3 text-right">{formatValue(row.deposits)}</td>
+                      <td className="px-4 py-3 text-right">{formatValue(row.withdrawals)}</td>
+                      <td className="px-4 py-3 text-right">{formatValue(row.transfersIn)} / {formatValue(row.transfersOut)}</td>
+                      <td className="px-4 py-3 text-right font-medium text-slate-800">{formatValue(row.net)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {memberRows.length === 0 && <div className="p-8 text-center text-slate-400">{t('reports.noFlows')}</div>}
+            </div>
           </div>
-          <button 
-            onClick={handleAddContribution}
-            className="w-full text-white bg-indigo-600 hover:bg-indigo-700 focus:ring-4 focus:ring-indigo-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center flex items-center justify-center gap-2"
-          >
-            <Save size={16} /> 儲存記錄
-          </button>
         </div>
-      </div>
 
-      <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
-        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
-          <History className="w-5 h-5 text-slate-500" /> 投入明細
-        </h3>
-        <div className="overflow-x-auto">
-          <table className="w-full text-sm text-left text-slate-500">
-            <thead className="text-xs text-slate-700 uppercase bg-slate-50">
-              <tr>
-                <th className="px-6 py-3">日期</th>
-                <th className="px-6 py-3">投入者</th>
-                <th className="px-6 py-3">金額</th>
-                <th className="px-6 py-3">操作</th>
-              </tr>
-            </thead>
-            <tbody>
-              {contributions.sort((a,b) => new Date(b.date).getTime() - new Date(a.date).getTime()).map((record) => (
-                <tr key={record.id} className="bg-white border-b hover:bg-slate-50">
-                  <td className="px-6 py-4">{record.date}</td>
-                  <td className="px-6 py-4">
-                    <span className={`px-2 py-1 rounded text-xs ${record.person === 'A_Hui' ? 'bg-pink-100 text-pink-800' : 'bg-blue-100 text-blue-800'}`}>
-                      {record.person === 'A_Hui' ? '阿慧' : '阿儒'}
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 font-bold">{formatCurrency(record.amount)}</td>
-                  <td className="px-6 py-4">
-                    <button onClick={() => handleDeleteContribution(record.id)} className="text-red-500 hover:text-red-700">
-                      <Trash2 size={16} />
-                    </button>
-                  </td>
+        <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <Calculator className="w-5 h-5 text-slate-500" /> {t('reports.months')}
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left text-slate-500">
+              <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                <tr>
+                  <th className="px-4 py-3">{t('reports.month')}</th>
+                  <th className="px-4 py-3 text-right">{t('reports.opening')}</th>
+                  <th className="px-4 py-3 text-right">{t('reports.closing')}</th>
+                  <th className="px-4 py-3 text-right">{t('reports.netFlow')}</th>
+                  <th className="px-4 py-3 text-right">{t('reports.gain')}</th>
+                  <th className="px-4 py-3 text-right">{t('reports.return')}</th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
-          {contributions.length === 0 && <div className="p-8 text-center text-slate-400">目前沒有投入記錄</div>}
+              </thead>
+              <tbody>
+                {statement.months.map(row => (
+                  <tr key={row.month} className="bg-white border-b">
+                    <td className="px-4 py-3 font-medium text-slate-800">{formatMonthName(row.month, locale)}</td>
+                    <td className="px-4 py-3 text-right">{formatValue(row.opening)}</td>
+                    <td className="px-4 py-3 text-right">{formatValue(row.closing)}</td>
+                    <td className="px-4 py-3 text-right">{formatValue(row.netFlow)}</td>
+                    <td className={`px-4 py-3 text-right ${growthColor(row.gain)}`}>{formatValue(row.gain)}</td>
+                    <td className={`px-4 py-3 text-right ${growthColor(row.twr)}`}>{formatPercent(row.twr)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {statement.months.length === 0 && <div className="p-8 text-center text-slate-400">{t('reports.noAssets')}</div>}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderBackup = () => (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 animate-in fade-in duration-500">
+      <div className="lg:col-span-1 space-y-8">
+        <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <Download className="w-5 h-5 text-blue-600" /> {t('backup.exportTitle')}
+          </h3>
+          <p className="text-sm text-slate-500 mb-4">
+            {t('backup.exportHint', { assets: assets.length, contributions: contributions.length, transactions: transactions.length, rates: fxRates.length, dividends: dividends.length })}
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={handleExportJson}
+              className="flex-1 text-white bg-blue-600 hover:bg-blue-700 focus:ring-4 focus:ring-blue-300 font-medium rounded-lg text-sm px-4 py-2.5 flex items-center justify-center gap-2"
+            >
+              <Download size={16} /> JSON
+            </button>
+            <button
+              onClick={handleExportCsv}
+              className="flex-1 text-slate-700 bg-slate-200 hover:bg-slate-300 focus:ring-4 focus:ring-slate-100 font-medium rounded-lg text-sm px-4 py-2.5 flex items-center justify-center gap-2"
+            >
+              <Download size={16} /> CSV
+            </button>
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <Upload className="w-5 h-5 text-indigo-600" /> {t('backup.importTitle')}
+          </h3>
+          <label className="block mb-2 text-sm font-medium text-slate-700">{t('backup.chooseFile')}</label>
+          <input
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+            onChange={handleImportFile}
+          />
+          {importError && <div className="mt-3 text-sm text-red-600">{importError}</div>}
+        </div>
+
+        <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <Cloud className="w-5 h-5 text-sky-600" /> {t('sync.title')}
+          </h3>
+          {!syncSettings.url ? (
+            <div className="space-y-3">
+              <p className="text-sm text-slate-500">
+                {t('sync.hint')} <code className="text-xs">npm run sync-server</code>
+              </p>
+              <input
+                type="url"
+                placeholder="http://localhost:8787"
+                value={syncForm.url}
+                onChange={(e) => setSyncForm({ ...syncForm, url: e.target.value })}
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+              />
+              <input
+                type="password"
+                placeholder={t('sync.tokenPlaceholder')}
+                value={syncForm.token}
+                onChange={(e) => setSyncForm({ ...syncForm, token: e.target.value })}
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+              />
+              <button
+                onClick={handleEnableSync}
+                className="w-full text-white bg-sky-600 hover:bg-sky-700 focus:ring-4 focus:ring-sky-300 font-medium rounded-lg text-sm px-4 py-2.5"
+              >
+                {t('sync.enable')}
+              </button>
+            </div>
+          ) : (
+            <div className="space-y-3 text-sm text-slate-600">
+              <div className="break-all">{t('sync.server', { url: syncSettings.url })}</div>
+              <div>{t('sync.lastSync', { time: syncSettings.lastSyncAt ? formatDateTime(syncSettings.lastSyncAt, locale) : t('sync.never') })}</div>
+              <div>{t('sync.pending', { count: outbox.length })}{conflicts.length > 0 && <span className="text-orange-600">{t('sync.unresolved', { count: conflicts.length })}</span>}</div>
+              {syncStatus.message && (
+                <div className={syncStatus.state === 'error' ? 'text-red-600' : 'text-slate-500'}>{syncStatus.message}</div>
+              )}
+              <div className="text-xs text-slate-400">{t('sync.device', { id: syncSettings.deviceId.slice(0, 8) })}</div>
+              <div className="flex gap-2">
+                <button
+                  onClick={handleSync}
+                  disabled={syncStatus.state === 'syncing'}
+                  className="flex-1 text-white bg-sky-600 hover:bg-sky-700 focus:ring-4 focus:ring-sky-300 font-medium rounded-lg text-sm px-4 py-2.5 flex items-center justify-center gap-2 disabled:opacity-50"
+                >
+                  <RefreshCw size={16} className={syncStatus.state === 'syncing' ? 'animate-spin' : ''} /> {t('sync.now')}
+                </button>
+                <button
+                  onClick={handleDisableSync}
+                  className="text-slate-700 bg-slate-200 hover:bg-slate-300 focus:ring-4 focus:ring-slate-100 font-medium rounded-lg text-sm px-4 py-2.5"
+                >
+                  {t('sync.disable')}
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       </div>
+
+      <div className="lg:col-span-2 space-y-8">
+        {conflicts.length > 0 && (
+          <div className="bg-white p-6 rounded-2xl shadow-sm border border-orange-200">
+            <h3 className="text-lg font-bold text-slate-800 mb-2 flex items-center gap-2">
+              <AlertTriangle className="w-5 h-5 text-orange-500" /> {t('sync.conflicts', { count: conflicts.length })}
+            </h3>
+            <p className="text-sm text-slate-500 mb-4">
+              {t('sync.conflictsHint')}
+            </p>
+            <div className="space-y-3">
+              {conflicts.map(conflict => (
+                <div key={conflict.id} className="p-3 rounded-lg bg-orange-50 text-sm space-y-2">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {['local', 'remote'].map(side => {
+                      const record = conflict[side];
+                      return (
+                        <div key={side} className={`p-2 rounded-lg bg-white border ${conflict.winner === side ? 'border-blue-300' : 'border-slate-200'}`}>
+                          <div className="text-xs text-slate-500 mb-1">
+                            {side === 'local' ? t('sync.local') : t('sync.remote', { name: findMember(members, conflict.remoteActor).name })} · {formatDateTime(conflict[side === 'local' ? 'localAt' : 'remoteAt'], locale)}
+                            {conflict.winner === side && <span className="ml-1 text-blue-600">{t('sync.winner')}</span>}
+                          </div>
+                          <div className="font-medium text-slate-800">{record ? summariseRecord(conflict.ledger, record) : t('sync.deleted')}</div>
+                          <button
+                            onClick={() => handleResolveConflict(conflict, side)}
+                            className="mt-2 text-xs text-blue-600 hover:text-blue-800 font-medium"
+                          >
+                            {t('sync.keep')}
+                          </button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  {conflict.local && conflict.remote && (
+                    <div className="text-xs text-orange-900">{describeChanges(conflict.local, conflict.remote, t)}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+          <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+            <History className="w-5 h-5 text-slate-500" /> {t('backup.preview')}
+          </h3>
+          {!importPreview ? (
+            <div className="p-8 text-center text-slate-400">{t('backup.noFile')}</div>
+          ) : (
+            <div className="space-y-4">
+              <div className="text-sm text-slate-600">
+                {t('backup.previewSummary', {
+                  fileName: importPreview.fileName,
+                  assets: importPreview.assets.length,
+                  contributions: importPreview.contributions.length,
+                  transactions: importPreview.transactions.length,
+                  rates: importPreview.fxRates.length,
+                })}
+                {importPreview.issues.length > 0 && t('backup.skipped', { count: importPreview.issues.length })}
+                {importPreview.goals.length + importPreview.benchmarks.length + importPreview.dividends.length > 0 && (
+                  <div className="mt-1">
+                    {t('backup.previewExtras', {
+                      goals: importPreview.goals.length,
+                      benchmarks: importPreview.benchmarks.length,
+                      dividends: importPreview.dividends.length,
+                    })}
+                  </div>
+                )}
+              </div>
+
+              {importPreview.issues.length > 0 && (
+                <div className="bg-orange-50 border border-orange-100 rounded-xl p-3 max-h-64 overflow-y-auto">
+                  <div className="text-sm font-medium text-orange-800 mb-2 flex items-center gap-2">
+                    <AlertTriangle size={16} /> {t('backup.issues')}
+                  </div>
+                  <ul className="text-xs text-orange-900 space-y-1">
+                    {importPreview.issues.map((issue, i) => (
+                      <li key={i}>
+                        {t(issue.ledger === '-' ? 'ledger.unknown' : `ledger.${issue.ledger}`)} {t('backup.issueRow', { row: issue.row })}{issue.messages.join(t('common.listSeparator'))}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="overflow-x-auto max-h-80 overflow-y-auto">
+                <table className="w-full text-sm text-left text-slate-500">
+                  <thead className="text-xs text-slate-700 uppercase bg-slate-50">
+                    <tr>
+                      <th className="px-4 py-2">{t('backup.ledger')}</th>
+                      <th className="px-4 py-2">{t('common.date')}</th>
+                      <th className="px-4 py-2">{t('backup.typeOrPerson')}</th>
+                      <th className="px-4 py-2">{t('contributions.amount')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importPreview.assets.map((a, i) => (
+                      <tr key={`a-${i}`} className="bg-white border-b">
+                        <td className="px-4 py-2">{t('ledger.asset')}</td>
+                        <td className="px-4 py-2">{formatDate(a.date, locale)}</td>
+                        <td className="px-4 py-2">{findAccount([...importPreview.accounts, ...accounts], a.type).name}</td>
+                        <td className="px-4 py-2">{a.amount.toLocaleString(locale)}</td>
+                      </tr>
+                    ))}
+                    {importPreview.contributions.map((c, i) => (
+                      <tr key={`c-${i}`} className="bg-white border-b">
+                        <td className="px-4 py-2">{t('ledger.contribution')}</td>
+                        <td className="px-4 py-2">{formatDate(c.date, locale)}</td>
+                        <td className="px-4 py-2">{findMember([...importPreview.members, ...members], c.person).name}</td>
+                        <td className="px-4 py-2">{formatMoney(c.amount, flowCurrency(c), locale)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  onClick={() => handleApplyImport('merge')}
+                  className="flex-1 text-white bg-indigo-600 hover:bg-indigo-700 focus:ring-4 focus:ring-indigo-300 font-medium rounded-lg text-sm px-4 py-2.5"
+                >
+                  {t('backup.merge')}
+                </button>
+                <button
+                  onClick={() => handleApplyImport('replace')}
+                  className="flex-1 text-white bg-red-500 hover:bg-red-600 focus:ring-4 focus:ring-red-300 font-medium rounded-lg text-sm px-4 py-2.5"
+                >
+                  {t('backup.replace')}
+                </button>
+                <button
+                  onClick={() => setImportPreview(null)}
+                  className="text-slate-700 bg-slate-200 hover:bg-slate-300 focus:ring-4 focus:ring-slate-100 font-medium rounded-lg text-sm px-4 py-2.5 flex items-center justify-center"
+                >
+                  <X size={16} /> {t('common.cancel')}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+  </div>
     </div>
   );
 
@@ -749,9 +4926,72 @@ export default function InvestmentTracker() {
                 <Wallet size={20} />
               </div>
               <h1 className="text-xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-indigo-600">
-                阿儒 & 阿慧 投資筆記本
+                {t('app.title', { names: activeMembers.map(m => m.name).join(' & ') })}
               </h1>
             </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={handleUndo}
+                disabled={undoStack.length === 0}
+                className="p-2 rounded-lg text-slate-600 hover:bg-slate-100 disabled:opacity-30 disabled:hover:bg-transparent"
+                title={undoStack.length > 0 ? t('app.undoLabel', { label: undoStack[undoStack.length - 1].label }) : t('app.undo')}
+              >
+                <Undo2 size={18} />
+              </button>
+              <button
+                onClick={handleRedo}
+                disabled={redoStack.length === 0}
+                className="p-2 rounded-lg text-slate-600 hover:bg-slate-100 disabled:opacity-30 disabled:hover:bg-transparent"
+                title={redoStack.length > 0 ? t('app.redoLabel', { label: redoStack[redoStack.length - 1].label }) : t('app.redo')}
+              >
+                <Redo2 size={18} />
+              </button>
+              {encrypted && (
+                <button
+                  onClick={lockAndReload}
+                  className="p-2 rounded-lg text-slate-600 hover:bg-slate-100"
+                  title={t('lock.lockNow')}
+                >
+                  <Lock size={18} />
+                </button>
+              )}
+              <div className="flex items-center gap-1 text-sm text-slate-600 ml-2">
+                <UserCircle size={18} />
+                <select
+                  value={currentUser}
+                  onChange={(e) => handleChangeUser(e.target.value)}
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg p-1.5"
+                  title={t('app.currentUser')}
+                >
+                  {activeMembers.map(m => (
+                    <option key={m.id} value={m.id}>{m.name}</option>
+                  ))}
+                </select>
+              </div>
+              <select
+                value={reportCurrency}
+                onChange={(e) => handleChangeReportCurrency(e.target.value)}
+                className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg p-1.5"
+                title={t('app.reportCurrency')}
+              >
+                {REPORTING_CURRENCIES.map(c => (
+                  <option key={c} value={c}>{c}</option>
+                ))}
+              </select>
+              <div className="flex items-center gap-1 text-sm text-slate-600">
+                <Languages size={18} />
+                <select
+                  value={locale}
+                  onChange={(e) => handleChangeLocale(e.target.value)}
+                  className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg p-1.5"
+                  title={t('app.language')}
+                >
+                  {Object.entries(LOCALES).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
           </div>
         </div>
       </header>
@@ -765,7 +5005,7 @@ export default function InvestmentTracker() {
               activeTab === 'dashboard' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-600 hover:text-slate-900'
             }`}
           >
-            <TrendingUp size={16} /> 總覽儀表板
+            <TrendingUp size={16} /> {t('tabs.dashboard')}
           </button>
           <button
             onClick={() => setActiveTab('assets')}
@@ -773,7 +5013,7 @@ export default function InvestmentTracker() {
               activeTab === 'assets' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-600 hover:text-slate-900'
             }`}
           >
-            <DollarSign size={16} /> 資產記錄
+            <DollarSign size={16} /> {t('tabs.assets')}
           </button>
           <button
             onClick={() => setActiveTab('contributions')}
@@ -781,14 +5021,85 @@ export default function InvestmentTracker() {
               activeTab === 'contributions' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-600 hover:text-slate-900'
             }`}
           >
-            <Users size={16} /> 投入資金
+            <Users size={16} /> {t('tabs.contributions')}
+          </button>
+          <button
+            onClick={() => setActiveTab('dividends')}
+            className={`flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-lg transition-all whitespace-nowrap ${
+              activeTab === 'dividends' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-600 hover:text-slate-900'
+            }`}
+          >
+            <Coins size={16} /> {t('tabs.dividends')}
+          </button>
+          <button
+            onClick={() => setActiveTab('fx')}
+            className={`flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-lg transition-all whitespace-nowrap ${
+              activeTab === 'fx' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-600 hover:text-slate-900'
+            }`}
+          >
+            <ArrowLeftRight size={16} /> {t('tabs.fx')}
+          </button>
+          <button
+            onClick={() => setActiveTab('reports')}
+            className={`flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-lg transition-all whitespace-nowrap ${
+              activeTab === 'reports' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-600 hover:text-slate-900'
+            }`}
+          >
+            <FileText size={16} /> {t('tabs.reports')}
+          </button>
+          <button
+            onClick={() => setActiveTab('history')}
+            className={`flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-lg transition-all whitespace-nowrap ${
+              activeTab === 'history' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-600 hover:text-slate-900'
+            }`}
+          >
+            <Clock size={16} /> {t('tabs.history')}
+          </button>
+          <button
+            onClick={() => setActiveTab('health')}
+            className={`flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-lg transition-all whitespace-nowrap ${
+              activeTab === 'health' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-600 hover:text-slate-900'
+            }`}
+          >
+            <ShieldCheck size={16} /> {t('tabs.health')}
+            {healthIssues.length > 0 && (
+              <span className="ml-1 px-1.5 rounded-full bg-orange-500 text-white text-xs">{healthIssues.length}</span>
+            )}
+          </button>
+          <button
+            onClick={() => setActiveTab('backup')}
+            className={`flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-lg transition-all whitespace-nowrap ${
+              activeTab === 'backup' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-600 hover:text-slate-900'
+            }`}
+          >
+            <Database size={16} /> {t('tabs.backup')}
+            {conflicts.length > 0 && (
+              <span className="ml-1 px-1.5 rounded-full bg-orange-500 text-white text-xs">{conflicts.length}</span>
+            )}
+          </button>
+          <button
+            onClick={() => setActiveTab('settings')}
+            className={`flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-lg transition-all whitespace-nowrap ${
+              activeTab === 'settings' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-600 hover:text-slate-900'
+            }`}
+          >
+            <Settings size={16} /> {t('tabs.settings')}
           </button>
         </div>
 
         {/* Content */}
         {activeTab === 'dashboard' && renderDashboard()}
+        {activeTab === 'dashboard' && renderPlanner()}
         {activeTab === 'assets' && renderAssets()}
+        {activeTab === 'assets' && renderHoldings()}
         {activeTab === 'contributions' && renderContributions()}
+        {activeTab === 'dividends' && renderDividends()}
+        {activeTab === 'fx' && renderFxRates()}
+        {activeTab === 'reports' && renderReports()}
+        {activeTab === 'history' && renderHistory()}
+        {activeTab === 'health' && renderHealth()}
+        {activeTab === 'backup' && renderBackup()}
+        {activeTab === 'settings' && renderSettings()}
       </div>
     </div>
   );
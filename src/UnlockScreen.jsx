@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import { Lock } from 'lucide-react';
+import App from './App.jsx';
+import { getStoredData, unlockStorage } from './lib/storage';
+import { createTranslator, detectLocale } from './lib/i18n';
+
+// 資料已加密時先顯示解鎖畫面，解鎖 (解密所有記錄) 後才渲染主畫面
+export default function UnlockScreen() {
+  const t = createTranslator(getStoredData().meta.locale || detectLocale());
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [unlocked, setUnlocked] = useState(false);
+
+  if (unlocked) return <App />;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await unlockStorage(passphrase);
+      setUnlocked(true);
+    } catch (err) {
+      setError(err.code === 'badPassphrase' ? t('lock.wrongPassphrase') : err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white p-8 rounded-2xl shadow-sm border border-slate-100 space-y-4"
+      >
+        <h1 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+          <Lock className="w-5 h-5 text-blue-600" /> {t('lock.unlockTitle')}
+        </h1>
+        <p className="text-sm text-slate-500">{t('lock.unlockHint')}</p>
+        <input
+          type="password"
+          autoFocus
+          autoComplete="current-password"
+          className="bg-slate-50 border border-slate-300 text-slate-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+          placeholder={t('lock.passphrase')}
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+        />
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        <button
+          type="submit"
+          disabled={busy || !passphrase}
+          className="w-full text-white bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 font-medium rounded-lg text-sm px-5 py-2.5"
+        >
+          {busy ? t('lock.unlocking') : t('lock.unlock')}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+// --- 帳戶 / 幣別 ---
+
+export const BASE_CURRENCY = 'TWD';
+
+export const ACCOUNT_CLASSES = ['stock', 'cash', 'other', 'liability'];
+
+// 舊版固定的四個類別，id 沿用原本記錄上的 type，既有資料不需轉換
+export const DEFAULT_ACCOUNTS = [
+  { id: 'tw_stock', name: '台股', currency: 'TWD', color: '#8884d8', class: 'stock', archived: false },
+  { id: 'us_stock', name: '美股', currency: 'USD', color: '#82ca9d', class: 'stock', archived: false },
+  { id: 'tw_cash', name: '台幣現金', currency: 'TWD', color: '#ffc658', class: 'cash', archived: false },
+  { id: 'us_cash', name: '美元現金', currency: 'USD', color: '#ff8042', class: 'cash', archived: false },
+];
+
+// 新增記錄時的預設匯率 (對台幣)
+export const DEFAULT_RATES = {
+  TWD: 1,
+  USD: 32.5,
+  JPY: 0.21,
+  EUR: 35,
+  CNY: 4.5,
+  HKD: 4.2,
+};
+
+export const COMMON_CURRENCIES = ['TWD', 'USD', 'JPY', 'EUR', 'CNY', 'HKD', 'BTC', 'ETH', 'USDT'];
+
+const FALLBACK_COLOR = '#94a3b8';
+
+// 確保每筆資產記錄的 type 都有對應帳戶，找不到的以 type 為名稱補上 (幣別視為台幣)
+export const ensureAccounts = (accounts, assets) => {
+  const known = new Set(accounts.map(a => a.id));
+  const missing = Array.from(new Set(assets.map(a => a.type)))
+    .filter(type => type && !known.has(type))
+    .map(type => {
+      const preset = DEFAULT_ACCOUNTS.find(a => a.id === type);
+      return preset
+        ? { ...preset }
+        : { id: type, name: type, currency: BASE_CURRENCY, color: FALLBACK_COLOR, class: 'other', archived: false };
+    });
+  return missing.length > 0 ? [...accounts, ...missing] : accounts;
+};
+
+export const findAccount = (accounts, id) =>
+  accounts.find(a => a.id === id) ||
+  { id, name: id, currency: BASE_CURRENCY, color: FALLBACK_COLOR, class: 'other', archived: true };
+
+export const isForeign = (account) => account.currency !== BASE_CURRENCY;
+
+// 負債帳戶 (房貸、車貸、信用卡)：快照記錄未償餘額，不計入總資產
+export const isLiability = (account) => account.class === 'liability';
+
+// 表單金額可否儲存：空白或非數字不行，0 是合法的餘額 (例如已還清的貸款、清空的現金帳戶)
+export const isAmountInput = (value) =>
+  value !== null && value !== undefined && String(value).trim() !== '' && Number.isFinite(Number(value));
+
+// 以帳戶幣別格式化原幣金額；非 ISO 幣別 (如加密貨幣) 改用數字加代碼
+export const formatMoney = (amount, currency, locale = 'zh-TW') => {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: 2 }).format(amount);
+  } catch {
+    return `${amount.toLocaleString(locale, { maximumFractionDigits: 8 })} ${currency}`;
+  }
+};
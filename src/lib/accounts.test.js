@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { BASE_CURRENCY, DEFAULT_ACCOUNTS, ensureAccounts, findAccount, isForeign, isLiability, isAmountInput, formatMoney } from './accounts';
+
+describe('ensureAccounts', () => {
+  it('keeps the legacy asset types as preset accounts', () => {
+    const result = ensureAccounts([], [{ type: 'us_stock' }, { type: 'tw_cash' }]);
+    expect(result).toEqual([DEFAULT_ACCOUNTS[1], DEFAULT_ACCOUNTS[2]]);
+  });
+
+  it('adds unknown types as base-currency accounts', () => {
+    const [account] = ensureAccounts([], [{ type: 'gold' }]);
+    expect(account).toMatchObject({ id: 'gold', name: 'gold', currency: BASE_CURRENCY, class: 'other', archived: false });
+  });
+
+  it('returns the same list when nothing is missing', () => {
+    expect(ensureAccounts(DEFAULT_ACCOUNTS, [{ type: 'tw_stock' }])).toBe(DEFAULT_ACCOUNTS);
+  });
+});
+
+describe('findAccount', () => {
+  it('falls back to an archived placeholder for unknown ids', () => {
+    expect(findAccount(DEFAULT_ACCOUNTS, 'us_cash').currency).toBe('USD');
+    expect(findAccount([], 'gone')).toMatchObject({ id: 'gone', currency: BASE_CURRENCY, archived: true });
+  });
+});
+
+describe('isForeign', () => {
+  it('compares the account currency with the base currency', () => {
+    expect(isForeign({ currency: 'USD' })).toBe(true);
+    expect(isForeign({ currency: BASE_CURRENCY })).toBe(false);
+  });
+});
+
+describe('isLiability', () => {
+  it('only matches liability accounts', () => {
+    expect(isLiability({ class: 'liability' })).toBe(true);
+    expect(isLiability({ class: 'cash' })).toBe(false);
+  });
+});
+
+describe('isAmountInput', () => {
+  it('accepts a zero balance, such as a paid-off loan', () => {
+    expect(isAmountInput(0)).toBe(true);
+    expect(isAmountInput('0')).toBe(true);
+    expect(isAmountInput('-12.5')).toBe(true);
+  });
+
+  it('rejects empty and non-numeric input', () => {
+    ['', '  ', 'abc', null, undefined, NaN, Infinity].forEach(value => expect(isAmountInput(value)).toBe(false));
+  });
+});
+
+describe('formatMoney', () => {
+  it('formats ISO currencies and falls back to a code suffix for others', () => {
+    expect(formatMoney(1234.5, 'USD')).toContain('1,234.5');
+    expect(formatMoney(0.12345678, 'USDT')).toContain('USDT');
+    expect(formatMoney(0.12345678, 'USDT')).toContain('0.12345678');
+  });
+});
@@ -0,0 +1,69 @@
+// --- 目標配置與再平衡 ---
+// 帳戶上的 target 為目標比例 (%)，band 為容許偏離的百分點；未設定 target 的帳戶視為 0%。
+
+export const DEFAULT_BAND = 5;
+
+export const hasTargets = (accounts) => accounts.some(a => Number(a.target) > 0);
+
+/**
+ * 比較實際與目標配置。
+ * - drift：實際比例 - 目標比例 (百分點)，超出 band 時 outOfBand 為 true
+ * - trade：回到目標需要買進 (正) 或賣出 (負) 的台幣金額；tradeLocal 為換算成帳戶幣別的金額
+ * rateOf(account) 回傳帳戶幣別對台幣的匯率。
+ */
+export const calculateAllocation = (accounts, valuesTwd, rateOf) => {
+  const total = accounts.reduce((sum, a) => sum + (valuesTwd[a.id] || 0), 0);
+  // 尚未設定任何目標時不標示偏離
+  const targeted = hasTargets(accounts);
+  const rows = accounts
+    .filter(a => (valuesTwd[a.id] || 0) > 0 || Number(a.target) > 0)
+    .map(account => {
+      const value = valuesTwd[account.id] || 0;
+      const target = Number(account.target) || 0;
+      const band = account.band ?? DEFAULT_BAND;
+      const weight = total > 0 ? value / total * 100 : 0;
+      const drift = weight - target;
+      const trade = total * target / 100 - value;
+      const rate = rateOf(account);
+      return {
+        account,
+        value,
+        weight,
+        target,
+        band,
+        drift,
+        outOfBand: targeted && Math.abs(drift) > band,
+        trade,
+        rate,
+        tradeLocal: trade / rate,
+      };
+    });
+
+  return {
+    rows,
+    total,
+    targetSum: rows.reduce((sum, r) => sum + r.target, 0),
+    outOfBand: rows.filter(r => r.outOfBand).length,
+  };
+};
+
+/**
+ * 只靠新投入 (不賣出) 往目標靠攏：先補足投入後各帳戶離目標的缺口，
+ * 缺口總額大於投入時依缺口比例分配，有剩餘時依目標比例分配。
+ * 回傳 { [accountId]: 台幣金額 }
+ */
+export const directContribution = (allocation, amount) => {
+  const { rows, total } = allocation;
+  const nextTotal = total + amount;
+  const gaps = rows.map(r => Math.max(0, nextTotal * r.target / 100 - r.value));
+  const gapSum = gaps.reduce((a, b) => a + b, 0);
+  const targetSum = rows.reduce((sum, r) => sum + r.target, 0);
+  const leftover = Math.max(0, amount - gapSum);
+
+  return Object.fromEntries(rows.map((r, i) => {
+    const share = gapSum > amount
+      ? amount * gaps[i] / gapSum
+      : gaps[i] + (targetSum > 0 ? leftover * r.target / targetSum : 0);
+    return [r.account.id, share];
+  }));
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_BAND, hasTargets, calculateAllocation, directContribution } from './allocation';
+
+const accounts = [
+  { id: 'tw_stock', currency: 'TWD', target: 50, band: 3 },
+  { id: 'us_stock', currency: 'USD', target: 30 },
+  { id: 'tw_cash', currency: 'TWD', target: 20 },
+  { id: 'gold', currency: 'TWD' },
+];
+const rateOf = (account) => (account.currency === 'USD' ? 32 : 1);
+
+describe('hasTargets', () => {
+  it('needs at least one positive target', () => {
+    expect(hasTargets(accounts)).toBe(true);
+    expect(hasTargets([{ id: 'a' }, { id: 'b', target: 0 }])).toBe(false);
+  });
+});
+
+describe('calculateAllocation', () => {
+  const allocation = calculateAllocation(accounts, { tw_stock: 600, us_stock: 320, tw_cash: 80 }, rateOf);
+
+  it('compares actual weights with the targets', () => {
+    expect(allocation.total).toBe(1000);
+    expect(allocation.targetSum).toBe(100);
+    expect(allocation.rows.map(r => r.account.id)).toEqual(['tw_stock', 'us_stock', 'tw_cash']);
+
+    const [twStock, usStock, twCash] = allocation.rows;
+    expect(twStock).toMatchObject({ weight: 60, drift: 10, band: 3, outOfBand: true, trade: -100 });
+    expect(usStock).toMatchObject({ band: DEFAULT_BAND, outOfBand: false, trade: -20, tradeLocal: -20 / 32 });
+    expect(usStock.drift).toBeCloseTo(2);
+    expect(twCash).toMatchObject({ drift: -12, outOfBand: true, trade: 120 });
+    expect(allocation.outOfBand).toBe(2);
+  });
+
+  it('balances buys and sells', () => {
+    expect(allocation.rows.reduce((sum, r) => sum + r.trade, 0)).toBeCloseTo(0);
+  });
+
+  it('does not flag drift before any target is set', () => {
+    const plain = calculateAllocation([{ id: 'a' }, { id: 'b' }], { a: 90, b: 10 }, () => 1);
+    expect(plain.outOfBand).toBe(0);
+  });
+});
+
+describe('directContribution', () => {
+  const allocation = calculateAllocation(accounts, { tw_stock: 600, us_stock: 320, tw_cash: 80 }, rateOf);
+
+  it('splits a small deposit by the gaps to the new targets', () => {
+    const split = directContribution(allocation, 100);
+    // 投入後總額 1100：台幣現金缺 140、美股缺 10，依缺口比例分配 100
+    expect(split.tw_stock).toBe(0);
+    expect(split.tw_cash).toBeCloseTo(100 * 140 / 150);
+    expect(split.us_stock).toBeCloseTo(100 * 10 / 150);
+  });
+
+  it('fills every gap and spreads the rest by target', () => {
+    const split = directContribution(allocation, 1000);
+    const total = 2000;
+    expect(600 + split.tw_stock).toBeCloseTo(total * 0.5);
+    expect(320 + split.us_stock).toBeCloseTo(total * 0.3);
+    expect(80 + split.tw_cash).toBeCloseTo(total * 0.2);
+  });
+});
@@ -0,0 +1,472 @@
+// --- 備份 / 還原 (JSON 與 CSV) ---
+
+import { DEFAULT_LOCALE, createTranslator } from './i18n';
+import { ACCOUNT_CLASSES, isLiability } from './accounts';
+import { FLOW_KINDS } from './flows';
+import { TRANSACTION_KINDS } from './holdings';
+
+export const BACKUP_APP = 'investment-notebook';
+export const BACKUP_VERSION = 7;
+
+const CSV_COLUMNS = [
+  'ledger', 'id', 'date', 'type', 'person', 'amount', 'exchangeRate', 'note',
+  'accountId', 'kind', 'ticker', 'shares', 'price', 'fee', 'ratio', 'positions', 'currency', 'rate', 'toPerson',
+  'source', 'gross', 'withholding',
+];
+
+const LEDGERS = ['asset', 'contribution', 'transaction', 'fx', 'dividend'];
+
+const defaultTranslator = createTranslator(DEFAULT_LOCALE);
+
+// 建立版本化的 JSON 備份
+// v2：加入 members (v1 備份沒有成員清單，匯入時由投入記錄推導)
+// v3：加入 accounts (較舊的備份由資產記錄的 type 推導)
+// v4：加入 transactions，資產記錄可帶 positions
+// v5：加入 fxRates (匯率歷史)
+// v6：投入記錄改為資金進出，可帶 kind / currency / exchangeRate / accountId / toPerson
+// v7：加入 goals (目標)、benchmarks (基準指數與價格)、dividends (股利記錄)
+export const buildBackup = ({ assets, contributions, members, accounts, transactions, fxRates, goals = [], benchmarks = [], dividends = [] }) => ({
+  app: BACKUP_APP,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  members,
+  accounts,
+  assets,
+  contributions,
+  transactions,
+  fxRates,
+  goals,
+  benchmarks,
+  dividends,
+});
+
+// --- CSV ---
+
+const escapeCsv = (val) => {
+  if (val === null || val === undefined) return '';
+  const str = String(val);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// 各帳本合併成一個 CSV，以 ledger 欄位區分 (asset / contribution / transaction / fx / dividend)
+// 持股快照的 positions 以 JSON 字串存放；目標與基準指數不是帳本，只存在 JSON 備份中
+export const buildCsv = ({ assets, contributions, transactions = [], fxRates = [], dividends = [] }) => {
+  const rows = [
+    ...assets.map(a => ({ ledger: 'asset', ...a, positions: a.positions ? JSON.stringify(a.positions) : '' })),
+    ...contributions.map(c => ({ ledger: 'contribution', ...c })),
+    ...transactions.map(t => ({ ledger: 'transaction', ...t })),
+    ...fxRates.map(r => ({ ledger: 'fx', ...r })),
+    ...dividends.map(d => ({ ledger: 'dividend', ...d })),
+  ];
+  const lines = [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(col => escapeCsv(row[col])).join(',')),
+  ];
+  // 加上 BOM 讓 Excel 正確辨識中文
+  return '\ufeff' + lines.join('\r\n');
+};
+
+// 解析 CSV 文字 (支援雙引號包覆與跳脫)，回傳二維陣列
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const src = text.replace(/^\ufeff/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// --- 驗證 ---
+
+const isValidDate = (val) => {
+  if (typeof val !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(val)) return false;
+  const d = new Date(`${val}T00:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().startsWith(val);
+};
+
+const toNumber = (val) => (val === '' || val === null || val === undefined ? NaN : Number(val));
+
+// 驗證訊息：顯示原始值，空值以「(空白)」表示
+const invalid = (t, key, value) => t(key, { value: value ?? t('validation.blank') });
+
+// 負債帳戶的餘額可以是負數 (例如信用卡溢繳)，其他帳戶不行
+const validateAsset = (raw, assetTypes, liabilityTypes, t) => {
+  const errors = [];
+  const amount = toNumber(raw.amount);
+  const exchangeRate = raw.exchangeRate === '' || raw.exchangeRate === undefined ? 1 : toNumber(raw.exchangeRate);
+
+  if (!isValidDate(raw.date)) errors.push(invalid(t, 'validation.badDate', raw.date));
+  if (!assetTypes.includes(raw.type)) errors.push(invalid(t, 'validation.unknownType', raw.type));
+  if (!isFinite(amount)) errors.push(invalid(t, 'validation.badAmount', raw.amount));
+  else if (amount < 0 && !liabilityTypes.includes(raw.type)) errors.push(invalid(t, 'validation.negativeAmount', raw.amount));
+  if (!isFinite(exchangeRate) || exchangeRate <= 0) errors.push(invalid(t, 'validation.badRate', raw.exchangeRate));
+
+  let positions = raw.positions;
+  if (typeof positions === 'string') {
+    try {
+      positions = positions ? JSON.parse(positions) : undefined;
+    } catch {
+      errors.push(t('validation.badPositions'));
+    }
+  }
+  if (positions !== undefined && !Array.isArray(positions)) {
+    errors.push(t('validation.badPositions'));
+    positions = undefined;
+  }
+
+  return {
+    errors,
+    record: {
+      id: raw.id ? String(raw.id) : null,
+      date: raw.date,
+      type: raw.type,
+      amount,
+      exchangeRate,
+      note: raw.note || '',
+      ...(Array.isArray(positions) && {
+        positions: positions.map(p => ({ ticker: String(p.ticker), shares: Number(p.shares), price: Number(p.price) })),
+      }),
+    },
+  };
+};
+
+const validateTransaction = (raw, accountIds, t) => {
+  const errors = [];
+  const record = {
+    id: raw.id ? String(raw.id) : null,
+    accountId: raw.accountId,
+    date: raw.date,
+    kind: raw.kind,
+    ticker: String(raw.ticker || '').trim().toUpperCase(),
+    shares: toNumber(raw.shares || 0),
+    price: toNumber(raw.price || 0),
+    fee: toNumber(raw.fee || 0),
+    amount: toNumber(raw.amount || 0),
+    ratio: toNumber(raw.ratio || 1),
+    note: raw.note || '',
+  };
+
+  if (!isValidDate(raw.date)) errors.push(invalid(t, 'validation.badDate', raw.date));
+  if (!accountIds.includes(raw.accountId)) errors.push(invalid(t, 'validation.unknownAccount', raw.accountId));
+  if (!TRANSACTION_KINDS.includes(raw.kind)) errors.push(invalid(t, 'validation.unknownTransactionKind', raw.kind));
+  if (!record.ticker) errors.push(t('validation.missingTicker'));
+  ['shares', 'price', 'fee', 'amount', 'ratio'].forEach(field => {
+    if (!isFinite(record[field]) || record[field] < 0) errors.push(t('validation.badField', { field, value: raw[field] }));
+  });
+
+  return { errors, record };
+};
+
+// v6 之前的投入記錄沒有 kind / currency，視為台幣投入
+const validateContribution = (raw, persons, accountIds, t) => {
+  const errors = [];
+  const amount = toNumber(raw.amount);
+  const kind = raw.kind || 'deposit';
+  const currency = String(raw.currency || 'TWD').trim().toUpperCase();
+  const exchangeRate = raw.exchangeRate === '' || raw.exchangeRate === undefined ? 1 : toNumber(raw.exchangeRate);
+
+  if (!isValidDate(raw.date)) errors.push(invalid(t, 'validation.badDate', raw.date));
+  if (!persons.includes(raw.person)) errors.push(invalid(t, 'validation.unknownMember', raw.person));
+  if (!isFinite(amount) || amount <= 0) errors.push(invalid(t, 'validation.badAmount', raw.amount));
+  if (!FLOW_KINDS.includes(kind)) errors.push(invalid(t, 'validation.unknownFlowKind', kind));
+  if (kind === 'transfer' && (!persons.includes(raw.toPerson) || raw.toPerson === raw.person)) {
+    errors.push(invalid(t, 'validation.badToPerson', raw.toPerson || null));
+  }
+  if (!/^[A-Z0-9]{2,6}$/.test(currency)) errors.push(invalid(t, 'validation.badCurrency', raw.currency));
+  if (!isFinite(exchangeRate) || exchangeRate <= 0) errors.push(invalid(t, 'validation.badRate', raw.exchangeRate));
+  if (raw.accountId && !accountIds.includes(raw.accountId)) errors.push(invalid(t, 'validation.unknownAccount', raw.accountId));
+
+  return {
+    errors,
+    record: {
+      id: raw.id ? String(raw.id) : null,
+      person: raw.person,
+      date: raw.date,
+      amount,
+      kind,
+      currency,
+      exchangeRate: currency === 'TWD' ? 1 : exchangeRate,
+      ...(kind === 'transfer' && { toPerson: raw.toPerson }),
+      ...(raw.accountId && { accountId: raw.accountId }),
+      ...(raw.note && { note: raw.note }),
+    },
+  };
+};
+
+const validateRate = (raw, t) => {
+  const errors = [];
+  const rate = toNumber(raw.rate);
+  const currency = String(raw.currency || '').trim().toUpperCase();
+
+  if (!isValidDate(raw.date)) errors.push(invalid(t, 'validation.badDate', raw.date));
+  if (!/^[A-Z0-9]{2,6}$/.test(currency)) errors.push(invalid(t, 'validation.badCurrency', raw.currency));
+  if (!isFinite(rate) || rate <= 0) errors.push(invalid(t, 'validation.badRate', raw.rate));
+
+  return { errors, record: { id: raw.id ? String(raw.id) : null, date: raw.date, currency, rate } };
+};
+
+const validateDividend = (raw, persons, accountIds, t) => {
+  const errors = [];
+  const gross = toNumber(raw.gross);
+  const withholding = raw.withholding === '' || raw.withholding === undefined ? 0 : toNumber(raw.withholding);
+  const currency = String(raw.currency || 'TWD').trim().toUpperCase();
+  const exchangeRate = raw.exchangeRate === '' || raw.exchangeRate === undefined ? 1 : toNumber(raw.exchangeRate);
+
+  if (!isValidDate(raw.date)) errors.push(invalid(t, 'validation.badDate', raw.date));
+  if (!accountIds.includes(raw.accountId)) errors.push(invalid(t, 'validation.unknownAccount', raw.accountId));
+  if (!persons.includes(raw.person)) errors.push(invalid(t, 'validation.unknownMember', raw.person));
+  if (!['domestic', 'foreign'].includes(raw.source)) errors.push(t('validation.badField', { field: 'source', value: raw.source ?? t('validation.blank') }));
+  if (!isFinite(gross) || gross <= 0) errors.push(invalid(t, 'validation.badAmount', raw.gross));
+  if (!isFinite(withholding) || withholding < 0 || withholding > gross) {
+    errors.push(t('validation.badField', { field: 'withholding', value: raw.withholding }));
+  }
+  if (!/^[A-Z0-9]{2,6}$/.test(currency)) errors.push(invalid(t, 'validation.badCurrency', raw.currency));
+  if (!isFinite(exchangeRate) || exchangeRate <= 0) errors.push(invalid(t, 'validation.badRate', raw.exchangeRate));
+
+  return {
+    errors,
+    record: {
+      id: raw.id ? String(raw.id) : null,
+      date: raw.date,
+      accountId: raw.accountId,
+      person: raw.person,
+      ticker: String(raw.ticker || '').trim().toUpperCase(),
+      source: raw.source,
+      gross,
+      withholding,
+      currency,
+      exchangeRate: currency === 'TWD' ? 1 : exchangeRate,
+      ...(raw.note && { note: raw.note }),
+    },
+  };
+};
+
+const validateGoal = (raw, t) => {
+  const errors = [];
+  const name = String(raw.name || '').trim();
+  const target = toNumber(raw.target);
+  const currency = String(raw.currency || 'TWD').trim().toUpperCase();
+
+  if (!name) errors.push(t('validation.badField', { field: 'name', value: t('validation.blank') }));
+  if (!isFinite(target) || target <= 0) errors.push(invalid(t, 'validation.badAmount', raw.target));
+  if (!isValidDate(raw.date)) errors.push(invalid(t, 'validation.badDate', raw.date));
+  if (!/^[A-Z0-9]{2,6}$/.test(currency)) errors.push(invalid(t, 'validation.badCurrency', raw.currency));
+
+  return { errors, record: { id: raw.id ? String(raw.id) : null, name, target, currency, date: raw.date } };
+};
+
+// 基準指數：無效的價格點直接略過，一筆有效價格都沒有時整個基準視為無效
+const validateBenchmark = (raw, t) => {
+  const errors = [];
+  const name = String(raw.name || '').trim();
+  const currency = String(raw.currency || 'TWD').trim().toUpperCase();
+  const prices = (Array.isArray(raw.prices) ? raw.prices : [])
+    .filter(p => p && isValidDate(p.date) && isFinite(toNumber(p.close)) && toNumber(p.close) > 0)
+    .map(p => ({ date: p.date, close: toNumber(p.close) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (!name) errors.push(t('validation.badField', { field: 'name', value: t('validation.blank') }));
+  if (!/^[A-Z0-9]{2,6}$/.test(currency)) errors.push(invalid(t, 'validation.badCurrency', raw.currency));
+  if (prices.length === 0) errors.push(t('validation.badField', { field: 'prices', value: t('validation.blank') }));
+
+  return {
+    errors,
+    record: {
+      id: raw.id ? String(raw.id) : null,
+      name,
+      currency,
+      color: /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color : '#f59e0b',
+      prices,
+    },
+  };
+};
+
+const readJsonRows = (text, t) => {
+  const data = JSON.parse(text);
+  if (data.app !== BACKUP_APP) throw new Error(t('validation.notBackup'));
+  if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+    throw new Error(t('validation.unsupportedVersion', { version: data.version }));
+  }
+  return {
+    members: Array.isArray(data.members) ? data.members : [],
+    accounts: Array.isArray(data.accounts) ? data.accounts : [],
+    assets: Array.isArray(data.assets) ? data.assets : [],
+    contributions: Array.isArray(data.contributions) ? data.contributions : [],
+    transactions: Array.isArray(data.transactions) ? data.transactions : [],
+    fxRates: Array.isArray(data.fxRates) ? data.fxRates : [],
+    goals: Array.isArray(data.goals) ? data.goals : [],
+    benchmarks: Array.isArray(data.benchmarks) ? data.benchmarks : [],
+    dividends: Array.isArray(data.dividends) ? data.dividends : [],
+  };
+};
+
+const validateMember = (raw) => ({
+  id: String(raw.id),
+  name: String(raw.name || raw.id),
+  color: /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color : '#64748b',
+  archived: Boolean(raw.archived),
+});
+
+// 選填的數值欄位：在範圍內才保留，否則視為未設定
+const optionalNumber = (val, min, max = Infinity) => {
+  const num = toNumber(val);
+  return isFinite(num) && num >= min && num <= max ? num : undefined;
+};
+
+// 選填欄位：目標配置 (target，%)、容許偏離 (band，百分點)，
+// 負債帳戶的原始貸款金額 (principal)、年利率 (interestRate，%)、每月還款 (monthlyPayment)
+const validateAccount = (raw) => {
+  const optional = {
+    target: optionalNumber(raw.target, 0, 100),
+    band: optionalNumber(raw.band, 0),
+    principal: optionalNumber(raw.principal, 0),
+    interestRate: optionalNumber(raw.interestRate, 0),
+    monthlyPayment: optionalNumber(raw.monthlyPayment, 0),
+  };
+  return {
+    id: String(raw.id),
+    name: String(raw.name || raw.id),
+    currency: /^[A-Z0-9]{2,6}$/.test(raw.currency) ? raw.currency : 'TWD',
+    color: /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color : '#94a3b8',
+    class: ACCOUNT_CLASSES.includes(raw.class) ? raw.class : 'other',
+    archived: Boolean(raw.archived),
+    ...Object.fromEntries(Object.entries(optional).filter(([, value]) => value !== undefined)),
+  };
+};
+
+const readCsvRows = (text, t) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header || !header.includes('ledger')) throw new Error(t('validation.missingLedger'));
+
+  const objects = rows.map((cells, r) => ({
+    ...Object.fromEntries(header.map((col, i) => [col.trim(), cells[i] ?? ''])),
+    __row: r + 2,
+  }));
+  return {
+    members: [],
+    accounts: [],
+    assets: objects.filter(o => o.ledger === 'asset'),
+    contributions: objects.filter(o => o.ledger === 'contribution'),
+    transactions: objects.filter(o => o.ledger === 'transaction'),
+    fxRates: objects.filter(o => o.ledger === 'fx'),
+    goals: [],
+    benchmarks: [],
+    dividends: objects.filter(o => o.ledger === 'dividend'),
+    unknown: objects
+      .filter(o => !LEDGERS.includes(o.ledger))
+      .map(o => ({ row: o.__row, ledger: o.ledger })),
+  };
+};
+
+/**
+ * 解析並驗證備份檔 (依副檔名判斷 JSON 或 CSV)。
+ * 回傳 { members, accounts, assets, contributions, transactions, fxRates, goals, benchmarks, dividends, issues }，
+ * issues 為 [{ ledger, row, messages }]；
+ * 只有通過驗證的記錄會放進 assets / contributions；訊息以 t 翻譯 (預設繁體中文)。
+ * liabilityTypes 為既有負債帳戶的 id，加上備份檔中的負債帳戶，只有這些帳戶的快照可以是負數。
+ */
+export const parseBackupFile = (fileName, text, { assetTypes, liabilityTypes = [], persons, t = defaultTranslator }) => {
+  const isCsv = fileName.toLowerCase().endsWith('.csv');
+  const data = isCsv ? readCsvRows(text, t) : readJsonRows(text, t);
+  const issues = (data.unknown || []).map(u => ({ ledger: '-', row: u.row, messages: [invalid(t, 'validation.unknownLedger', u.ledger)] }));
+  const members = data.members.filter(m => m && m.id).map(validateMember);
+  const knownPersons = [...persons, ...members.map(m => m.id)];
+  const accounts = data.accounts.filter(a => a && a.id).map(validateAccount);
+  const knownTypes = [...assetTypes, ...accounts.map(a => a.id)];
+  const knownLiabilities = [...liabilityTypes, ...accounts.filter(isLiability).map(a => a.id)];
+
+  const collect = (rows, ledger, validate) => {
+    const valid = [];
+    rows.forEach((raw, i) => {
+      const { errors, record } = validate(raw);
+      if (errors.length > 0) {
+        issues.push({ ledger, row: raw.__row ?? i + 1, messages: errors });
+      } else {
+        valid.push(record);
+      }
+    });
+    return valid;
+  };
+
+  return {
+    members,
+    accounts,
+    assets: collect(data.assets, 'asset', raw => validateAsset(raw, knownTypes, knownLiabilities, t)),
+    contributions: collect(data.contributions, 'contribution', raw => validateContribution(raw, knownPersons, knownTypes, t)),
+    transactions: collect(data.transactions, 'transaction', raw => validateTransaction(raw, knownTypes, t)),
+    fxRates: collect(data.fxRates, 'fx', raw => validateRate(raw, t)),
+    goals: collect(data.goals, 'goal', raw => validateGoal(raw, t)),
+    benchmarks: collect(data.benchmarks, 'benchmark', raw => validateBenchmark(raw, t)),
+    dividends: collect(data.dividends, 'dividend', raw => validateDividend(raw, knownPersons, knownTypes, t)),
+    issues,
+  };
+};
+
+// --- 合併 ---
+
+export const assetKey = (a) => `${a.date}|${a.type}`;
+// 投入沿用舊版的 key，提領 / 轉移另外帶上種類與轉入者
+export const contributionKey = (c) =>
+  !c.kind || c.kind === 'deposit'
+    ? `${c.date}|${c.person}|${c.amount}`
+    : `${c.date}|${c.person}|${c.amount}|${c.kind}|${c.toPerson || ''}`;
+export const transactionKey = (t) => `${t.date}|${t.accountId}|${t.kind}|${t.ticker}|${t.shares}|${t.price}|${t.amount}`;
+export const dividendKey = (d) => `${d.date}|${d.accountId}|${d.person}|${d.ticker}|${d.gross}`;
+
+/**
+ * 依 id 合併：匯入的記錄覆蓋相同 id 的既有記錄；
+ * 若與既有記錄 (不同 id) 的 key 相同 (例如同日期同類別)，視為重複並以匯入者為準。
+ * 缺少 id 的匯入記錄會由 makeId 產生。
+ */
+export const mergeRecords = (existing, incoming, keyOf, makeId) => {
+  const byId = new Map(existing.map(r => [r.id, r]));
+  const idByKey = new Map(existing.map(r => [keyOf(r), r.id]));
+
+  incoming.forEach(raw => {
+    const record = { ...raw, id: raw.id || makeId() };
+    const duplicateId = idByKey.get(keyOf(record));
+    if (duplicateId && duplicateId !== record.id) byId.delete(duplicateId);
+
+    const previous = byId.get(record.id);
+    if (previous) idByKey.delete(keyOf(previous));
+
+    byId.set(record.id, record);
+    idByKey.set(keyOf(record), record.id);
+  });
+
+  return Array.from(byId.values());
+};
+
+// 取代模式：仍需補齊 id 並移除匯入檔內部的重複
+export const replaceRecords = (incoming, keyOf, makeId) => mergeRecords([], incoming, keyOf, makeId);
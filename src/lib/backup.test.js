@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import { BACKUP_APP, BACKUP_VERSION, buildCsv, parseCsv, parseBackupFile, mergeRecords, replaceRecords, assetKey, buildBackup } from './backup';
+
+const known = { assetTypes: ['tw_stock', 'us_stock'], persons: ['a', 'b'] };
+
+const assets = [
+  { id: '1', date: '2024-01-31', type: 'tw_stock', amount: 1000, exchangeRate: 1, note: '含 "引號", 逗號' },
+  { id: '2', date: '2024-01-31', type: 'us_stock', amount: 50.5, exchangeRate: 31.2, note: '' },
+];
+const contributions = [{ id: '3', date: '2024-01-15', person: 'a', amount: 20000 }];
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and CRLF line breaks', () => {
+    expect(parseCsv('\ufeffa,b\r\n"x, y","say ""hi"""\r\n\r\n1,\n')).toEqual([['a', 'b'], ['x, y', 'say "hi"'], ['1', '']]);
+  });
+
+  it('keeps line breaks inside quotes', () => {
+    expect(parseCsv('a\n"line 1\nline 2"')).toEqual([['a'], ['line 1\nline 2']]);
+  });
+});
+
+describe('CSV backup', () => {
+  it('round-trips both ledgers', () => {
+    const parsed = parseBackupFile('backup.csv', buildCsv({ assets, contributions }), known);
+    expect(parsed.issues).toEqual([]);
+    expect(parsed.assets).toEqual(assets.map(a => expect.objectContaining(a)));
+    expect(parsed.contributions).toEqual(contributions.map(c => expect.objectContaining(c)));
+  });
+
+  it('reports invalid rows with their line number and keeps the rest', () => {
+    const csv = [
+      'ledger,id,date,type,person,amount',
+      'asset,1,2024-02-30,tw_stock,,100',
+      'asset,2,2024-02-01,gold,,100',
+      'asset,3,2024-02-01,tw_stock,,abc',
+      'asset,4,2024-02-01,tw_stock,,100',
+      'contribution,5,2024-02-01,,a,0',
+      'contribution,6,2024-02-01,,z,100',
+      'other,7,2024-02-01,,,1',
+    ].join('\n');
+    const parsed = parseBackupFile('backup.csv', csv, known);
+
+    expect(parsed.assets.map(a => a.id)).toEqual(['4']);
+    expect(parsed.contributions).toEqual([]);
+    expect(parsed.issues.map(i => [i.ledger, i.row]).sort()).toEqual([
+      ['-', 8], ['asset', 2], ['asset', 3], ['asset', 4], ['contribution', 6], ['contribution', 7],
+    ]);
+  });
+
+  it('accepts negative snapshots only for liability accounts', () => {
+    const csv = buildCsv({ assets: [{ ...assets[0], amount: -500 }, { ...assets[1], id: '9', type: 'card', amount: -20 }], contributions: [] });
+    const parsed = parseBackupFile('backup.csv', csv, { ...known, assetTypes: [...known.assetTypes, 'card'], liabilityTypes: ['card'] });
+    expect(parsed.assets.map(a => a.id)).toEqual(['9']);
+    expect(parsed.issues).toEqual([{ ledger: 'asset', row: 2, messages: [expect.stringContaining('-500')] }]);
+  });
+
+  it('needs a ledger column', () => {
+    expect(() => parseBackupFile('backup.csv', 'date,amount\n2024-01-01,1', known)).toThrow();
+  });
+});
+
+describe('cash-flow ledger', () => {
+  const flows = [
+    { id: 'f1', date: '2024-01-15', person: 'a', amount: 100, kind: 'withdrawal', currency: 'USD', exchangeRate: 31.5, accountId: 'us_stock' },
+    { id: 'f2', date: '2024-01-20', person: 'a', amount: 5000, kind: 'transfer', currency: 'TWD', exchangeRate: 1, toPerson: 'b' },
+  ];
+
+  it('round-trips withdrawals and transfers through CSV', () => {
+    const parsed = parseBackupFile('backup.csv', buildCsv({ assets: [], contributions: flows }), known);
+    expect(parsed.issues).toEqual([]);
+    expect(parsed.contributions).toEqual(flows);
+  });
+
+  it('reads old contributions as base-currency deposits', () => {
+    const [flow] = parseBackupFile('backup.csv', buildCsv({ assets: [], contributions }), known).contributions;
+    expect(flow).toMatchObject({ kind: 'deposit', currency: 'TWD', exchangeRate: 1 });
+  });
+
+  it('rejects transfers to the same or an unknown member', () => {
+    const csv = buildCsv({ assets: [], contributions: [{ ...flows[1], toPerson: 'a' }, { ...flows[1], id: 'f3', toPerson: 'z' }] });
+    const parsed = parseBackupFile('backup.csv', csv, known);
+    expect(parsed.contributions).toEqual([]);
+    expect(parsed.issues).toHaveLength(2);
+  });
+});
+
+describe('JSON backup', () => {
+  it('rejects files from other apps and newer versions', () => {
+    expect(() => parseBackupFile('x.json', JSON.stringify({ app: 'other', version: 1 }), known)).toThrow();
+    expect(() => parseBackupFile('x.json', JSON.stringify({ app: BACKUP_APP, version: BACKUP_VERSION + 1 }), known)).toThrow();
+    expect(() => parseBackupFile('x.json', '{', known)).toThrow();
+  });
+
+  it('reads the ledgers of a version 1 backup', () => {
+    const parsed = parseBackupFile('x.json', JSON.stringify({ app: BACKUP_APP, version: 1, assets, contributions }), known);
+    expect(parsed.assets).toHaveLength(2);
+    expect(parsed.contributions).toEqual(contributions.map(c => expect.objectContaining(c)));
+  });
+});
+
+describe('mergeRecords', () => {
+  let next = 0;
+  const makeId = () => `new${++next}`;
+  const existing = [
+    { id: '1', date: '2024-01-31', type: 'tw_stock', amount: 1 },
+    { id: '2', date: '2024-02-29', type: 'tw_stock', amount: 2 },
+  ];
+
+  it('overwrites records with the same id', () => {
+    const merged = mergeRecords(existing, [{ ...existing[0], amount: 10 }], assetKey, makeId);
+    expect(merged.map(r => r.amount)).toEqual([10, 2]);
+  });
+
+  it('replaces a different record with the same key', () => {
+    const merged = mergeRecords(existing, [{ id: '9', date: '2024-02-29', type: 'tw_stock', amount: 20 }], assetKey, makeId);
+    expect(merged.map(r => r.id)).toEqual(['1', '9']);
+  });
+
+  it('fills in missing ids and drops duplicates inside the import', () => {
+    const replaced = replaceRecords([
+      { date: '2024-03-31', type: 'tw_stock', amount: 3 },
+      { date: '2024-03-31', type: 'tw_stock', amount: 4 },
+    ], assetKey, makeId);
+    expect(replaced).toHaveLength(1);
+    expect(replaced[0].amount).toBe(4);
+    expect(replaced[0].id).toMatch(/^new/);
+  });
+});
+
+const members = [{ id: 'a', name: 'A', color: '#3b82f6', archived: false }];
+
+const accounts = [
+  { id: 'tw_stock', name: '台股', currency: 'TWD', color: '#8884d8', class: 'stock', archived: false, target: 60, band: 3 },
+  { id: 'tw_cash', name: '台幣現金', currency: 'TWD', color: '#ffc658', class: 'cash', archived: false, target: 40 },
+];
+
+const roundTrip = (data) =>
+  parseBackupFile('backup.json', JSON.stringify(buildBackup(data)), { assetTypes: [], persons: [] });
+
+const emptyLedgers = { assets: [], contributions: [], transactions: [], fxRates: [] };
+
+describe('JSON backup round-trip', () => {
+  it('keeps the target allocation and tolerance band of each account', () => {
+    const parsed = roundTrip({ ...emptyLedgers, members, accounts });
+    expect(parsed.accounts).toEqual(accounts);
+    expect(parsed.issues).toEqual([]);
+  });
+
+  it('keeps liability accounts and their loan terms', () => {
+    const loan = { id: 'loan', name: '房貸', currency: 'TWD', color: '#ef4444', class: 'liability', archived: false, principal: 8000000, interestRate: 2.1, monthlyPayment: 35000 };
+    expect(roundTrip({ ...emptyLedgers, members, accounts: [loan] }).accounts).toEqual([loan]);
+  });
+
+  it('accepts a negative balance for a liability account in the same file', () => {
+    const card = { id: 'card', name: '信用卡', currency: 'TWD', color: '#ef4444', class: 'liability', archived: false };
+    const snapshot = { id: 's1', date: '2024-01-31', type: 'card', amount: -300, exchangeRate: 1, note: '溢繳' };
+    const parsed = roundTrip({ ...emptyLedgers, members, accounts: [accounts[0], card], assets: [snapshot, { ...snapshot, id: 's2', type: 'tw_stock' }] });
+    expect(parsed.assets).toEqual([snapshot]);
+    expect(parsed.issues).toEqual([{ ledger: 'asset', row: 2, messages: [expect.stringContaining('-300')] }]);
+  });
+
+  it('drops target and band values that are out of range', () => {
+    const parsed = roundTrip({ ...emptyLedgers, members, accounts: [{ ...accounts[0], target: 150, band: -1 }] });
+    expect(parsed.accounts[0]).not.toHaveProperty('target');
+    expect(parsed.accounts[0]).not.toHaveProperty('band');
+  });
+});
+
+describe('goals, benchmarks and dividends', () => {
+  const goals = [{ id: 'g1', name: '退休', target: 10000000, currency: 'TWD', date: '2045-01-01' }];
+  const benchmarks = [{ id: 'b1', name: '0050', currency: 'TWD', color: '#f59e0b', prices: [{ date: '2024-01-02', close: 130 }, { date: '2024-01-03', close: 131.5 }] }];
+  const dividends = [
+    { id: 'd1', date: '2024-07-18', accountId: 'tw_stock', person: 'a', ticker: '0056', source: 'domestic', gross: 30000, withholding: 0, currency: 'TWD', exchangeRate: 1 },
+    { id: 'd2', date: '2024-03-28', accountId: 'tw_stock', person: 'a', ticker: 'VT', source: 'foreign', gross: 100, withholding: 30, currency: 'USD', exchangeRate: 32, note: 'Q1' },
+  ];
+  const data = { ...emptyLedgers, members, accounts, goals, benchmarks, dividends };
+
+  it('are exported and validated from JSON backups', () => {
+    const parsed = roundTrip(data);
+    expect(buildBackup(data).version).toBe(BACKUP_VERSION);
+    expect(parsed.goals).toEqual(goals);
+    expect(parsed.benchmarks).toEqual(benchmarks);
+    expect(parsed.dividends).toEqual(dividends);
+    expect(parsed.issues).toEqual([]);
+  });
+
+  it('default to empty lists for older backups', () => {
+    const backup = { ...buildBackup({ ...emptyLedgers, members, accounts }), version: 6 };
+    delete backup.goals;
+    delete backup.benchmarks;
+    delete backup.dividends;
+    const parsed = parseBackupFile('old.json', JSON.stringify(backup), { assetTypes: [], persons: [] });
+    expect([parsed.goals, parsed.benchmarks, parsed.dividends]).toEqual([[], [], []]);
+  });
+
+  it('reports invalid dividends as issues', () => {
+    const parsed = roundTrip({ ...data, dividends: [{ ...dividends[1], withholding: 200 }, { ...dividends[0], accountId: 'gone' }] });
+    expect(parsed.dividends).toEqual([]);
+    expect(parsed.issues.map(i => i.ledger)).toEqual(['dividend', 'dividend']);
+  });
+
+  it('keep dividends in the CSV ledger', () => {
+    const parsed = parseBackupFile('backup.csv', buildCsv({ ...emptyLedgers, dividends }), { assetTypes: ['tw_stock'], persons: ['a'] });
+    expect(parsed.dividends).toEqual(dividends);
+  });
+});
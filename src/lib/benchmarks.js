@@ -0,0 +1,118 @@
+// --- 基準指數 (0050、S&P 500 等) 比較 ---
+// 記錄：{ id, name, currency, color, prices: [{ date, close }] } (prices 依日期排序)
+// 價格換算成報表幣別後與投資組合扣除資金進出的累積報酬比較。
+
+import { parseCsv } from './backup';
+import { normaliseDate, reportingRate } from './fx';
+import { cumulativeReturnSeries } from './returns';
+import { pointOnOrBefore } from './valuation';
+import { DEFAULT_LOCALE, createTranslator } from './i18n';
+
+// 價格欄位的標題 (不分大小寫)，都沒有時取第二欄
+const PRICE_HEADERS = ['adj close', 'adj_close', 'close', 'price', 'value', '收盤價', '收盤'];
+
+/**
+ * 解析價格 CSV：第一欄 (或 date / 日期 欄位) 為日期，價格取 PRICE_HEADERS 中第一個出現的欄位。
+ * 回傳 { prices, issues }，同日期重複時保留最後一筆。
+ */
+export const parseBenchmarkCsv = (text, t = createTranslator(DEFAULT_LOCALE)) => {
+  const rows = parseCsv(text);
+  const issues = [];
+  if (rows.length === 0) return { prices: [], issues };
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const hasHeader = !normaliseDate(rows[0][0]);
+  const dateCol = hasHeader ? Math.max(header.findIndex(h => h === 'date' || h === '日期'), 0) : 0;
+  const priceHeader = PRICE_HEADERS.find(h => header.includes(h));
+  const priceCol = hasHeader && priceHeader ? header.indexOf(priceHeader) : 1;
+
+  const byDate = new Map();
+  rows.slice(hasHeader ? 1 : 0).forEach((cells, i) => {
+    const row = i + (hasHeader ? 2 : 1);
+    const date = normaliseDate(cells[dateCol]);
+    const close = Number(String(cells[priceCol] ?? '').replace(/,/g, ''));
+
+    const messages = [];
+    if (!date) messages.push(t('validation.badDate', { value: cells[dateCol] ?? t('validation.blank') }));
+    if (!isFinite(close) || close <= 0) messages.push(t('validation.badPrice', { value: cells[priceCol] ?? t('validation.blank') }));
+    if (messages.length > 0) issues.push({ row, messages });
+    else byDate.set(date, { date, close });
+  });
+
+  return { prices: Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date)), issues };
+};
+
+// 重新匯入時同日期以新價格覆蓋
+export const mergePrices = (existing, incoming) => {
+  const byDate = new Map(existing.map(p => [p.date, p]));
+  incoming.forEach(p => byDate.set(p.date, p));
+  return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// 換算成報表幣別的價格 (依各日期的匯率)
+export const toReportingPrices = (benchmark, fxRates, reportCurrency) =>
+  benchmark.currency === reportCurrency
+    ? benchmark.prices
+    : benchmark.prices.map(p => ({
+      date: p.date,
+      close: p.close * reportingRate(fxRates, benchmark.currency, p.date) / reportingRate(fxRates, reportCurrency, p.date),
+    }));
+
+// 某日 (含) 之前最近的價格；超過最後一筆價格的日期視為沒有資料，不沿用舊價
+const priceOn = (prices, date) => {
+  if (prices.length === 0 || date > prices[prices.length - 1].date) return null;
+  const point = pointOnOrBefore(prices, date);
+  return point ? point.close : null;
+};
+
+/**
+ * 投資組合與各基準在同一組日期上的累積報酬 (%)。
+ * - points：期間內依日期排序的 [{ date, value }]，以第一個時間點為基期
+ * - flows：外部現金流，投資組合報酬會扣除 (時間加權)
+ * - benchmarks：[{ id, prices }]，價格需已換算成報表幣別
+ * 基準在期初沒有價格時，從第一個有價格的日期起以當時投資組合的累積報酬為起點，兩線仍可比較。
+ *
+ * 回傳 { series, periods }：
+ * - series：[{ date, portfolio, [benchmarkId]: % }]
+ * - periods：每個曆年與整段期間的 { period, start, end, portfolio, benchmarks: { [id]: % } }，
+ *   超額報酬 = portfolio - 基準。
+ */
+export const benchmarkComparison = ({ points, flows, benchmarks }) => {
+  if (points.length < 2) return { series: [], periods: [] };
+
+  const index = cumulativeReturnSeries(points, flows).map(p => ({ date: p.date, value: 1 + p.value / 100 }));
+  const prices = benchmarks.map(b => ({ id: b.id, closes: index.map(p => priceOn(b.prices, p.date)) }));
+
+  const series = index.map((p, i) => {
+    const row = { date: p.date, portfolio: (p.value - 1) * 100 };
+    prices.forEach(({ id, closes }) => {
+      const first = closes.findIndex(c => c !== null);
+      if (first === -1 || first > i || closes[i] === null) return;
+      row[id] = (index[first].value * closes[i] / closes[first] - 1) * 100;
+    });
+    return row;
+  });
+
+  // 兩個時間點之間的報酬 (%)
+  const periodReturn = (from, to) => ({
+    start: index[from].date,
+    end: index[to].date,
+    portfolio: (index[to].value / index[from].value - 1) * 100,
+    benchmarks: Object.fromEntries(prices
+      .filter(({ closes }) => closes[from] !== null && closes[to] !== null)
+      .map(({ id, closes }) => [id, (closes[to] / closes[from] - 1) * 100])),
+  });
+
+  // 每年以前一年最後一個時間點 (第一年為期初) 為基期
+  const periods = [];
+  let from = 0;
+  index.forEach((p, i) => {
+    const isYearEnd = i === index.length - 1 || index[i + 1].date.slice(0, 4) !== p.date.slice(0, 4);
+    if (!isYearEnd) return;
+    if (i > from) periods.push({ period: p.date.slice(0, 4), ...periodReturn(from, i) });
+    from = i;
+  });
+  if (periods.length > 1) periods.push({ period: 'all', ...periodReturn(0, index.length - 1) });
+
+  return { series, periods };
+};
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { parseBenchmarkCsv, mergePrices, toReportingPrices, benchmarkComparison } from './benchmarks';
+
+describe('parseBenchmarkCsv', () => {
+  it('prefers the adjusted close of a Yahoo-style export', () => {
+    const csv = 'Date,Open,High,Low,Close,Adj Close,Volume\n2024-01-03,1,1,1,100,98.5,10\n2024-01-02,1,1,1,"1,001",99,10';
+    expect(parseBenchmarkCsv(csv)).toEqual({
+      prices: [{ date: '2024-01-02', close: 99 }, { date: '2024-01-03', close: 98.5 }],
+      issues: [],
+    });
+  });
+
+  it('reads headerless date,price rows and keeps the last of a repeated date', () => {
+    expect(parseBenchmarkCsv('2024/1/2,130\n2024/1/2,131\n2024/1/3,132').prices).toEqual([
+      { date: '2024-01-02', close: 131 },
+      { date: '2024-01-03', close: 132 },
+    ]);
+  });
+
+  it('reports bad rows by line', () => {
+    const { prices, issues } = parseBenchmarkCsv('日期,收盤價\n2024-01-02,130\nbad,131\n2024-01-04,0');
+    expect(prices).toHaveLength(1);
+    expect(issues.map(i => i.row)).toEqual([3, 4]);
+  });
+});
+
+describe('mergePrices', () => {
+  it('overwrites prices of the same date', () => {
+    expect(mergePrices(
+      [{ date: '2024-01-02', close: 1 }, { date: '2024-01-04', close: 4 }],
+      [{ date: '2024-01-03', close: 3 }, { date: '2024-01-04', close: 5 }]
+    )).toEqual([{ date: '2024-01-02', close: 1 }, { date: '2024-01-03', close: 3 }, { date: '2024-01-04', close: 5 }]);
+  });
+});
+
+describe('toReportingPrices', () => {
+  it('converts prices at the rate of their own date', () => {
+    const fxRates = [{ date: '2024-01-01', currency: 'USD', rate: 30 }, { date: '2024-02-01', currency: 'USD', rate: 32 }];
+    const benchmark = { currency: 'USD', prices: [{ date: '2024-01-15', close: 10 }, { date: '2024-02-15', close: 10 }] };
+    expect(toReportingPrices(benchmark, fxRates, 'TWD').map(p => p.close)).toEqual([300, 320]);
+    expect(toReportingPrices(benchmark, fxRates, 'USD')).toBe(benchmark.prices);
+  });
+});
+
+describe('benchmarkComparison', () => {
+  const points = [
+    { date: '2023-12-31', value: 100 },
+    { date: '2024-06-30', value: 160 },
+    { date: '2024-12-31', value: 160 },
+    { date: '2025-06-30', value: 176 },
+  ];
+  const flows = [{ date: '2024-06-30', amount: 50 }];
+  const benchmarks = [
+    { id: 'b1', prices: [{ date: '2023-12-29', close: 50 }, { date: '2024-12-31', close: 55 }, { date: '2025-06-30', close: 60.5 }] },
+    { id: 'late', prices: [{ date: '2024-12-31', close: 10 }, { date: '2025-06-30', close: 12 }] },
+  ];
+  const { series, periods } = benchmarkComparison({ points, flows, benchmarks });
+
+  it('puts the portfolio and each benchmark on the same dates', () => {
+    expect(series.map(r => r.date)).toEqual(points.map(p => p.date));
+    expect(series[3].portfolio).toBeCloseTo(21);
+    expect(series[3].b1).toBeCloseTo(21);
+    expect(series[0]).not.toHaveProperty('late');
+  });
+
+  it('starts a later benchmark from the portfolio return of that date', () => {
+    expect(series[2].late).toBeCloseTo(series[2].portfolio);
+    expect(series[3].late).toBeCloseTo(((1 + series[2].portfolio / 100) * 1.2 - 1) * 100);
+  });
+
+  it('summarises each year and the whole period', () => {
+    expect(periods.map(p => [p.period, p.start, p.end])).toEqual([
+      ['2024', '2023-12-31', '2024-12-31'],
+      ['2025', '2024-12-31', '2025-06-30'],
+      ['all', '2023-12-31', '2025-06-30'],
+    ]);
+    expect(periods[0].benchmarks).toEqual({ b1: expect.closeTo(10) });
+    expect(periods[1].benchmarks.late).toBeCloseTo(20);
+    expect(periods[1].portfolio).toBeCloseTo(10);
+  });
+
+  it('needs two points', () => {
+    expect(benchmarkComparison({ points: points.slice(0, 1), flows, benchmarks })).toEqual({ series: [], periods: [] });
+  });
+});
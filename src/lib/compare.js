@@ -0,0 +1,61 @@
+// --- 期間比較 (例如今年 vs 去年同期) ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTime = (date) => new Date(`${date}T00:00:00Z`).getTime();
+
+export const shiftYears = (date, years) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCFullYear(d.getUTCFullYear() + years);
+  return d.toISOString().split('T')[0];
+};
+
+export const daysBetween = (startDate, endDate) => Math.round((toTime(endDate) - toTime(startDate)) / DAY_MS);
+
+// 以最新資料日為基準的比較期間
+export const COMPARE_PRESETS = {
+  ytd: {
+    build: (latest) => {
+      const start = `${latest.slice(0, 4)}-01-01`;
+      return { a: { start, end: latest }, b: { start: shiftYears(start, -1), end: shiftYears(latest, -1) } };
+    },
+  },
+  year: {
+    build: (latest) => {
+      const start = shiftYears(latest, -1);
+      return { a: { start, end: latest }, b: { start: shiftYears(start, -1), end: start } };
+    },
+  },
+  custom: { build: null },
+};
+
+/**
+ * 把兩段期間的走勢依「距離期初的天數」對齊，疊在同一張圖上。
+ * seriesA / seriesB 為 [{ date, value }]；缺值的一方沿用前一個數值。
+ * 回傳 [{ day, a, b, dateA, dateB }]
+ */
+export const overlayPeriods = (seriesA, seriesB, startA, startB) => {
+  const byDay = new Map();
+  const add = (series, start, key) => series.forEach(p => {
+    // 基期可能早於期初，一律從第 0 天開始
+    const day = Math.max(0, daysBetween(start, p.date));
+    const row = byDay.get(day) || { day };
+    row[key] = p.value;
+    row[`date${key.toUpperCase()}`] = p.date;
+    byDay.set(day, row);
+  });
+  add(seriesA, startA, 'a');
+  add(seriesB, startB, 'b');
+
+  const rows = Array.from(byDay.values()).sort((x, y) => x.day - y.day);
+  const lastDayOf = (series, start) => (series.length > 0 ? daysBetween(start, series[series.length - 1].date) : -1);
+  const lastDay = { a: lastDayOf(seriesA, startA), b: lastDayOf(seriesB, startB) };
+  const last = {};
+  return rows.map(row => {
+    ['a', 'b'].forEach(key => {
+      if (row[key] === undefined && row.day <= lastDay[key]) row[key] = last[key];
+      else if (row[key] !== undefined) last[key] = row[key];
+    });
+    return row;
+  });
+};
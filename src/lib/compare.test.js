@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { shiftYears, daysBetween, COMPARE_PRESETS, overlayPeriods } from './compare';
+
+describe('shiftYears', () => {
+  it('moves leap days to 1 March', () => {
+    expect(shiftYears('2024-06-30', -1)).toBe('2023-06-30');
+    expect(shiftYears('2024-02-29', -1)).toBe('2023-03-01');
+  });
+});
+
+describe('daysBetween', () => {
+  it('counts calendar days', () => {
+    expect(daysBetween('2024-01-01', '2024-03-01')).toBe(60);
+    expect(daysBetween('2024-03-01', '2024-01-01')).toBe(-60);
+  });
+});
+
+describe('COMPARE_PRESETS', () => {
+  it('compares this year with the same part of last year', () => {
+    expect(COMPARE_PRESETS.ytd.build('2024-06-30')).toEqual({
+      a: { start: '2024-01-01', end: '2024-06-30' },
+      b: { start: '2023-01-01', end: '2023-06-30' },
+    });
+  });
+
+  it('compares the last twelve months with the twelve before', () => {
+    expect(COMPARE_PRESETS.year.build('2024-06-30')).toEqual({
+      a: { start: '2023-06-30', end: '2024-06-30' },
+      b: { start: '2022-06-30', end: '2023-06-30' },
+    });
+  });
+});
+
+describe('overlayPeriods', () => {
+  it('lines both periods up by days since their start and carries values forward', () => {
+    const rows = overlayPeriods(
+      [{ date: '2023-12-29', value: 0 }, { date: '2024-01-11', value: 5 }, { date: '2024-01-31', value: 8 }],
+      [{ date: '2023-01-01', value: 0 }, { date: '2023-01-21', value: -2 }],
+      '2024-01-01',
+      '2023-01-01'
+    );
+    expect(rows).toEqual([
+      { day: 0, a: 0, dateA: '2023-12-29', b: 0, dateB: '2023-01-01' },
+      { day: 10, a: 5, dateA: '2024-01-11', b: 0 },
+      { day: 20, a: 5, b: -2, dateB: '2023-01-21' },
+      { day: 30, a: 8, dateA: '2024-01-31' },
+    ]);
+  });
+});
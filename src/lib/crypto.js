@@ -0,0 +1,57 @@
+// --- 本機資料加密 (WebCrypto：PBKDF2 由密碼導出金鑰，AES-GCM 加密) ---
+// 金鑰不可匯出且只存在記憶體中；資料庫只保存 salt、迭代次數與一段用來驗證密碼的密文。
+// 密文以 { iv: Uint8Array, data: ArrayBuffer } 直接存進 IndexedDB (結構化複製支援二進位資料)。
+
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+// 驗證用的明文：解得出來代表密碼正確
+const CHECK_VALUE = 'investment-notebook';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// 非安全環境 (http) 沒有 crypto.subtle
+export const isCryptoSupported = () => typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+
+export const deriveKey = async (passphrase, salt, iterations = PBKDF2_ITERATIONS) => {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// 每次加密都使用新的隨機 iv
+export const sealJson = async (key, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+  return { iv, data };
+};
+
+// 金鑰錯誤或密文被竄改時 AES-GCM 驗證失敗並丟出錯誤
+export const openJson = async (key, sealed) =>
+  JSON.parse(decoder.decode(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, key, sealed.data)));
+
+/**
+ * 以新密碼建立金鑰與設定 (隨機 salt)。
+ * 回傳 { key, config }，config = { salt, iterations, check } 需以明文保存供解鎖時使用。
+ */
+export const createKeyConfig = async (passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const key = await deriveKey(passphrase, salt);
+  return { key, config: { salt, iterations: PBKDF2_ITERATIONS, check: await sealJson(key, CHECK_VALUE) } };
+};
+
+// 依設定導出金鑰並驗證，密碼錯誤時回傳 null
+export const unlockKey = async (passphrase, config) => {
+  const key = await deriveKey(passphrase, config.salt, config.iterations);
+  try {
+    return (await openJson(key, config.check)) === CHECK_VALUE ? key : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { isCryptoSupported, deriveKey, sealJson, openJson, createKeyConfig, unlockKey } from './crypto';
+
+const salt = new Uint8Array(16).fill(7);
+
+describe('sealJson / openJson', () => {
+  it('round-trips JSON values with a fresh iv each time', async () => {
+    const key = await deriveKey('secret', salt, 1000);
+    const value = { id: 'a', amount: 12.5, note: '台股' };
+    const first = await sealJson(key, value);
+    const second = await sealJson(key, value);
+
+    expect(isCryptoSupported()).toBe(true);
+    expect(first.iv).not.toEqual(second.iv);
+    expect(await openJson(key, first)).toEqual(value);
+  });
+
+  it('fails with the wrong key or tampered data', async () => {
+    const key = await deriveKey('secret', salt, 1000);
+    const sealed = await sealJson(key, [1, 2, 3]);
+    await expect(openJson(await deriveKey('other', salt, 1000), sealed)).rejects.toThrow();
+
+    const data = new Uint8Array(sealed.data.slice(0));
+    data[0] ^= 1;
+    await expect(openJson(key, { iv: sealed.iv, data: data.buffer })).rejects.toThrow();
+  });
+});
+
+describe('createKeyConfig / unlockKey', () => {
+  it('unlocks with the same passphrase only', async () => {
+    const { key, config } = await createKeyConfig('correct horse');
+    expect(config.salt).toHaveLength(16);
+    expect(config.iterations).toBeGreaterThanOrEqual(100000);
+
+    const unlocked = await unlockKey('correct horse', config);
+    expect(unlocked).not.toBeNull();
+    expect(await openJson(unlocked, await sealJson(key, 'ok'))).toBe('ok');
+    expect(await unlockKey('wrong', config)).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+// --- 股利收入 (扣繳、二代健保補充保費、所得稅試算) ---
+// 記錄：{ id, date, accountId, person, ticker, source, gross, withholding, currency, exchangeRate, note }
+// - source：'domestic' 國內股利 (併入綜所稅) / 'foreign' 海外股利 (海外所得，適用最低稅負制)
+// - gross / withholding 為原幣金額，exchangeRate 為對台幣匯率
+// 稅額只是估算，實際以當年度法規與申報結果為準。
+
+import { BASE_CURRENCY } from './accounts';
+import { pointOnOrBefore } from './valuation';
+
+export const DIVIDEND_SOURCES = ['domestic', 'foreign'];
+
+// 綜所稅累進級距的邊際稅率
+export const TAX_BRACKETS = [0.05, 0.12, 0.2, 0.3, 0.4];
+
+export const DIVIDEND_TAX_DEFAULTS = { marginalRate: 0.12 };
+
+export const DIVIDEND_TAX_RULES = {
+  creditRate: 0.085, // 合併計稅：股利 8.5% 可抵減稅額
+  creditCap: 80000, // 每一申報戶抵減上限
+  separateRate: 0.28, // 分開計稅：單一稅率
+  nhiRate: 0.0211, // 二代健保補充保費費率
+  nhiThreshold: 20000, // 單次給付達此金額才扣取
+  nhiCap: 10000000, // 單次給付的計費上限
+  overseasThreshold: 1000000, // 海外所得達此金額須計入基本所得額
+  foreignWithholding: 0.3, // 美股股利的扣繳率
+};
+
+export const dividendTwd = (record) => record.gross * (record.exchangeRate || 1);
+
+export const withholdingTwd = (record) => (record.withholding || 0) * (record.exchangeRate || 1);
+
+// 台幣帳戶的股利預設為國內股利，其餘視為海外股利
+export const defaultSource = (currency) => (currency === BASE_CURRENCY ? 'domestic' : 'foreign');
+
+export const defaultWithholding = (gross, source) =>
+  source === 'foreign' ? Math.round(gross * DIVIDEND_TAX_RULES.foreignWithholding * 100) / 100 : 0;
+
+// 二代健保補充保費：只有國內股利，單次給付達門檻才以全額 (上限 nhiCap) 計收
+export const nhiPremium = (record) => {
+  const amount = dividendTwd(record);
+  if (record.source !== 'domestic' || amount < DIVIDEND_TAX_RULES.nhiThreshold) return 0;
+  return Math.round(Math.min(amount, DIVIDEND_TAX_RULES.nhiCap) * DIVIDEND_TAX_RULES.nhiRate);
+};
+
+/**
+ * 殖利率 (%)：股利 ÷ 發放日 (含) 之前最近一筆快照的帳戶價值，皆以台幣計。
+ * timeline 為以台幣計價的估值走勢；帳戶當時沒有價值時回傳 null。
+ */
+export const dividendYield = (record, timeline) => {
+  const point = pointOnOrBefore(timeline, record.date);
+  const value = point ? point.values[record.accountId] : 0;
+  return value > 0 ? dividendTwd(record) / value * 100 : null;
+};
+
+// 有股利記錄的年度 (新到舊)
+export const dividendYears = (dividends) =>
+  Array.from(new Set(dividends.map(d => d.date.slice(0, 4)))).sort().reverse();
+
+/**
+ * 國內股利的兩種課稅方式 (以單一成員估算，未考慮同戶合併申報)：
+ * - combined：併入所得以邊際稅率課稅，減去 8.5% 可抵減稅額 (上限 8 萬)，可能為負數 (退稅)
+ * - separate：28% 分開計稅
+ */
+export const domesticDividendTax = (amount, marginalRate) => {
+  const credit = Math.min(amount * DIVIDEND_TAX_RULES.creditRate, DIVIDEND_TAX_RULES.creditCap);
+  const combined = amount * marginalRate - credit;
+  const separate = amount * DIVIDEND_TAX_RULES.separateRate;
+  return { credit, combined, separate, better: combined <= separate ? 'combined' : 'separate' };
+};
+
+const addTotals = (row, record) => {
+  const gross = dividendTwd(record);
+  const withholding = withholdingTwd(record);
+  const nhi = nhiPremium(record);
+  row[record.source === 'domestic' ? 'domestic' : 'foreign'] += gross;
+  row.gross += gross;
+  row.withholding += withholding;
+  row.nhi += nhi;
+  row.net += gross - withholding - nhi;
+  row.count += 1;
+};
+
+const emptyRow = (key) => ({ ...key, domestic: 0, foreign: 0, gross: 0, withholding: 0, nhi: 0, net: 0, count: 0 });
+
+/**
+ * 某年度的股利彙總 (金額皆為台幣)：
+ * - members：[{ person, domestic, foreign, gross, withholding, nhi, net, count, tax, overseasDeclare }]
+ *   tax 為 domesticDividendTax 的結果；overseasDeclare 為海外股利是否達基本所得額的申報門檻
+ * - accounts：[{ accountId, gross, withholding, nhi, net, count, yield }]
+ *   yield 為該年各次殖利率的加總 (約當年殖利率)，沒有可計算的快照時為 null
+ * - total：全部加總
+ */
+export const yearlyDividendSummary = ({ dividends, year, marginalRate, timeline }) => {
+  const records = dividends.filter(d => d.date.startsWith(String(year)));
+  const members = new Map();
+  const accounts = new Map();
+  const total = emptyRow({});
+
+  records.forEach(record => {
+    if (!members.has(record.person)) members.set(record.person, emptyRow({ person: record.person }));
+    if (!accounts.has(record.accountId)) accounts.set(record.accountId, { ...emptyRow({ accountId: record.accountId }), yield: null });
+    addTotals(members.get(record.person), record);
+    addTotals(total, record);
+
+    const account = accounts.get(record.accountId);
+    addTotals(account, record);
+    const yieldPct = dividendYield(record, timeline);
+    if (yieldPct !== null) account.yield = (account.yield || 0) + yieldPct;
+  });
+
+  return {
+    members: Array.from(members.values()).map(row => ({
+      ...row,
+      tax: domesticDividendTax(row.domestic, marginalRate),
+      overseasDeclare: row.foreign >= DIVIDEND_TAX_RULES.overseasThreshold,
+    })),
+    accounts: Array.from(accounts.values()),
+    total,
+  };
+};
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DIVIDEND_TAX_RULES,
+  dividendTwd,
+  withholdingTwd,
+  defaultSource,
+  defaultWithholding,
+  nhiPremium,
+  dividendYield,
+  dividendYears,
+  domesticDividendTax,
+  yearlyDividendSummary,
+} from './dividends';
+
+const domestic = (id, date, gross, fields = {}) => ({
+  id, date, accountId: 'tw_stock', person: 'a', ticker: '0056', source: 'domestic', gross, withholding: 0, currency: 'TWD', exchangeRate: 1, ...fields,
+});
+const foreign = (id, date, gross, fields = {}) => ({
+  id, date, accountId: 'us_stock', person: 'b', ticker: 'VT', source: 'foreign', gross, withholding: gross * 0.3, currency: 'USD', exchangeRate: 32, ...fields,
+});
+
+describe('amounts', () => {
+  it('convert to the base currency at the record rate', () => {
+    expect(dividendTwd(foreign('1', '2024-03-28', 100))).toBe(3200);
+    expect(withholdingTwd(foreign('1', '2024-03-28', 100))).toBe(960);
+  });
+
+  it('default by account currency', () => {
+    expect(defaultSource('TWD')).toBe('domestic');
+    expect(defaultSource('USD')).toBe('foreign');
+    expect(defaultWithholding(123.4, 'foreign')).toBe(37.02);
+    expect(defaultWithholding(123.4, 'domestic')).toBe(0);
+  });
+});
+
+describe('nhiPremium', () => {
+  it('charges domestic payouts from the threshold on the full amount', () => {
+    expect(nhiPremium(domestic('1', '2024-07-18', 19999))).toBe(0);
+    expect(nhiPremium(domestic('1', '2024-07-18', 20000))).toBe(Math.round(20000 * DIVIDEND_TAX_RULES.nhiRate));
+    expect(nhiPremium(domestic('1', '2024-07-18', 2e7))).toBe(Math.round(DIVIDEND_TAX_RULES.nhiCap * DIVIDEND_TAX_RULES.nhiRate));
+  });
+
+  it('does not apply to foreign dividends', () => {
+    expect(nhiPremium(foreign('1', '2024-03-28', 10000))).toBe(0);
+  });
+});
+
+describe('domesticDividendTax', () => {
+  it('caps the credit and picks the cheaper method', () => {
+    const low = domesticDividendTax(100000, 0.05);
+    expect(low.credit).toBeCloseTo(8500);
+    expect(low.combined).toBeCloseTo(-3500);
+    expect(low.better).toBe('combined');
+
+    const high = domesticDividendTax(2000000, 0.4);
+    expect(high.credit).toBe(80000);
+    expect(high.combined).toBeCloseTo(720000);
+    expect(high.separate).toBeCloseTo(560000);
+    expect(high.better).toBe('separate');
+  });
+});
+
+describe('dividendYield', () => {
+  const timeline = [{ date: '2024-06-30', values: { tw_stock: 1000000 } }];
+
+  it('divides by the account value before the payout', () => {
+    expect(dividendYield(domestic('1', '2024-07-18', 30000), timeline)).toBeCloseTo(3);
+    expect(dividendYield(domestic('1', '2024-01-18', 30000), timeline)).toBeNull();
+    expect(dividendYield(foreign('1', '2024-07-18', 100), timeline)).toBeNull();
+  });
+});
+
+describe('yearlyDividendSummary', () => {
+  const dividends = [
+    domestic('1', '2024-01-18', 30000),
+    domestic('2', '2024-07-18', 10000),
+    foreign('3', '2024-03-28', 100),
+    domestic('4', '2023-07-18', 50000),
+  ];
+  const timeline = [{ date: '2023-12-31', values: { tw_stock: 1000000, us_stock: 320000 } }];
+  const summary = yearlyDividendSummary({ dividends, year: 2024, marginalRate: 0.12, timeline });
+
+  it('totals the year per member and account', () => {
+    expect(dividendYears(dividends)).toEqual(['2024', '2023']);
+    expect(summary.total).toMatchObject({ domestic: 40000, foreign: 3200, gross: 43200, withholding: 960, count: 3 });
+    expect(summary.total.nhi).toBe(Math.round(30000 * DIVIDEND_TAX_RULES.nhiRate));
+    expect(summary.total.net).toBe(43200 - 960 - summary.total.nhi);
+    expect(summary.members.map(m => m.person)).toEqual(['a', 'b']);
+    expect(summary.members[0].tax).toEqual(domesticDividendTax(40000, 0.12));
+    expect(summary.members[1].overseasDeclare).toBe(false);
+  });
+
+  it('adds up the yield of each payout', () => {
+    expect(summary.accounts.find(a => a.accountId === 'tw_stock').yield).toBeCloseTo(4);
+    expect(summary.accounts.find(a => a.accountId === 'us_stock').yield).toBeCloseTo(1);
+  });
+});
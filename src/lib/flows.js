@@ -0,0 +1,55 @@
+// --- 資金進出 (投入 / 提領 / 成員間轉移) ---
+// 記錄：{ id, date, kind, person, toPerson?, amount, currency, exchangeRate, accountId?, note }
+// amount 一律為正數 (原幣)，方向由 kind 決定；舊版記錄沒有 kind / currency，視為台幣投入。
+
+import { BASE_CURRENCY } from './accounts';
+
+export const FLOW_KINDS = ['deposit', 'withdrawal', 'transfer'];
+
+export const flowKind = (flow) => flow.kind || 'deposit';
+
+export const flowCurrency = (flow) => flow.currency || BASE_CURRENCY;
+
+// 換算成台幣的金額 (正數)
+export const flowTwd = (flow) =>
+  flowCurrency(flow) === BASE_CURRENCY ? flow.amount : flow.amount * (flow.exchangeRate || 1);
+
+/**
+ * 投資組合的外部現金流 (投入為正、提領為負)，成員間轉移不影響總資產因此略過。
+ * 供報酬率計算使用。
+ */
+export const toCashFlows = (flows) =>
+  flows
+    .filter(f => flowKind(f) !== 'transfer')
+    .map(f => ({ date: f.date, amount: flowKind(f) === 'withdrawal' ? -flowTwd(f) : flowTwd(f) }));
+
+/**
+ * 只保留指定股票類帳戶的資金進出，供「投資部位」模式的報酬率計算。
+ * 存入現金帳戶 (或未指定帳戶) 的錢不會反映在股票部位的價值上，若一併扣除會被算成虧損。
+ */
+export const stockAccountFlows = (flows, accounts) => {
+  const stockIds = new Set(accounts.filter(a => a.class === 'stock').map(a => a.id));
+  return flows.filter(f => stockIds.has(f.accountId));
+};
+
+/**
+ * 每位成員的淨投入 (台幣)：投入 - 提領，轉移時轉出者減少、轉入者增加。
+ * 回傳 { [memberId]: amount }
+ */
+export const memberNetContributions = (flows) => {
+  const totals = {};
+  const add = (person, amount) => {
+    totals[person] = (totals[person] || 0) + amount;
+  };
+  flows.forEach(f => {
+    const twd = flowTwd(f);
+    const kind = flowKind(f);
+    if (kind === 'deposit') add(f.person, twd);
+    if (kind === 'withdrawal') add(f.person, -twd);
+    if (kind === 'transfer') {
+      add(f.person, -twd);
+      add(f.toPerson, twd);
+    }
+  });
+  return totals;
+};
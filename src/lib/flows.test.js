@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { flowKind, flowCurrency, flowTwd, toCashFlows, memberNetContributions, stockAccountFlows } from './flows';
+import { buildTimeline, toValuePoints, trailingGrowth } from './valuation';
+import { riskMetrics } from './risk';
+
+const flows = [
+  { date: '2024-01-01', person: 'a', amount: 1000 },
+  { date: '2024-02-01', kind: 'deposit', person: 'b', amount: 100, currency: 'USD', exchangeRate: 32 },
+  { date: '2024-03-01', kind: 'withdrawal', person: 'a', amount: 300, currency: 'TWD' },
+  { date: '2024-04-01', kind: 'transfer', person: 'b', toPerson: 'a', amount: 500 },
+];
+
+describe('legacy records', () => {
+  it('are base-currency deposits', () => {
+    expect(flowKind(flows[0])).toBe('deposit');
+    expect(flowCurrency(flows[0])).toBe('TWD');
+    expect(flowTwd(flows[0])).toBe(1000);
+  });
+});
+
+describe('flowTwd', () => {
+  it('converts foreign flows at their own rate', () => {
+    expect(flowTwd(flows[1])).toBe(3200);
+    expect(flowTwd({ amount: 10, currency: 'USD' })).toBe(10);
+  });
+});
+
+describe('toCashFlows', () => {
+  it('signs deposits and withdrawals and skips transfers between members', () => {
+    expect(toCashFlows(flows)).toEqual([
+      { date: '2024-01-01', amount: 1000 },
+      { date: '2024-02-01', amount: 3200 },
+      { date: '2024-03-01', amount: -300 },
+    ]);
+  });
+});
+
+describe('memberNetContributions', () => {
+  it('moves transfers from one member to the other', () => {
+    expect(memberNetContributions(flows)).toEqual({ a: 1200, b: 2700 });
+  });
+});
+
+const ACCOUNTS = [
+  { id: 'tw_stock', class: 'stock' },
+  { id: 'tw_cash', class: 'cash' },
+];
+
+describe('stockAccountFlows', () => {
+  const flows = [
+    { date: '2024-02-01', kind: 'deposit', person: 'a', amount: 50, accountId: 'tw_cash' },
+    { date: '2024-02-01', kind: 'deposit', person: 'a', amount: 30, accountId: 'tw_stock' },
+    { date: '2024-02-01', kind: 'deposit', person: 'a', amount: 20 },
+  ];
+
+  it('keeps only flows into stock accounts', () => {
+    expect(stockAccountFlows(flows, ACCOUNTS).map(f => f.amount)).toEqual([30]);
+  });
+
+  const timeline = buildTimeline([
+    { date: '2024-01-01', type: 'tw_stock', amount: 100, exchangeRate: 1 },
+    { date: '2024-01-01', type: 'tw_cash', amount: 0, exchangeRate: 1 },
+    { date: '2024-03-01', type: 'tw_stock', amount: 100, exchangeRate: 1 },
+    { date: '2024-03-01', type: 'tw_cash', amount: 50, exchangeRate: 1 },
+  ], ACCOUNTS);
+  const deposit = flows.slice(0, 1);
+
+  it('does not count a cash deposit as an investment loss', () => {
+    const stats = trailingGrowth(timeline, toCashFlows(stockAccountFlows(deposit, ACCOUNTS)), 2, 'investment');
+    expect(stats.twr).toBeCloseTo(0);
+    expect(stats.xirr).toBeCloseTo(0);
+    expect(trailingGrowth(timeline, toCashFlows(deposit), 2, 'total').twr).toBeCloseTo(0);
+  });
+
+  it('does not show a cash deposit as an investment drawdown', () => {
+    const stats = riskMetrics(toValuePoints(timeline, 'investment'), toCashFlows(stockAccountFlows(deposit, ACCOUNTS)));
+    expect(stats.drawdown.drawdown).toBeCloseTo(0);
+  });
+});
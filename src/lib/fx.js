@@ -0,0 +1,198 @@
+// --- 匯率歷史與匯率 / 市場報酬拆解 ---
+
+import { BASE_CURRENCY, DEFAULT_RATES, findAccount, isForeign } from './accounts';
+import { parseCsv } from './backup';
+import { flowTwd } from './flows';
+import { DEFAULT_LOCALE, createTranslator } from './i18n';
+
+const byDate = (a, b) => a.date.localeCompare(b.date);
+
+// 各幣別依日期排序的匯率，以匯率陣列為 key 快取 (匯率歷史每次變動都會產生新陣列)
+const sortedCache = new WeakMap();
+
+const sortedRates = (fxRates, currency) => {
+  let byCurrency = sortedCache.get(fxRates);
+  if (!byCurrency) {
+    byCurrency = new Map();
+    fxRates.forEach(r => {
+      if (!byCurrency.has(r.currency)) byCurrency.set(r.currency, []);
+      byCurrency.get(r.currency).push(r);
+    });
+    byCurrency.forEach(list => list.sort(byDate));
+    sortedCache.set(fxRates, byCurrency);
+  }
+  return byCurrency.get(currency) || [];
+};
+
+// 第一個日期大於 date 的索引 (二分搜尋)
+const upperBound = (rates, date) => {
+  let lo = 0;
+  let hi = rates.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (rates[mid].date <= date) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+/**
+ * 取得某幣別在某日 (含) 之前最近一筆匯率 (1 單位外幣 = ? 台幣)，沒有則回傳 null。
+ * 同日期有多筆時取最後一筆。
+ */
+export const rateOn = (fxRates, currency, date) => {
+  if (currency === BASE_CURRENCY) return 1;
+  const rates = sortedRates(fxRates, currency);
+  const index = upperBound(rates, date) - 1;
+  return index >= 0 ? rates[index].rate : null;
+};
+
+// --- 報表幣別 ---
+
+export const REPORTING_CURRENCIES = [BASE_CURRENCY, 'USD'];
+
+/**
+ * 報表幣別在某日的匯率 (1 單位報表幣別 = ? 台幣)。
+ * 該日之前沒有匯率時取最早的一筆，仍沒有則用預設匯率。
+ */
+export const reportingRate = (fxRates, currency, date) => {
+  if (currency === BASE_CURRENCY) return 1;
+  const rate = rateOn(fxRates, currency, date);
+  if (rate !== null) return rate;
+  const earliest = sortedRates(fxRates, currency)[0];
+  return earliest ? earliest.rate : DEFAULT_RATES[currency] ?? 1;
+};
+
+/**
+ * 分析用的資產快照副本：exchangeRate 改為「對報表幣別」的匯率 (依快照日期)，
+ * 讓 amount × exchangeRate 直接得到報表幣別的價值。只供計算與顯示，不可寫回。
+ */
+export const toReportingAssets = (assets, fxRates, currency) =>
+  currency === BASE_CURRENCY
+    ? assets
+    : assets.map(a => ({ ...a, exchangeRate: a.exchangeRate / reportingRate(fxRates, currency, a.date) }));
+
+/**
+ * 分析用的資金進出副本：金額依進出日期的匯率換算成報表幣別 (currency 設為台幣、匯率 1，
+ * 使 flowTwd 回傳報表幣別金額)。只供計算與顯示，不可寫回。
+ */
+export const toReportingFlows = (flows, fxRates, currency) =>
+  currency === BASE_CURRENCY
+    ? flows
+    : flows.map(f => ({ ...f, amount: flowTwd(f) / reportingRate(fxRates, currency, f.date), currency: BASE_CURRENCY, exchangeRate: 1 }));
+
+export const rateKey = (r) => `${r.date}|${r.currency}`;
+
+// 同日期同幣別只保留一筆，匯入者覆蓋既有記錄
+export const upsertRates = (existing, incoming, makeId) => {
+  const byKey = new Map(existing.map(r => [rateKey(r), r]));
+  incoming.forEach(r => {
+    const previous = byKey.get(rateKey(r));
+    byKey.set(rateKey(r), { ...r, id: previous ? previous.id : makeId() });
+  });
+  return Array.from(byKey.values()).sort(byDate);
+};
+
+// 由外幣帳戶快照上記錄的匯率建立匯率歷史 (第一次使用時)，依日期排序
+export const ratesFromSnapshots = (assets, accounts) =>
+  assets
+    .filter(a => isForeign(findAccount(accounts, a.type)) && a.exchangeRate > 0)
+    .sort(byDate)
+    .map(a => ({ date: a.date, currency: findAccount(accounts, a.type).currency, rate: a.exchangeRate }));
+
+// 日期欄位：接受 YYYY-MM-DD、YYYY/MM/DD 或 YYYY.MM.DD，無效時回傳 null
+export const normaliseDate = (val) => {
+  const match = String(val || '').trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (!match) return null;
+  const date = `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  const d = new Date(`${date}T00:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().startsWith(date) ? date : null;
+};
+
+/**
+ * 解析匯率 CSV：第一欄為日期 (YYYY-MM-DD 或 YYYY/MM/DD)，
+ * 匯率取 rate 欄位 (沒有標題列時取第二欄)，currency 欄位可省略 (預設 defaultCurrency)。
+ * 回傳 { rates, issues }，issues 的訊息以 t 翻譯 (預設繁體中文)。
+ */
+export const parseRatesCsv = (text, defaultCurrency, t = createTranslator(DEFAULT_LOCALE)) => {
+  const rows = parseCsv(text);
+  const issues = [];
+  if (rows.length === 0) return { rates: [], issues };
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const hasHeader = !normaliseDate(rows[0][0]);
+  const dateCol = hasHeader ? Math.max(header.indexOf('date'), 0) : 0;
+  const rateCol = hasHeader && header.includes('rate') ? header.indexOf('rate') : 1;
+  const currencyCol = hasHeader ? header.indexOf('currency') : -1;
+
+  const rates = [];
+  rows.slice(hasHeader ? 1 : 0).forEach((cells, i) => {
+    const row = i + (hasHeader ? 2 : 1);
+    const date = normaliseDate(cells[dateCol]);
+    const rate = Number(String(cells[rateCol] ?? '').replace(/,/g, ''));
+    const currency = (currencyCol >= 0 && cells[currencyCol] ? cells[currencyCol] : defaultCurrency).trim().toUpperCase();
+
+    const messages = [];
+    if (!date) messages.push(t('validation.badDate', { value: cells[dateCol] ?? t('validation.blank') }));
+    if (!isFinite(rate) || rate <= 0) messages.push(t('validation.badRate', { value: cells[rateCol] ?? t('validation.blank') }));
+    if (messages.length > 0) issues.push({ row, messages });
+    else rates.push({ date, currency, rate });
+  });
+
+  return { rates, issues };
+};
+
+// 某帳戶在某日 (含) 之前最新的一筆快照；同日有多筆時與 buildTimeline 一樣取第一筆
+const latestRecord = (assets, accountId, date) => {
+  let latest = null;
+  assets.forEach(a => {
+    if (a.type === accountId && a.date <= date && (!latest || a.date > latest.date)) latest = a;
+  });
+  return latest;
+};
+
+/**
+ * 將幣別不同於報表幣別的帳戶在 [startDate, endDate] 的價值變化 (報表幣別) 拆成：
+ * - 市場 (原幣) 部分：(期末原幣 - 期初原幣) × 期初匯率
+ * - 匯率部分：期末原幣 × (期末匯率 - 期初匯率)
+ * 匯率與總資產走勢相同，使用快照上記錄的匯率 (報表幣別不是台幣時依 toReportingAssets 換算)，
+ * 期初 / 期末價值因此與走勢圖上同一帳戶的價值一致；期初沒有快照時視為沒有匯率影響。
+ * 期間內的資金投入不另外扣除，會計入市場部分。
+ */
+export const fxAttribution = (assets, accounts, fxRates, startDate, endDate, reportCurrency = BASE_CURRENCY) => {
+  const reporting = toReportingAssets(assets, fxRates, reportCurrency);
+  const rows = accounts
+    .filter(a => a.currency !== reportCurrency)
+    .map(account => {
+      const start = latestRecord(reporting, account.id, startDate);
+      const end = latestRecord(reporting, account.id, endDate);
+      if (!end) return null;
+
+      const local0 = start ? start.amount : 0;
+      const local1 = end.amount;
+      const rate1 = end.exchangeRate;
+      const rate0 = start ? start.exchangeRate : rate1;
+
+      return {
+        account,
+        local0,
+        local1,
+        rate0,
+        rate1,
+        startValue: local0 * rate0,
+        endValue: local1 * rate1,
+        marketPart: (local1 - local0) * rate0,
+        fxPart: local1 * (rate1 - rate0),
+      };
+    })
+    .filter(Boolean);
+
+  const totals = rows.reduce((sum, r) => ({
+    startValue: sum.startValue + r.startValue,
+    endValue: sum.endValue + r.endValue,
+    marketPart: sum.marketPart + r.marketPart,
+    fxPart: sum.fxPart + r.fxPart,
+  }), { startValue: 0, endValue: 0, marketPart: 0, fxPart: 0 });
+
+  return { rows, totals };
+};
@@ -0,0 +1,220 @@
+import { describe, it, expect } from 'vitest';
+import { rateOn, reportingRate, toReportingAssets, toReportingFlows, upsertRates, ratesFromSnapshots, parseRatesCsv, fxAttribution } from './fx';
+import { BASE_CURRENCY } from './accounts';
+import { buildTimeline } from './valuation';
+
+// 舊版的逐筆掃描：該日 (含) 之前日期最新的一筆，同日期取最後一筆
+const referenceRateOn = (fxRates, currency, date) => {
+  let rate = null;
+  let rateDate = '';
+  fxRates.forEach(r => {
+    if (r.currency === currency && r.date <= date && r.date >= rateDate) {
+      rate = r.rate;
+      rateDate = r.date;
+    }
+  });
+  return rate;
+};
+
+// 固定種子的亂數，讓失敗時可以重現
+const seededRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const randomDate = (random) =>
+  `${2020 + Math.floor(random() * 3)}-${String(1 + Math.floor(random() * 12)).padStart(2, '0')}-${String(1 + Math.floor(random() * 28)).padStart(2, '0')}`;
+
+describe('rateOn', () => {
+  const fxRates = [
+    { date: '2024-01-01', currency: 'USD', rate: 30 },
+    { date: '2024-02-01', currency: 'USD', rate: 31 },
+    { date: '2024-01-15', currency: 'JPY', rate: 0.21 },
+  ];
+
+  it('takes the latest rate on or before the date', () => {
+    expect(rateOn(fxRates, 'USD', '2024-01-31')).toBe(30);
+    expect(rateOn(fxRates, 'USD', '2024-02-01')).toBe(31);
+    expect(rateOn(fxRates, 'JPY', '2024-12-31')).toBe(0.21);
+  });
+
+  it('is null before the history starts and 1 for the base currency', () => {
+    expect(rateOn(fxRates, 'USD', '2023-12-31')).toBeNull();
+    expect(rateOn(fxRates, 'EUR', '2024-12-31')).toBeNull();
+    expect(rateOn([], 'TWD', '2024-01-01')).toBe(1);
+  });
+
+  it('sees a new history array after the rates change', () => {
+    const before = [{ date: '2024-01-01', currency: 'USD', rate: 30 }];
+    expect(rateOn(before, 'USD', '2024-06-01')).toBe(30);
+    const after = [...before, { date: '2024-05-01', currency: 'USD', rate: 32 }];
+    expect(rateOn(after, 'USD', '2024-06-01')).toBe(32);
+  });
+
+  it('matches a full scan of the history on random data', () => {
+    const random = seededRandom(11);
+    const fxRates = Array.from({ length: 300 }, (_, i) => ({
+      id: String(i),
+      date: randomDate(random),
+      currency: random() < 0.7 ? 'USD' : 'JPY',
+      rate: Math.round(random() * 1000) / 10,
+    }));
+    for (let i = 0; i < 300; i++) {
+      const date = randomDate(random);
+      ['USD', 'JPY', 'EUR'].forEach(currency => {
+        expect(rateOn(fxRates, currency, date)).toBe(referenceRateOn(fxRates, currency, date));
+      });
+    }
+  });
+});
+
+describe('reportingRate', () => {
+  const fxRates = [
+    { date: '2024-03-01', currency: 'USD', rate: 31 },
+    { date: '2024-02-01', currency: 'USD', rate: 30 },
+  ];
+
+  it('falls back to the earliest rate before the history starts', () => {
+    expect(reportingRate(fxRates, 'USD', '2023-01-01')).toBe(30);
+    expect(reportingRate(fxRates, 'USD', '2024-03-15')).toBe(31);
+  });
+
+  it('falls back to the default rate without any history', () => {
+    expect(reportingRate([], 'USD', '2024-01-01')).toBeGreaterThan(0);
+    expect(reportingRate([], 'TWD', '2024-01-01')).toBe(1);
+  });
+
+  it('converts snapshots at the rate of their own date', () => {
+    const [early, late] = toReportingAssets([
+      { date: '2024-02-15', amount: 3000, exchangeRate: 1 },
+      { date: '2024-03-15', amount: 3100, exchangeRate: 1 },
+    ], fxRates, 'USD');
+    expect(early.amount * early.exchangeRate).toBeCloseTo(100);
+    expect(late.amount * late.exchangeRate).toBeCloseTo(100);
+  });
+
+  it('converts flows at the rate of their own date', () => {
+    const [flow] = toReportingFlows([{ date: '2024-03-15', amount: 62, currency: 'USD', exchangeRate: 30 }], fxRates, 'USD');
+    expect(flow).toMatchObject({ currency: 'TWD', exchangeRate: 1 });
+    expect(flow.amount).toBeCloseTo(60);
+  });
+
+  it('leaves the records alone in the base currency', () => {
+    const assets = [{ date: '2024-02-15', amount: 3000, exchangeRate: 1 }];
+    expect(toReportingAssets(assets, fxRates, 'TWD')).toBe(assets);
+    expect(toReportingFlows(assets, fxRates, 'TWD')).toBe(assets);
+  });
+});
+
+describe('ratesFromSnapshots', () => {
+  it('takes the recorded rates of foreign-currency snapshots in date order', () => {
+    const accounts = [
+      { id: 'us_stock', currency: 'USD' },
+      { id: 'jp_cash', currency: 'JPY' },
+      { id: 'tw_stock', currency: 'TWD' },
+    ];
+    expect(ratesFromSnapshots([
+      { date: '2024-02-01', type: 'us_stock', amount: 10, exchangeRate: 31 },
+      { date: '2024-01-01', type: 'jp_cash', amount: 10, exchangeRate: 0.21 },
+      { date: '2024-01-01', type: 'tw_stock', amount: 10, exchangeRate: 1 },
+      { date: '2024-03-01', type: 'us_stock', amount: 10, exchangeRate: 0 },
+    ], accounts)).toEqual([
+      { date: '2024-01-01', currency: 'JPY', rate: 0.21 },
+      { date: '2024-02-01', currency: 'USD', rate: 31 },
+    ]);
+  });
+});
+
+describe('upsertRates', () => {
+  it('overwrites the rate of the same date and currency and keeps its id', () => {
+    let next = 0;
+    const existing = [{ id: 'r1', date: '2024-02-01', currency: 'USD', rate: 31 }];
+    const merged = upsertRates(existing, [
+      { date: '2024-02-01', currency: 'USD', rate: 31.5 },
+      { date: '2024-01-01', currency: 'USD', rate: 30 },
+    ], () => `new${++next}`);
+    expect(merged).toEqual([
+      { id: 'new1', date: '2024-01-01', currency: 'USD', rate: 30 },
+      { id: 'r1', date: '2024-02-01', currency: 'USD', rate: 31.5 },
+    ]);
+  });
+});
+
+describe('parseRatesCsv', () => {
+  it('reads headed files with a currency column', () => {
+    const { rates, issues } = parseRatesCsv('Currency,Date,Rate\njpy,2024/1/5,0.21\nUSD,2024-01-05,"1,030.5"', 'USD');
+    expect(issues).toEqual([]);
+    expect(rates).toEqual([
+      { date: '2024-01-05', currency: 'JPY', rate: 0.21 },
+      { date: '2024-01-05', currency: 'USD', rate: 1030.5 },
+    ]);
+  });
+
+  it('reads date,rate rows without a header in the default currency', () => {
+    expect(parseRatesCsv('2024-01-05,31.2', 'usd').rates).toEqual([{ date: '2024-01-05', currency: 'USD', rate: 31.2 }]);
+  });
+
+  it('reports bad dates and rates by row', () => {
+    const { rates, issues } = parseRatesCsv('date,rate\n2024-02-30,31\n2024-03-01,-1\n2024-03-02,32', 'USD');
+    expect(rates).toHaveLength(1);
+    expect(issues.map(i => i.row)).toEqual([2, 3]);
+  });
+});
+
+describe('fxAttribution', () => {
+  const accounts = [
+    { id: 'us_stock', currency: 'USD' },
+    { id: 'tw_stock', currency: 'TWD' },
+  ];
+  const assets = [
+    { date: '2024-01-01', type: 'us_stock', amount: 1000, exchangeRate: 30 },
+    { date: '2024-12-31', type: 'us_stock', amount: 1100, exchangeRate: 32 },
+    { date: '2024-12-31', type: 'tw_stock', amount: 50000, exchangeRate: 1 },
+  ];
+  const fxRates = [
+    { date: '2024-01-01', currency: 'USD', rate: 30 },
+    { date: '2024-12-31', currency: 'USD', rate: 32 },
+  ];
+
+  it('splits a foreign account into market and currency parts', () => {
+    const { rows, totals } = fxAttribution(assets, accounts, fxRates, '2024-01-01', '2024-12-31');
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ local0: 1000, local1: 1100, rate0: 30, rate1: 32, startValue: 30000, endValue: 35200 });
+    expect(totals.marketPart).toBeCloseTo(3000);
+    expect(totals.fxPart).toBeCloseTo(2200);
+    expect(totals.marketPart + totals.fxPart).toBeCloseTo(totals.endValue - totals.startValue);
+  });
+
+  it('uses the snapshot rates like the timeline, whatever the rate history says', () => {
+    const history = [{ date: '2024-06-30', currency: 'USD', rate: 40 }];
+    const { rows, totals } = fxAttribution(assets, accounts, history, '2024-01-01', '2024-12-31');
+    expect(rows[0]).toMatchObject({ rate0: 30, rate1: 32 });
+    expect(totals).toMatchObject({ startValue: 30000, endValue: 35200 });
+    expect(fxAttribution(assets, accounts, [], '2024-01-01', '2024-12-31').totals).toEqual(totals);
+  });
+
+  it('agrees with the timeline value of each account at both ends', () => {
+    const history = [{ date: '2024-01-01', currency: 'USD', rate: 29 }, { date: '2024-12-31', currency: 'USD', rate: 33 }];
+    const timelineAccounts = [{ id: 'us_stock', class: 'stock' }, { id: 'tw_stock', class: 'stock' }];
+    [BASE_CURRENCY, 'USD'].forEach(currency => {
+      const timeline = buildTimeline(toReportingAssets(assets, history, currency), timelineAccounts);
+      const { rows } = fxAttribution(assets, accounts, history, '2024-01-01', '2024-12-31', currency);
+      rows.forEach(row => {
+        expect(row.startValue).toBeCloseTo(timeline[0].values[row.account.id]);
+        expect(row.endValue).toBeCloseTo(timeline[timeline.length - 1].values[row.account.id]);
+      });
+    });
+  });
+
+  it('treats base-currency accounts as foreign when reporting in another currency', () => {
+    const { rows, totals } = fxAttribution(assets, accounts, fxRates, '2024-01-01', '2024-12-31', 'USD');
+    expect(rows.map(r => r.account.id)).toEqual(['tw_stock']);
+    // 年初沒有台股快照，年底 50000 台幣以 32 換算
+    expect(totals.endValue).toBeCloseTo(50000 / 32);
+    expect(totals.marketPart + totals.fxPart).toBeCloseTo(totals.endValue - totals.startValue);
+  });
+
+  it('skips accounts without a snapshot by the end date', () => {
+    expect(fxAttribution(assets, accounts, fxRates, '2023-01-01', '2023-12-31').rows).toEqual([]);
+  });
+});
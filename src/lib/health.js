@@ -0,0 +1,246 @@
+// --- 資料健康檢查 ---
+// 找出資產快照與資金進出中可能的輸入錯誤 (多打一個 0、匯率小數點錯位、重複記錄等)。
+// issue 為 { id, ledger, recordId, date, code, params }，介面以 `health.<code>` 翻譯成訊息。
+
+import { BASE_CURRENCY, DEFAULT_RATES } from './accounts';
+import { flowCurrency, flowKind, flowTwd } from './flows';
+import { rateOn } from './fx';
+
+export const HEALTH_DEFAULTS = {
+  jumpPercent: 50,  // 與同帳戶前一筆快照相比，原幣金額變動超過此百分比視為異常
+  fxTolerance: 20,  // 匯率與參考匯率相差超過此百分比視為異常
+  staleDays: 90,    // 其他帳戶已更新，某帳戶卻沿用超過此天數的舊快照
+  flowMultiple: 10, // 單筆資金進出超過同成員同種類中位數的倍數
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.round((new Date(to).getTime() - new Date(from).getTime()) / DAY);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const issue = (ledger, record, code, params = {}) => ({
+  id: `${code}-${ledger}-${record.id || 'new'}`,
+  ledger,
+  recordId: record.id || null,
+  date: record.date,
+  code,
+  params,
+});
+
+// 參考匯率：匯率歷史中該日 (含) 之前最近的一筆，沒有時用預設匯率
+const referenceRate = (fxRates, currency, date) =>
+  rateOn(fxRates, currency, date) ?? DEFAULT_RATES[currency] ?? null;
+
+const checkRate = (ledger, record, currency, { fxRates, thresholds }) => {
+  if (currency === BASE_CURRENCY) return [];
+  const reference = referenceRate(fxRates, currency, record.date);
+  const rate = Number(record.exchangeRate);
+  if (!reference || !(rate > 0)) return [];
+  const deviation = Math.abs(rate / reference - 1) * 100;
+  return deviation > thresholds.fxTolerance
+    ? [issue(ledger, record, 'implausibleRate', { currency, rate, reference })]
+    : [];
+};
+
+// 依日期排序 (穩定排序，同日多筆保留原本順序)
+const byDate = (a, b) => a.date.localeCompare(b.date);
+
+const groupBy = (records, keyOf) => {
+  const groups = new Map();
+  records.forEach(r => {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  });
+  return groups;
+};
+
+// 第一個大於等於 date 的索引 (dates 已排序)
+const lowerBound = (dates, date) => {
+  let lo = 0;
+  let hi = dates.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (dates[mid] < date) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// 資產快照的各項檢查；previous 為同帳戶前一個日期的快照，duplicate 為同帳戶同日期是否有其他快照
+const assetIssues = (record, account, { previous, duplicate }, ctx) => {
+  const issues = [];
+
+  if (!account) issues.push(issue('assets', record, 'unknownAccount', { type: record.type }));
+
+  if (duplicate) {
+    issues.push(issue('assets', record, 'duplicateAsset', { account: account ? account.name : record.type }));
+  }
+
+  const amount = Number(record.amount);
+  if (previous && previous.amount > 0) {
+    const change = (amount / previous.amount - 1) * 100;
+    if (Math.abs(change) > ctx.thresholds.jumpPercent) {
+      issues.push(issue('assets', record, 'jump', {
+        since: previous.date,
+        previous: previous.amount,
+        current: amount,
+        change,
+        currency: account ? account.currency : BASE_CURRENCY,
+      }));
+    }
+  }
+
+  if (account) issues.push(...checkRate('assets', record, account.currency, ctx));
+  return issues;
+};
+
+/**
+ * 檢查單筆資產快照 (儲存前使用)：
+ * - unknownAccount：類別不在帳戶清單中，會被當成已封存的未知帳戶
+ * - duplicateAsset：同帳戶同日期已有其他快照
+ * - jump：與同帳戶前一筆快照相比，原幣金額變動超過 jumpPercent
+ * - implausibleRate：外幣匯率與參考匯率相差超過 fxTolerance
+ * ctx 為 { assets, accounts, fxRates, thresholds }；assets 中與 record 同 id 的記錄會被略過。
+ */
+export const checkAsset = (record, ctx) => {
+  const { assets, accounts } = ctx;
+  const others = assets.filter(a => a.type === record.type && a.id !== record.id);
+  const previous = others
+    .filter(a => a.date < record.date)
+    .sort((a, b) => b.date.localeCompare(a.date))[0];
+  return assetIssues(record, accounts.find(a => a.id === record.type), {
+    previous,
+    duplicate: others.some(a => a.date === record.date),
+  }, ctx);
+};
+
+// 全面檢查：每個帳戶只排序一次，每筆快照與相鄰的日期比較
+const checkAllAssets = (ctx) => {
+  const accountsById = new Map(ctx.accounts.map(a => [a.id, a]));
+  const issues = [];
+  groupBy(ctx.assets, a => a.type).forEach((own, type) => {
+    own.sort(byDate);
+    let runStart = 0; // 目前日期第一筆的索引
+    let previous;     // 前一個日期的第一筆 (與 checkAsset 相同)
+    own.forEach((record, i) => {
+      if (i > 0 && record.date !== own[i - 1].date) {
+        previous = own[runStart];
+        runStart = i;
+      }
+      const duplicate = i > runStart || (i + 1 < own.length && own[i + 1].date === record.date);
+      issues.push(...assetIssues(record, accountsById.get(type), { previous, duplicate }, ctx));
+    });
+  });
+  return issues;
+};
+
+// 排除 sorted[skip] 後的中位數 (sorted 已由小到大排序)
+const medianWithout = (sorted, skip) => {
+  const n = sorted.length - 1;
+  if (n <= 0) return null;
+  const at = (k) => sorted[k < skip ? k : k + 1];
+  return n % 2 ? at(Math.floor(n / 2)) : (at(n / 2 - 1) + at(n / 2)) / 2;
+};
+
+// 資金進出的各項檢查；peerCount / typical 為同成員同種類其他記錄的筆數與台幣中位數
+const contributionIssues = (record, { duplicate, peerCount, typical }, ctx) => {
+  const issues = [];
+
+  if (duplicate) issues.push(issue('contributions', record, 'duplicateFlow'));
+
+  const twd = flowTwd({ ...record, amount: Number(record.amount) });
+  if (peerCount >= 3 && typical > 0 && twd > typical * ctx.thresholds.flowMultiple) {
+    issues.push(issue('contributions', record, 'flowOutlier', { amount: twd, typical, multiple: twd / typical }));
+  }
+
+  issues.push(...checkRate('contributions', record, flowCurrency(record), ctx));
+  return issues;
+};
+
+const duplicateFlowKey = (flow, amount) => `${flow.date}|${amount}|${flowCurrency(flow)}`;
+
+/**
+ * 檢查單筆資金進出：
+ * - duplicateFlow：同日期、同成員、同種類、同金額與幣別的記錄已存在
+ * - flowOutlier：台幣金額超過該成員同種類其他記錄中位數的 flowMultiple 倍
+ * - implausibleRate：外幣匯率與參考匯率相差超過 fxTolerance
+ * ctx 為 { contributions, fxRates, thresholds }
+ */
+export const checkContribution = (record, ctx) => {
+  const kind = flowKind(record);
+  const key = duplicateFlowKey(record, Number(record.amount));
+  const peers = ctx.contributions.filter(c => c.id !== record.id && c.person === record.person && flowKind(c) === kind);
+  return contributionIssues(record, {
+    duplicate: peers.some(c => duplicateFlowKey(c, c.amount) === key),
+    peerCount: peers.length,
+    typical: median(peers.map(flowTwd)),
+  }, ctx);
+};
+
+// 全面檢查：依成員與種類分組，每組排序一次
+const checkAllContributions = (ctx) => {
+  const issues = [];
+  groupBy(ctx.contributions, c => `${c.person}|${flowKind(c)}`).forEach(group => {
+    const keyCounts = new Map();
+    group.forEach(c => {
+      const key = duplicateFlowKey(c, c.amount);
+      keyCounts.set(key, (keyCounts.get(key) || 0) + 1);
+    });
+    const order = group.map((c, i) => ({ i, twd: flowTwd(c) })).sort((a, b) => a.twd - b.twd);
+    const sorted = order.map(o => o.twd);
+    const position = new Array(group.length);
+    order.forEach((o, p) => {
+      position[o.i] = p;
+    });
+
+    group.forEach((record, i) => issues.push(...contributionIssues(record, {
+      duplicate: keyCounts.get(duplicateFlowKey(record, record.amount)) > 1,
+      peerCount: group.length - 1,
+      typical: medianWithout(sorted, position[i]),
+    }, ctx)));
+  });
+  return issues;
+};
+
+/**
+ * 沿用舊值 (fill-forward)：其他帳戶在某日更新，而此帳戶最近一筆快照已超過 staleDays，
+ * 走勢圖上會默默沿用舊值。每筆被沿用的快照回報一次，until 為最後一個沿用它的日期。
+ */
+const checkStale = (assets, accounts, thresholds) => {
+  const dates = Array.from(new Set(assets.map(a => a.date))).sort();
+  const byAccount = groupBy(assets, a => a.type);
+  const issues = [];
+  accounts.forEach(account => {
+    const own = (byAccount.get(account.id) || []).sort(byDate);
+    own.forEach((record, i) => {
+      const next = own[i + 1];
+      // 下一筆快照之前 (沒有下一筆時為全部資料中) 的最後一個日期
+      const until = dates[(next ? lowerBound(dates, next.date) : dates.length) - 1];
+      if (until > record.date && daysBetween(record.date, until) > thresholds.staleDays) {
+        issues.push(issue('assets', record, 'stale', { account: account.name, until, days: daysBetween(record.date, until) }));
+      }
+    });
+  });
+  return issues;
+};
+
+/**
+ * 對兩本帳的所有記錄執行檢查，依日期由新到舊排序。
+ * thresholds 缺少的欄位使用 HEALTH_DEFAULTS。
+ * 各帳戶 / 各成員只排序一次，O(n log n)，結果與逐筆呼叫 checkAsset / checkContribution 相同。
+ */
+export const runHealthChecks = ({ assets, contributions, accounts, fxRates, thresholds = {} }) => {
+  const ctx = { assets, contributions, accounts, fxRates, thresholds: { ...HEALTH_DEFAULTS, ...thresholds } };
+  return [
+    ...checkAllAssets(ctx),
+    ...checkStale(assets, accounts, ctx.thresholds),
+    ...checkAllContributions(ctx),
+  ].sort((a, b) => b.date.localeCompare(a.date));
+};
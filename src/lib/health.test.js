@@ -0,0 +1,198 @@
+import { describe, it, expect } from 'vitest';
+import { HEALTH_DEFAULTS, checkAsset, checkContribution, runHealthChecks } from './health';
+
+const ACCOUNTS = [
+  { id: 'tw_stock', name: '台股', currency: 'TWD', class: 'stock' },
+  { id: 'us_stock', name: '美股', currency: 'USD', class: 'stock' },
+  { id: 'tw_cash', name: '台幣現金', currency: 'TWD', class: 'cash' },
+];
+
+const FX_RATES = [{ id: 'r1', date: '2020-01-01', currency: 'USD', rate: 30 }];
+
+// 固定種子的亂數，讓失敗時可以重現
+const seededRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const randomDate = (random) => {
+  const month = String(1 + Math.floor(random() * 12)).padStart(2, '0');
+  const day = String(1 + Math.floor(random() * 28)).padStart(2, '0');
+  return `${2020 + Math.floor(random() * 3)}-${month}-${day}`;
+};
+
+const randomLedgers = (random) => {
+  const assets = Array.from({ length: 200 }, (_, i) => {
+    const type = random() < 0.05 ? 'gone' : ACCOUNTS[Math.floor(random() * ACCOUNTS.length)].id;
+    return {
+      id: `a${i}`,
+      date: randomDate(random),
+      type,
+      amount: Math.round(random() * 1000) * (random() < 0.1 ? 10 : 1),
+      exchangeRate: type === 'us_stock' ? (random() < 0.1 ? 3 : 30) : 1,
+    };
+  });
+  const contributions = Array.from({ length: 150 }, (_, i) => ({
+    id: `c${i}`,
+    date: randomDate(random),
+    person: random() < 0.5 ? 'a' : 'b',
+    kind: random() < 0.8 ? 'deposit' : 'withdrawal',
+    amount: [1000, 2000, 5000, 50000][Math.floor(random() * 4)],
+    currency: random() < 0.2 ? 'USD' : 'TWD',
+    exchangeRate: 30,
+  }));
+  return { assets, contributions };
+};
+
+// 舊版的沿用舊值檢查：逐筆找出被沿用的日期
+const referenceStale = (assets, accounts, thresholds) => {
+  const days = (from, to) => Math.round((new Date(to) - new Date(from)) / 86400000);
+  const dates = Array.from(new Set(assets.map(a => a.date))).sort();
+  return accounts.flatMap(account => {
+    const own = assets.filter(a => a.type === account.id).sort((a, b) => a.date.localeCompare(b.date));
+    return own.flatMap((record, i) => {
+      const next = own[i + 1];
+      const carried = dates.filter(d => d > record.date && (!next || d < next.date));
+      const until = carried[carried.length - 1];
+      return until && days(record.date, until) > thresholds.staleDays ? [`stale-assets-${record.id}`] : [];
+    });
+  });
+};
+
+const ids = (issues) => issues.map(i => i.id).sort();
+
+const codes = (issues) => issues.map(i => i.code).sort();
+
+describe('checkAsset', () => {
+  const assets = [
+    { id: '1', date: '2024-01-31', type: 'us_stock', amount: 1000, exchangeRate: 30 },
+    { id: '2', date: '2024-02-29', type: 'us_stock', amount: 1100, exchangeRate: 30 },
+  ];
+  const ctx = { assets, accounts: ACCOUNTS, fxRates: FX_RATES, thresholds: HEALTH_DEFAULTS };
+
+  it('accepts an ordinary snapshot', () => {
+    expect(checkAsset({ date: '2024-03-31', type: 'us_stock', amount: 1200, exchangeRate: 31 }, ctx)).toEqual([]);
+  });
+
+  it('flags an extra zero against the previous snapshot of the account', () => {
+    const [issue] = checkAsset({ date: '2024-03-31', type: 'us_stock', amount: 11000, exchangeRate: 30 }, ctx);
+    expect(issue).toMatchObject({ code: 'jump', ledger: 'assets', recordId: null, params: { since: '2024-02-29', previous: 1100, current: 11000, currency: 'USD' } });
+  });
+
+  it('flags a misplaced decimal point in the exchange rate', () => {
+    const [issue] = checkAsset({ date: '2024-03-31', type: 'us_stock', amount: 1100, exchangeRate: 3 }, ctx);
+    expect(issue).toMatchObject({ code: 'implausibleRate', params: { currency: 'USD', rate: 3, reference: 30 } });
+  });
+
+  it('flags a second snapshot of the same day but not the record itself', () => {
+    expect(codes(checkAsset({ id: '9', date: '2024-02-29', type: 'us_stock', amount: 1100, exchangeRate: 30 }, ctx))).toEqual(['duplicateAsset']);
+    expect(checkAsset(assets[1], ctx)).toEqual([]);
+  });
+
+  it('flags unknown accounts', () => {
+    expect(codes(checkAsset({ date: '2024-03-31', type: 'gold', amount: 1 }, ctx))).toEqual(['unknownAccount']);
+  });
+});
+
+describe('checkContribution', () => {
+  const flow = (id, amount, fields = {}) => ({ id, date: `2024-0${id}-01`, person: 'a', kind: 'deposit', amount, ...fields });
+  const contributions = [flow('1', 10000), flow('2', 12000), flow('3', 10000)];
+  const ctx = { contributions, fxRates: FX_RATES, thresholds: HEALTH_DEFAULTS };
+
+  it('flags an amount far above the usual for the member', () => {
+    const [issue] = checkContribution(flow('4', 150000), ctx);
+    expect(issue).toMatchObject({ code: 'flowOutlier', params: { amount: 150000, typical: 10000, multiple: 15 } });
+    expect(checkContribution(flow('4', 150000, { kind: 'withdrawal' }), ctx)).toEqual([]);
+  });
+
+  it('flags the same flow entered twice', () => {
+    expect(codes(checkContribution({ ...contributions[1], id: '9' }, ctx))).toEqual(['duplicateFlow']);
+  });
+
+  it('checks the rate of foreign flows', () => {
+    expect(codes(checkContribution(flow('4', 100, { currency: 'USD', exchangeRate: 300 }), ctx))).toEqual(['implausibleRate']);
+  });
+});
+
+describe('runHealthChecks', () => {
+  it('reports snapshots carried forward past the stale limit, newest first', () => {
+    const issues = runHealthChecks({
+      assets: [
+        { id: 's1', date: '2024-01-01', type: 'tw_stock', amount: 100, exchangeRate: 1 },
+        { id: 's2', date: '2024-06-01', type: 'tw_stock', amount: 100, exchangeRate: 1 },
+        { id: 'c1', date: '2024-01-01', type: 'tw_cash', amount: 100, exchangeRate: 1 },
+        { id: 'c2', date: '2024-02-01', type: 'tw_cash', amount: 100, exchangeRate: 1 },
+      ],
+      contributions: [{ id: 'f1', date: '2024-07-01', person: 'a', amount: 100, currency: 'USD', exchangeRate: 3 }],
+      accounts: ACCOUNTS,
+      fxRates: FX_RATES,
+    });
+    expect(issues.map(i => [i.code, i.recordId])).toEqual([['implausibleRate', 'f1'], ['stale', 'c2']]);
+    expect(issues[1].params).toMatchObject({ until: '2024-06-01', days: 121 });
+  });
+
+  it('applies custom thresholds', () => {
+    const assets = [
+      { id: '1', date: '2024-01-01', type: 'tw_stock', amount: 100, exchangeRate: 1 },
+      { id: '2', date: '2024-02-01', type: 'tw_stock', amount: 130, exchangeRate: 1 },
+    ];
+    const run = (thresholds) => runHealthChecks({ assets, contributions: [], accounts: ACCOUNTS, fxRates: [], thresholds });
+    expect(run({})).toEqual([]);
+    expect(codes(run({ jumpPercent: 20 }))).toEqual(['jump']);
+  });
+
+  it('matches the per-record checks on random data', () => {
+    const random = seededRandom(3);
+    for (let round = 0; round < 5; round++) {
+      const { assets, contributions } = randomLedgers(random);
+      const ctx = { assets, contributions, accounts: ACCOUNTS, fxRates: FX_RATES, thresholds: HEALTH_DEFAULTS };
+      const issues = runHealthChecks(ctx);
+      const expected = [...assets.flatMap(r => checkAsset(r, ctx)), ...contributions.flatMap(r => checkContribution(r, ctx))];
+
+      expect(issues.filter(i => i.code !== 'stale')).toEqual(expect.arrayContaining(expected));
+      expect(ids(issues)).toEqual([...ids(expected), ...referenceStale(assets, ACCOUNTS, HEALTH_DEFAULTS)].sort());
+    }
+  });
+
+  it('compares each snapshot with the previous date of the same account', () => {
+    const issues = runHealthChecks({
+      assets: [
+        { id: '1', date: '2024-01-01', type: 'tw_cash', amount: 100, exchangeRate: 1 },
+        { id: '2', date: '2024-02-01', type: 'tw_cash', amount: 1000, exchangeRate: 1 },
+        { id: '3', date: '2024-02-01', type: 'tw_cash', amount: 1000, exchangeRate: 1 },
+      ],
+      contributions: [],
+      accounts: ACCOUNTS,
+      fxRates: [],
+    });
+    expect(ids(issues)).toEqual(['duplicateAsset-assets-2', 'duplicateAsset-assets-3', 'jump-assets-2', 'jump-assets-3']);
+    expect(issues.find(i => i.id === 'jump-assets-3').params.since).toBe('2024-01-01');
+  });
+
+  it('reports each carried-forward snapshot up to the last date before the next one', () => {
+    const snapshot = (id, date, type) => ({ id, date, type, amount: 100, exchangeRate: 1 });
+    const issues = runHealthChecks({
+      assets: [
+        ...['01', '02', '03', '04', '05', '06', '07', '08', '09'].map(m => snapshot(`s${m}`, `2024-${m}-01`, 'tw_stock')),
+        snapshot('c1', '2024-01-01', 'tw_cash'),
+        snapshot('c2', '2024-05-15', 'tw_cash'),
+      ],
+      contributions: [],
+      accounts: ACCOUNTS,
+      fxRates: [],
+    }).filter(i => i.code === 'stale');
+    expect(issues.map(i => [i.recordId, i.params.until])).toEqual([['c2', '2024-09-01'], ['c1', '2024-05-01']]);
+  });
+
+  it('excludes the record itself from the typical flow amount', () => {
+    const flow = (id, amount) => ({ id, date: `2024-0${id}-01`, person: 'a', kind: 'deposit', amount });
+    const issues = runHealthChecks({
+      assets: [],
+      contributions: [flow('1', 1000), flow('2', 1000), flow('3', 1200), flow('4', 100000)],
+      accounts: ACCOUNTS,
+      fxRates: [],
+    });
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ code: 'flowOutlier', recordId: '4', params: { typical: 1000 } });
+  });
+});
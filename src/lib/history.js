@@ -0,0 +1,99 @@
+// --- 編輯歷史、復原 / 重做與資源回收筒 ---
+// 一次變更 (change) 以 { before, after } 表示：before 為 null 是新增，after 為 null 是刪除。
+
+import { DEFAULT_LOCALE, createTranslator } from './i18n';
+
+export const HISTORY_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+export const MAX_UNDO = 100;
+
+export const changeAction = ({ before, after }) => {
+  if (!before) return 'create';
+  if (!after) return 'delete';
+  return 'update';
+};
+
+// 比對前後兩個陣列，以物件參考判斷哪些記錄有變動
+export const diffRecords = (previous, next) => {
+  const previousById = new Map(previous.map(r => [r.id, r]));
+  const nextIds = new Set(next.map(r => r.id));
+  return [
+    ...next
+      .filter(r => previousById.get(r.id) !== r)
+      .map(r => ({ before: previousById.get(r.id) || null, after: r })),
+    ...previous
+      .filter(r => !nextIds.has(r.id))
+      .map(r => ({ before: r, after: null })),
+  ];
+};
+
+// 將變更套用到陣列上 (復原 / 重做時使用)
+export const applyRecordChanges = (records, changes) => {
+  const byId = new Map(records.map(r => [r.id, r]));
+  changes.forEach(({ before, after }) => {
+    if (after) byId.set(after.id, after);
+    else byId.delete(before.id);
+  });
+  return Array.from(byId.values());
+};
+
+export const invertChanges = (changes) =>
+  [...changes].reverse().map(({ before, after }) => ({ before: after, after: before }));
+
+const RESTORE_SOURCES = ['undo', 'redo', 'trash'];
+
+export const trashId = (ledger, recordId) => `${ledger}:${recordId}`;
+
+/**
+ * 產生歷史記錄。source 為 'edit' | 'import' | 'undo' | 'redo' | 'trash' | 'sync'；
+ * 從回收筒還原或復原一筆刪除時，動作記為 restore。同步來的變更帶有對方的 actor。
+ */
+export const buildHistoryEntries = (ledger, changes, { actor, source, makeId }) => {
+  const at = new Date().toISOString();
+  return changes.map(change => {
+    const action = changeAction(change);
+    return {
+      id: makeId(),
+      at,
+      actor: change.actor ?? actor,
+      ledger,
+      recordId: (change.after || change.before).id,
+      action: action === 'create' && RESTORE_SOURCES.includes(source) ? 'restore' : action,
+      source,
+      before: change.before,
+      after: change.after,
+    };
+  });
+};
+
+/**
+ * 依變更更新資源回收筒：刪除的記錄放進回收筒，重新出現的記錄從回收筒移除。
+ */
+export const updateTrash = (trash, ledger, changes, actor) => {
+  const byId = new Map(trash.map(t => [t.id, t]));
+  const deletedAt = new Date().toISOString();
+  changes.forEach(({ before, after }) => {
+    if (!after) {
+      byId.set(trashId(ledger, before.id), { id: trashId(ledger, before.id), ledger, record: before, deletedAt, deletedBy: actor });
+    } else {
+      byId.delete(trashId(ledger, after.id));
+    }
+  });
+  return Array.from(byId.values());
+};
+
+// 以文字描述一筆記錄前後的差異 (欄位: 舊值 → 新值)
+export const describeChanges = (before, after, t = createTranslator(DEFAULT_LOCALE)) => {
+  if (!before || !after) return '';
+  const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).filter(k => k !== 'id');
+  return keys
+    .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]))
+    .map(k => `${k}: ${formatValue(before[k], t)} → ${formatValue(after[k], t)}`)
+    .join(t('common.listSeparator'));
+};
+
+const formatValue = (val, t) => {
+  if (val === undefined || val === null || val === '') return t('validation.blank');
+  if (Array.isArray(val)) return t('history.items', { count: val.length });
+  return String(val);
+};
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  changeAction,
+  diffRecords,
+  applyRecordChanges,
+  invertChanges,
+  trashId,
+  buildHistoryEntries,
+  updateTrash,
+  describeChanges,
+} from './history';
+
+const a = { id: 'a', amount: 1 };
+const b = { id: 'b', amount: 2 };
+const c = { id: 'c', amount: 3 };
+
+describe('diffRecords', () => {
+  it('lists created, updated and deleted records by reference', () => {
+    const edited = { ...b, amount: 20 };
+    const changes = diffRecords([a, b, c], [a, edited, { id: 'd', amount: 4 }]);
+    expect(changes.map(changeAction)).toEqual(['update', 'create', 'delete']);
+    expect(changes[0]).toEqual({ before: b, after: edited });
+    expect(changes[2]).toEqual({ before: c, after: null });
+  });
+
+  it('is empty when nothing changed', () => {
+    const records = [a, b];
+    expect(diffRecords(records, [...records])).toEqual([]);
+  });
+});
+
+describe('applyRecordChanges / invertChanges', () => {
+  it('undoes and redoes a set of changes', () => {
+    const before = [a, b, c];
+    const after = [{ ...a, amount: 10 }, c, { id: 'd', amount: 4 }];
+    const changes = diffRecords(before, after);
+
+    const byId = (x, y) => x.id.localeCompare(y.id);
+    expect(applyRecordChanges(before, changes).sort(byId)).toEqual([...after].sort(byId));
+    expect(applyRecordChanges(after, invertChanges(changes)).sort(byId)).toEqual(before);
+  });
+});
+
+describe('buildHistoryEntries', () => {
+  let next = 0;
+  const makeId = () => `h${++next}`;
+
+  it('records who changed which record', () => {
+    const [entry] = buildHistoryEntries('assets', [{ before: a, after: { ...a, amount: 5 } }], { actor: 'A_Hui', source: 'edit', makeId });
+    expect(entry).toMatchObject({ actor: 'A_Hui', ledger: 'assets', recordId: 'a', action: 'update', source: 'edit' });
+    expect(entry.at).toEqual(expect.any(String));
+  });
+
+  it('marks re-created records as restored only when they come back from undo or the trash', () => {
+    const created = [{ before: null, after: a }];
+    expect(buildHistoryEntries('assets', created, { actor: 'x', source: 'edit', makeId })[0].action).toBe('create');
+    expect(buildHistoryEntries('assets', created, { actor: 'x', source: 'import', makeId })[0].action).toBe('create');
+    expect(buildHistoryEntries('assets', created, { actor: 'x', source: 'undo', makeId })[0].action).toBe('restore');
+    expect(buildHistoryEntries('assets', created, { actor: 'x', source: 'trash', makeId })[0].action).toBe('restore');
+  });
+
+  it('keeps the remote actor of synced changes', () => {
+    const [entry] = buildHistoryEntries('assets', [{ before: null, after: a, actor: 'A_Ru' }], { actor: 'A_Hui', source: 'sync', makeId });
+    expect(entry).toMatchObject({ actor: 'A_Ru', action: 'create', source: 'sync' });
+  });
+});
+
+describe('updateTrash', () => {
+  it('moves deleted records into the trash and takes restored ones out', () => {
+    const trash = updateTrash([], 'assets', [{ before: a, after: null }, { before: b, after: null }], 'A_Ru');
+    expect(trash.map(t => t.id)).toEqual([trashId('assets', 'a'), trashId('assets', 'b')]);
+    expect(trash[0]).toMatchObject({ ledger: 'assets', record: a, deletedBy: 'A_Ru' });
+
+    expect(updateTrash(trash, 'assets', [{ before: null, after: a }], 'A_Ru').map(t => t.record)).toEqual([b]);
+  });
+
+  it('keeps the same record id of different ledgers apart', () => {
+    const trash = updateTrash([], 'assets', [{ before: a, after: null }], 'x');
+    expect(updateTrash(trash, 'contributions', [{ before: a, after: null }], 'x')).toHaveLength(2);
+  });
+});
+
+describe('describeChanges', () => {
+  it('lists the fields that changed', () => {
+    expect(describeChanges({ id: 'a', amount: 1, note: 'x' }, { id: 'b', amount: 2, note: 'x' })).toBe('amount: 1 → 2');
+    expect(describeChanges(null, a)).toBe('');
+  });
+});
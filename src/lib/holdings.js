@@ -0,0 +1,126 @@
+// --- 持股與交易明細 ---
+
+export const TRANSACTION_KINDS = ['buy', 'sell', 'dividend', 'split'];
+
+const emptyPosition = () => ({ shares: 0, cost: 0, realised: 0, dividends: 0 });
+
+const byDate = (a, b) => a.date.localeCompare(b.date);
+
+/**
+ * 依日期重播某帳戶的交易，計算每檔持股 (平均成本法)。
+ * - buy：股數增加，成本加上 股數 × 價格 + 手續費
+ * - sell：依平均成本沖銷，差額計入已實現損益 (扣除手續費)
+ * - dividend：現金股利 amount 計入股利收入
+ * - split：股數乘以 ratio，總成本不變
+ * asOfDate 有值時只計入該日 (含) 之前的交易。
+ * 回傳 { positions: { [ticker]: { shares, cost, avgCost, realised, dividends } }, issues }
+ * issues 為 { id, key, params }，由介面以 key 翻譯成訊息。
+ */
+export const replayTransactions = (transactions, accountId, asOfDate = null) => {
+  const positions = {};
+  const issues = [];
+
+  transactions
+    .filter(t => t.accountId === accountId && (!asOfDate || t.date <= asOfDate))
+    .sort(byDate)
+    .forEach(t => {
+      const ticker = t.ticker.trim().toUpperCase();
+      if (!positions[ticker]) positions[ticker] = emptyPosition();
+      const pos = positions[ticker];
+      const shares = Number(t.shares) || 0;
+      const price = Number(t.price) || 0;
+      const fee = Number(t.fee) || 0;
+
+      if (t.kind === 'buy') {
+        pos.shares += shares;
+        pos.cost += shares * price + fee;
+      } else if (t.kind === 'sell') {
+        let sold = shares;
+        if (sold > pos.shares + 1e-9) {
+          issues.push({ id: t.id, key: 'holdings.oversold', params: { date: t.date, ticker, shares, held: pos.shares } });
+          sold = pos.shares;
+        }
+        const avgCost = pos.shares > 0 ? pos.cost / pos.shares : 0;
+        pos.realised += sold * price - fee - sold * avgCost;
+        pos.cost -= sold * avgCost;
+        pos.shares -= sold;
+      } else if (t.kind === 'dividend') {
+        pos.dividends += Number(t.amount) || 0;
+      } else if (t.kind === 'split') {
+        const ratio = Number(t.ratio);
+        if (!(ratio > 0)) {
+          issues.push({ id: t.id, key: 'holdings.invalidSplit', params: { date: t.date, ticker } });
+          return;
+        }
+        pos.shares *= ratio;
+      }
+
+      // 清掉浮點誤差造成的零頭
+      if (Math.abs(pos.shares) < 1e-9) {
+        pos.shares = 0;
+        pos.cost = 0;
+      }
+    });
+
+  Object.values(positions).forEach(pos => {
+    pos.avgCost = pos.shares > 0 ? pos.cost / pos.shares : 0;
+  });
+
+  return { positions, issues };
+};
+
+// 目前仍持有的標的 (依代號排序)
+export const openTickers = (positions) =>
+  Object.keys(positions).filter(ticker => positions[ticker].shares > 0).sort();
+
+/**
+ * 每檔標的的最新價格：取持股快照 (record.positions) 中最新的報價，
+ * 沒有快照時退回最近一筆買賣交易的成交價。
+ */
+export const latestPrices = (assets, transactions, accountId) => {
+  const prices = {};
+
+  transactions
+    .filter(t => t.accountId === accountId && (t.kind === 'buy' || t.kind === 'sell'))
+    .sort(byDate)
+    .forEach(t => {
+      prices[t.ticker.trim().toUpperCase()] = { price: Number(t.price), date: t.date, source: 'trade' };
+    });
+
+  assets
+    .filter(a => a.type === accountId && Array.isArray(a.positions))
+    .sort(byDate)
+    .forEach(a => {
+      a.positions.forEach(p => {
+        const current = prices[p.ticker];
+        if (!current || current.date <= a.date) prices[p.ticker] = { price: Number(p.price), date: a.date, source: 'snapshot' };
+      });
+    });
+
+  return prices;
+};
+
+/**
+ * 每檔標的的損益：市值、未實現損益 (市值 - 剩餘成本)、已實現損益與股利。
+ */
+export const calculateTickerPnl = (assets, transactions, accountId) => {
+  const { positions, issues } = replayTransactions(transactions, accountId);
+  const prices = latestPrices(assets, transactions, accountId);
+
+  const rows = Object.entries(positions)
+    .map(([ticker, pos]) => {
+      const quote = prices[ticker];
+      const marketValue = quote ? pos.shares * quote.price : 0;
+      return {
+        ticker,
+        ...pos,
+        price: quote ? quote.price : null,
+        priceDate: quote ? quote.date : null,
+        marketValue,
+        unrealised: pos.shares > 0 && quote ? marketValue - pos.cost : 0,
+      };
+    })
+    .sort((a, b) => a.ticker.localeCompare(b.ticker));
+
+  return { rows, issues };
+};
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { replayTransactions, openTickers, latestPrices, calculateTickerPnl } from './holdings';
+
+const trade = (id, date, kind, fields) => ({ id, date, kind, accountId: 'tw_stock', ticker: '2330', ...fields });
+
+const transactions = [
+  trade('1', '2024-01-10', 'buy', { shares: 100, price: 500, fee: 50 }),
+  trade('2', '2024-02-10', 'buy', { shares: 100, price: 600, fee: 50 }),
+  trade('3', '2024-03-10', 'sell', { shares: 50, price: 700, fee: 20 }),
+  trade('4', '2024-04-10', 'dividend', { amount: 1500 }),
+  trade('5', '2024-05-10', 'split', { ratio: 2 }),
+  { id: '6', date: '2024-01-01', kind: 'buy', accountId: 'us_stock', ticker: 'vt', shares: 1, price: 100 },
+];
+
+describe('replayTransactions', () => {
+  it('tracks shares and cost with the average cost method', () => {
+    const { positions, issues } = replayTransactions(transactions, 'tw_stock');
+    const pos = positions['2330'];
+
+    expect(issues).toEqual([]);
+    // 平均成本 (50050 + 60050) / 200 = 550.5；賣出 50 股已實現 50 × 700 - 20 - 50 × 550.5
+    expect(pos.realised).toBeCloseTo(7455);
+    expect(pos.dividends).toBe(1500);
+    expect(pos.shares).toBe(300);
+    expect(pos.cost).toBeCloseTo(82575);
+    expect(pos.avgCost).toBeCloseTo(275.25);
+  });
+
+  it('stops at the as-of date', () => {
+    const { positions } = replayTransactions(transactions, 'tw_stock', '2024-01-31');
+    expect(positions['2330']).toMatchObject({ shares: 100, cost: 50050 });
+  });
+
+  it('normalises tickers and keeps accounts apart', () => {
+    expect(Object.keys(replayTransactions(transactions, 'us_stock').positions)).toEqual(['VT']);
+  });
+
+  it('reports overselling and invalid splits', () => {
+    const { positions, issues } = replayTransactions([
+      trade('1', '2024-01-10', 'buy', { shares: 10, price: 10 }),
+      trade('2', '2024-02-10', 'sell', { shares: 15, price: 12 }),
+      trade('3', '2024-03-10', 'split', { ratio: 0 }),
+    ], 'tw_stock');
+    expect(issues.map(i => i.id)).toEqual(['2', '3']);
+    expect(positions['2330']).toMatchObject({ shares: 0, cost: 0 });
+    expect(positions['2330'].realised).toBeCloseTo(20);
+  });
+});
+
+describe('openTickers', () => {
+  it('lists tickers that still have shares, sorted', () => {
+    expect(openTickers({ B: { shares: 1 }, A: { shares: 2 }, C: { shares: 0 } })).toEqual(['A', 'B']);
+  });
+});
+
+describe('latestPrices', () => {
+  it('prefers the newest snapshot price over older trades', () => {
+    const assets = [
+      { date: '2024-02-29', type: 'tw_stock', positions: [{ ticker: '2330', shares: 200, price: 650 }] },
+      { date: '2024-01-31', type: 'tw_stock', positions: [{ ticker: '2330', shares: 100, price: 550 }] },
+    ];
+    expect(latestPrices(assets, transactions, 'tw_stock')['2330']).toEqual({ price: 700, date: '2024-03-10', source: 'trade' });
+    expect(latestPrices(assets, transactions.slice(0, 2), 'tw_stock')['2330']).toEqual({ price: 650, date: '2024-02-29', source: 'snapshot' });
+  });
+});
+
+describe('calculateTickerPnl', () => {
+  it('values open positions at the latest price', () => {
+    const { rows } = calculateTickerPnl([], transactions.slice(0, 2), 'tw_stock');
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ ticker: '2330', price: 600, marketValue: 120000, unrealised: 120000 - 110100 });
+  });
+});
@@ -0,0 +1,76 @@
+// --- 多語系 (介面文字與在地化格式) ---
+// 介面文字以 key 從各語系的訊息檔取得，{name} 形式的參數會被替換；
+// 找不到時依序退回繁體中文與 key 本身。count 為 1 且有 `<key>_one` 時使用單數形式。
+
+import zhTW from '../locales/zh-TW';
+import en from '../locales/en';
+import { BASE_CURRENCY } from './accounts';
+
+export const DEFAULT_LOCALE = 'zh-TW';
+
+export const LOCALES = {
+  'zh-TW': { label: '繁體中文', messages: zhTW },
+  en: { label: 'English', messages: en },
+};
+
+// 依瀏覽器語言挑選語系，都不支援時使用預設語系
+export const detectLocale = (languages = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language]) => {
+  for (const language of languages) {
+    if (/^zh/i.test(language)) return 'zh-TW';
+    if (/^en/i.test(language)) return 'en';
+  }
+  return DEFAULT_LOCALE;
+};
+
+export const createTranslator = (locale) => {
+  const messages = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).messages;
+  const fallback = LOCALES[DEFAULT_LOCALE].messages;
+  const lookup = (key) => messages[key] ?? fallback[key];
+
+  return (key, params) => {
+    const template = (params && params.count === 1 && lookup(`${key}_one`)) || lookup(key) || key;
+    return params
+      ? template.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match))
+      : template;
+  };
+};
+
+// --- 在地化格式 ---
+
+export const formatNumber = (val, locale, options) => new Intl.NumberFormat(locale, options).format(val);
+
+// 金額取整數；非 ISO 幣別 (如加密貨幣) 改用數字加代碼
+export const formatCurrency = (val, currency, locale) => {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: 0 }).format(val);
+  } catch {
+    return `${formatNumber(val, locale, { maximumFractionDigits: 0 })} ${currency}`;
+  }
+};
+
+// 圖表座標軸的精簡單位依幣別而非語系：台幣以「萬 / 億」，其他幣別以 K / M / B
+export const formatCompact = (val, currency) =>
+  new Intl.NumberFormat(currency === BASE_CURRENCY ? 'zh-TW' : 'en', { notation: 'compact', maximumFractionDigits: 1 }).format(val);
+
+const toUtcDate = (date) => new Date(`${date}T00:00:00Z`);
+
+// 記錄上的日期 (YYYY-MM-DD) 依語系顯示
+export const formatDate = (date, locale) =>
+  date ? new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'UTC' }).format(toUtcDate(date)) : '';
+
+// 圖表座標軸：跨年度時顯示年月，否則顯示月日
+export const formatDateTick = (date, multiYear, locale) =>
+  new Intl.DateTimeFormat(locale, multiYear
+    ? { year: 'numeric', month: 'short', timeZone: 'UTC' }
+    : { month: 'short', day: 'numeric', timeZone: 'UTC' }
+  ).format(toUtcDate(date));
+
+export const formatMonthName = (month, locale) =>
+  new Intl.DateTimeFormat(locale, { month: 'long', timeZone: 'UTC' }).format(new Date(Date.UTC(2000, month - 1, 1)));
+
+// day：0 = 週日
+export const formatWeekday = (day, locale) =>
+  new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' }).format(new Date(Date.UTC(2000, 0, 2 + day)));
+
+// ISO 時間戳記 (編輯歷史、同步時間等)
+export const formatDateTime = (iso, locale) => new Date(iso).toLocaleString(locale);
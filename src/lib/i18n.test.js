@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { LOCALES, DEFAULT_LOCALE, detectLocale, createTranslator, formatCurrency, formatCompact, formatDate, formatMonthName, formatWeekday } from './i18n';
+
+const placeholders = (message) => Array.from(message.matchAll(/\{(\w+)\}/g), m => m[1]).sort();
+
+describe('catalogs', () => {
+  const base = LOCALES[DEFAULT_LOCALE].messages;
+
+  it('translate every key of the default catalog', () => {
+    Object.entries(LOCALES).forEach(([locale, { messages }]) => {
+      const missing = Object.keys(base).filter(key => !(key in messages));
+      expect(missing, locale).toEqual([]);
+    });
+  });
+
+  it('use the same placeholders in every language', () => {
+    Object.values(LOCALES).forEach(({ messages }) => {
+      Object.entries(messages).forEach(([key, message]) => {
+        const baseKey = key.replace(/_one$/, '');
+        expect(base[baseKey], key).toBeDefined();
+        const expected = placeholders(base[baseKey]).filter(name => name !== 'count');
+        expect(placeholders(message).filter(name => name !== 'count'), key).toEqual(expected);
+      });
+    });
+  });
+});
+
+describe('createTranslator', () => {
+  it('fills in parameters and keeps unknown placeholders', () => {
+    const t = createTranslator('en');
+    expect(t('app.title', { names: 'A & B' })).toBe('A & B Investment Notebook');
+    expect(t('app.title')).toBe('{names} Investment Notebook');
+  });
+
+  it('uses the singular form when count is 1', () => {
+    const t = createTranslator('en');
+    expect(t('sync.pending_one')).not.toBe(t('sync.pending', { count: 2 }));
+    expect(t('sync.pending', { count: 1 })).toBe(t('sync.pending_one', { count: 1 }));
+  });
+
+  it('falls back to the default catalog and then to the key', () => {
+    expect(createTranslator('fr')('tabs.dashboard')).toBe(LOCALES[DEFAULT_LOCALE].messages['tabs.dashboard']);
+    expect(createTranslator('en')('no.such.key')).toBe('no.such.key');
+  });
+});
+
+describe('detectLocale', () => {
+  it('picks the first supported browser language', () => {
+    expect(detectLocale(['fr-FR', 'en-GB', 'zh-TW'])).toBe('en');
+    expect(detectLocale(['zh-HK'])).toBe('zh-TW');
+    expect(detectLocale(['ja'])).toBe(DEFAULT_LOCALE);
+  });
+});
+
+describe('formatting', () => {
+  it('rounds amounts and falls back to a code suffix for non-ISO currencies', () => {
+    expect(formatCurrency(1234.6, 'USD', 'en')).toBe('$1,235');
+    expect(formatCurrency(1234.6, 'USDT', 'en')).toBe('1,235 USDT');
+  });
+
+  it('picks compact units by currency, not by locale', () => {
+    expect(formatCompact(1234567, 'TWD')).toBe('123.5萬');
+    expect(formatCompact(123456789, 'TWD')).toBe('1.2億');
+    expect(formatCompact(1234567, 'USD')).toBe('1.2M');
+    expect(formatCompact(45000, 'JPY')).toBe('45K');
+  });
+
+  it('formats record dates and month names without shifting time zones', () => {
+    expect(formatDate('2024-01-31', 'en')).toBe('01/31/2024');
+    expect(formatDate('', 'en')).toBe('');
+    expect(formatMonthName(2, 'en')).toBe('February');
+    expect(formatWeekday(0, 'en')).toBe('Sunday');
+    expect(formatWeekday(5, 'en')).toBe('Friday');
+  });
+});
@@ -0,0 +1,77 @@
+// --- 負債 (還款進度與攤還試算) ---
+// 負債帳戶的快照記錄未償餘額 (原幣、正數)；帳戶可另外設定：
+// { principal: 原始貸款金額, interestRate: 年利率 %, monthlyPayment: 每月還款 } (皆為選填)
+
+import { addMonths } from './planner';
+
+// 攤還表最多試算的月數 (50 年)
+const MAX_MONTHS = 600;
+
+// 某帳戶日期最新的一筆快照，沒有則回傳 null
+export const latestSnapshot = (assets, accountId) =>
+  assets.reduce((latest, r) => (r.type === accountId && (!latest || r.date > latest.date) ? r : latest), null);
+
+/**
+ * 本息攤還試算：從 startDate 的餘額開始，每月先計利息 (年利率 / 12)，還款扣掉利息後償還本金。
+ * 回傳 { rows: [{ date, payment, interest, principal, balance }], payoffDate, totalInterest, paysOff }；
+ * 每月還款不足以支付利息 (或超過 MAX_MONTHS 仍未還清) 時 paysOff 為 false。
+ */
+export const amortisationSchedule = ({ balance, annualRate = 0, payment, startDate }) => {
+  const monthlyRate = annualRate / 100 / 12;
+  const rows = [];
+  let remaining = balance;
+  let totalInterest = 0;
+
+  for (let month = 1; remaining > 0.005 && month <= MAX_MONTHS; month++) {
+    const interest = remaining * monthlyRate;
+    if (payment <= interest) break;
+    const principal = Math.min(payment - interest, remaining);
+    remaining -= principal;
+    totalInterest += interest;
+    rows.push({ date: addMonths(startDate, month), payment: principal + interest, interest, principal, balance: remaining });
+  }
+
+  const paysOff = remaining <= 0.005;
+  return { rows, payoffDate: paysOff && rows.length > 0 ? rows[rows.length - 1].date : null, totalInterest, paysOff };
+};
+
+// 攤還表依年度加總：[{ year, payment, interest, principal, balance (年底餘額) }]
+export const yearlySchedule = (rows) => {
+  const years = [];
+  rows.forEach(r => {
+    const year = r.date.slice(0, 4);
+    let last = years[years.length - 1];
+    if (!last || last.year !== year) {
+      last = { year, payment: 0, interest: 0, principal: 0, balance: 0 };
+      years.push(last);
+    }
+    last.payment += r.payment;
+    last.interest += r.interest;
+    last.principal += r.principal;
+    last.balance = r.balance;
+  });
+  return years;
+};
+
+/**
+ * 單一負債帳戶的還款進度 (原幣)：
+ * - balance：最新快照的餘額，asOf 為該快照日期
+ * - original：帳戶設定的原始貸款金額，未設定時取歷史快照中最高的餘額
+ * - paidPercent：已償還比例 (%)
+ * - schedule：有設定每月還款時的 amortisationSchedule 結果，否則為 null
+ * 沒有任何快照時回傳 null。
+ */
+export const debtProgress = (account, assets) => {
+  const latest = latestSnapshot(assets, account.id);
+  if (!latest) return null;
+
+  const balance = latest.amount;
+  const highest = assets.reduce((max, r) => (r.type === account.id ? Math.max(max, r.amount) : max), 0);
+  const original = account.principal > 0 ? account.principal : highest;
+  const paidPercent = original > 0 ? Math.min(Math.max((1 - balance / original) * 100, 0), 100) : 0;
+  const schedule = account.monthlyPayment > 0 && balance > 0
+    ? amortisationSchedule({ balance, annualRate: account.interestRate || 0, payment: account.monthlyPayment, startDate: latest.date })
+    : null;
+
+  return { balance, asOf: latest.date, original, paidPercent, schedule };
+};
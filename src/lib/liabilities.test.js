@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { latestSnapshot, amortisationSchedule, yearlySchedule, debtProgress } from './liabilities';
+
+describe('amortisationSchedule', () => {
+  it('repays an interest-free loan in equal parts', () => {
+    const { rows, payoffDate, totalInterest, paysOff } = amortisationSchedule({ balance: 1200, payment: 100, startDate: '2024-01-31' });
+    expect(rows).toHaveLength(12);
+    expect(rows[0]).toEqual({ date: '2024-02-29', payment: 100, interest: 0, principal: 100, balance: 1100 });
+    expect(payoffDate).toBe('2025-01-31');
+    expect(totalInterest).toBe(0);
+    expect(paysOff).toBe(true);
+  });
+
+  it('matches the annuity payment of a fixed-rate loan', () => {
+    const r = 0.06 / 12;
+    const payment = 100000 * r / (1 - Math.pow(1 + r, -12));
+    const { rows, totalInterest } = amortisationSchedule({ balance: 100000, annualRate: 6, payment, startDate: '2024-01-15' });
+    expect(rows).toHaveLength(12);
+    expect(rows[0].interest).toBeCloseTo(500);
+    expect(totalInterest).toBeCloseTo(payment * 12 - 100000, 2);
+    expect(rows[11].balance).toBeCloseTo(0, 2);
+  });
+
+  it('stops when the payment does not cover the interest', () => {
+    const result = amortisationSchedule({ balance: 100000, annualRate: 12, payment: 1000, startDate: '2024-01-15' });
+    expect(result).toEqual({ rows: [], payoffDate: null, totalInterest: 0, paysOff: false });
+  });
+});
+
+describe('yearlySchedule', () => {
+  it('totals each calendar year and keeps the year-end balance', () => {
+    const { rows } = amortisationSchedule({ balance: 1200, payment: 100, startDate: '2024-01-31' });
+    expect(yearlySchedule(rows)).toEqual([
+      { year: '2024', payment: 1100, interest: 0, principal: 1100, balance: 100 },
+      { year: '2025', payment: 100, interest: 0, principal: 100, balance: 0 },
+    ]);
+  });
+});
+
+describe('debtProgress', () => {
+  const assets = [
+    { type: 'loan', date: '2023-01-31', amount: 1000000 },
+    { type: 'loan', date: '2024-01-31', amount: 600000 },
+    { type: 'loan', date: '2023-07-31', amount: 800000 },
+    { type: 'other', date: '2025-01-31', amount: 1 },
+  ];
+
+  it('measures the latest balance against the original principal', () => {
+    expect(latestSnapshot(assets, 'loan').date).toBe('2024-01-31');
+    const progress = debtProgress({ id: 'loan', principal: 1200000, interestRate: 0, monthlyPayment: 50000 }, assets);
+    expect(progress).toMatchObject({ balance: 600000, asOf: '2024-01-31', original: 1200000, paidPercent: 50 });
+    expect(progress.schedule.payoffDate).toBe('2025-01-31');
+  });
+
+  it('uses the highest balance without a principal and skips the schedule without a payment', () => {
+    const progress = debtProgress({ id: 'loan' }, assets);
+    expect(progress.original).toBe(1000000);
+    expect(progress.paidPercent).toBeCloseTo(40);
+    expect(progress.schedule).toBeNull();
+  });
+
+  it('handles paid-off and unknown loans', () => {
+    expect(debtProgress({ id: 'loan', monthlyPayment: 1 }, [...assets, { type: 'loan', date: '2025-01-31', amount: 0 }])).toMatchObject({ balance: 0, paidPercent: 100, schedule: null });
+    expect(debtProgress({ id: 'none' }, assets)).toBeNull();
+  });
+});
@@ -0,0 +1,32 @@
+// --- 家庭成員 ---
+
+export const DEFAULT_MEMBERS = [
+  { id: 'A_Hui', name: '阿慧', color: '#db2777', archived: false },
+  { id: 'A_Ru', name: '阿儒', color: '#2563eb', archived: false },
+];
+
+const FALLBACK_COLOR = '#64748b';
+
+/**
+ * 確保所有投入記錄中出現的 person 都有對應的成員。
+ * 舊版資料只有 A_Hui / A_Ru 兩個寫死的 key，找不到的 key 會以原值為名稱補上。
+ */
+export const ensureMembers = (members, contributions) => {
+  const known = new Set(members.map(m => m.id));
+  const missing = Array.from(new Set(contributions.map(c => c.person)))
+    .filter(person => person && !known.has(person))
+    .map(person => {
+      const preset = DEFAULT_MEMBERS.find(m => m.id === person);
+      return preset ? { ...preset } : { id: person, name: person, color: FALLBACK_COLOR, archived: false };
+    });
+  return missing.length > 0 ? [...members, ...missing] : members;
+};
+
+export const findMember = (members, id) =>
+  members.find(m => m.id === id) || { id, name: id, color: FALLBACK_COLOR, archived: true };
+
+// 將 #rrggbb 加上透明度，用於淡色底的標籤
+export const tint = (color, alpha = 0.15) => {
+  const hex = Math.round(alpha * 255).toString(16).padStart(2, '0');
+  return /^#[0-9a-f]{6}$/i.test(color) ? `${color}${hex}` : color;
+};
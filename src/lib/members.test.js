@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_MEMBERS, ensureMembers, findMember, tint } from './members';
+
+describe('ensureMembers', () => {
+  const members = [{ id: 'm1', name: '小明', color: '#3b82f6', archived: false }];
+
+  it('adds a member for each unknown person in the contributions', () => {
+    const result = ensureMembers(members, [{ person: 'm1' }, { person: 'A_Ru' }, { person: 'guest' }, { person: 'guest' }]);
+    expect(result).toEqual([
+      members[0],
+      DEFAULT_MEMBERS.find(m => m.id === 'A_Ru'),
+      { id: 'guest', name: 'guest', color: expect.any(String), archived: false },
+    ]);
+  });
+
+  it('returns the same list when nothing is missing', () => {
+    expect(ensureMembers(members, [{ person: 'm1' }])).toBe(members);
+  });
+});
+
+describe('findMember', () => {
+  it('falls back to an archived placeholder for unknown ids', () => {
+    expect(findMember(DEFAULT_MEMBERS, 'A_Hui').name).toBe(DEFAULT_MEMBERS[0].name);
+    expect(findMember([], 'ghost')).toMatchObject({ id: 'ghost', name: 'ghost', archived: true });
+  });
+});
+
+describe('tint', () => {
+  it('appends an alpha channel to hex colours only', () => {
+    expect(tint('#3b82f6')).toBe('#3b82f626');
+    expect(tint('#3b82f6', 1)).toBe('#3b82f6ff');
+    expect(tint('red')).toBe('red');
+  });
+});
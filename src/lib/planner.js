@@ -0,0 +1,122 @@
+// --- 目標規劃：蒙地卡羅模擬 ---
+// 以月為單位模擬資產走勢：每月報酬為對數常態分布，月底加上預期投入 (每滿 12 個月依成長率調高)。
+
+export const DEFAULT_ASSUMPTIONS = {
+  annualReturn: 6,        // 預期年報酬率 (%)
+  volatility: 15,         // 年化波動度 (%)
+  monthlyContribution: 0, // 每月投入 (台幣)
+  contributionGrowth: 0,  // 每年投入成長率 (%)
+};
+
+export const SIMULATION_RUNS = 1000;
+export const BANDS = [10, 25, 50, 75, 90];
+
+// 固定種子的亂數 (mulberry32)，同樣的假設每次畫出相同的區間
+const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Box-Muller 產生標準常態亂數
+const createNormal = (random) => () => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const monthlyParams = ({ annualReturn, volatility }) => {
+  const sigma = volatility / 100 / Math.sqrt(12);
+  // 使每月期望報酬 = (1 + 年報酬)^(1/12)
+  const mu = Math.log(1 + annualReturn / 100) / 12 - sigma * sigma / 2;
+  return { mu, sigma };
+};
+
+const contributionFor = (month, { monthlyContribution, contributionGrowth }) =>
+  monthlyContribution * Math.pow(1 + contributionGrowth / 100, Math.floor((month - 1) / 12));
+
+export const addMonths = (date, months) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d.toISOString().split('T')[0];
+};
+
+// 兩日期相差的月數 (不足一個月以一個月計)
+export const monthsBetween = (fromDate, toDate) => {
+  const from = new Date(`${fromDate}T00:00:00Z`);
+  const to = new Date(`${toDate}T00:00:00Z`);
+  const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+  return Math.max(0, to.getUTCDate() > from.getUTCDate() ? months + 1 : months);
+};
+
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * p / 100;
+  const lo = Math.floor(index);
+  const hi = Math.ceil(index);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (index - lo);
+};
+
+/**
+ * 模擬 months 個月的資產走勢。
+ * 回傳 { points: [{ date, month, p10, p25, p50, p75, p90 }], samples }，
+ * samples[month] 為該月所有模擬結果 (已排序)，month 0 為起點。
+ */
+export const simulateProjection = ({ startValue, startDate, months, assumptions, runs = SIMULATION_RUNS, seed = 42 }) => {
+  const { mu, sigma } = monthlyParams(assumptions);
+  const normal = createNormal(createRandom(seed));
+  const samples = Array.from({ length: months + 1 }, () => new Float64Array(runs));
+
+  for (let run = 0; run < runs; run++) {
+    let value = startValue;
+    samples[0][run] = value;
+    for (let month = 1; month <= months; month++) {
+      value = value * Math.exp(mu + sigma * normal()) + contributionFor(month, assumptions);
+      samples[month][run] = value;
+    }
+  }
+  samples.forEach(s => s.sort());
+
+  const points = samples.map((sorted, month) => ({
+    date: addMonths(startDate, month),
+    month,
+    ...Object.fromEntries(BANDS.map(p => [`p${p}`, percentile(sorted, p)])),
+  }));
+
+  return { points, samples };
+};
+
+// 模擬結果中，某月份資產達到目標金額的比例
+export const goalProbability = (simulation, month, target) => {
+  const sorted = simulation.samples[Math.min(month, simulation.samples.length - 1)];
+  if (!sorted) return null;
+  let below = 0;
+  while (below < sorted.length && sorted[below] < target) below++;
+  return (sorted.length - below) / sorted.length;
+};
+
+/**
+ * 在中位數報酬 (約 50% 機率) 下，要在 months 個月後達到 target 每月需投入多少。
+ * 投入依 contributionGrowth 每年調高，回傳第一年的每月金額；已可達成時為 0。
+ */
+export const requiredMonthlyContribution = ({ startValue, months, target, assumptions }) => {
+  if (months <= 0) return startValue >= target ? 0 : null;
+  const { mu } = monthlyParams(assumptions);
+  const growth = Math.exp(mu);
+  let baseValue = startValue;
+  let perUnit = 0;
+  for (let month = 1; month <= months; month++) {
+    baseValue *= growth;
+    perUnit = perUnit * growth + contributionFor(month, { ...assumptions, monthlyContribution: 1 });
+  }
+  return Math.max(0, (target - baseValue) / perUnit);
+};
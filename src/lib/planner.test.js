@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_ASSUMPTIONS,
+  addMonths,
+  monthsBetween,
+  percentile,
+  simulateProjection,
+  goalProbability,
+  requiredMonthlyContribution,
+} from './planner';
+
+describe('addMonths', () => {
+  it('clamps to the end of shorter months', () => {
+    expect(addMonths('2024-01-31', 1)).toBe('2024-02-29');
+    expect(addMonths('2023-01-31', 1)).toBe('2023-02-28');
+    expect(addMonths('2024-11-15', 3)).toBe('2025-02-15');
+    expect(addMonths('2024-03-31', -1)).toBe('2024-02-29');
+  });
+});
+
+describe('monthsBetween', () => {
+  it('counts a started month as a whole month', () => {
+    expect(monthsBetween('2024-01-15', '2024-01-15')).toBe(0);
+    expect(monthsBetween('2024-01-15', '2024-02-15')).toBe(1);
+    expect(monthsBetween('2024-01-15', '2024-02-16')).toBe(2);
+    expect(monthsBetween('2024-01-15', '2023-01-01')).toBe(0);
+  });
+});
+
+describe('percentile', () => {
+  it('interpolates between sorted values', () => {
+    expect(percentile([10, 20, 30, 40], 50)).toBe(25);
+    expect(percentile([10, 20, 30, 40], 100)).toBe(40);
+    expect(percentile([], 50)).toBeNull();
+  });
+});
+
+describe('simulateProjection', () => {
+  const steady = { ...DEFAULT_ASSUMPTIONS, annualReturn: 12, volatility: 0, monthlyContribution: 1000, contributionGrowth: 10 };
+
+  it('follows the expected path without volatility', () => {
+    const { points } = simulateProjection({ startValue: 0, startDate: '2024-01-31', months: 24, assumptions: steady, runs: 10 });
+    const growth = Math.pow(1.12, 1 / 12);
+    let expected = 0;
+    for (let month = 1; month <= 24; month++) expected = expected * growth + (month <= 12 ? 1000 : 1100);
+
+    expect(points).toHaveLength(25);
+    expect(points[1].date).toBe('2024-02-29');
+    expect(points[24].p10).toBeCloseTo(expected, 6);
+    expect(points[24].p90).toBeCloseTo(expected, 6);
+  });
+
+  it('gives the same bands for the same seed and ordered percentiles', () => {
+    const options = { startValue: 1000000, startDate: '2024-01-01', months: 120, assumptions: DEFAULT_ASSUMPTIONS, runs: 300 };
+    const first = simulateProjection(options);
+    expect(simulateProjection(options).points).toEqual(first.points);
+
+    const last = first.points[120];
+    expect(last.p10).toBeLessThan(last.p25);
+    expect(last.p25).toBeLessThan(last.p50);
+    expect(last.p50).toBeLessThan(last.p75);
+    expect(last.p75).toBeLessThan(last.p90);
+    // 中位數約為 (1 + 6%)^10 倍
+    expect(last.p50 / 1000000).toBeCloseTo(Math.pow(1.06, 10) * Math.exp(-0.15 * 0.15 / 2 * 10), 0);
+  });
+});
+
+describe('goalProbability', () => {
+  it('is the share of runs at or above the target', () => {
+    const simulation = { samples: [Float64Array.from([1, 2, 3, 4])] };
+    expect(goalProbability(simulation, 0, 3)).toBe(0.5);
+    expect(goalProbability(simulation, 5, 0)).toBe(1);
+    expect(goalProbability(simulation, 0, 10)).toBe(0);
+  });
+});
+
+describe('requiredMonthlyContribution', () => {
+  const assumptions = { ...DEFAULT_ASSUMPTIONS, annualReturn: 5, volatility: 0, contributionGrowth: 3 };
+
+  it('reaches the target on the expected path', () => {
+    const monthly = requiredMonthlyContribution({ startValue: 100000, months: 60, target: 2000000, assumptions });
+    const { points } = simulateProjection({
+      startValue: 100000, startDate: '2024-01-01', months: 60, assumptions: { ...assumptions, monthlyContribution: monthly }, runs: 1,
+    });
+    expect(points[60].p50).toBeCloseTo(2000000, 2);
+  });
+
+  it('is zero when the start value already gets there', () => {
+    expect(requiredMonthlyContribution({ startValue: 3000000, months: 60, target: 2000000, assumptions })).toBe(0);
+    expect(requiredMonthlyContribution({ startValue: 3000000, months: 0, target: 2000000, assumptions })).toBe(0);
+    expect(requiredMonthlyContribution({ startValue: 1, months: 0, target: 2000000, assumptions })).toBeNull();
+  });
+});
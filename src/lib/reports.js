@@ -0,0 +1,191 @@
+// --- 年度報表 (年度與逐月對帳單) ---
+
+import { calculatePeriodReturns } from './returns';
+import { flowKind, flowTwd, toCashFlows } from './flows';
+import { pointOnOrBefore, rangePoints, toValuePoints } from './valuation';
+import { formatDate, formatDateTime, formatMonthName } from './i18n';
+
+// 資料中出現過的年份 (資產快照或資金進出)，由舊到新
+export const yearsInData = (assets, contributions) =>
+  Array.from(new Set([...assets, ...contributions].map(r => r.date.slice(0, 4)))).sort();
+
+const monthEnd = (year, month) => new Date(Date.UTC(Number(year), month, 0)).toISOString().split('T')[0];
+
+const periodReturns = (timeline, flows, start, end) =>
+  calculatePeriodReturns(toValuePoints(rangePoints(timeline, start, end), 'total'), flows);
+
+/**
+ * 產生某年度的對帳單：
+ * - accounts：每個帳戶的期初 (前一年最後一筆快照) 與期末 (當年最後一筆快照) 台幣價值
+ * - members：每位成員當年的投入、提領、轉入 / 轉出與淨投入
+ * - months：逐月的期初、期末、資金淨流入、損益與時間加權報酬
+ * - netGain = 期末 - 期初 - 淨流入
+ * timeline 為依日期排序的 [{ date, total, values: { [accountId]: twd } }]。
+ */
+export const buildAnnualStatement = ({ year, timeline, accounts, contributions }) => {
+  const start = `${year}-01-01`;
+  const end = `${year}-12-31`;
+  const opening = pointOnOrBefore(timeline, `${Number(year) - 1}-12-31`);
+  const closing = pointOnOrBefore(timeline, end);
+  const flows = toCashFlows(contributions);
+  const yearFlows = contributions.filter(c => c.date >= start && c.date <= end);
+
+  const accountRows = accounts
+    .map(account => {
+      const open = opening ? opening.values[account.id] || 0 : 0;
+      const close = closing && closing.date >= start ? closing.values[account.id] || 0 : open;
+      return { account, opening: open, closing: close, change: close - open };
+    })
+    .filter(r => r.opening !== 0 || r.closing !== 0);
+
+  const members = {};
+  const member = (id) => {
+    if (!members[id]) members[id] = { deposits: 0, withdrawals: 0, transfersIn: 0, transfersOut: 0, net: 0 };
+    return members[id];
+  };
+  yearFlows.forEach(c => {
+    const twd = flowTwd(c);
+    const kind = flowKind(c);
+    if (kind === 'deposit') member(c.person).deposits += twd;
+    if (kind === 'withdrawal') member(c.person).withdrawals += twd;
+    if (kind === 'transfer') {
+      member(c.person).transfersOut += twd;
+      member(c.toPerson).transfersIn += twd;
+    }
+  });
+  Object.values(members).forEach(m => {
+    m.net = m.deposits - m.withdrawals + m.transfersIn - m.transfersOut;
+  });
+
+  const openingTotal = accountRows.reduce((sum, r) => sum + r.opening, 0);
+  const closingTotal = accountRows.reduce((sum, r) => sum + r.closing, 0);
+  const netFlow = flows.filter(f => f.date >= start && f.date <= end).reduce((sum, f) => sum + f.amount, 0);
+
+  // 只列到當年最後一筆資料所在的月份
+  const lastMonth = closing && closing.date >= start ? Number(closing.date.slice(5, 7)) : 0;
+  const months = [];
+  let monthOpen = openingTotal;
+  for (let month = 1; month <= lastMonth; month++) {
+    const from = `${year}-${String(month).padStart(2, '0')}-01`;
+    const to = monthEnd(year, month);
+    const point = pointOnOrBefore(timeline, to);
+    const monthClose = point ? point.total : 0;
+    const monthFlow = flows.filter(f => f.date >= from && f.date <= to).reduce((sum, f) => sum + f.amount, 0);
+    const stats = periodReturns(timeline, flows, from, to);
+    months.push({
+      month,
+      opening: monthOpen,
+      closing: monthClose,
+      netFlow: monthFlow,
+      gain: monthClose - monthOpen - monthFlow,
+      twr: stats ? stats.twr : null,
+    });
+    monthOpen = monthClose;
+  }
+
+  const stats = periodReturns(timeline, flows, start, end);
+
+  return {
+    year,
+    openingDate: opening ? opening.date : null,
+    closingDate: closing && closing.date >= start ? closing.date : null,
+    accounts: accountRows,
+    members,
+    months,
+    openingTotal,
+    closingTotal,
+    netFlow,
+    netGain: closingTotal - openingTotal - netFlow,
+    twr: stats ? stats.twr : null,
+    xirr: stats ? stats.xirr : null,
+    chart: [
+      ...(opening ? [{ date: opening.date, total: opening.total }] : []),
+      ...timeline.filter(p => p.date >= start && p.date <= end).map(p => ({ date: p.date, total: p.total })),
+    ],
+  };
+};
+
+// --- 可封存的 HTML 對帳單 ---
+
+const escapeHtml = (val) =>
+  String(val).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+// 以 SVG 折線畫出當年的總資產走勢
+const chartSvg = (points) => {
+  if (points.length < 2) return '';
+  const width = 640;
+  const height = 180;
+  const values = points.map(p => p.total);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const t0 = new Date(points[0].date).getTime();
+  const span = new Date(points[points.length - 1].date).getTime() - t0 || 1;
+  const coords = points.map(p => {
+    const x = ((new Date(p.date).getTime() - t0) / span) * width;
+    const y = height - (max === min ? height / 2 : ((p.total - min) / (max - min)) * height);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  return `<svg viewBox="-4 -4 ${width + 8} ${height + 8}" width="100%" height="${height}" preserveAspectRatio="none">` +
+    `<polyline fill="none" stroke="#0f172a" stroke-width="2" points="${coords.join(' ')}" /></svg>`;
+};
+
+/**
+ * 把對帳單輸出成獨立的 HTML (含列印樣式)，方便每年一月封存或另存 PDF。
+ * labels 提供 { accountName(id), memberName(id), money(val), percent(val), t, locale }。
+ */
+export const statementHtml = (statement, title, labels) => {
+  const { money, percent, t, locale } = labels;
+  const row = (cells) => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`;
+  const table = (head, rows) =>
+    `<table><thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+  const meta = t('reports.meta', {
+    opening: formatDate(statement.openingDate, locale) || '-',
+    closing: formatDate(statement.closingDate, locale) || '-',
+    generated: formatDateTime(new Date().toISOString(), locale),
+  });
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, "Noto Sans TC", "PingFang TC", sans-serif; color: #0f172a; margin: 32px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 16px; margin-top: 28px; border-bottom: 1px solid #cbd5e1; padding-bottom: 4px; }
+  .meta { color: #64748b; font-size: 12px; }
+  .summary { display: flex; gap: 24px; flex-wrap: wrap; margin-top: 16px; }
+  .summary div { font-size: 12px; color: #64748b; }
+  .summary strong { display: block; font-size: 18px; color: #0f172a; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; margin-top: 8px; }
+  th, td { text-align: right; padding: 4px 8px; border-bottom: 1px solid #e2e8f0; }
+  th:first-child, td:first-child { text-align: left; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } table { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${escapeHtml(meta)}</div>
+<div class="summary">
+  <div>${t('reports.openingTotal')}<strong>${money(statement.openingTotal)}</strong></div>
+  <div>${t('reports.closingTotal')}<strong>${money(statement.closingTotal)}</strong></div>
+  <div>${t('reports.netFlow')}<strong>${money(statement.netFlow)}</strong></div>
+  <div>${t('reports.netGain')}<strong>${money(statement.netGain)}</strong></div>
+  <div>${t('reports.twr')}<strong>${percent(statement.twr)}</strong></div>
+  <div>${t('returns.xirr')}<strong>${percent(statement.xirr)}</strong></div>
+</div>
+<h2>${t('reports.trend')}</h2>
+${chartSvg(statement.chart)}
+<h2>${t('reports.accountsShort')}</h2>
+${table([t('common.account'), t('reports.opening'), t('reports.closing'), t('reports.change')], statement.accounts.map(r =>
+    row([escapeHtml(labels.accountName(r.account.id)), money(r.opening), money(r.closing), money(r.change)])))}
+<h2>${t('reports.members')}</h2>
+${table([t('common.member'), t('reports.deposits'), t('reports.withdrawals'), t('reports.transfersIn'), t('reports.transfersOut'), t('reports.net')], Object.entries(statement.members).map(([id, m]) =>
+    row([escapeHtml(labels.memberName(id)), money(m.deposits), money(m.withdrawals), money(m.transfersIn), money(m.transfersOut), money(m.net)])))}
+<h2>${t('reports.months')}</h2>
+${table([t('reports.month'), t('reports.opening'), t('reports.closing'), t('reports.netFlow'), t('reports.gain'), t('reports.return')], statement.months.map(m =>
+    row([formatMonthName(m.month, locale), money(m.opening), money(m.closing), money(m.netFlow), money(m.gain), percent(m.twr)])))}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { yearsInData, buildAnnualStatement, statementHtml } from './reports';
+
+const point = (date, tw, us) => ({ date, total: tw + us, values: { tw_stock: tw, us_stock: us } });
+
+const timeline = [
+  point('2023-12-31', 1000, 0),
+  point('2024-01-31', 1100, 0),
+  point('2024-03-31', 1200, 500),
+  point('2025-01-31', 1300, 500),
+];
+const accounts = [{ id: 'tw_stock' }, { id: 'us_stock' }, { id: 'gold' }];
+const contributions = [
+  { date: '2024-03-15', person: 'a', amount: 500 },
+  { date: '2024-03-20', kind: 'withdrawal', person: 'b', amount: 100 },
+  { date: '2024-06-01', kind: 'transfer', person: 'a', toPerson: 'b', amount: 50 },
+  { date: '2023-06-01', person: 'a', amount: 1000 },
+];
+
+describe('yearsInData', () => {
+  it('lists the years of snapshots and flows in order', () => {
+    expect(yearsInData([{ date: '2024-01-31' }], [{ date: '2022-05-01' }, { date: '2024-02-01' }])).toEqual(['2022', '2024']);
+  });
+});
+
+describe('buildAnnualStatement', () => {
+  const statement = buildAnnualStatement({ year: '2024', timeline, accounts, contributions });
+
+  it('opens at the previous year end and closes at the last snapshot of the year', () => {
+    expect(statement).toMatchObject({ openingDate: '2023-12-31', closingDate: '2024-03-31', openingTotal: 1000, closingTotal: 1700 });
+    expect(statement.accounts).toEqual([
+      { account: accounts[0], opening: 1000, closing: 1200, change: 200 },
+      { account: accounts[1], opening: 0, closing: 500, change: 500 },
+    ]);
+  });
+
+  it('separates the year gain from the net flows', () => {
+    expect(statement.netFlow).toBe(400);
+    expect(statement.netGain).toBe(300);
+    expect(statement.members).toEqual({
+      a: { deposits: 500, withdrawals: 0, transfersIn: 0, transfersOut: 50, net: 450 },
+      b: { deposits: 0, withdrawals: 100, transfersIn: 50, transfersOut: 0, net: -50 },
+    });
+  });
+
+  it('lists months up to the last snapshot of the year', () => {
+    expect(statement.months.map(m => [m.month, m.opening, m.closing, m.netFlow, m.gain])).toEqual([
+      [1, 1000, 1100, 0, 100],
+      [2, 1100, 1100, 0, 0],
+      [3, 1100, 1700, 400, 200],
+    ]);
+    expect(statement.months[0].twr).toBeCloseTo(10);
+  });
+
+  it('carries the opening balance into a year without snapshots', () => {
+    const empty = buildAnnualStatement({ year: '2026', timeline, accounts, contributions });
+    expect(empty).toMatchObject({ closingDate: null, openingTotal: 1800, closingTotal: 1800, months: [] });
+  });
+});
+
+describe('statementHtml', () => {
+  it('escapes names in the printable statement', () => {
+    const statement = buildAnnualStatement({ year: '2024', timeline, accounts, contributions });
+    const html = statementHtml(statement, '2024 <對帳單>', {
+      accountName: (id) => (id === 'tw_stock' ? '台股 & ETF' : id),
+      memberName: (id) => id,
+      money: (val) => String(Math.round(val)),
+      percent: (val) => (val === null ? '-' : `${val.toFixed(1)}%`),
+      t: (key) => key,
+      locale: 'zh-TW',
+    });
+    expect(html).toContain('<title>2024 &lt;對帳單&gt;</title>');
+    expect(html).toContain('<td>台股 &amp; ETF</td><td>1000</td><td>1200</td><td>200</td>');
+    expect(html).toContain('<polyline');
+  });
+});
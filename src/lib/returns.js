@@ -0,0 +1,118 @@
+// --- 報酬率計算 (考慮投入資金的外部現金流) ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 加總 (startDate, endDate] 區間內的外部現金流
+export const sumFlowsBetween = (flows, startDate, endDate) =>
+  flows
+    .filter(f => f.date > startDate && f.date <= endDate)
+    .reduce((sum, f) => sum + f.amount, 0);
+
+/**
+ * 時間加權報酬率 (TWR)，回傳百分比。
+ * points: 依日期排序的 [{ date, value }]；flows: [{ date, amount }] (投入為正)
+ * 假設區間內的投入已反映在下一個快照中，因此每段報酬 = (期末 - 投入) / 期初。
+ * 期初為 0 的區段 (尚未開始投資) 不計入。
+ */
+export const timeWeightedReturn = (points, flows) => {
+  let growth = 1;
+  let hasPeriod = false;
+
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const curr = points[i];
+    if (prev.value <= 0) continue;
+
+    const flow = sumFlowsBetween(flows, prev.date, curr.date);
+    growth *= (curr.value - flow) / prev.value;
+    hasPeriod = true;
+  }
+
+  return hasPeriod ? (growth - 1) * 100 : null;
+};
+
+/**
+ * 累積時間加權報酬的走勢，回傳 [{ date, value }] (百分比，起點為 0)。
+ * 期初為 0 的區段視為尚未開始投資，維持前一個數值。
+ */
+export const cumulativeReturnSeries = (points, flows) => {
+  let growth = 1;
+  return points.map((curr, i) => {
+    const prev = points[i - 1];
+    if (prev && prev.value > 0) {
+      growth *= (curr.value - sumFlowsBetween(flows, prev.date, curr.date)) / prev.value;
+    }
+    return { date: curr.date, value: (growth - 1) * 100 };
+  });
+};
+
+/**
+ * 年化金額加權報酬率 (XIRR)，回傳百分比。
+ * cashflows: [{ date, amount }]，以投資人角度計：投入為負、取回 (或期末價值) 為正。
+ * 先用 Newton 法求解，不收斂時改用二分法。
+ */
+export const xirr = (cashflows) => {
+  if (cashflows.length < 2) return null;
+  if (!cashflows.some(c => c.amount > 0) || !cashflows.some(c => c.amount < 0)) return null;
+
+  const t0 = new Date(cashflows[0].date).getTime();
+  const years = cashflows.map(c => (new Date(c.date).getTime() - t0) / DAY_MS / 365);
+  if (years[years.length - 1] <= 0) return null;
+
+  const npv = (rate) => cashflows.reduce((sum, c, i) => sum + c.amount / Math.pow(1 + rate, years[i]), 0);
+  const dNpv = (rate) => cashflows.reduce((sum, c, i) => sum - years[i] * c.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const slope = dNpv(rate);
+    if (!isFinite(value) || !isFinite(slope) || slope === 0) break;
+    const next = rate - value / slope;
+    if (next <= -1 || !isFinite(next)) break;
+    if (Math.abs(next - rate) < 1e-7) return next * 100;
+    rate = next;
+  }
+
+  // Newton 不收斂，改用二分法
+  let low = -0.9999;
+  let high = 10;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = npv(mid);
+    if (Math.abs(value) < 1e-6) return mid * 100;
+    if (npv(low) * value < 0) high = mid;
+    else low = mid;
+  }
+  return ((low + high) / 2) * 100;
+};
+
+/**
+ * 計算一段期間的報酬：TWR、XIRR 與帳面變化 (未扣除投入)。
+ * points 必須已限縮在 [start, end] 區間內且依日期排序。
+ */
+export const calculatePeriodReturns = (points, flows) => {
+  if (points.length < 2) return null;
+
+  const start = points[0];
+  const end = points[points.length - 1];
+  const netFlow = sumFlowsBetween(flows, start.date, end.date);
+
+  const cashflows = [
+    { date: start.date, amount: -start.value },
+    ...flows
+      .filter(f => f.date > start.date && f.date <= end.date)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(f => ({ date: f.date, amount: -f.amount })),
+    { date: end.date, amount: end.value },
+  ];
+
+  return {
+    startVal: start.value,
+    endVal: end.value,
+    netFlow,
+    raw: start.value === 0 ? null : ((end.value - start.value) / start.value) * 100,
+    twr: timeWeightedReturn(points, flows),
+    xirr: xirr(cashflows),
+  };
+};
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { sumFlowsBetween, timeWeightedReturn, cumulativeReturnSeries, xirr, calculatePeriodReturns } from './returns';
+
+describe('sumFlowsBetween', () => {
+  it('counts flows after the start date up to and including the end date', () => {
+    const flows = [
+      { date: '2024-01-01', amount: 1 },
+      { date: '2024-02-01', amount: 10 },
+      { date: '2024-03-01', amount: 100 },
+    ];
+    expect(sumFlowsBetween(flows, '2024-01-01', '2024-03-01')).toBe(110);
+  });
+});
+
+describe('timeWeightedReturn', () => {
+  it('removes deposits from each period', () => {
+    const points = [
+      { date: '2024-01-01', value: 100 },
+      { date: '2024-02-01', value: 160 },
+      { date: '2024-03-01', value: 176 },
+    ];
+    // 第一段 (160 - 50) / 100 = 1.1，第二段 176 / 160 = 1.1
+    expect(timeWeightedReturn(points, [{ date: '2024-02-01', amount: 50 }])).toBeCloseTo(21);
+  });
+
+  it('skips periods that start from zero', () => {
+    const points = [
+      { date: '2024-01-01', value: 0 },
+      { date: '2024-02-01', value: 100 },
+      { date: '2024-03-01', value: 110 },
+    ];
+    expect(timeWeightedReturn(points, [{ date: '2024-02-01', amount: 100 }])).toBeCloseTo(10);
+  });
+
+  it('returns null without a measurable period', () => {
+    expect(timeWeightedReturn([{ date: '2024-01-01', value: 100 }], [])).toBeNull();
+  });
+});
+
+describe('cumulativeReturnSeries', () => {
+  it('ends at the time-weighted return of the whole period', () => {
+    const points = [
+      { date: '2024-01-01', value: 0 },
+      { date: '2024-02-01', value: 100 },
+      { date: '2024-03-01', value: 160 },
+      { date: '2024-04-01', value: 176 },
+    ];
+    const flows = [{ date: '2024-02-01', amount: 100 }, { date: '2024-03-01', amount: 50 }];
+    const series = cumulativeReturnSeries(points, flows);
+
+    expect(series.map(p => p.date)).toEqual(points.map(p => p.date));
+    expect(series[0].value).toBe(0);
+    expect(series[1].value).toBe(0);
+    expect(series[2].value).toBeCloseTo(10);
+    expect(series[3].value).toBeCloseTo(timeWeightedReturn(points, flows));
+  });
+});
+
+describe('xirr', () => {
+  it('annualises a one-year gain', () => {
+    expect(xirr([
+      { date: '2023-01-01', amount: -100 },
+      { date: '2024-01-01', amount: 110 },
+    ])).toBeCloseTo(10, 4);
+  });
+
+  it('zeroes the net present value of the flows', () => {
+    const cashflows = [
+      { date: '2022-01-01', amount: -1000 },
+      { date: '2022-07-01', amount: -500 },
+      { date: '2023-03-15', amount: 200 },
+      { date: '2024-01-01', amount: 1500 },
+    ];
+    const rate = xirr(cashflows) / 100;
+    const t0 = new Date(cashflows[0].date).getTime();
+    const npv = cashflows.reduce((sum, c) => sum + c.amount / Math.pow(1 + rate, (new Date(c.date).getTime() - t0) / 86400000 / 365), 0);
+    expect(npv).toBeCloseTo(0, 4);
+  });
+
+  it('needs both outflows and inflows', () => {
+    expect(xirr([{ date: '2023-01-01', amount: -100 }, { date: '2024-01-01', amount: -10 }])).toBeNull();
+    expect(xirr([{ date: '2023-01-01', amount: -100 }])).toBeNull();
+  });
+});
+
+describe('calculatePeriodReturns', () => {
+  const points = [
+    { date: '2023-01-01', value: 100 },
+    { date: '2024-01-01', value: 160 },
+  ];
+
+  it('separates the raw change from the deposit-adjusted returns', () => {
+    const stats = calculatePeriodReturns(points, [{ date: '2023-07-01', amount: 50 }]);
+    expect(stats).toMatchObject({ startVal: 100, endVal: 160, netFlow: 50 });
+    expect(stats.raw).toBeCloseTo(60);
+    expect(stats.twr).toBeCloseTo(10);
+    expect(stats.xirr).toBeGreaterThan(0);
+    expect(stats.xirr).toBeLessThan(stats.raw);
+  });
+
+  it('ignores flows outside the period', () => {
+    const stats = calculatePeriodReturns(points, [{ date: '2022-06-01', amount: 50 }, { date: '2024-06-01', amount: 50 }]);
+    expect(stats.netFlow).toBe(0);
+    expect(stats.xirr).toBeCloseTo(60, 3);
+  });
+
+  it('needs at least two points', () => {
+    expect(calculatePeriodReturns(points.slice(0, 1), [])).toBeNull();
+  });
+});
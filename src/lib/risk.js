@@ -0,0 +1,123 @@
+// --- 風險指標 (最大回撤、波動度、單月 / 單年報酬、滾動報酬) ---
+// 以扣除資金進出後的累積報酬指數計算，避免投入被當成上漲、提領被當成回撤。
+// 百分比一律回傳 % 數值 (例如 -12.5 代表 -12.5%)。
+
+import { cumulativeReturnSeries } from './returns';
+import { pointOnOrBefore } from './valuation';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 累積報酬指數：起點為 1，每段以 (期末 - 區間資金流) / 期初 連乘。
+ * points 為依日期排序的 [{ date, value }]，開頭價值為 0 的時間點 (尚未開始) 會略過。
+ */
+export const returnIndex = (points, flows) => {
+  const start = points.findIndex(p => p.value > 0);
+  if (start === -1) return [];
+  return cumulativeReturnSeries(points.slice(start), flows).map(p => ({ date: p.date, value: 1 + p.value / 100 }));
+};
+
+/**
+ * 最大回撤：指數從高點到之後低點的最大跌幅。
+ * 回傳 { drawdown, peakDate, troughDate, recoveryDate }，尚未回到高點時 recoveryDate 為 null。
+ */
+export const maxDrawdown = (index) => {
+  if (index.length < 2) return null;
+  let peak = index[0];
+  let worst = { drawdown: 0, peakDate: index[0].date, troughDate: index[0].date, peakValue: index[0].value };
+  index.forEach(p => {
+    if (p.value > peak.value) peak = p;
+    const drawdown = peak.value > 0 ? (p.value / peak.value - 1) * 100 : 0;
+    if (drawdown < worst.drawdown) worst = { drawdown, peakDate: peak.date, troughDate: p.date, peakValue: peak.value };
+  });
+  const recovery = index.find(p => p.date > worst.troughDate && p.value >= worst.peakValue);
+  return {
+    drawdown: worst.drawdown,
+    peakDate: worst.peakDate,
+    troughDate: worst.troughDate,
+    recoveryDate: recovery ? recovery.date : null,
+  };
+};
+
+// 每個期間 (月：'YYYY-MM'，年：'YYYY') 最後一個時間點
+const periodEnds = (index, keyLength) => {
+  const ends = [];
+  index.forEach(p => {
+    const key = p.date.slice(0, keyLength);
+    if (ends.length > 0 && ends[ends.length - 1].key === key) ends[ends.length - 1] = { key, point: p };
+    else ends.push({ key, point: p });
+  });
+  return ends;
+};
+
+/**
+ * 各期間的報酬：以該期間最後一個時間點對上一期間最後一個時間點計算，
+ * 第一期以指數起點為基期。快照間隔超過一期時，該段報酬歸在有資料的期間。
+ */
+export const periodReturns = (index, keyLength) => {
+  const ends = periodEnds(index, keyLength);
+  return ends
+    .map(({ key, point }, i) => {
+      const base = i === 0 ? index[0] : ends[i - 1].point;
+      return base.date === point.date || base.value <= 0
+        ? null
+        : { period: key, date: point.date, value: (point.value / base.value - 1) * 100 };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * 年化波動度：月報酬的標準差 × √(每年期數)。
+ * 期數依實際的平均間隔估計，快照不是每月一筆時也能換算成年化數值。至少需要三期。
+ */
+export const annualisedVolatility = (returns) => {
+  if (returns.length < 3) return null;
+  const values = returns.map(r => r.value / 100);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  const spanDays = (new Date(returns[returns.length - 1].date).getTime() - new Date(returns[0].date).getTime()) / DAY_MS;
+  const periodsPerYear = spanDays > 0 ? 365 / (spanDays / (returns.length - 1)) : 12;
+  return Math.sqrt(variance * periodsPerYear) * 100;
+};
+
+/**
+ * 滾動 12 個月報酬：每個月底對上 12 個月前 (含) 最近的時間點。
+ * 資料未滿 12 個月的月份不列出。
+ */
+export const rollingReturns = (index, months = 12) => {
+  if (index.length < 2) return [];
+  return periodEnds(index, 7)
+    .map(({ point: end }) => {
+      const target = new Date(`${end.date}T00:00:00Z`);
+      target.setUTCMonth(target.getUTCMonth() - months);
+      const targetDate = target.toISOString().split('T')[0];
+      if (targetDate < index[0].date) return null;
+      const base = pointOnOrBefore(index, targetDate);
+      return base && base.value > 0 ? { date: end.date, value: (end.value / base.value - 1) * 100 } : null;
+    })
+    .filter(Boolean);
+};
+
+const extreme = (returns, pick) =>
+  returns.length === 0 ? null : returns.reduce((best, r) => (pick(r.value, best.value) ? r : best));
+
+/**
+ * 一組時間點的風險指標，資料不足時回傳 null：
+ * { drawdown, volatility, bestMonth, worstMonth, bestYear, worstYear, rolling }
+ * 月 / 年為 { period, date, value }，rolling 為 [{ date, value }]。
+ */
+export const riskMetrics = (points, flows) => {
+  const index = returnIndex(points, flows);
+  if (index.length < 2) return null;
+  const months = periodReturns(index, 7);
+  const years = periodReturns(index, 4);
+  return {
+    drawdown: maxDrawdown(index),
+    volatility: annualisedVolatility(months),
+    bestMonth: extreme(months, (a, b) => a > b),
+    worstMonth: extreme(months, (a, b) => a < b),
+    bestYear: extreme(years, (a, b) => a > b),
+    worstYear: extreme(years, (a, b) => a < b),
+    rolling: rollingReturns(index),
+  };
+};
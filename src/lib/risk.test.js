@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { returnIndex, maxDrawdown, periodReturns, annualisedVolatility, rollingReturns, riskMetrics } from './risk';
+
+const idx = (pairs) => pairs.map(([date, value]) => ({ date, value }));
+
+describe('returnIndex', () => {
+  it('starts at the first non-zero value and removes deposits', () => {
+    const points = idx([['2024-01-01', 0], ['2024-02-01', 100], ['2024-03-01', 250], ['2024-04-01', 225]]);
+    const index = returnIndex(points, [{ date: '2024-03-01', amount: 150 }]);
+    expect(index.map(p => p.date)).toEqual(['2024-02-01', '2024-03-01', '2024-04-01']);
+    expect(index.map(p => p.value)).toEqual([1, 1, 0.9]);
+  });
+
+  it('is empty before any value', () => {
+    expect(returnIndex(idx([['2024-01-01', 0]]), [])).toEqual([]);
+  });
+});
+
+describe('maxDrawdown', () => {
+  it('finds the deepest fall from a peak and when it recovered', () => {
+    const index = idx([
+      ['2024-01-31', 1], ['2024-02-29', 1.2], ['2024-03-31', 0.9], ['2024-04-30', 1.1],
+      ['2024-05-31', 0.96], ['2024-06-30', 1.25],
+    ]);
+    const result = maxDrawdown(index);
+    expect(result).toMatchObject({ peakDate: '2024-02-29', troughDate: '2024-03-31', recoveryDate: '2024-06-30' });
+    expect(result.drawdown).toBeCloseTo(-25);
+  });
+
+  it('has no recovery date while below the peak', () => {
+    expect(maxDrawdown(idx([['2024-01-31', 1], ['2024-02-29', 0.8]])).recoveryDate).toBeNull();
+    expect(maxDrawdown(idx([['2024-01-31', 1]]))).toBeNull();
+  });
+});
+
+describe('periodReturns', () => {
+  it('measures each month from the end of the previous one', () => {
+    const index = idx([['2024-01-05', 1], ['2024-01-31', 1.1], ['2024-02-15', 1.0], ['2024-02-29', 1.21], ['2024-04-30', 1.331]]);
+    const months = periodReturns(index, 7);
+    expect(months.map(m => m.period)).toEqual(['2024-01', '2024-02', '2024-04']);
+    months.forEach(m => expect(m.value).toBeCloseTo(10));
+    expect(periodReturns(index, 4)[0].value).toBeCloseTo(33.1);
+  });
+});
+
+describe('annualisedVolatility', () => {
+  it('scales the monthly spread to a year', () => {
+    const returns = ['2024-01-31', '2024-03-01', '2024-03-31', '2024-05-01', '2024-05-31'].map((date, i) => ({
+      date,
+      value: i % 2 === 0 ? 2 : -2,
+    }));
+    // 平均 0.4%，樣本變異數 4.8；四個間隔共 121 天
+    const expected = Math.sqrt(4.8) * Math.sqrt(365 / (121 / 4));
+    expect(annualisedVolatility(returns)).toBeCloseTo(expected, 6);
+    expect(annualisedVolatility(returns.slice(0, 2))).toBeNull();
+  });
+});
+
+describe('rollingReturns', () => {
+  it('compares each month end with twelve months earlier', () => {
+    const index = Array.from({ length: 25 }, (_, i) => {
+      const d = new Date(Date.UTC(2022, i + 1, 0));
+      return { date: d.toISOString().split('T')[0], value: Math.pow(1.01, i) };
+    });
+    const rolling = rollingReturns(index);
+    expect(rolling[0].date).toBe('2023-01-31');
+    expect(rolling).toHaveLength(13);
+    rolling.forEach(r => expect(r.value).toBeCloseTo((Math.pow(1.01, 12) - 1) * 100));
+  });
+});
+
+describe('riskMetrics', () => {
+  it('picks the best and worst periods', () => {
+    const points = idx([
+      ['2023-12-31', 100], ['2024-01-31', 110], ['2024-02-29', 99], ['2024-03-31', 108.9], ['2024-12-31', 119.79],
+    ]);
+    const stats = riskMetrics(points, []);
+    expect(stats.bestMonth.period).toBe('2024-01');
+    expect(stats.worstMonth).toMatchObject({ period: '2024-02' });
+    expect(stats.worstMonth.value).toBeCloseTo(-10);
+    expect(stats.bestYear.period).toBe('2024');
+    expect(stats.drawdown.drawdown).toBeCloseTo(-10);
+    expect(stats.volatility).toBeGreaterThan(0);
+  });
+
+  it('needs at least two points with a value', () => {
+    expect(riskMetrics(idx([['2024-01-01', 0], ['2024-02-01', 100]]), [])).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+// --- 快照排程與提醒 ---
+// 依排程 (每週 / 每月 / 每季的某一天) 判斷各帳戶最新快照是否已過期，
+// 並透過 Service Worker (public/sw.js) 在該更新時發出瀏覽器通知。
+
+export const SCHEDULE_FREQUENCIES = ['weekly', 'monthly', 'quarterly'];
+
+export const SCHEDULE_DEFAULTS = {
+  frequency: 'monthly',
+  day: 5,         // 每週：星期幾 (0 = 週日)；每月 / 每季：幾號 (最多 28，避免小月份沒有這天)
+  notify: false,  // 是否發出瀏覽器通知
+};
+
+// Service Worker 的背景同步標籤，sw.js 中以同一名稱判斷
+export const REMINDER_SYNC_TAG = 'snapshot-reminder';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const toUtc = (date) => new Date(`${date}T00:00:00Z`);
+const toDateString = (d) => d.toISOString().split('T')[0];
+
+export const daysBetween = (from, to) => Math.round((toUtc(to).getTime() - toUtc(from).getTime()) / DAY);
+
+const clampDay = (schedule) => schedule.frequency === 'weekly'
+  ? Math.min(Math.max(Math.round(schedule.day) || 0, 0), 6)
+  : Math.min(Math.max(Math.round(schedule.day) || 1, 1), 28);
+
+const monthsPerPeriod = (frequency) => (frequency === 'quarterly' ? 3 : 1);
+
+/**
+ * date (含) 之前最近一次應更新快照的日期。
+ * 每季的更新日落在 1、4、7、10 月。
+ */
+export const dueOnOrBefore = (schedule, date) => {
+  const d = toUtc(date);
+  const day = clampDay(schedule);
+  if (schedule.frequency === 'weekly') {
+    return toDateString(new Date(d.getTime() - ((d.getUTCDay() - day + 7) % 7) * DAY));
+  }
+  const step = monthsPerPeriod(schedule.frequency);
+  let month = d.getUTCMonth() - (d.getUTCMonth() % step);
+  if (d.getUTCMonth() === month && d.getUTCDate() < day) month -= step;
+  return toDateString(new Date(Date.UTC(d.getUTCFullYear(), month, day)));
+};
+
+// 把更新日往後 (steps > 0) 或往前 (steps < 0) 移動幾期
+export const shiftDue = (schedule, due, steps) => {
+  const d = toUtc(due);
+  if (schedule.frequency === 'weekly') return toDateString(new Date(d.getTime() + steps * 7 * DAY));
+  const months = steps * monthsPerPeriod(schedule.frequency);
+  return toDateString(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, clampDay(schedule))));
+};
+
+/**
+ * 每個使用中帳戶最新快照的新舊程度：
+ * - ok：最新快照在本期更新日 (含) 之後
+ * - due：本期更新日已到，但還沒有新的快照
+ * - stale：連上一期都沒有更新，總資產可能已嚴重過時
+ * 沒有任何快照的帳戶不列入。回傳 { lastDue, nextDue, dueAt, rows }，
+ * dueAt 為下一次該提醒的日期 (已有帳戶待更新時為本期更新日)。
+ */
+export const snapshotFreshness = ({ assets, accounts, schedule, today }) => {
+  const lastDue = dueOnOrBefore(schedule, today);
+  const previousDue = shiftDue(schedule, lastDue, -1);
+  const nextDue = shiftDue(schedule, lastDue, 1);
+
+  const rows = accounts
+    .filter(account => !account.archived)
+    .map(account => {
+      const lastDate = assets
+        .filter(a => a.type === account.id)
+        .reduce((latest, a) => (a.date > latest ? a.date : latest), '');
+      if (!lastDate) return null;
+      const status = lastDate >= lastDue ? 'ok' : lastDate >= previousDue ? 'due' : 'stale';
+      return { account, lastDate, ageDays: daysBetween(lastDate, today), status };
+    })
+    .filter(Boolean);
+
+  const pending = rows.filter(r => r.status !== 'ok');
+  return { lastDue, nextDue, dueAt: pending.length > 0 ? lastDue : nextDue, rows, pending };
+};
+
+/**
+ * 註冊提醒用的 Service Worker，支援 Periodic Background Sync 時一併登記，
+ * 分頁關閉後仍可由瀏覽器定期喚醒檢查。
+ * 回傳 'background' (可背景提醒)、'foreground' (只在開啟 App 時提醒) 或 'unsupported'。
+ */
+export const registerReminderWorker = async () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || typeof Notification === 'undefined') {
+    return 'unsupported';
+  }
+  const registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+  if (!('periodicSync' in registration)) return 'foreground';
+  try {
+    await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 12 * 60 * 60 * 1000 });
+    return 'background';
+  } catch {
+    // 未安裝成 App 或未授權時瀏覽器會拒絕背景同步
+    return 'foreground';
+  }
+};
+
+export const unregisterReminderSync = async () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (registration && 'periodicSync' in registration) await registration.periodicSync.unregister(REMINDER_SYNC_TAG);
+};
+
+// 透過 Service Worker 顯示通知 (行動版瀏覽器不支援 new Notification())
+export const showReminder = async ({ title, body }) => {
+  const registration = await navigator.serviceWorker.ready;
+  return registration.showNotification(title, { body, tag: REMINDER_SYNC_TAG });
+};
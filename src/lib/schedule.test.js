@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { SCHEDULE_DEFAULTS, daysBetween, dueOnOrBefore, shiftDue, snapshotFreshness, registerReminderWorker } from './schedule';
+
+const weekly = { ...SCHEDULE_DEFAULTS, frequency: 'weekly', day: 5 };
+const monthly = { ...SCHEDULE_DEFAULTS, frequency: 'monthly', day: 5 };
+const quarterly = { ...SCHEDULE_DEFAULTS, frequency: 'quarterly', day: 5 };
+
+describe('dueOnOrBefore', () => {
+  it('finds the last weekday of a weekly schedule', () => {
+    // 2024-03-10 為週日，前一個週五是 3/8
+    expect(dueOnOrBefore(weekly, '2024-03-10')).toBe('2024-03-08');
+    expect(dueOnOrBefore(weekly, '2024-03-08')).toBe('2024-03-08');
+  });
+
+  it('goes back a month before the day of a monthly schedule', () => {
+    expect(dueOnOrBefore(monthly, '2024-03-10')).toBe('2024-03-05');
+    expect(dueOnOrBefore(monthly, '2024-03-05')).toBe('2024-03-05');
+    expect(dueOnOrBefore(monthly, '2024-03-03')).toBe('2024-02-05');
+    expect(dueOnOrBefore(monthly, '2024-01-03')).toBe('2023-12-05');
+  });
+
+  it('uses January, April, July and October for a quarterly schedule', () => {
+    expect(dueOnOrBefore(quarterly, '2024-03-10')).toBe('2024-01-05');
+    expect(dueOnOrBefore(quarterly, '2024-04-03')).toBe('2024-01-05');
+    expect(dueOnOrBefore(quarterly, '2024-01-03')).toBe('2023-10-05');
+  });
+
+  it('keeps the day within 1-28', () => {
+    expect(dueOnOrBefore({ frequency: 'monthly', day: 31 }, '2024-03-30')).toBe('2024-03-28');
+  });
+});
+
+describe('shiftDue', () => {
+  it('moves by whole periods', () => {
+    expect(shiftDue(weekly, '2024-03-08', -1)).toBe('2024-03-01');
+    expect(shiftDue(monthly, '2024-12-05', 1)).toBe('2025-01-05');
+    expect(shiftDue(quarterly, '2024-01-05', 1)).toBe('2024-04-05');
+  });
+});
+
+describe('snapshotFreshness', () => {
+  const account = (id, archived = false) => ({ id, archived });
+  const accounts = [account('fresh'), account('due'), account('stale'), account('old', true), account('empty')];
+  const assets = [
+    { type: 'fresh', date: '2024-02-01' },
+    { type: 'fresh', date: '2024-03-06' },
+    { type: 'due', date: '2024-02-10' },
+    { type: 'stale', date: '2024-01-20' },
+    { type: 'old', date: '2020-01-01' },
+  ];
+
+  it('grades the latest snapshot of each active account against the schedule', () => {
+    const result = snapshotFreshness({ assets, accounts, schedule: monthly, today: '2024-03-10' });
+    expect(result).toMatchObject({ lastDue: '2024-03-05', nextDue: '2024-04-05', dueAt: '2024-03-05' });
+    expect(result.rows.map(r => [r.account.id, r.lastDate, r.status])).toEqual([
+      ['fresh', '2024-03-06', 'ok'],
+      ['due', '2024-02-10', 'due'],
+      ['stale', '2024-01-20', 'stale'],
+    ]);
+    expect(result.rows[0].ageDays).toBe(daysBetween('2024-03-06', '2024-03-10'));
+    expect(result.pending).toHaveLength(2);
+  });
+
+  it('reminds at the next due date when everything is up to date', () => {
+    const result = snapshotFreshness({ assets, accounts: accounts.slice(0, 1), schedule: monthly, today: '2024-03-10' });
+    expect(result.pending).toEqual([]);
+    expect(result.dueAt).toBe('2024-04-05');
+  });
+});
+
+describe('registerReminderWorker', () => {
+  it('reports unsupported outside the browser', async () => {
+    await expect(registerReminderWorker()).resolves.toBe('unsupported');
+  });
+});
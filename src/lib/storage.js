@@ -0,0 +1,309 @@
+// --- IndexedDB 儲存層 ---
+// 每本帳一個 object store (keyPath: id)，另有 meta store 存放設定與遷移資訊。
+// 寫入以單筆記錄為單位 (put / delete)，不再整包覆寫。
+// 啟用加密後每筆記錄存成 { id, sealed }，meta 存成 { key, sealed } (PLAIN_META_KEYS 除外)。
+
+import { createKeyConfig, openJson, sealJson, unlockKey } from './crypto';
+
+const DB_NAME = 'investment-notebook';
+const META_STORE = 'meta';
+
+// 加密時仍以明文保存的設定：解鎖畫面需要語系，Service Worker 需要讀寫提醒
+const PLAIN_META_KEYS = ['encryption', 'initialised', 'legacyImport', 'locale', 'reminder', 'reminderNotified'];
+
+export const COLLECTIONS = [
+  'assets', 'contributions', 'members', 'accounts', 'transactions', 'fxRates', 'history', 'trash', 'outbox', 'conflicts', 'goals', 'benchmarks', 'dividends',
+];
+
+// 舊版 localStorage 的 key (只有資產與投入兩本帳)，第一次開啟資料庫時匯入
+const LEGACY_KEYS = {
+  assets: 'inv_assets',
+  contributions: 'inv_contributions',
+};
+
+// 不會碰撞的 id (優先使用 crypto.randomUUID，非安全環境時改用 getRandomValues)
+export const createId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const readLegacy = (key) => {
+  try {
+    const saved = localStorage.getItem(key);
+    const parsed = saved ? JSON.parse(saved) : null;
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+// 匯入 localStorage 舊資料；舊版 id 可能重複，重複者改發新 id
+const importLegacyLocalStorage = (tx) => {
+  const counts = {};
+  Object.keys(LEGACY_KEYS).forEach(name => {
+    const records = readLegacy(LEGACY_KEYS[name]);
+    if (!records) return;
+    const store = tx.objectStore(name);
+    const seen = new Set();
+    records.forEach(record => {
+      const id = record.id && !seen.has(String(record.id)) ? String(record.id) : createId();
+      seen.add(id);
+      store.put({ ...record, id });
+    });
+    counts[name] = records.length;
+  });
+
+  if (Object.keys(counts).length > 0) {
+    const meta = tx.objectStore(META_STORE);
+    meta.put({ key: 'legacyImport', value: { importedAt: new Date().toISOString(), counts } });
+    meta.put({ key: 'initialised', value: new Date().toISOString() });
+  }
+};
+
+/**
+ * 依序執行的 schema 遷移。要新增 store 或轉換記錄格式時，
+ * 在最後加一筆並遞增 version；已升級過的版本不會重跑。
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: '建立資料表並匯入 localStorage 舊資料',
+    upgrade: (db, tx) => {
+      ['assets', 'contributions', 'members', 'accounts', 'transactions', 'fxRates']
+        .forEach(name => db.createObjectStore(name, { keyPath: 'id' }));
+      db.createObjectStore(META_STORE, { keyPath: 'key' });
+      importLegacyLocalStorage(tx);
+    },
+  },
+  {
+    version: 2,
+    description: '新增編輯歷史與資源回收筒',
+    upgrade: (db) => {
+      db.createObjectStore('history', { keyPath: 'id' });
+      db.createObjectStore('trash', { keyPath: 'id' });
+    },
+  },
+  {
+    version: 3,
+    description: '新增同步待上傳佇列與衝突清單',
+    upgrade: (db) => {
+      db.createObjectStore('outbox', { keyPath: 'id' });
+      db.createObjectStore('conflicts', { keyPath: 'id' });
+    },
+  },
+  {
+    version: 4,
+    description: '新增財務目標',
+    upgrade: (db) => {
+      db.createObjectStore('goals', { keyPath: 'id' });
+    },
+  },
+  {
+    version: 5,
+    description: '新增基準指數價格',
+    upgrade: (db) => {
+      db.createObjectStore('benchmarks', { keyPath: 'id' });
+    },
+  },
+  {
+    version: 6,
+    description: '新增股利記錄',
+    upgrade: (db) => {
+      db.createObjectStore('dividends', { keyPath: 'id' });
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        const tx = request.transaction;
+        MIGRATIONS
+          .filter(m => m.version > event.oldVersion)
+          .forEach(m => m.upgrade(db, tx, event.oldVersion));
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(Object.assign(new Error('資料庫被其他分頁佔用，請關閉其他分頁後重新整理'), { code: 'blocked' }));
+    });
+  }
+  return dbPromise;
+};
+
+// --- 加密 ---
+
+// 解鎖後的金鑰 (只在記憶體中)；null 代表未加密或尚未解鎖
+let cipherKey = null;
+
+const sealRecord = async (key, record) => (key ? { id: record.id, sealed: await sealJson(key, record) } : record);
+const openRecord = (record) => (record.sealed ? openJson(cipherKey, record.sealed) : record);
+
+const sealMeta = async (key, name, value) =>
+  key && !PLAIN_META_KEYS.includes(name) ? { key: name, sealed: await sealJson(key, value) } : { key: name, value };
+const openMeta = (entry) => (entry.sealed ? openJson(cipherKey, entry.sealed) : entry.value);
+
+// 所有寫入依序執行，重新加密時不會有用舊金鑰加密的寫入穿插其中
+let writeChain = Promise.resolve();
+const serially = (task) => {
+  const run = writeChain.then(task);
+  writeChain = run.catch(() => {});
+  return run;
+};
+
+const readEverything = async () => {
+  const db = await openDatabase();
+  const tx = db.transaction([...COLLECTIONS, META_STORE], 'readonly');
+  const done = transactionDone(tx);
+  const [records, metaEntries] = await Promise.all([
+    Promise.all(COLLECTIONS.map(name => promisify(tx.objectStore(name).getAll()))),
+    promisify(tx.objectStore(META_STORE).getAll()),
+  ]);
+  await done;
+  return { records, metaEntries };
+};
+
+let snapshot = null;
+
+/**
+ * 開啟資料庫並一次讀出所有帳本，結果保留在模組內供 getStoredData() 同步取用。
+ * 成功匯入後移除 localStorage 舊資料。
+ * 資料已加密且尚未解鎖時回傳 { locked: true, meta }，meta 只有明文的設定。
+ */
+export const loadStorage = async () => {
+  const { records, metaEntries } = await readEverything();
+
+  if (metaEntries.some(e => e.key === 'encryption') && !cipherKey) {
+    snapshot = { locked: true, meta: Object.fromEntries(metaEntries.filter(e => !e.sealed).map(e => [e.key, e.value])) };
+    return snapshot;
+  }
+
+  const meta = Object.fromEntries(await Promise.all(metaEntries.map(async e => [e.key, await openMeta(e)])));
+  const collections = await Promise.all(records.map(list => Promise.all(list.map(openRecord))));
+  snapshot = {
+    ...Object.fromEntries(COLLECTIONS.map((name, i) => [name, collections[i]])),
+    meta,
+    isFirstRun: !meta.initialised,
+  };
+
+  if (!meta.initialised) await saveMeta('initialised', new Date().toISOString());
+  if (meta.legacyImport) Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+
+  return snapshot;
+};
+
+const encryptionConfig = async () => {
+  const db = await openDatabase();
+  const entry = await promisify(db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get('encryption'));
+  return entry ? entry.value : null;
+};
+
+/**
+ * 以密碼解鎖並載入 (解密) 全部資料；密碼錯誤時丟出 code 為 'badPassphrase' 的錯誤。
+ */
+export const unlockStorage = async (passphrase) => {
+  const config = await encryptionConfig();
+  const key = config ? await unlockKey(passphrase, config) : null;
+  if (config && !key) throw Object.assign(new Error('wrong passphrase'), { code: 'badPassphrase' });
+  cipherKey = key;
+  return loadStorage();
+};
+
+export const isEncrypted = () => cipherKey !== null;
+
+export const verifyPassphrase = async (passphrase) => {
+  const config = await encryptionConfig();
+  return Boolean(config && await unlockKey(passphrase, config));
+};
+
+/**
+ * 以新金鑰 (null 為不加密) 重新寫入所有記錄與設定。先在記憶體中解密 / 加密完，
+ * 再於同一個交易中全部寫入；交易失敗時資料維持原本的金鑰，不會混用兩把金鑰。
+ */
+const resealAll = (nextKey, config) => serially(async () => {
+  const { records, metaEntries } = await readEverything();
+  const collections = await Promise.all(records.map(list => Promise.all(list.map(async r => sealRecord(nextKey, await openRecord(r))))));
+  const meta = await Promise.all(metaEntries
+    .filter(e => e.key !== 'encryption')
+    .map(async e => sealMeta(nextKey, e.key, await openMeta(e))));
+
+  const db = await openDatabase();
+  const tx = db.transaction([...COLLECTIONS, META_STORE], 'readwrite');
+  COLLECTIONS.forEach((name, i) => {
+    const store = tx.objectStore(name);
+    collections[i].forEach(r => store.put(r));
+  });
+  const metaStore = tx.objectStore(META_STORE);
+  meta.forEach(e => metaStore.put(e));
+  if (config) metaStore.put({ key: 'encryption', value: config });
+  else metaStore.delete('encryption');
+  await transactionDone(tx);
+  cipherKey = nextKey;
+});
+
+// 啟用加密或變更密碼 (以新的 salt 與金鑰重新加密全部資料)
+export const setPassphrase = async (passphrase) => {
+  const { key, config } = await createKeyConfig(passphrase);
+  await resealAll(key, config);
+};
+
+// 關閉加密：全部資料改回明文
+export const disableEncryption = () => resealAll(null, null);
+
+// 等待寫入完成後丟棄金鑰；呼叫端接著重新載入頁面以清除畫面上的資料
+export const lockStorage = async () => {
+  await writeChain;
+  cipherKey = null;
+  snapshot = null;
+};
+
+export const getStoredData = () => snapshot;
+
+export const saveMeta = (key, value) => serially(async () => {
+  const entry = await sealMeta(cipherKey, key, value);
+  const db = await openDatabase();
+  const tx = db.transaction(META_STORE, 'readwrite');
+  tx.objectStore(META_STORE).put(entry);
+  return transactionDone(tx);
+});
+
+/**
+ * 比對前後兩個陣列，只寫入新增 / 變更 (以物件參考判斷) 的記錄並刪除被移除的記錄。
+ */
+export const saveCollectionChanges = async (name, previous, next) => {
+  const previousById = new Map(previous.map(r => [r.id, r]));
+  const nextIds = new Set(next.map(r => r.id));
+  const changed = next.filter(r => previousById.get(r.id) !== r);
+  const removed = previous.filter(r => !nextIds.has(r.id));
+  if (changed.length === 0 && removed.length === 0) return;
+
+  return serially(async () => {
+    // 先加密完再開交易 (交易在等待非 IndexedDB 的非同步工作時會自動結束)
+    const sealed = await Promise.all(changed.map(r => sealRecord(cipherKey, r)));
+    const db = await openDatabase();
+    const tx = db.transaction(name, 'readwrite');
+    const store = tx.objectStore(name);
+    sealed.forEach(r => store.put(r));
+    removed.forEach(r => store.delete(r.id));
+    return transactionDone(tx);
+  });
+};
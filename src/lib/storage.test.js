@@ -0,0 +1,145 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  SCHEMA_VERSION,
+  createId,
+  loadStorage,
+  getStoredData,
+  saveMeta,
+  saveCollectionChanges,
+  setPassphrase,
+  lockStorage,
+  unlockStorage,
+  isEncrypted,
+  verifyPassphrase,
+  disableEncryption,
+} from './storage';
+
+// 只實作用得到的 localStorage 方法
+const legacy = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (legacy.has(key) ? legacy.get(key) : null),
+  setItem: (key, value) => legacy.set(key, String(value)),
+  removeItem: (key) => legacy.delete(key),
+};
+
+// 另開一條連線直接讀資料表，確認實際寫入的內容
+const readStore = (name) => new Promise((resolve, reject) => {
+  const request = indexedDB.open('investment-notebook', SCHEMA_VERSION);
+  request.onsuccess = () => {
+    const db = request.result;
+    const get = db.transaction(name, 'readonly').objectStore(name).getAll();
+    get.onsuccess = () => {
+      db.close();
+      resolve(get.result);
+    };
+    get.onerror = () => reject(get.error);
+  };
+  request.onerror = () => reject(request.error);
+});
+
+const byId = (a, b) => a.id.localeCompare(b.id);
+
+describe('createId', () => {
+  it('does not repeat', () => {
+    const ids = new Set(Array.from({ length: 1000 }, createId));
+    expect(ids.size).toBe(1000);
+  });
+});
+
+describe('IndexedDB storage', () => {
+  beforeAll(() => {
+    legacy.set('inv_assets', JSON.stringify([
+      { id: 1, date: '2024-01-31', type: 'tw_stock', amount: 100 },
+      { id: 1, date: '2024-02-29', type: 'tw_stock', amount: 110 },
+    ]));
+    legacy.set('inv_contributions', JSON.stringify([{ id: 5, date: '2024-01-15', person: 'A_Hui', amount: 100 }]));
+    // 舊版從未用過的 key，不應匯入
+    legacy.set('inv_members', JSON.stringify([{ id: 'x', name: 'X' }]));
+  });
+
+  it('imports the localStorage ledgers on first open and re-issues duplicate ids', async () => {
+    const data = await loadStorage();
+
+    // 有匯入舊資料就不算第一次使用 (不放範例資料)
+    expect(data.isFirstRun).toBe(false);
+    expect(data.assets.map(a => a.amount).sort()).toEqual([100, 110]);
+    expect(new Set(data.assets.map(a => a.id)).size).toBe(2);
+    expect(data.assets.map(a => a.id)).toContain('1');
+    expect(data.contributions).toEqual([{ id: '5', date: '2024-01-15', person: 'A_Hui', amount: 100 }]);
+    expect(data.meta.legacyImport.counts).toEqual({ assets: 2, contributions: 1 });
+    expect(getStoredData()).toBe(data);
+    expect(legacy.has('inv_assets')).toBe(false);
+  });
+
+  it('creates every ledger store but imports only the two legacy keys', () => {
+    const data = getStoredData();
+    ['members', 'accounts', 'transactions', 'fxRates'].forEach(name => expect(data[name]).toEqual([]));
+    expect(legacy.has('inv_members')).toBe(true);
+  });
+
+  it('writes only the records that changed', async () => {
+    const previous = getStoredData().contributions;
+    const kept = { id: 'k', date: '2024-02-15', person: 'A_Ru', amount: 50 };
+    await saveCollectionChanges('contributions', previous, [kept]);
+    expect(await readStore('contributions')).toEqual([kept]);
+
+    const edited = { ...kept, amount: 60 };
+    const added = { id: 'n', date: '2024-03-15', person: 'A_Ru', amount: 70 };
+    await saveCollectionChanges('contributions', [kept], [edited, added]);
+    expect((await readStore('contributions')).sort(byId)).toEqual([edited, added].sort(byId));
+  });
+
+  it('keeps meta values across loads', async () => {
+    await saveMeta('locale', 'en');
+    const data = await loadStorage();
+    expect(data.meta.locale).toBe('en');
+  });
+});
+
+describe('encryption', () => {
+  const record = { id: 'e1', date: '2024-04-15', person: 'A_Ru', amount: 80 };
+
+  it('seals every record and all but the plain settings', async () => {
+    await saveMeta('schedule', { frequency: 'weekly' });
+    await setPassphrase('correct horse');
+    expect(isEncrypted()).toBe(true);
+
+    const rows = await readStore('contributions');
+    expect(rows.length).toBeGreaterThan(0);
+    rows.forEach(row => expect(Object.keys(row).sort()).toEqual(['id', 'sealed']));
+    const meta = Object.fromEntries((await readStore('meta')).map(e => [e.key, e]));
+    expect(meta.locale.value).toBe('en');
+    expect(meta.schedule).not.toHaveProperty('value');
+    expect(meta.encryption.value.salt).toBeInstanceOf(Uint8Array);
+  });
+
+  it('keeps new writes sealed', async () => {
+    const previous = getStoredData().contributions;
+    await saveCollectionChanges('contributions', previous, [...previous, record]);
+    const row = (await readStore('contributions')).find(r => r.id === 'e1');
+    expect(row).not.toHaveProperty('amount');
+  });
+
+  it('stays locked until the right passphrase is given', async () => {
+    await lockStorage();
+    const locked = await loadStorage();
+    expect(locked.locked).toBe(true);
+    expect(locked.meta.locale).toBe('en');
+    expect(locked.meta).not.toHaveProperty('schedule');
+
+    expect(await verifyPassphrase('wrong')).toBe(false);
+    await expect(unlockStorage('wrong')).rejects.toMatchObject({ code: 'badPassphrase' });
+
+    const data = await unlockStorage('correct horse');
+    expect(data.contributions).toContainEqual(record);
+    expect(data.meta.schedule).toEqual({ frequency: 'weekly' });
+  });
+
+  it('writes everything back in plain text when turned off', async () => {
+    await disableEncryption();
+    expect(isEncrypted()).toBe(false);
+    expect(await readStore('contributions')).toContainEqual(record);
+    expect((await readStore('meta')).find(e => e.key === 'encryption')).toBeUndefined();
+  });
+});
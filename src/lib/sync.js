@@ -0,0 +1,104 @@
+// --- 多裝置同步 (HTTP JSON) ---
+// 本機每次修改資產 / 投入記錄都會在 outbox 留一筆待上傳的變更 (刪除以 record: null 表示，即 tombstone)。
+// 同步時先拉取其他裝置的變更，再上傳 outbox；同一筆記錄以 updatedAt 較晚者為準 (last-writer-wins)，
+// 兩邊都改過且內容不同時，落敗的版本放進衝突清單讓使用者手動決定。
+
+export const SYNC_LEDGERS = ['assets', 'contributions'];
+
+export const syncKey = (ledger, recordId) => `${ledger}:${recordId}`;
+
+// updatedAt 相同時以裝置 id 決定勝負，確保兩台裝置得到相同結果
+export const isNewer = (a, b) =>
+  a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && a.deviceId > b.deviceId);
+
+const sameRecord = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * 把本機變更 ({ before, after }) 寫進 outbox，同一筆記錄只保留最新的一筆。
+ */
+export const queueChanges = (outbox, ledger, changes, { deviceId, actor }) => {
+  const byId = new Map(outbox.map(o => [o.id, o]));
+  const updatedAt = new Date().toISOString();
+  changes.forEach(({ before, after }) => {
+    const recordId = (after || before).id;
+    byId.set(syncKey(ledger, recordId), { id: syncKey(ledger, recordId), ledger, recordId, record: after, updatedAt, deviceId, actor });
+  });
+  return Array.from(byId.values());
+};
+
+// 第一次啟用同步時，把現有記錄全部排入 outbox
+export const queueAll = (outbox, ledgers, options) =>
+  Object.entries(ledgers).reduce(
+    (box, [ledger, records]) => queueChanges(box, ledger, records.map(r => ({ before: null, after: r })), options),
+    outbox
+  );
+
+/**
+ * 合併遠端變更。
+ * - 本機沒有待上傳的變更：直接套用遠端版本
+ * - 兩邊都改過且內容不同：較新的版本勝出，另一版本記入衝突清單
+ * 回傳 { changesByLedger: { [ledger]: [{ before, after, actor }] }, superseded, conflicts }，
+ * superseded 為被遠端版本取代、不需再上傳的 outbox 項目。
+ */
+export const mergeRemoteChanges = ({ remote, outbox, ledgers, conflicts }) => {
+  const pending = new Map(outbox.map(o => [o.id, o]));
+  const superseded = [];
+  const nextConflicts = new Map(conflicts.map(c => [c.id, c]));
+  const changesByLedger = {};
+  const detectedAt = new Date().toISOString();
+
+  remote.forEach(change => {
+    if (!ledgers[change.ledger]) return;
+    const key = syncKey(change.ledger, change.recordId);
+    const current = ledgers[change.ledger].find(r => r.id === change.recordId) || null;
+    const local = pending.get(key);
+
+    let apply = true;
+    if (local && !sameRecord(local.record, change.record)) {
+      const remoteWins = isNewer(change, local);
+      nextConflicts.set(key, {
+        id: key,
+        ledger: change.ledger,
+        recordId: change.recordId,
+        local: local.record,
+        remote: change.record,
+        localAt: local.updatedAt,
+        remoteAt: change.updatedAt,
+        remoteDevice: change.deviceId,
+        remoteActor: change.actor,
+        winner: remoteWins ? 'remote' : 'local',
+        detectedAt,
+      });
+      apply = remoteWins;
+    }
+    if (local && apply) superseded.push(local);
+    if (!apply || sameRecord(current, change.record)) return;
+
+    if (!changesByLedger[change.ledger]) changesByLedger[change.ledger] = [];
+    changesByLedger[change.ledger].push({ before: current, after: change.record, actor: change.actor });
+  });
+
+  return { changesByLedger, superseded, conflicts: Array.from(nextConflicts.values()) };
+};
+
+const request = async (url, options, token) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+  });
+  if (!response.ok) throw Object.assign(new Error(`同步伺服器回應 ${response.status}`), { status: response.status });
+  return response.json();
+};
+
+const endpoint = (baseUrl, path) => `${baseUrl.replace(/\/+$/, '')}${path}`;
+
+// GET /changes?since=<cursor>&device=<deviceId> → { changes, cursor }
+export const pullChanges = ({ url, token, deviceId, cursor }) =>
+  request(endpoint(url, `/changes?since=${cursor || 0}&device=${encodeURIComponent(deviceId)}`), { method: 'GET' }, token);
+
+// POST /changes { deviceId, changes } → { accepted: [id], rejected: [serverChange] }
+export const pushChanges = ({ url, token, deviceId, changes }) =>
+  request(endpoint(url, '/changes'), { method: 'POST', body: JSON.stringify({ deviceId, changes }) }, token);
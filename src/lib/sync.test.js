@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { syncKey, isNewer, queueChanges, queueAll, mergeRemoteChanges, pullChanges, pushChanges } from './sync';
+
+const device = { deviceId: 'dev-a', actor: 'A_Hui' };
+const rec = (id, amount) => ({ id, date: '2024-01-31', type: 'tw_stock', amount });
+
+describe('isNewer', () => {
+  it('breaks ties on the device id so both devices agree', () => {
+    expect(isNewer({ updatedAt: '2024-01-02' }, { updatedAt: '2024-01-01' })).toBe(true);
+    expect(isNewer({ updatedAt: '2024-01-01', deviceId: 'b' }, { updatedAt: '2024-01-01', deviceId: 'a' })).toBe(true);
+    expect(isNewer({ updatedAt: '2024-01-01', deviceId: 'a' }, { updatedAt: '2024-01-01', deviceId: 'b' })).toBe(false);
+  });
+});
+
+describe('queueChanges', () => {
+  it('keeps one pending change per record and queues deletions as tombstones', () => {
+    let outbox = queueChanges([], 'assets', [{ before: null, after: rec('1', 10) }], device);
+    outbox = queueChanges(outbox, 'assets', [{ before: rec('1', 10), after: null }], device);
+
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0]).toMatchObject({ id: syncKey('assets', '1'), ledger: 'assets', recordId: '1', record: null, deviceId: 'dev-a', actor: 'A_Hui' });
+  });
+
+  it('queues every existing record on first sync', () => {
+    const outbox = queueAll([], { assets: [rec('1', 1), rec('2', 2)], contributions: [{ id: '1', amount: 5 }] }, device);
+    expect(outbox.map(o => o.id)).toEqual(['assets:1', 'assets:2', 'contributions:1']);
+  });
+});
+
+describe('mergeRemoteChanges', () => {
+  const remoteChange = (record, updatedAt, recordId = record.id) => ({
+    ledger: 'assets', recordId, record, updatedAt, deviceId: 'dev-b', actor: 'A_Ru',
+  });
+
+  it('applies remote changes to records without local edits', () => {
+    const result = mergeRemoteChanges({
+      remote: [remoteChange(rec('1', 20), '2024-02-01'), remoteChange(null, '2024-02-01', '2'), remoteChange(rec('3', 3), '2024-02-01')],
+      outbox: [],
+      ledgers: { assets: [rec('1', 10), rec('2', 2), rec('3', 3)] },
+      conflicts: [],
+    });
+    expect(result.changesByLedger.assets).toEqual([
+      { before: rec('1', 10), after: rec('1', 20), actor: 'A_Ru' },
+      { before: rec('2', 2), after: null, actor: 'A_Ru' },
+    ]);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('lets the newer edit win and keeps the other as a conflict', () => {
+    const outbox = [{ id: 'assets:1', ledger: 'assets', recordId: '1', record: rec('1', 30), updatedAt: '2024-02-02', deviceId: 'dev-a' }];
+    const ledgers = { assets: [rec('1', 30)] };
+
+    const localWins = mergeRemoteChanges({ remote: [remoteChange(rec('1', 20), '2024-02-01')], outbox, ledgers, conflicts: [] });
+    expect(localWins.changesByLedger).toEqual({});
+    expect(localWins.superseded).toEqual([]);
+    expect(localWins.conflicts).toEqual([expect.objectContaining({ id: 'assets:1', winner: 'local', local: rec('1', 30), remote: rec('1', 20) })]);
+
+    const remoteWins = mergeRemoteChanges({ remote: [remoteChange(rec('1', 20), '2024-02-03')], outbox, ledgers, conflicts: [] });
+    expect(remoteWins.changesByLedger.assets[0].after).toEqual(rec('1', 20));
+    expect(remoteWins.superseded).toEqual(outbox);
+    expect(remoteWins.conflicts[0].winner).toBe('remote');
+  });
+
+  it('does not report a conflict when both sides made the same edit', () => {
+    const outbox = [{ id: 'assets:1', ledger: 'assets', recordId: '1', record: rec('1', 20), updatedAt: '2024-02-02', deviceId: 'dev-a' }];
+    const result = mergeRemoteChanges({ remote: [remoteChange(rec('1', 20), '2024-02-01')], outbox, ledgers: { assets: [rec('1', 20)] }, conflicts: [] });
+    expect(result.conflicts).toEqual([]);
+    expect(result.changesByLedger).toEqual({});
+    expect(result.superseded).toEqual(outbox);
+  });
+});
+
+describe('pullChanges / pushChanges', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('calls the server with the cursor, device id and token', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, json: async () => ({ changes: [], cursor: 5 }) }));
+    vi.stubGlobal('fetch', fetch);
+
+    await expect(pullChanges({ url: 'http://host:8787/', token: 't', deviceId: 'dev a', cursor: 3 })).resolves.toEqual({ changes: [], cursor: 5 });
+    await pushChanges({ url: 'http://host:8787', token: '', deviceId: 'dev-a', changes: [] });
+
+    expect(fetch.mock.calls[0][0]).toBe('http://host:8787/changes?since=3&device=dev%20a');
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer t');
+    expect(fetch.mock.calls[1][1]).toMatchObject({ method: 'POST', body: JSON.stringify({ deviceId: 'dev-a', changes: [] }) });
+    expect(fetch.mock.calls[1][1].headers).not.toHaveProperty('Authorization');
+  });
+
+  it('rejects on an error response', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 401 })));
+    await expect(pullChanges({ url: 'http://host', deviceId: 'd' })).rejects.toThrow('401');
+  });
+});
@@ -0,0 +1,86 @@
+// --- 持分單位計算 (單位淨值法) ---
+
+import { flowKind, flowTwd } from './flows';
+import { pointOnOrBefore } from './valuation';
+
+// 取得某日 (含) 之前最近一個時間點的總資產，沒有則回傳 null
+export const valueOnOrBefore = (timeline, date) => {
+  const point = pointOnOrBefore(timeline, date);
+  return point ? point.total : null;
+};
+
+/**
+ * 依資金進出記錄計算每位成員的持有單位。
+ * 每筆以「日期之前最近一次快照的總資產 / 已發行單位」的淨值計算：
+ * 投入買入單位、提領贖回單位、成員間轉移則把單位從轉出者移給轉入者 (總單位不變)。
+ * 同日的快照已包含當天的資金進出，所以不拿來計價；快照之後已處理的投入 / 提領會加回總資產，
+ * 避免同一區間內多筆資金進出用到過時的淨值。
+ * 第一筆資金進出之前已有的資產以淨值 1 發行為期初單位 (opening)，不屬於任何成員；
+ * 沒有更早的快照時期初為 null，第一筆投入以淨值 1 買入。deposits 為淨投入 (台幣)。
+ * timeline 為依日期排序的 [{ date, total }]，currentValue 為目前總資產。
+ */
+export const calculateMemberUnits = (contributions, timeline, currentValue) => {
+  const sorted = [...contributions].sort((a, b) => a.date.localeCompare(b.date));
+  const members = {};
+  let totalUnits = 0;
+  let lastNav = 1;
+  let opening = null;
+
+  // 已處理的投入 / 提領 (依日期) 的累計金額；base 為目前計價快照之後第一筆的位置
+  const flowSums = [0];
+  const flowDates = [];
+  let base = 0;
+  let pointIndex = -1;
+
+  const member = (person) => {
+    if (!members[person]) members[person] = { units: 0, deposits: 0 };
+    return members[person];
+  };
+
+  sorted.forEach(c => {
+    while (pointIndex + 1 < timeline.length && timeline[pointIndex + 1].date < c.date) pointIndex++;
+    const point = pointIndex >= 0 ? timeline[pointIndex] : null;
+    while (point && base < flowDates.length && flowDates[base] <= point.date) base++;
+    const value = point ? point.total + flowSums[flowSums.length - 1] - flowSums[base] : null;
+
+    if (!opening && flowDates.length === 0 && value > 0) {
+      opening = { units: value, deposits: value, date: point.date };
+      totalUnits = value;
+    }
+
+    const nav = totalUnits > 0 && value > 0 ? value / totalUnits : lastNav;
+    const amount = flowTwd(c);
+    const units = amount / nav;
+    const kind = flowKind(c);
+    if (kind !== 'transfer') {
+      flowDates.push(c.date);
+      flowSums.push(flowSums[flowSums.length - 1] + (kind === 'withdrawal' ? -amount : amount));
+    }
+
+    if (kind === 'deposit') {
+      member(c.person).units += units;
+      member(c.person).deposits += amount;
+      totalUnits += units;
+    } else if (kind === 'withdrawal') {
+      member(c.person).units -= units;
+      member(c.person).deposits -= amount;
+      totalUnits -= units;
+    } else if (kind === 'transfer') {
+      member(c.person).units -= units;
+      member(c.person).deposits -= amount;
+      member(c.toPerson).units += units;
+      member(c.toPerson).deposits += amount;
+    }
+    lastNav = nav;
+  });
+
+  const nav = totalUnits > 0 ? currentValue / totalUnits : 0;
+
+  [...Object.values(members), ...(opening ? [opening] : [])].forEach(m => {
+    m.equity = m.units * nav;
+    m.profit = m.equity - m.deposits;
+    m.ownership = totalUnits > 0 ? (m.units / totalUnits) * 100 : 0;
+  });
+
+  return { members, opening, totalUnits, nav };
+};
@@ -0,0 +1,183 @@
+import { describe, it, expect } from 'vitest';
+import { valueOnOrBefore, calculateMemberUnits } from './units';
+import { flowKind, flowTwd } from './flows';
+
+// 逐筆掃描的參考算法：淨值取資金進出日之前最近的快照，加回該快照之後已處理的投入 / 提領
+const referenceUnits = (contributions, timeline) => {
+  const sorted = [...contributions].sort((a, b) => a.date.localeCompare(b.date));
+  const units = {};
+  const processed = [];
+  let totalUnits = 0;
+  let lastNav = 1;
+  sorted.forEach((c, i) => {
+    const point = timeline.filter(p => p.date < c.date).pop();
+    const value = point ? point.total + processed.filter(f => f.date > point.date).reduce((sum, f) => sum + f.amount, 0) : null;
+    if (i === 0 && value > 0) {
+      units.opening = value;
+      totalUnits = value;
+    }
+    const nav = totalUnits > 0 && value > 0 ? value / totalUnits : lastNav;
+    const amount = flowTwd(c);
+    if (flowKind(c) === 'transfer') {
+      units[c.person] = (units[c.person] || 0) - amount / nav;
+      units[c.toPerson] = (units[c.toPerson] || 0) + amount / nav;
+    } else {
+      const signed = flowKind(c) === 'withdrawal' ? -amount : amount;
+      units[c.person] = (units[c.person] || 0) + signed / nav;
+      processed.push({ date: c.date, amount: signed });
+      totalUnits += signed / nav;
+    }
+    lastNav = nav;
+  });
+  return units;
+};
+
+// 固定種子的亂數，讓失敗時可以重現
+const seededRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const randomDate = (random) =>
+  `${2020 + Math.floor(random() * 3)}-${String(1 + Math.floor(random() * 12)).padStart(2, '0')}-${String(1 + Math.floor(random() * 28)).padStart(2, '0')}`;
+
+describe('valueOnOrBefore', () => {
+  const timeline = [
+    { date: '2024-01-01', total: 100 },
+    { date: '2024-03-01', total: 300 },
+  ];
+
+  it('takes the latest total on or before the date', () => {
+    expect(valueOnOrBefore(timeline, '2024-01-01')).toBe(100);
+    expect(valueOnOrBefore(timeline, '2024-02-15')).toBe(100);
+    expect(valueOnOrBefore(timeline, '2024-12-31')).toBe(300);
+  });
+
+  it('returns null before the first point', () => {
+    expect(valueOnOrBefore(timeline, '2023-12-31')).toBeNull();
+  });
+});
+
+describe('calculateMemberUnits', () => {
+  it('buys units at the NAV of the latest value before each deposit', () => {
+    const contributions = [
+      { date: '2024-01-01', person: 'a', amount: 100 },
+      { date: '2024-03-01', person: 'b', amount: 200 },
+    ];
+    // a 以淨值 1 買入 100 單位；b 投入前總資產 200，淨值 2，買入 100 單位
+    const timeline = [
+      { date: '2024-01-01', total: 100 },
+      { date: '2024-02-01', total: 200 },
+    ];
+    const { members, totalUnits, nav } = calculateMemberUnits(contributions, timeline, 400);
+
+    expect(totalUnits).toBeCloseTo(200);
+    expect(nav).toBeCloseTo(2);
+    expect(members.a).toMatchObject({ deposits: 100 });
+    expect(members.a.units).toBeCloseTo(100);
+    expect(members.a.equity).toBeCloseTo(200);
+    expect(members.a.profit).toBeCloseTo(100);
+    expect(members.b.units).toBeCloseTo(100);
+    expect(members.b.profit).toBeCloseTo(0);
+    expect(members.a.ownership + members.b.ownership).toBeCloseTo(100);
+  });
+
+  it('splits the current value by units held', () => {
+    const contributions = [
+      { date: '2024-01-01', person: 'a', amount: 300 },
+      { date: '2024-01-01', person: 'b', amount: 100 },
+    ];
+    const { members } = calculateMemberUnits(contributions, [], 800);
+    expect(members.a.ownership).toBeCloseTo(75);
+    expect(members.a.equity).toBeCloseTo(600);
+    expect(members.b.equity).toBeCloseTo(200);
+  });
+
+  it('redeems units on withdrawals and moves them on transfers', () => {
+    const flows = [
+      { date: '2024-01-01', person: 'a', amount: 1000 },
+      { date: '2024-01-01', person: 'b', amount: 1000 },
+      { date: '2024-03-01', kind: 'withdrawal', person: 'a', amount: 400 },
+      { date: '2024-03-01', kind: 'transfer', person: 'b', toPerson: 'a', amount: 400 },
+    ];
+    // 2 月時總資產 4000，淨值 2：a 贖回 200 單位，b 轉 200 單位給 a
+    const timeline = [{ date: '2024-02-01', total: 4000 }];
+    const { members, totalUnits } = calculateMemberUnits(flows, timeline, 3600);
+
+    expect(totalUnits).toBeCloseTo(1800);
+    expect(members.a.units).toBeCloseTo(1000);
+    expect(members.b.units).toBeCloseTo(800);
+    expect(members.a.deposits).toBe(1000);
+    expect(members.b.deposits).toBe(600);
+    expect(members.a.equity + members.b.equity).toBeCloseTo(3600);
+  });
+
+  it('counts foreign deposits at their base-currency value', () => {
+    const { members } = calculateMemberUnits([
+      { date: '2024-01-01', person: 'a', amount: 3200 },
+      { date: '2024-01-01', person: 'b', amount: 100, currency: 'USD', exchangeRate: 32 },
+    ], [], 6400);
+    expect(members.b.deposits).toBe(3200);
+    expect(members.b.ownership).toBeCloseTo(50);
+  });
+
+  it('adds earlier flows since the last snapshot to its value', () => {
+    const { members } = calculateMemberUnits([
+      { date: '2024-01-01', person: 'a', amount: 1000 },
+      { date: '2024-03-01', person: 'b', amount: 2000 },
+      { date: '2024-03-02', person: 'c', amount: 3000 },
+    ], [{ date: '2024-02-01', total: 2000 }], 12000);
+    // b 與 c 都以淨值 2 買入：c 投入時總資產為 2000 + 2000
+    expect(members.b.units).toBeCloseTo(1000);
+    expect(members.c.units).toBeCloseTo(1500);
+  });
+
+  it('holds assets from before the first flow as opening units', () => {
+    const { members, opening, totalUnits } = calculateMemberUnits(
+      [{ date: '2024-02-01', person: 'a', amount: 1000 }],
+      [{ date: '2024-01-01', total: 1000 }, { date: '2024-02-01', total: 2000 }],
+      3000
+    );
+    // 期初 1000 以淨值 1 發行 1000 單位，a 以淨值 1 再買 1000 單位
+    expect(totalUnits).toBeCloseTo(2000);
+    expect(opening).toMatchObject({ date: '2024-01-01', units: 1000, deposits: 1000, equity: 1500, profit: 500, ownership: 50 });
+    expect(members.a.ownership).toBeCloseTo(50);
+  });
+
+  it('values a flow against the snapshot before its day, not the one that already includes it', () => {
+    const { members, opening } = calculateMemberUnits([
+      { date: '2024-01-01', person: 'a', amount: 1000 },
+      { date: '2024-03-01', person: 'b', amount: 1000 },
+    ], [
+      { date: '2024-01-01', total: 1000 },
+      { date: '2024-02-15', total: 2000 },
+      { date: '2024-03-01', total: 3000 },
+    ], 3000);
+    // b 以 2/15 的淨值 2 買入 500 單位，3/1 的快照已含 b 的投入
+    expect(opening).toBeNull();
+    expect(members.b.units).toBeCloseTo(500);
+    expect(members.a.equity).toBeCloseTo(2000);
+    expect(members.b.equity).toBeCloseTo(1000);
+  });
+
+  it('matches the per-flow reference calculation on random data', () => {
+    const random = seededRandom(5);
+    const timeline = Array.from(new Set(['2019-12-31', ...Array.from({ length: 100 }, () => randomDate(random))]))
+      .sort()
+      .map(date => ({ date, total: 10000 + Math.round(random() * 100000) }));
+    const contributions = Array.from({ length: 400 }, () => {
+      const roll = random();
+      const kind = roll < 0.7 ? 'deposit' : roll < 0.85 ? 'withdrawal' : 'transfer';
+      return { date: randomDate(random), kind, person: random() < 0.5 ? 'a' : 'b', toPerson: 'c', amount: Math.round(random() * 5000) };
+    });
+
+    const { members, opening } = calculateMemberUnits(contributions, timeline, 50000);
+    const expected = referenceUnits(contributions, timeline);
+    expect(opening.units).toBeCloseTo(expected.opening);
+    ['a', 'b', 'c'].forEach(person => expect(members[person].units).toBeCloseTo(expected[person], 6));
+  });
+
+  it('returns an empty split without contributions', () => {
+    expect(calculateMemberUnits([], [], 100)).toEqual({ members: {}, opening: null, totalUnits: 0, nav: 0 });
+  });
+});
@@ -0,0 +1,176 @@
+// --- 估值引擎 (沿用舊值的總資產走勢與區間績效) ---
+// 不依賴 React，輸入為資產快照與帳戶清單，輸出依日期排序的時間點：
+// [{ date, total, investment, liabilities, netWorth, values: { [accountId]: value } }]
+// 每個帳戶在某日的價值 = 該日 (含) 之前最近一筆快照的 amount × exchangeRate (fill-forward)。
+// 負債帳戶的快照記錄未償餘額 (正數)，不計入 total (總資產)，netWorth = total - liabilities。
+
+import { calculatePeriodReturns } from './returns';
+import { isLiability } from './accounts';
+
+const snapshotValue = (record) => record.amount * record.exchangeRate;
+
+// 依日期排序 (穩定排序，同日多筆保留原本順序)
+const sortByDate = (assets) => [...assets].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+// total / investment 只加總帳戶清單中的帳戶；帳戶或類別變動時需整段重算
+const accountsSignature = (accounts) => accounts.map(a => `${a.id}:${a.class}`).join('|');
+
+const sameSnapshot = (a, b) => a.date === b.date && a.type === b.type && snapshotValue(a) === snapshotValue(b);
+
+/**
+ * 從 sorted[from] 開始依日期掃描一次，延續 base 時間點的各帳戶價值。
+ * 同帳戶同日有多筆時取第一筆 (與舊版「日期新到舊排序取第一筆」一致)。
+ */
+const sweep = (sorted, from, accounts, base) => {
+  const ids = new Set(accounts.map(a => a.id));
+  const stockIds = accounts.filter(a => a.class === 'stock').map(a => a.id);
+  const assetIds = accounts.filter(a => !isLiability(a)).map(a => a.id);
+  const liabilityIds = accounts.filter(isLiability).map(a => a.id);
+  const current = base ? { ...base.values } : Object.fromEntries(accounts.map(a => [a.id, 0]));
+  const points = [];
+
+  let i = from;
+  while (i < sorted.length) {
+    const date = sorted[i].date;
+    const seen = new Set();
+    for (; i < sorted.length && sorted[i].date === date; i++) {
+      const record = sorted[i];
+      if (!ids.has(record.type) || seen.has(record.type)) continue;
+      seen.add(record.type);
+      current[record.type] = snapshotValue(record);
+    }
+    const values = { ...current };
+    const total = assetIds.reduce((sum, id) => sum + values[id], 0);
+    const liabilities = liabilityIds.reduce((sum, id) => sum + values[id], 0);
+    points.push({
+      date,
+      total,
+      investment: stockIds.reduce((sum, id) => sum + values[id], 0),
+      liabilities,
+      netWorth: total - liabilities,
+      values,
+    });
+  }
+  return points;
+};
+
+/**
+ * 建立走勢：排序一次後單次掃描，O(n log n + 日期數 × 帳戶數)。
+ */
+export const buildTimeline = (assets, accounts) => sweep(sortByDate(assets), 0, accounts, null);
+
+/**
+ * 具記憶的走勢建立器：與上一次的輸入比對，找出第一個不同的快照，
+ * 該日期之前的時間點直接沿用 (物件參考不變)，只從該日期往後重新掃描。
+ * 常見的編輯 (新增本期快照、修改最近一筆) 只需重算最後幾個時間點。
+ */
+export const createTimelineBuilder = () => {
+  let cache = null;
+
+  return (assets, accounts) => {
+    const sorted = sortByDate(assets);
+    const signature = accountsSignature(accounts);
+
+    if (!cache || cache.signature !== signature) {
+      cache = { signature, sorted, points: sweep(sorted, 0, accounts, null) };
+      return cache.points;
+    }
+
+    let diff = 0;
+    const shared = Math.min(sorted.length, cache.sorted.length);
+    while (diff < shared && sameSnapshot(sorted[diff], cache.sorted[diff])) diff++;
+    if (diff === sorted.length && diff === cache.sorted.length) {
+      cache = { ...cache, sorted };
+      return cache.points;
+    }
+
+    // 從第一個不同快照的日期 (新舊兩者較早者) 整天重算
+    const changedDate = [sorted[diff], cache.sorted[diff]].filter(Boolean).map(r => r.date).sort()[0];
+    const kept = cache.points.filter(p => p.date < changedDate);
+    const from = sorted.findIndex(r => r.date >= changedDate);
+    const points = [...kept, ...(from === -1 ? [] : sweep(sorted, from, accounts, kept[kept.length - 1]))];
+    cache = { signature, sorted, points };
+    return points;
+  };
+};
+
+// 每個帳戶目前的價值 (最新一筆快照)，即走勢最後一個時間點
+export const latestValues = (timeline, accounts) =>
+  timeline.length > 0
+    ? { ...timeline[timeline.length - 1].values }
+    : Object.fromEntries(accounts.map(a => [a.id, 0]));
+
+// 第一個日期大於 (inclusive 時為大於等於) date 的索引 (二分搜尋)
+const search = (timeline, date, inclusive) => {
+  let lo = 0;
+  let hi = timeline.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (inclusive ? timeline[mid].date < date : timeline[mid].date <= date) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+const lowerBound = (timeline, date) => search(timeline, date, true);
+const upperBound = (timeline, date) => search(timeline, date, false);
+
+// 某日 (含) 之前最近的一個時間點，沒有則回傳 null
+export const pointOnOrBefore = (timeline, date) => timeline[upperBound(timeline, date) - 1] || null;
+
+// --- 區間績效 ---
+
+// mode：'total' 總資產 / 'investment' 投資部位 (股票類帳戶) / 'netWorth' 淨資產 (扣除負債)
+export const toValuePoints = (points, mode) =>
+  points.map(p => ({ date: p.date, value: p[mode] }));
+
+// 某區間的時間點：區間開始前最後一筆當作基期；沒有的話以區間內第一筆為基期
+export const rangePoints = (timeline, start, end) => {
+  const first = lowerBound(timeline, start);
+  const last = upperBound(timeline, end);
+  if (first >= last) return [];
+  return timeline.slice(Math.max(first - 1, 0), last);
+};
+
+/**
+ * 近 N 個月的績效：以最新時間點往前推 N 個月，取最接近該日的時間點為基期。
+ * 回傳 calculatePeriodReturns 的結果 (TWR / XIRR / 帳面變化)，資料不足時為 null。
+ */
+export const trailingGrowth = (timeline, cashFlows, months, mode) => {
+  if (timeline.length < 2) return null;
+
+  const target = new Date(`${timeline[timeline.length - 1].date}T00:00:00Z`);
+  target.setUTCMonth(target.getUTCMonth() - months);
+  const targetDate = target.toISOString().split('T')[0];
+
+  // 最接近目標日的時間點 (同樣接近時取較早者)
+  const after = Math.min(upperBound(timeline, targetDate), timeline.length - 1);
+  const before = Math.max(after - 1, 0);
+  const distance = (p) => Math.abs(new Date(p.date).getTime() - target.getTime());
+  const base = distance(timeline[before]) <= distance(timeline[after]) ? before : after;
+
+  return calculatePeriodReturns(toValuePoints(timeline.slice(base), mode), cashFlows);
+};
+
+/**
+ * 區間績效：回傳 { growth, twr, xirr, startVal, endVal, netFlow }，
+ * 區間內只有一筆資料或期初為 0 時 growth / twr / xirr 為 null。
+ */
+export const rangeGrowth = (timeline, cashFlows, start, end, mode) => {
+  const empty = { growth: null, twr: null, xirr: null, startVal: 0, endVal: 0, netFlow: 0 };
+  const points = rangePoints(timeline, start, end);
+  if (points.length === 0) return empty;
+
+  const endPoint = points[points.length - 1];
+  const endVal = endPoint[mode];
+  if (points.length < 2) return { ...empty, endVal };
+
+  const stats = calculatePeriodReturns(toValuePoints(points, mode), cashFlows);
+  if (stats.startVal === 0) return { ...empty, endVal };
+
+  return { ...stats, growth: stats.raw };
+};
+
+// 年度績效：比較該年度最後一筆與前一年度最後一筆 (前一年度沒有資料時與該年度第一筆比較)
+export const annualGrowth = (timeline, cashFlows, year, mode) =>
+  rangeGrowth(timeline, cashFlows, `${year}-01-01`, `${year}-12-31`, mode);
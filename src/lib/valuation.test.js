@@ -0,0 +1,255 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildTimeline,
+  createTimelineBuilder,
+  pointOnOrBefore,
+  rangePoints,
+  trailingGrowth,
+  annualGrowth,
+} from './valuation';
+
+const ACCOUNTS = [
+  { id: 'tw_stock', class: 'stock' },
+  { id: 'us_stock', class: 'stock' },
+  { id: 'tw_cash', class: 'cash' },
+  { id: 'loan', class: 'liability' },
+];
+
+let nextId = 0;
+const snap = (date, type, amount, exchangeRate = 1) => ({ id: String(++nextId), date, type, amount, exchangeRate });
+
+// 舊版的整段計算：每個日期分別找各帳戶在該日 (含) 之前最近的快照，同帳戶同日取第一筆
+const referenceTimeline = (assets, accounts) => {
+  const dates = Array.from(new Set(assets.filter(r => accounts.some(a => a.id === r.type)).map(r => r.date))).sort();
+  return dates.map(date => {
+    const values = {};
+    accounts.forEach(a => {
+      const candidates = assets.filter(r => r.type === a.id && r.date <= date);
+      const latestDate = candidates.reduce((max, r) => (r.date > max ? r.date : max), '');
+      const record = candidates.find(r => r.date === latestDate);
+      values[a.id] = record ? record.amount * record.exchangeRate : 0;
+    });
+    const sum = (pred) => accounts.filter(pred).reduce((s, a) => s + values[a.id], 0);
+    const total = sum(a => a.class !== 'liability');
+    const liabilities = sum(a => a.class === 'liability');
+    return { date, total, investment: sum(a => a.class === 'stock'), liabilities, netWorth: total - liabilities, values };
+  });
+};
+
+// 固定種子的亂數，讓失敗時可以重現
+const seededRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const randomDate = (random) => {
+  const month = String(1 + Math.floor(random() * 12)).padStart(2, '0');
+  const day = String(1 + Math.floor(random() * 28)).padStart(2, '0');
+  return `${2020 + Math.floor(random() * 4)}-${month}-${day}`;
+};
+
+const randomSnapshot = (random) =>
+  snap(randomDate(random), ACCOUNTS[Math.floor(random() * ACCOUNTS.length)].id, Math.round(random() * 1000), random() < 0.5 ? 1 : 30);
+
+describe('buildTimeline', () => {
+  it('fills each account forward from its latest snapshot', () => {
+    const timeline = buildTimeline([
+      snap('2024-01-01', 'tw_stock', 100),
+      snap('2024-01-01', 'tw_cash', 50),
+      snap('2024-02-01', 'us_stock', 10, 30),
+      snap('2024-03-01', 'tw_stock', 120),
+    ], ACCOUNTS);
+
+    expect(timeline.map(p => p.date)).toEqual(['2024-01-01', '2024-02-01', '2024-03-01']);
+    expect(timeline[1].values).toEqual({ tw_stock: 100, us_stock: 300, tw_cash: 50, loan: 0 });
+    expect(timeline.map(p => p.total)).toEqual([150, 450, 470]);
+    expect(timeline.map(p => p.investment)).toEqual([100, 400, 420]);
+  });
+
+  it('keeps liabilities out of the total and subtracts them from net worth', () => {
+    const [point] = buildTimeline([snap('2024-01-01', 'tw_cash', 900), snap('2024-01-01', 'loan', 430)], ACCOUNTS);
+    expect(point).toMatchObject({ total: 900, liabilities: 430, netWorth: 470 });
+  });
+
+  it('takes the first record when an account has several on the same day', () => {
+    const [point] = buildTimeline([snap('2024-01-01', 'tw_cash', 10), snap('2024-01-01', 'tw_cash', 20)], ACCOUNTS);
+    expect(point.values.tw_cash).toBe(10);
+  });
+
+  it('ignores snapshots of accounts that are not in the list', () => {
+    const timeline = buildTimeline([snap('2024-01-01', 'tw_cash', 10), snap('2024-02-01', 'gone', 99)], ACCOUNTS);
+    expect(timeline[timeline.length - 1].values).toEqual({ tw_stock: 0, us_stock: 0, tw_cash: 10, loan: 0 });
+    expect(timeline[timeline.length - 1].total).toBe(10);
+  });
+
+  it('matches the per-date reference calculation on random data', () => {
+    const random = seededRandom(7);
+    const assets = Array.from({ length: 300 }, () => randomSnapshot(random));
+    expect(buildTimeline(assets, ACCOUNTS)).toEqual(referenceTimeline(assets, ACCOUNTS));
+  });
+});
+
+describe('createTimelineBuilder', () => {
+  it('reuses the unchanged points before the first edited date', () => {
+    const build = createTimelineBuilder();
+    const assets = [snap('2024-01-01', 'tw_cash', 10), snap('2024-02-01', 'tw_cash', 20)];
+    const first = build(assets, ACCOUNTS);
+    const second = build([...assets, snap('2024-03-01', 'tw_cash', 30)], ACCOUNTS);
+
+    expect(second[0]).toBe(first[0]);
+    expect(second[1]).toBe(first[1]);
+    expect(second).toHaveLength(3);
+  });
+
+  it('returns the cached points when nothing changed', () => {
+    const build = createTimelineBuilder();
+    const assets = [snap('2024-01-01', 'tw_cash', 10)];
+    const first = build(assets, ACCOUNTS);
+    expect(build([...assets], ACCOUNTS)).toBe(first);
+  });
+
+  it('rebuilds everything when an account changes class', () => {
+    const build = createTimelineBuilder();
+    const assets = [snap('2024-01-01', 'tw_cash', 10)];
+    build(assets, ACCOUNTS);
+    const accounts = ACCOUNTS.map(a => (a.id === 'tw_cash' ? { ...a, class: 'stock' } : a));
+    expect(build(assets, accounts)).toEqual(buildTimeline(assets, accounts));
+  });
+
+  it('equals a full rebuild after add, edit and delete', () => {
+    const build = createTimelineBuilder();
+    let assets = [snap('2024-01-01', 'tw_stock', 100), snap('2024-02-01', 'tw_cash', 50), snap('2024-03-01', 'tw_stock', 120)];
+    build(assets, ACCOUNTS);
+
+    assets = [...assets, snap('2024-02-15', 'us_stock', 5, 30)];
+    expect(build(assets, ACCOUNTS)).toEqual(buildTimeline(assets, ACCOUNTS));
+
+    assets = assets.map(r => (r.date === '2024-02-01' ? { ...r, amount: 80 } : r));
+    expect(build(assets, ACCOUNTS)).toEqual(buildTimeline(assets, ACCOUNTS));
+
+    assets = assets.map(r => (r.date === '2024-03-01' ? { ...r, date: '2024-01-10' } : r));
+    expect(build(assets, ACCOUNTS)).toEqual(buildTimeline(assets, ACCOUNTS));
+
+    assets = assets.filter(r => r.date !== '2024-01-01');
+    expect(build(assets, ACCOUNTS)).toEqual(buildTimeline(assets, ACCOUNTS));
+
+    expect(build([], ACCOUNTS)).toEqual([]);
+  });
+
+  it('equals a full rebuild over 200 random edits', () => {
+    const random = seededRandom(42);
+    const build = createTimelineBuilder();
+    let assets = Array.from({ length: 80 }, () => randomSnapshot(random));
+
+    for (let step = 0; step < 200; step++) {
+      const action = random();
+      const index = Math.floor(random() * assets.length);
+      if (action < 0.4 || assets.length === 0) {
+        assets = [...assets, randomSnapshot(random)];
+      } else if (action < 0.7) {
+        assets = assets.map((r, i) => (i === index ? { ...r, amount: Math.round(random() * 1000) } : r));
+      } else if (action < 0.85) {
+        assets = assets.map((r, i) => (i === index ? { ...r, date: randomDate(random) } : r));
+      } else {
+        assets = assets.filter((_, i) => i !== index);
+      }
+      expect(build(assets, ACCOUNTS)).toEqual(buildTimeline(assets, ACCOUNTS));
+    }
+  });
+});
+
+describe('pointOnOrBefore', () => {
+  const timeline = buildTimeline([snap('2024-01-01', 'tw_cash', 10), snap('2024-03-01', 'tw_cash', 30)], ACCOUNTS);
+
+  it('finds the latest point on or before the date', () => {
+    expect(pointOnOrBefore(timeline, '2024-01-01').total).toBe(10);
+    expect(pointOnOrBefore(timeline, '2024-02-15').total).toBe(10);
+    expect(pointOnOrBefore(timeline, '2024-03-01').total).toBe(30);
+    expect(pointOnOrBefore(timeline, '2030-01-01').total).toBe(30);
+  });
+
+  it('returns null before the first point', () => {
+    expect(pointOnOrBefore(timeline, '2023-12-31')).toBeNull();
+    expect(pointOnOrBefore([], '2024-01-01')).toBeNull();
+  });
+});
+
+describe('rangePoints', () => {
+  const timeline = buildTimeline(
+    ['2023-12-01', '2024-01-15', '2024-02-15', '2024-03-15'].map((date, i) => snap(date, 'tw_cash', (i + 1) * 10)),
+    ACCOUNTS
+  );
+
+  it('includes the last point before the range as the base', () => {
+    expect(rangePoints(timeline, '2024-01-01', '2024-02-28').map(p => p.date)).toEqual(['2023-12-01', '2024-01-15', '2024-02-15']);
+  });
+
+  it('starts at the first point when nothing precedes the range', () => {
+    expect(rangePoints(timeline, '2023-01-01', '2023-12-31').map(p => p.date)).toEqual(['2023-12-01']);
+  });
+
+  it('is empty when the range holds no points', () => {
+    expect(rangePoints(timeline, '2024-01-16', '2024-02-14')).toEqual([]);
+    expect(rangePoints(timeline, '2025-01-01', '2025-12-31')).toEqual([]);
+  });
+});
+
+describe('trailingGrowth', () => {
+  it('uses the point closest to N months back as the base', () => {
+    const timeline = buildTimeline([
+      snap('2023-01-01', 'tw_stock', 50),
+      snap('2023-12-20', 'tw_stock', 100),
+      snap('2024-06-01', 'tw_stock', 105),
+      snap('2024-12-31', 'tw_stock', 110),
+    ], ACCOUNTS);
+
+    const stats = trailingGrowth(timeline, [], 12, 'total');
+    expect(stats.startVal).toBe(100);
+    expect(stats.endVal).toBe(110);
+    expect(stats.raw).toBeCloseTo(10);
+    expect(stats.twr).toBeCloseTo(10);
+  });
+
+  it('removes deposits from the time-weighted return', () => {
+    const timeline = buildTimeline([snap('2024-01-01', 'tw_cash', 100), snap('2024-07-01', 'tw_cash', 150)], ACCOUNTS);
+    const stats = trailingGrowth(timeline, [{ date: '2024-07-01', amount: 50 }], 6, 'total');
+    expect(stats.raw).toBeCloseTo(50);
+    expect(stats.twr).toBeCloseTo(0);
+    expect(stats.netFlow).toBe(50);
+  });
+
+  it('needs at least two points', () => {
+    expect(trailingGrowth(buildTimeline([snap('2024-01-01', 'tw_cash', 1)], ACCOUNTS), [], 12, 'total')).toBeNull();
+  });
+});
+
+describe('annualGrowth', () => {
+  const timeline = buildTimeline([
+    snap('2023-06-01', 'tw_stock', 80),
+    snap('2023-12-31', 'tw_stock', 100),
+    snap('2024-06-01', 'tw_stock', 90),
+    snap('2024-12-31', 'tw_stock', 120),
+    snap('2024-12-31', 'loan', 20),
+  ], ACCOUNTS);
+
+  it('compares the year end with the previous year end', () => {
+    const stats = annualGrowth(timeline, [], 2024, 'total');
+    expect(stats.startVal).toBe(100);
+    expect(stats.endVal).toBe(120);
+    expect(stats.growth).toBeCloseTo(20);
+  });
+
+  it('starts from the first point of the first year', () => {
+    const stats = annualGrowth(timeline, [], 2023, 'total');
+    expect(stats.startVal).toBe(80);
+    expect(stats.growth).toBeCloseTo(25);
+  });
+
+  it('uses the series of the chosen mode', () => {
+    expect(annualGrowth(timeline, [], 2024, 'netWorth').endVal).toBe(100);
+  });
+
+  it('returns empty stats for a year without data', () => {
+    expect(annualGrowth(timeline, [], 2022, 'total')).toEqual({ growth: null, twr: null, xirr: null, startVal: 0, endVal: 0, netFlow: 0 });
+  });
+});
@@ -0,0 +1,626 @@
+// --- English ---
+// 帶 {count} 的訊息在 count 為 1 時改用 `<key>_one`。
+
+export default {
+  // app
+  'app.title': '{names} Investment Notebook',
+  'app.undoLabel': 'Undo: {label} (Ctrl+Z)',
+  'app.undo': 'Undo (Ctrl+Z)',
+  'app.redoLabel': 'Redo: {label} (Ctrl+Shift+Z)',
+  'app.redo': 'Redo (Ctrl+Shift+Z)',
+  'app.currentUser': 'Acting as',
+  'app.reportCurrency': 'Reporting currency',
+  'app.language': 'Language',
+
+  // tabs
+  'tabs.dashboard': 'Dashboard',
+  'tabs.assets': 'Assets',
+  'tabs.contributions': 'Cash flows',
+  'tabs.dividends': 'Dividends',
+  'tabs.fx': 'FX rates',
+  'tabs.reports': 'Annual reports',
+  'tabs.history': 'History',
+  'tabs.health': 'Data health',
+  'tabs.backup': 'Backup & sync',
+  'tabs.settings': 'Settings',
+
+  // common
+  'common.total': 'Total',
+  'common.recordDate': 'Date',
+  'common.update': 'Update record',
+  'common.save': 'Save record',
+  'common.noRecords': 'No records yet',
+  'common.choose': 'Select',
+  'common.currency': 'Currency',
+  'common.note': 'Note',
+  'common.date': 'Date',
+  'common.member': 'Member',
+  'common.account': 'Account',
+  'common.actions': 'Actions',
+  'common.listSeparator': '; ',
+  'common.cancel': 'Cancel',
+  'common.edit': 'Edit',
+  'common.delete': 'Delete',
+  'common.noteOptional': 'Note (optional)',
+
+  // ledger
+  'ledger.asset': 'Asset',
+  'ledger.contribution': 'Contribution',
+  'ledger.transaction': 'Transaction',
+  'ledger.fx': 'FX rate',
+  'ledger.dividend': 'Dividend',
+  'ledger.goal': 'Goal',
+  'ledger.benchmark': 'Benchmark',
+  'ledger.unknown': 'Unknown',
+
+  // periods
+  'periods.1m': '1M',
+  'periods.3m': '3M',
+  'periods.6m': '6M',
+  'periods.1y': '1Y',
+  'periods.3y': '3Y',
+  'periods.all': 'All',
+  'periods.custom': 'Custom',
+
+  // alerts
+  'alerts.saveFailed': 'Failed to save data: {message}',
+  'alerts.assetUpdated': 'Asset record updated',
+  'alerts.assetCreated': 'Asset record added',
+  'alerts.flowUpdated': 'Cash flow updated',
+  'alerts.flowCreated': 'Cash flow added',
+  'alerts.imported': 'Backup imported',
+
+  // undo
+  'undo.resolveConflict': 'Resolve sync conflict',
+  'undo.restoreRecord': 'Restore {ledger} record',
+  'undo.updateAsset': 'Edit asset record',
+  'undo.createAsset': 'Add asset record',
+  'undo.updateFlow': 'Edit cash flow',
+  'undo.createFlow': 'Add cash flow',
+  'undo.deleteAsset': 'Delete asset record',
+  'undo.deleteFlow': 'Delete cash flow',
+  'undo.importReplace': 'Import backup (replace)',
+  'undo.importMerge': 'Import backup (merge)',
+
+  // sync
+  'sync.syncing': 'Syncing…',
+  'sync.synced': 'Synced: received {pulled}, uploaded {pushed}',
+  'sync.failed': 'Sync failed: {message}',
+  'sync.invalidUrl': 'Enter a sync server URL starting with http:// or https://',
+  'sync.confirmDisable': 'Once sync is disabled, local changes will no longer be uploaded. Disable sync?',
+  'sync.title': 'Multi-device sync',
+  'sync.hint': 'With a sync server configured, asset and cash-flow records (including deletions) sync across devices. The server stores them unencrypted, so sync is paused while encryption is on. Start the reference server locally with:',
+  'sync.tokenPlaceholder': 'Access token (optional)',
+  'sync.enable': 'Enable sync',
+  'sync.server': 'Server: {url}',
+  'sync.lastSync': 'Last sync: {time}',
+  'sync.never': 'Never',
+  'sync.pending': 'Pending upload: {count} records',
+  'sync.pending_one': 'Pending upload: 1 record',
+  'sync.unresolved': ', {count} unresolved conflicts',
+  'sync.unresolved_one': ', 1 unresolved conflict',
+  'sync.device': 'Device ID: {id}',
+  'sync.now': 'Sync now',
+  'sync.disable': 'Disable',
+  'sync.conflicts': 'Sync conflicts ({count})',
+  'sync.conflictsHint': 'Two devices changed the same record. The most recent change is applied for now; review each one and choose which version to keep.',
+  'sync.local': 'This device',
+  'sync.remote': 'Other device ({name})',
+  'sync.winner': 'Currently applied',
+  'sync.deleted': '(deleted)',
+  'sync.keep': 'Keep this version',
+  'sync.httpError': 'Sync server responded with {status}',
+  'sync.encrypted': 'Sync is paused while encryption is on, because the sync server stores records unencrypted. Turn off encryption to sync again.',
+
+  // storage
+  'storage.openFailed': 'Could not open the database: {message}',
+  'storage.blocked': 'The database is in use by another tab. Close other tabs and reload.',
+
+  // dashboard
+  'dashboard.totalAssets': 'Total assets ({currency})',
+  'dashboard.totalAssetsHint': 'Based on the latest records',
+  'dashboard.liabilities': 'Liabilities',
+  'dashboard.netWorth': 'Net worth',
+  'dashboard.memberNet': '{name} net contributions',
+  'dashboard.distribution': 'Asset distribution',
+
+  // schedule
+  'schedule.title': 'Latest snapshot per account',
+  'schedule.nextDue': 'Next snapshot due: {date}',
+  'schedule.pending': '{count} accounts are missing the snapshot due {date}; the total may be out of date',
+  'schedule.pending_one': '1 account is missing the snapshot due {date}; the total may be out of date',
+  'schedule.ok': 'Up to date',
+  'schedule.due': 'Due',
+  'schedule.stale': 'Stale',
+  'schedule.updated': 'Updated {date} ({count} days ago)',
+  'schedule.updated_one': 'Updated {date} (1 day ago)',
+  'schedule.record': 'Add snapshot',
+  'schedule.settings': 'Snapshot schedule & reminders',
+  'schedule.frequency': 'Frequency',
+  'schedule.frequencies.weekly': 'Weekly',
+  'schedule.frequencies.monthly': 'Monthly',
+  'schedule.frequencies.quarterly': 'Quarterly (Jan, Apr, Jul, Oct)',
+  'schedule.day': 'Due on',
+  'schedule.dayOfMonth': 'Day {day}',
+  'schedule.notify': 'Send a browser notification when due',
+  'schedule.hint': 'An account is marked Due when its latest snapshot is older than this period\'s due date, and Stale when it also missed the previous one.',
+  'schedule.support.background': 'The browser checks periodically in the background, so reminders arrive even with the tab closed.',
+  'schedule.support.foreground': 'This browser does not support background reminders (usually the app must be installed), so reminders only appear while this page is open.',
+  'schedule.support.unsupported': 'This browser does not support notifications.',
+  'schedule.unsupported': 'This browser does not support notifications',
+  'schedule.permissionDenied': 'Notification permission was not granted. Allow notifications for this site in your browser settings.',
+  'schedule.notifyTitle': 'Time to update your asset snapshots',
+  'schedule.notifyBody': 'This period\'s snapshot was due {date}. Record the latest balance of each account.',
+  'schedule.notifyFailed': 'Could not show the reminder notification: {message}',
+
+  // units
+  'units.title': 'Member shares (unit NAV method)',
+  'units.summary': 'Current unit NAV {nav}, {units} units outstanding',
+  'units.units': 'Units held',
+  'units.equity': 'Current equity',
+  'units.profit': 'Unrealised gain',
+  'units.ownership': 'Ownership',
+  'units.empty': 'No contributions yet',
+  'units.opening': 'Opening assets (as of {date}, unassigned)',
+  'units.hint': 'Each contribution buys units at the NAV of the latest snapshot before its date (a snapshot on the same day already includes that day\'s flows, so it is not used); withdrawals redeem units at the same NAV and transfers move units between members, so earlier money shares in later gains. Assets held before the first contribution become opening units at a NAV of 1 and belong to no member.',
+
+  // chart
+  'chart.total': 'Total assets',
+  'chart.investment': 'Invested (stocks)',
+  'chart.projection': 'Projection',
+  'chart.compare': 'Compare',
+  'chart.benchmarks': 'Benchmarks',
+  'chart.compareLabel': 'Compare:',
+  'chart.periodLabel': 'Period:',
+  'chart.band80': 'Projection 10-90%',
+  'chart.band50': 'Projection 25-75%',
+  'chart.median': 'Projected median',
+  'chart.investmentTotal': 'Total invested',
+  'chart.netWorth': 'Net worth',
+  'chart.liabilities': 'Liabilities',
+
+  // compare
+  'compare.ytd': 'Year to date vs same period last year',
+  'compare.year': 'Last 12 months vs previous 12 months',
+  'compare.custom': 'Custom',
+  'compare.periodA': 'Period A',
+  'compare.periodB': 'Period B',
+  'compare.dayTick': 'Day {day}',
+  'compare.day': 'Day {day}',
+  'compare.insufficient': 'Not enough data for this period',
+
+  // annual
+  'annual.label': 'Annual performance:',
+  'annual.year': '{year}',
+  'annual.raw': 'Book change (incl. contributions) {growth}: {start} → {end}',
+  'annual.netFlow': ', net contributions {amount}',
+  'annual.insufficient': 'Not enough data for this year',
+
+  // returns
+  'returns.twr': 'Time-weighted',
+  'returns.xirr': 'Annualised XIRR',
+  'returns.hint': 'Time-weighted return (TWR) excludes the effect of contributions; XIRR is the annualised return accounting for when money was added; book change is the plain change in value (including contributions).',
+
+  // trailing
+  'trailing.1y': 'Last 1Y',
+  'trailing.3y': 'Last 3Y',
+  'trailing.months': 'Last {months}M',
+  'trailing.raw': 'Book {value}',
+
+  // benchmarks
+  'benchmarks.title': 'Benchmarks',
+  'benchmarks.import': 'Import benchmark prices',
+  'benchmarks.namePlaceholder': 'e.g. 0050, S&P 500 (blank uses the file name)',
+  'benchmarks.csvHint': 'Columns: date and close (adj close, price and 收盤價 also work); without a header row the first two columns are used. Importing under an existing name merges prices, with the new file winning on the same date.',
+  'benchmarks.imported': '{fileName}: imported {count} prices into {name}',
+  'benchmarks.prices': 'Prices',
+  'benchmarks.priceRange': '{count} ({start} – {end})',
+  'benchmarks.empty': 'No benchmarks imported yet',
+  'benchmarks.confirmDelete': 'Delete this benchmark and its prices?',
+  'benchmarks.none': 'No benchmarks yet. Import a price CSV for 0050, the S&P 500 or similar under Settings.',
+  'benchmarks.period': 'Period',
+  'benchmarks.wholePeriod': 'Whole period',
+  'benchmarks.excessVs': 'Excess vs {name}',
+  'benchmarks.hint': 'The portfolio line is the time-weighted cumulative return with deposits and withdrawals removed. Benchmark prices are converted to {currency} at each date\'s rate and start from the first point of the selected period. Excess return = portfolio − benchmark (benchmark return in brackets).',
+
+  // lock
+  'lock.title': 'Encryption and auto-lock',
+  'lock.statusOn': 'Encrypted',
+  'lock.statusOff': 'Not encrypted',
+  'lock.passphrase': 'Passphrase',
+  'lock.currentPassphrase': 'Current passphrase',
+  'lock.newPassphrase': 'New passphrase',
+  'lock.confirmPassphrase': 'Confirm passphrase',
+  'lock.enable': 'Turn on encryption',
+  'lock.change': 'Change passphrase',
+  'lock.disable': 'Turn off encryption',
+  'lock.lockNow': 'Lock now',
+  'lock.autoLock': 'Lock after inactivity',
+  'lock.never': 'Never',
+  'lock.minutes': '{count} minutes',
+  'lock.minutes_one': '{count} minute',
+  'lock.tooShort': 'The passphrase must be at least {count} characters',
+  'lock.mismatch': 'The passphrases do not match',
+  'lock.wrongPassphrase': 'Wrong passphrase',
+  'lock.unsupported': 'WebCrypto is not available in this browser or connection (not HTTPS), so the data cannot be encrypted',
+  'lock.confirmEnable': 'You will need the passphrase every time you open the app. A forgotten passphrase cannot be recovered, so export a backup first. Turn on encryption?',
+  'lock.confirmDisable': 'The data will be stored in plain text on this computer. Turn off encryption?',
+  'lock.enabled': 'Encryption is on',
+  'lock.changed': 'Passphrase changed',
+  'lock.disabled': 'Encryption is off; the data is stored in plain text again',
+  'lock.failed': 'Could not update encryption; the data is unchanged: {message}',
+  'lock.hint': 'A key derived from the passphrase with PBKDF2 encrypts every record and setting (except language and reminders) with AES-GCM. The key is only kept in memory, so reloading or locking asks for the passphrase again. Changing the passphrase or turning encryption off rewrites all data in a single write, so no records are lost.',
+  'lock.unlockTitle': 'Data is encrypted',
+  'lock.unlockHint': 'Enter the passphrase to unlock the investment notebook.',
+  'lock.unlock': 'Unlock',
+  'lock.unlocking': 'Unlocking…',
+
+  // debt
+  'debt.title': 'Liabilities and paydown',
+  'debt.summary': 'Liabilities {liabilities} · Net worth {netWorth}',
+  'debt.balance': 'Outstanding {balance} ({date})',
+  'debt.paid': '{percent}% repaid (of {original})',
+  'debt.payoff': 'Paid off by {date} ({count} payments left, {interest} interest)',
+  'debt.payoff_one': 'Paid off by {date} ({count} payment left, {interest} interest)',
+  'debt.neverPaidOff': 'The monthly payment does not cover the interest; the balance never reaches zero',
+  'debt.noTerms': 'Add an interest rate and monthly payment in Settings to estimate the payoff date',
+  'debt.showSchedule': 'Show amortisation schedule',
+  'debt.hideSchedule': 'Hide amortisation schedule',
+  'debt.year': 'Year',
+  'debt.payments': 'Payments',
+  'debt.interest': 'Interest',
+  'debt.principal': 'Principal',
+  'debt.yearEndBalance': 'Year-end balance',
+  'debt.hint': 'In the account currency. Without an original amount, the highest recorded balance is used. The schedule starts at the latest snapshot and accrues interest monthly (annual rate ÷ 12); for reference only.',
+  'debt.terms.principal': 'Original amount',
+  'debt.terms.interestRate': 'Interest rate %',
+  'debt.terms.monthlyPayment': 'Monthly payment',
+
+  // dividends
+  'dividends.newTitle': 'New dividend',
+  'dividends.editTitle': 'Edit dividend',
+  'dividends.payDate': 'Pay date',
+  'dividends.ticker': 'Ticker (optional)',
+  'dividends.sources.domestic': 'Domestic',
+  'dividends.sources.foreign': 'Foreign',
+  'dividends.gross': 'Gross dividend',
+  'dividends.withholding': 'Tax withheld',
+  'dividends.withholdingHint': 'Foreign dividends default to {rate}% withholding (US); adjust to what was actually paid out.',
+  'dividends.nhiPreview': 'Estimated NHI supplementary premium: {amount}',
+  'dividends.required': 'Enter a pay date, account, member and dividend amount',
+  'dividends.badWithholding': 'Tax withheld must be between 0 and the gross dividend',
+  'dividends.confirmDelete': 'Delete this dividend?',
+  'dividends.ledger': 'Dividend ledger',
+  'dividends.deductions': 'Withholding / premium',
+  'dividends.withheld': 'Withheld {amount}',
+  'dividends.nhi': 'NHI {amount}',
+  'dividends.yield': 'Yield',
+  'dividends.empty': 'No dividends yet',
+  'dividends.summaryTitle': '{year} dividend summary and tax estimate',
+  'dividends.marginalRate': 'Marginal income tax rate',
+  'dividends.noneInYear': 'No dividends in this year',
+  'dividends.totals.gross': 'Gross dividends',
+  'dividends.totals.withholding': 'Tax withheld',
+  'dividends.totals.nhiTotal': 'NHI supplementary premium',
+  'dividends.totals.net': 'Net received',
+  'dividends.combinedTax': 'Combined taxation',
+  'dividends.separateTax': 'Separate taxation (28%)',
+  'dividends.credit': 'After {amount} credit',
+  'dividends.overseas': 'Overseas income',
+  'dividends.overseasDeclare': 'Over the threshold: include in the AMT return',
+  'dividends.overseasBelow': 'Below the reporting threshold',
+  'dividends.payouts': 'Payouts',
+  'dividends.yearYield': 'Yield for the year',
+  'dividends.taxHint': 'All amounts in TWD. Combined taxation = domestic dividends × marginal rate - {credit}% tax credit (capped at {cap} per household); a negative figure is a refund. Separate taxation is a flat {separate}%; the lower option is shown in bold. A {nhi}% NHI supplementary premium is withheld on single domestic payouts of {threshold} or more; foreign dividends totalling {overseas} or more in a year must be included in the alternative minimum tax base. Estimated per member, ignoring joint filing and other income; for reference only. Yield uses the account value at the latest snapshot before the pay date.',
+
+  // risk
+  'risk.title': 'Risk',
+  'risk.maxDrawdown': 'Max drawdown',
+  'risk.recovered': 'Recovered {date}',
+  'risk.notRecovered': 'Not yet recovered',
+  'risk.volatility': 'Annualised volatility',
+  'risk.volatilityHint': 'Std. dev. of monthly returns, annualised',
+  'risk.monthRange': 'Monthly returns',
+  'risk.yearRange': 'Yearly returns',
+  'risk.best': 'Best',
+  'risk.worst': 'Worst',
+  'risk.bestMonth': 'Best month',
+  'risk.worstMonth': 'Worst month',
+  'risk.rolling': 'Rolling 12-month return',
+  'risk.rollingInsufficient': 'Less than 12 months of data, so there is no rolling return yet',
+  'risk.latestRolling': 'Last 12 months',
+  'risk.hint': 'Based on time-weighted returns with deposits and withdrawals removed, so a deposit is not a gain and a withdrawal is not a drawdown. Per-account figures only remove flows assigned to that account; unassigned deposits count as growth of the account.',
+
+  // allocation
+  'allocation.target': 'Target',
+  'allocation.title': 'Target allocation & rebalancing',
+  'allocation.nextContribution': 'Next contribution:',
+  'allocation.outOfBand': '{count} accounts are outside their tolerance band; consider rebalancing',
+  'allocation.outOfBand_one': '1 account is outside its tolerance band; consider rebalancing',
+  'allocation.targetSum': 'Targets add up to {sum}%; adjust them to 100%',
+  'allocation.weight': 'Current weight',
+  'allocation.targetPercent': 'Target (%)',
+  'allocation.band': 'Tolerance (±%)',
+  'allocation.drift': 'Drift',
+  'allocation.rebalance': 'Rebalance (buy / sell)',
+  'allocation.plan': 'Next contribution split',
+  'allocation.buy': 'Buy {amount}',
+  'allocation.sell': 'Sell {amount}',
+  'allocation.empty': 'Enter a target weight for each account in the "Target" column, e.g. US stocks 60%, TW stocks 30%, cash 10%',
+  'allocation.hint': 'Rebalance amounts are the trades needed to return to target weights; the contribution split only tops up underweight accounts with new money, with no selling. Foreign amounts use today\'s exchange rate.',
+
+  // fxAttribution
+  'fxAttribution.title': 'Foreign holdings return attribution (market vs FX)',
+  'fxAttribution.local': 'Local currency (start → end)',
+  'fxAttribution.rate': 'FX rate (start → end)',
+  'fxAttribution.change': '{currency} change',
+  'fxAttribution.market': 'Market (local) effect',
+  'fxAttribution.fx': 'FX effect',
+  'fxAttribution.hint': 'Market effect = change in local value × starting rate; FX effect = ending local value × change in rate. Rates are the ones recorded on each snapshot, the same as the asset charts; contributions during the period count towards the market effect.',
+
+  // planner
+  'planner.goalRequired': 'Enter a goal name, amount and date',
+  'planner.goalDateTooEarly': 'The goal date must be after the latest asset record',
+  'planner.confirmDeleteGoal': 'Delete this goal?',
+  'planner.assumptions': 'Projection assumptions',
+  'planner.annualReturn': 'Expected annual return (%)',
+  'planner.volatility': 'Annual volatility (%)',
+  'planner.monthlyContribution': 'Monthly contribution (TWD)',
+  'planner.contributionGrowth': 'Annual contribution growth (%)',
+  'planner.hint': 'Starting from current total assets of {total}, simulating {runs} runs of monthly log-normal returns.',
+  'planner.addGoal': 'Add goal',
+  'planner.goalNamePlaceholder': 'e.g. Home down payment',
+  'planner.goalTargetPlaceholder': 'Target amount ({currency})',
+  'planner.goals': 'Financial goals',
+  'planner.goal': 'Goal',
+  'planner.goalTarget': 'Target amount',
+  'planner.probability': 'Probability',
+  'planner.required': 'Required monthly contribution',
+  'planner.reached': 'Already on track',
+  'planner.empty': 'No goals yet, e.g. a home down payment in 2030',
+  'planner.tableHint': 'Probability = share of simulations where assets on the goal date reach the target; the required monthly contribution uses the median return (about a 50% chance) and grows each year by the contribution growth rate.',
+
+  // assets
+  'assets.editTitle': 'Edit asset record',
+  'assets.newTitle': 'New asset snapshot',
+  'assets.category': 'Account',
+  'assets.positionsOn': 'Using holdings (switch back to lump sum)',
+  'assets.positionsOff': 'Calculate from holdings × price',
+  'assets.noPositions': 'No holdings on this date; add transactions below first.',
+  'assets.sharesTimes': '{shares} sh ×',
+  'assets.amountLocal': 'Amount (local currency)',
+  'assets.liabilityHint': 'For a liability account, enter the outstanding balance as a positive number',
+  'assets.rate': 'Exchange rate ({currency}/TWD)',
+  'assets.notePlaceholder': 'e.g. Sold TSMC...',
+  'assets.history': 'Record history',
+  'assets.amountLocalShort': 'Amount (local)',
+  'assets.valueTwd': 'Value (TWD)',
+  'assets.positionCount': '{count} holdings',
+  'assets.positionCount_one': '1 holding',
+
+  // holdings
+  'holdings.confirmDelete': 'Delete this transaction?',
+  'holdings.price': 'Price',
+  'holdings.title': 'Holdings & transactions',
+  'holdings.accountLabel': 'Account:',
+  'holdings.noAccounts': 'No stock accounts yet; add one in Settings first.',
+  'holdings.editTitle': 'Edit transaction',
+  'holdings.newTitle': 'New transaction',
+  'holdings.kind': 'Type',
+  'holdings.ticker': 'Ticker',
+  'holdings.tickerPlaceholder': 'e.g. 2330, VTI',
+  'holdings.shares': 'Shares',
+  'holdings.fee': 'Fee',
+  'holdings.dividendAmount': 'Dividend amount ({currency})',
+  'holdings.splitRatio': 'Split ratio (new shares per share)',
+  'holdings.update': 'Update transaction',
+  'holdings.save': 'Save transaction',
+  'holdings.pnlTitle': 'Position P&L ({currency})',
+  'holdings.avgCost': 'Avg. cost',
+  'holdings.lastPrice': 'Last price',
+  'holdings.marketValue': 'Market value',
+  'holdings.unrealised': 'Unrealised P&L',
+  'holdings.realised': 'Realised P&L',
+  'holdings.dividends': 'Dividends',
+  'holdings.empty': 'No transactions yet',
+  'holdings.priceHint': 'Last price comes from the most recent snapshot calculated from holdings, or the latest trade price when there is none.',
+  'holdings.transactions': 'Transactions',
+  'holdings.detail': 'Details',
+  'holdings.trade': '{shares} sh @ {price}',
+  'holdings.tradeWithFee': '{shares} sh @ {price}, fee {fee}',
+  'holdings.oversold': '{date} {ticker}: sold {shares} shares, more than the {held} held',
+  'holdings.invalidSplit': '{date} {ticker}: invalid split ratio',
+
+  // transactionKinds
+  'transactionKinds.buy': 'Buy',
+  'transactionKinds.sell': 'Sell',
+  'transactionKinds.dividend': 'Dividend',
+  'transactionKinds.split': 'Split',
+
+  // contributions
+  'contributions.amountPositive': 'Enter a positive amount; choose "Withdrawal" for withdrawals',
+  'contributions.sameMember': 'Choose a different receiving member',
+  'contributions.editTitle': 'Edit cash flow',
+  'contributions.newTitle': 'New cash flow',
+  'contributions.fromMember': 'From member',
+  'contributions.withdrawer': 'Withdrawn by',
+  'contributions.depositor': 'Contributed by',
+  'contributions.toMember': 'To member',
+  'contributions.accountOptional': 'Account (optional)',
+  'contributions.noAccount': 'Unspecified',
+  'contributions.amount': 'Amount',
+  'contributions.rate': 'Exchange rate (1 {currency} = ? TWD)',
+  'contributions.approx': '≈ {amount}',
+  'contributions.history': 'Cash flow history',
+  'contributions.kind': 'Type',
+  'contributions.empty': 'No cash flows yet',
+
+  // flowKinds
+  'flowKinds.deposit': 'Contribution',
+  'flowKinds.withdrawal': 'Withdrawal',
+  'flowKinds.transfer': 'Member transfer',
+
+  // fx
+  'fx.confirmDelete': 'Delete this rate?',
+  'fx.editTitle': 'Add / update rate',
+  'fx.save': 'Save rate',
+  'fx.overwriteHint': 'An existing rate on the same date is overwritten.',
+  'fx.importCsv': 'Import from CSV',
+  'fx.csvHint': 'Columns: date, rate (optional currency, defaults to {currency}). Dates may be YYYY-MM-DD or YYYY/MM/DD.',
+  'fx.imported': '{fileName}: imported {count} rates',
+  'fx.imported_one': '{fileName}: imported 1 rate',
+  'fx.issueRow': 'Row {row}: ',
+  'fx.history': 'rate history',
+  'fx.rate': 'Rate',
+  'fx.empty': 'No rates yet',
+
+  // settings
+  'settings.addMember': 'Add member',
+  'settings.name': 'Name',
+  'settings.color': 'Colour',
+  'settings.memberPlaceholder': 'e.g. Junior',
+  'settings.members': 'Members',
+  'settings.preview': 'Preview',
+  'settings.flowCount': 'Cash flows',
+  'settings.unarchive': 'Unarchive',
+  'settings.archive': 'Archive',
+  'settings.memberArchiveHint': 'Archived members are hidden from the new cash flow form, but their history and shares are kept.',
+  'settings.addAccount': 'Add account',
+  'settings.accountPlaceholder': 'e.g. JPY time deposit',
+  'settings.class': 'Class',
+  'settings.accounts': 'Accounts',
+  'settings.recordCount': 'Records',
+  'settings.accountArchiveHint': 'Archived accounts are hidden from the new snapshot form, but their latest snapshot still counts towards total assets.',
+
+  // accountClasses
+  'accountClasses.stock': 'Stocks',
+  'accountClasses.cash': 'Cash',
+  'accountClasses.other': 'Other',
+  'accountClasses.liability': 'Liability',
+
+  // history
+  'history.confirmPurge': 'Permanently deleted records cannot be restored. Continue?',
+  'history.items': '{count} items',
+  'history.items_one': '1 item',
+  'history.trash': 'Trash',
+  'history.trashHint': 'Deleted asset and cash-flow records are kept here and can be restored at any time.',
+  'history.deletedBy': 'deleted by {name}',
+  'history.restore': 'Restore',
+  'history.purge': 'Delete permanently',
+  'history.trashEmpty': 'Trash is empty',
+  'history.title': 'Edit history',
+  'history.time': 'Time',
+  'history.actor': 'By',
+  'history.action': 'Action',
+  'history.record': 'Record',
+  'history.changes': 'Changes',
+  'history.empty': 'No edits yet',
+  'history.truncated': 'Showing the latest {shown} of {total} entries',
+
+  // historyActions
+  'historyActions.create': 'Created',
+  'historyActions.update': 'Edited',
+  'historyActions.delete': 'Deleted',
+  'historyActions.restore': 'Restored',
+  'historyActions.purge': 'Purged',
+
+  // historySources
+  'historySources.undo': 'undo',
+  'historySources.redo': 'redo',
+  'historySources.import': 'import',
+
+  // health
+  'health.title': 'Data health ({count} issues)',
+  'health.title_one': 'Data health (1 issue)',
+  'health.thresholds': 'Thresholds',
+  'health.jumpPercent': 'Snapshot change (%)',
+  'health.fxTolerance': 'FX deviation (%)',
+  'health.staleDays': 'Carried forward (days)',
+  'health.flowMultiple': 'Cash flow (multiple)',
+  'health.hint': 'Snapshot change: change in local amount from the previous snapshot of the same account. FX deviation: compared with the FX history, or the default rate when there is none. Carried forward: days an old snapshot is reused while other accounts are updated. Cash flow: multiple of the median of the member\'s flows of the same type.',
+  'health.problem': 'Issue',
+  'health.empty': 'No issues found',
+  'health.confirmSave': 'This record may contain a mistake:\n{issues}\n\nSave anyway?',
+  'health.unknownAccount': 'Account "{type}" is not in the account list',
+  'health.duplicateAsset': '{account} already has another snapshot on this date',
+  'health.jump': 'Changed {change} since the {since} snapshot ({previous} → {current})',
+  'health.implausibleRate': 'Rate {rate} is far from the reference rate {reference} ({currency}/TWD)',
+  'health.duplicateFlow': 'A record with the same member, type and amount already exists on this date',
+  'health.flowOutlier': 'Amount {amount} is {multiple}× the median {typical} of this member\'s flows of this type',
+  'health.stale': '{account} snapshot carried forward to {until} ({days} days without an update)',
+
+  // reports
+  'reports.title': '{year} investment statement ({currency})',
+  'reports.popupBlocked': 'The browser blocked the pop-up. Allow pop-ups and try again, or use "Download HTML".',
+  'reports.period': 'Opening {opening} → closing {closing}',
+  'reports.print': 'Print / PDF',
+  'reports.download': 'Download HTML',
+  'reports.openingTotal': 'Opening total',
+  'reports.closingTotal': 'Closing total',
+  'reports.netFlow': 'Net cash flow',
+  'reports.netGain': 'Net gain',
+  'reports.twr': 'Time-weighted return',
+  'reports.noChart': 'Not enough data this year to draw a chart',
+  'reports.accounts': 'Accounts, opening / closing',
+  'reports.opening': 'Opening',
+  'reports.closing': 'Closing',
+  'reports.change': 'Change',
+  'reports.noAssets': 'No asset records this year',
+  'reports.members': 'Member cash flows',
+  'reports.deposits': 'Contributions',
+  'reports.withdrawals': 'Withdrawals',
+  'reports.transfers': 'Transfers in / out',
+  'reports.net': 'Net contributions',
+  'reports.noFlows': 'No cash flows this year',
+  'reports.months': 'Monthly breakdown',
+  'reports.month': 'Month',
+  'reports.gain': 'Gain',
+  'reports.return': 'Return',
+  'reports.meta': 'Opening {opening}, closing {closing}, generated {generated}',
+  'reports.trend': 'Total assets',
+  'reports.accountsShort': 'Accounts',
+  'reports.transfersIn': 'Transfers in',
+  'reports.transfersOut': 'Transfers out',
+
+  // backup
+  'backup.readFailed': 'Could not read the file: {message}',
+  'backup.confirmReplace': 'Replacing deletes all current records. Continue?',
+  'backup.exportTitle': 'Export backup',
+  'backup.exportHint': 'There are {assets} asset records, {contributions} cash flows, {transactions} transactions, {rates} exchange rates and {dividends} dividend records. Data is stored only in this browser, so back up regularly.',
+  'backup.importTitle': 'Import backup',
+  'backup.chooseFile': 'Choose a JSON or CSV file',
+  'backup.preview': 'Import preview',
+  'backup.noFile': 'No file selected',
+  'backup.previewSummary': '{fileName}: {assets} asset records, {contributions} cash flows, {transactions} transactions and {rates} exchange rates can be imported',
+  'backup.skipped': '; {count} rows with problems will be skipped',
+  'backup.skipped_one': '; 1 row with problems will be skipped',
+  'backup.previewExtras': 'Also {goals} goals, {benchmarks} benchmarks and {dividends} dividend records',
+  'backup.issues': 'Validation issues',
+  'backup.issueRow': 'row {row}: ',
+  'backup.ledger': 'Ledger',
+  'backup.typeOrPerson': 'Account / member',
+  'backup.merge': 'Merge (by id; same date and account counts as a duplicate)',
+  'backup.replace': 'Replace all records',
+
+  // validation
+  'validation.badDate': 'Invalid date: {value}',
+  'validation.unknownType': 'Unknown account: {value}',
+  'validation.badAmount': 'Invalid amount: {value}',
+  'validation.negativeAmount': 'Only liability accounts can have a negative balance: {value}',
+  'validation.badRate': 'Invalid exchange rate: {value}',
+  'validation.badPrice': 'Invalid price: {value}',
+  'validation.unknownAccount': 'Unknown account: {value}',
+  'validation.unknownTransactionKind': 'Unknown transaction type: {value}',
+  'validation.unknownMember': 'Unknown member: {value}',
+  'validation.unknownFlowKind': 'Unknown cash flow type: {value}',
+  'validation.badToPerson': 'Invalid receiving member: {value}',
+  'validation.badCurrency': 'Invalid currency: {value}',
+  'validation.blank': '(blank)',
+  'validation.badPositions': 'Invalid holdings (positions) format',
+  'validation.missingTicker': 'Missing ticker',
+  'validation.badField': 'Invalid {field}: {value}',
+  'validation.notBackup': 'Not a backup file from this app',
+  'validation.unsupportedVersion': 'Unsupported backup version: {version}',
+  'validation.missingLedger': 'CSV is missing the ledger column',
+  'validation.unknownLedger': 'Unknown ledger: {value}',
+};
@@ -0,0 +1,614 @@
+// --- 繁體中文 (預設語系) ---
+// 其他語系缺少的 key 會退回這裡的文字。
+
+export default {
+  // app
+  'app.title': '{names} 投資筆記本',
+  'app.undoLabel': '復原：{label} (Ctrl+Z)',
+  'app.undo': '復原 (Ctrl+Z)',
+  'app.redoLabel': '重做：{label} (Ctrl+Shift+Z)',
+  'app.redo': '重做 (Ctrl+Shift+Z)',
+  'app.currentUser': '目前操作者',
+  'app.reportCurrency': '報表幣別',
+  'app.language': '語言',
+
+  // tabs
+  'tabs.dashboard': '總覽儀表板',
+  'tabs.assets': '資產記錄',
+  'tabs.contributions': '資金進出',
+  'tabs.dividends': '股利',
+  'tabs.fx': '匯率',
+  'tabs.reports': '年度報表',
+  'tabs.history': '編輯歷史',
+  'tabs.health': '資料檢查',
+  'tabs.backup': '備份同步',
+  'tabs.settings': '設定',
+
+  // common
+  'common.total': '合計',
+  'common.recordDate': '記錄日期',
+  'common.update': '更新記錄',
+  'common.save': '儲存記錄',
+  'common.noRecords': '目前沒有記錄',
+  'common.choose': '請選擇',
+  'common.currency': '幣別',
+  'common.note': '備註',
+  'common.date': '日期',
+  'common.member': '成員',
+  'common.account': '帳戶',
+  'common.actions': '操作',
+  'common.listSeparator': '；',
+  'common.cancel': '取消',
+  'common.edit': '編輯',
+  'common.delete': '刪除',
+  'common.noteOptional': '備註 (選填)',
+
+  // ledger
+  'ledger.asset': '資產',
+  'ledger.contribution': '投入',
+  'ledger.transaction': '交易',
+  'ledger.fx': '匯率',
+  'ledger.dividend': '股利',
+  'ledger.goal': '目標',
+  'ledger.benchmark': '基準指數',
+  'ledger.unknown': '未知',
+
+  // periods
+  'periods.1m': '1個月',
+  'periods.3m': '3個月',
+  'periods.6m': '6個月',
+  'periods.1y': '1年',
+  'periods.3y': '3年',
+  'periods.all': '全部',
+  'periods.custom': '自訂',
+
+  // alerts
+  'alerts.saveFailed': '資料儲存失敗：{message}',
+  'alerts.assetUpdated': '已更新資產記錄',
+  'alerts.assetCreated': '已新增資產記錄',
+  'alerts.flowUpdated': '已更新資金記錄',
+  'alerts.flowCreated': '已新增資金記錄',
+  'alerts.imported': '已匯入備份資料',
+
+  // undo
+  'undo.resolveConflict': '解決同步衝突',
+  'undo.restoreRecord': '還原{ledger}記錄',
+  'undo.updateAsset': '修改資產記錄',
+  'undo.createAsset': '新增資產記錄',
+  'undo.updateFlow': '修改資金記錄',
+  'undo.createFlow': '新增資金記錄',
+  'undo.deleteAsset': '刪除資產記錄',
+  'undo.deleteFlow': '刪除投入記錄',
+  'undo.importReplace': '匯入備份 (取代)',
+  'undo.importMerge': '匯入備份 (合併)',
+
+  // sync
+  'sync.syncing': '同步中…',
+  'sync.synced': '已同步：收到 {pulled} 筆，上傳 {pushed} 筆',
+  'sync.failed': '同步失敗：{message}',
+  'sync.invalidUrl': '請輸入 http:// 或 https:// 開頭的同步伺服器網址',
+  'sync.confirmDisable': '停用同步後，本機的修改不會再上傳。確定停用？',
+  'sync.title': '多裝置同步',
+  'sync.hint': '設定同步伺服器後，資產與投入記錄 (含刪除) 會在裝置間同步；伺服器以明文保存，資料加密時會暫停同步。可用以下指令在本機啟動參考伺服器：',
+  'sync.tokenPlaceholder': '存取權杖 (選填)',
+  'sync.enable': '啟用同步',
+  'sync.server': '伺服器：{url}',
+  'sync.lastSync': '上次同步：{time}',
+  'sync.never': '尚未同步',
+  'sync.pending': '待上傳：{count} 筆',
+  'sync.unresolved': '，未處理衝突 {count} 筆',
+  'sync.device': '裝置代號：{id}',
+  'sync.now': '立即同步',
+  'sync.disable': '停用',
+  'sync.conflicts': '同步衝突 ({count})',
+  'sync.conflictsHint': '兩台裝置修改了同一筆記錄，目前先採用較晚修改的版本。請逐筆確認要保留哪一個版本。',
+  'sync.local': '本機',
+  'sync.remote': '對方 ({name})',
+  'sync.winner': '目前採用',
+  'sync.deleted': '(已刪除)',
+  'sync.keep': '保留此版本',
+  'sync.httpError': '同步伺服器回應 {status}',
+  'sync.encrypted': '資料加密時暫停同步：同步伺服器以明文保存記錄。關閉加密後才會恢復同步。',
+
+  // storage
+  'storage.openFailed': '無法開啟資料庫：{message}',
+  'storage.blocked': '資料庫被其他分頁佔用，請關閉其他分頁後重新整理',
+
+  // dashboard
+  'dashboard.totalAssets': '目前總資產 ({currency})',
+  'dashboard.totalAssetsHint': '根據最新一筆記錄計算',
+  'dashboard.liabilities': '負債',
+  'dashboard.netWorth': '淨資產',
+  'dashboard.memberNet': '{name}淨投入',
+  'dashboard.distribution': '資產分佈',
+
+  // schedule
+  'schedule.title': '各帳戶最新快照',
+  'schedule.nextDue': '下次更新日：{date}',
+  'schedule.pending': '{count} 個帳戶尚未完成 {date} 這期的快照，總資產可能已過時',
+  'schedule.ok': '已更新',
+  'schedule.due': '該更新',
+  'schedule.stale': '已過時',
+  'schedule.updated': '最後更新 {date}（{count} 天前）',
+  'schedule.record': '新增快照',
+  'schedule.settings': '快照排程與提醒',
+  'schedule.frequency': '更新頻率',
+  'schedule.frequencies.weekly': '每週',
+  'schedule.frequencies.monthly': '每月',
+  'schedule.frequencies.quarterly': '每季 (1、4、7、10 月)',
+  'schedule.day': '更新日',
+  'schedule.dayOfMonth': '{day} 號',
+  'schedule.notify': '到期時發出瀏覽器通知',
+  'schedule.hint': '帳戶最新快照早於本期更新日時標示為「該更新」，連上一期都沒有更新則標示為「已過時」。',
+  'schedule.support.background': '瀏覽器會在背景定期檢查，分頁關閉時也會提醒。',
+  'schedule.support.foreground': '此瀏覽器不支援背景提醒 (通常需要安裝成 App)，只會在開啟本頁時提醒。',
+  'schedule.support.unsupported': '此瀏覽器不支援通知。',
+  'schedule.unsupported': '此瀏覽器不支援通知',
+  'schedule.permissionDenied': '未取得通知權限，請在瀏覽器設定中允許本網站發送通知',
+  'schedule.notifyTitle': '該更新資產快照了',
+  'schedule.notifyBody': '本期更新日為 {date}，請記錄各帳戶的最新金額。',
+  'schedule.notifyFailed': '無法顯示提醒通知：{message}',
+
+  // units
+  'units.title': '成員持分 (單位淨值法)',
+  'units.summary': '目前單位淨值 {nav}，共 {units} 單位',
+  'units.units': '持有單位',
+  'units.equity': '目前權益',
+  'units.profit': '未實現損益',
+  'units.ownership': '持分比例',
+  'units.empty': '尚無投入記錄',
+  'units.opening': '期初資產 ({date} 快照，未分配)',
+  'units.hint': '每筆投入以投入日之前最近一次快照的總資產計算淨值並買入單位 (同日的快照已含當天的進出，不用來計價)，提領依同樣的淨值贖回單位，成員間轉移則把單位轉給對方，因此較早投入的資金會分到其後的損益。第一筆投入之前已有的資產以淨值 1 列為期初單位，不歸屬任何成員。',
+
+  // chart
+  'chart.total': '總資產',
+  'chart.investment': '投資部位 (股)',
+  'chart.projection': '預測',
+  'chart.compare': '比較',
+  'chart.benchmarks': '基準比較',
+  'chart.compareLabel': '比較:',
+  'chart.periodLabel': '區間:',
+  'chart.band80': '預測 10-90%',
+  'chart.band50': '預測 25-75%',
+  'chart.median': '預測中位數',
+  'chart.investmentTotal': '總投資',
+  'chart.netWorth': '淨資產',
+  'chart.liabilities': '負債',
+
+  // compare
+  'compare.ytd': '今年 vs 去年同期',
+  'compare.year': '近 12 個月 vs 前 12 個月',
+  'compare.custom': '自訂',
+  'compare.periodA': '期間 A',
+  'compare.periodB': '期間 B',
+  'compare.dayTick': '第{day}天',
+  'compare.day': '第 {day} 天',
+  'compare.insufficient': '該期間資料不足',
+
+  // annual
+  'annual.label': '年度績效查詢：',
+  'annual.year': '{year}年度',
+  'annual.raw': '帳面變化 (含投入) {growth}：{start} → {end}',
+  'annual.netFlow': '，期間投入 {amount}',
+  'annual.insufficient': '該年度資料不足',
+
+  // returns
+  'returns.twr': '時間加權',
+  'returns.xirr': '年化 XIRR',
+  'returns.hint': '時間加權報酬 (TWR) 排除投入資金的影響；XIRR 為考慮投入時點的年化報酬；帳面變化為單純的價值增減 (含投入)。',
+
+  // trailing
+  'trailing.1y': '近1年',
+  'trailing.3y': '近3年',
+  'trailing.months': '近{months}月',
+  'trailing.raw': '帳面 {value}',
+
+  // benchmarks
+  'benchmarks.title': '基準指數',
+  'benchmarks.import': '匯入基準價格',
+  'benchmarks.namePlaceholder': '例如：0050、S&P 500 (留白則用檔名)',
+  'benchmarks.csvHint': '欄位：date 與 close (也接受 adj close、price、收盤價)，沒有標題列時取第一、二欄。名稱相同時會合併價格，同一天以新檔案為準。',
+  'benchmarks.imported': '{fileName}：{name} 已匯入 {count} 筆價格',
+  'benchmarks.prices': '價格資料',
+  'benchmarks.priceRange': '{count} 筆 ({start} ~ {end})',
+  'benchmarks.empty': '尚未匯入任何基準指數',
+  'benchmarks.confirmDelete': '確定刪除此基準指數與其價格？',
+  'benchmarks.none': '尚未匯入基準指數，請到「設定」匯入 0050、S&P 500 等價格 CSV。',
+  'benchmarks.period': '期間',
+  'benchmarks.wholePeriod': '整段期間',
+  'benchmarks.excessVs': '超額報酬 vs {name}',
+  'benchmarks.hint': '投資組合為扣除資金進出後的時間加權累積報酬；基準價格依各日期匯率換算成 {currency}，以所選期間的第一個時間點為起點。超額報酬 = 投資組合 - 基準 (括號內為基準報酬)。',
+
+  // lock
+  'lock.title': '資料加密與自動鎖定',
+  'lock.statusOn': '已加密',
+  'lock.statusOff': '未加密',
+  'lock.passphrase': '密碼',
+  'lock.currentPassphrase': '目前的密碼',
+  'lock.newPassphrase': '新密碼',
+  'lock.confirmPassphrase': '再次輸入密碼',
+  'lock.enable': '啟用加密',
+  'lock.change': '變更密碼',
+  'lock.disable': '關閉加密',
+  'lock.lockNow': '立即鎖定',
+  'lock.autoLock': '閒置自動鎖定',
+  'lock.never': '不自動鎖定',
+  'lock.minutes': '{count} 分鐘',
+  'lock.tooShort': '密碼至少需要 {count} 個字元',
+  'lock.mismatch': '兩次輸入的密碼不一致',
+  'lock.wrongPassphrase': '密碼錯誤',
+  'lock.unsupported': '此瀏覽器或連線 (非 HTTPS) 不支援 WebCrypto，無法加密',
+  'lock.confirmEnable': '啟用後每次開啟都需要輸入密碼。忘記密碼將無法復原資料，建議先到「備份」匯出一份備份。確定啟用？',
+  'lock.confirmDisable': '關閉後資料會以明文保存在這台電腦上，確定關閉加密？',
+  'lock.enabled': '已啟用加密',
+  'lock.changed': '密碼已變更',
+  'lock.disabled': '已關閉加密，資料已改回明文保存',
+  'lock.failed': '加密設定失敗，資料維持原狀：{message}',
+  'lock.hint': '以 PBKDF2 由密碼導出金鑰、AES-GCM 加密所有記錄與設定 (語系與提醒除外)；金鑰只存在記憶體中，重新整理或鎖定後需重新輸入密碼。變更密碼或關閉加密會在同一次寫入中重新處理全部資料，不會遺失記錄。',
+  'lock.unlockTitle': '資料已加密',
+  'lock.unlockHint': '請輸入密碼解鎖投資記帳本。',
+  'lock.unlock': '解鎖',
+  'lock.unlocking': '解鎖中…',
+
+  // debt
+  'debt.title': '負債與還款進度',
+  'debt.summary': '負債 {liabilities}・淨資產 {netWorth}',
+  'debt.balance': '未償餘額 {balance} ({date})',
+  'debt.paid': '已償還 {percent}% (原始 {original})',
+  'debt.payoff': '預計 {date} 還清 (剩 {count} 期，利息 {interest})',
+  'debt.neverPaidOff': '每月還款不足以支付利息，無法還清',
+  'debt.noTerms': '到「設定」填入利率與每月還款即可試算還清日期',
+  'debt.showSchedule': '顯示攤還表',
+  'debt.hideSchedule': '隱藏攤還表',
+  'debt.year': '年度',
+  'debt.payments': '還款',
+  'debt.interest': '利息',
+  'debt.principal': '本金',
+  'debt.yearEndBalance': '年底餘額',
+  'debt.hint': '以帳戶原幣計算；未設定原始貸款金額時以歷史最高餘額為準。攤還表從最新一筆快照起按月計息 (年利率 ÷ 12)，僅供參考。',
+  'debt.terms.principal': '原始金額',
+  'debt.terms.interestRate': '年利率 %',
+  'debt.terms.monthlyPayment': '每月還款',
+
+  // dividends
+  'dividends.newTitle': '新增股利',
+  'dividends.editTitle': '編輯股利',
+  'dividends.payDate': '發放日',
+  'dividends.ticker': '代號 (選填)',
+  'dividends.sources.domestic': '國內股利',
+  'dividends.sources.foreign': '海外股利',
+  'dividends.gross': '股利總額 (稅前)',
+  'dividends.withholding': '扣繳稅額',
+  'dividends.withholdingHint': '海外股利預設扣繳 {rate}% (美股)，可依實際入帳調整。',
+  'dividends.nhiPreview': '預估二代健保補充保費：{amount}',
+  'dividends.required': '請填寫發放日、帳戶、成員與股利金額',
+  'dividends.badWithholding': '扣繳稅額需介於 0 與股利總額之間',
+  'dividends.confirmDelete': '確定刪除此筆股利？',
+  'dividends.ledger': '股利記錄',
+  'dividends.deductions': '扣繳 / 補充保費',
+  'dividends.withheld': '扣繳 {amount}',
+  'dividends.nhi': '健保 {amount}',
+  'dividends.yield': '殖利率',
+  'dividends.empty': '尚無股利記錄',
+  'dividends.summaryTitle': '{year} 年股利彙總與稅負試算',
+  'dividends.marginalRate': '綜所稅邊際稅率',
+  'dividends.noneInYear': '這一年沒有股利記錄',
+  'dividends.totals.gross': '股利總額',
+  'dividends.totals.withholding': '扣繳稅額',
+  'dividends.totals.nhiTotal': '二代健保補充保費',
+  'dividends.totals.net': '實際入帳',
+  'dividends.combinedTax': '合併計稅',
+  'dividends.separateTax': '分開計稅 (28%)',
+  'dividends.credit': '已扣抵 {amount}',
+  'dividends.overseas': '海外所得',
+  'dividends.overseasDeclare': '達申報門檻，需計入最低稅負',
+  'dividends.overseasBelow': '未達申報門檻',
+  'dividends.payouts': '次數',
+  'dividends.yearYield': '年度殖利率',
+  'dividends.taxHint': '金額皆換算為台幣。合併計稅 = 國內股利 × 邊際稅率 - {credit}% 可抵減稅額 (每戶上限 {cap})，負數代表可退稅；分開計稅為 {separate}% 單一稅率，較低者以粗體標示。國內股利單次達 {threshold} 時扣取 {nhi}% 二代健保補充保費；海外股利全年達 {overseas} 需計入基本所得額。以單一成員估算，未考慮同戶合併申報與其他所得，僅供參考。殖利率以發放日前最近一次快照的帳戶價值計算。',
+
+  // risk
+  'risk.title': '風險指標',
+  'risk.maxDrawdown': '最大回撤',
+  'risk.recovered': '{date} 回到高點',
+  'risk.notRecovered': '尚未回到高點',
+  'risk.volatility': '年化波動度',
+  'risk.volatilityHint': '月報酬標準差換算成年化',
+  'risk.monthRange': '單月報酬',
+  'risk.yearRange': '單年報酬',
+  'risk.best': '最佳',
+  'risk.worst': '最差',
+  'risk.bestMonth': '最佳單月',
+  'risk.worstMonth': '最差單月',
+  'risk.rolling': '滾動 12 個月報酬',
+  'risk.rollingInsufficient': '資料未滿 12 個月，尚無滾動報酬',
+  'risk.latestRolling': '近 12 個月',
+  'risk.hint': '以扣除資金進出後的時間加權報酬計算，投入不會被當成上漲、提領不會被當成回撤。各帳戶只扣除在資金進出中指定該帳戶的記錄，未指定帳戶的投入會算成該帳戶的上漲。',
+
+  // allocation
+  'allocation.target': '目標',
+  'allocation.title': '目標配置與再平衡',
+  'allocation.nextContribution': '下次投入:',
+  'allocation.outOfBand': '{count} 個帳戶超出容許偏離範圍，建議再平衡',
+  'allocation.targetSum': '目標比例合計為 {sum}%，請調整為 100%',
+  'allocation.weight': '目前比例',
+  'allocation.targetPercent': '目標 (%)',
+  'allocation.band': '容許偏離 (±%)',
+  'allocation.drift': '偏離',
+  'allocation.rebalance': '再平衡 (買進 / 賣出)',
+  'allocation.plan': '下次投入分配',
+  'allocation.buy': '買進 {amount}',
+  'allocation.sell': '賣出 {amount}',
+  'allocation.empty': '在「目標」欄輸入各帳戶的目標比例，例如美股 60%、台股 30%、現金 10%',
+  'allocation.hint': '再平衡金額為買賣後回到目標比例所需的金額；下次投入分配只用新資金補足低於目標的帳戶，不需賣出。外幣金額以今天的匯率換算。',
+
+  // fxAttribution
+  'fxAttribution.title': '外幣部位報酬拆解 (市場 vs 匯率)',
+  'fxAttribution.local': '原幣 (期初 → 期末)',
+  'fxAttribution.rate': '匯率 (期初 → 期末)',
+  'fxAttribution.change': '{currency} 變化',
+  'fxAttribution.market': '市場 (原幣) 部分',
+  'fxAttribution.fx': '匯率部分',
+  'fxAttribution.hint': '市場部分 = 原幣變化 × 期初匯率；匯率部分 = 期末原幣 × 匯率變化。匯率與資產走勢圖相同，使用各快照上記錄的匯率；期間內的投入資金計入市場部分。',
+
+  // planner
+  'planner.goalRequired': '請填寫目標名稱、金額與日期',
+  'planner.goalDateTooEarly': '目標日期需晚於最新一筆資產記錄',
+  'planner.confirmDeleteGoal': '確定刪除此目標？',
+  'planner.assumptions': '預測假設',
+  'planner.annualReturn': '預期年報酬 (%)',
+  'planner.volatility': '年化波動度 (%)',
+  'planner.monthlyContribution': '每月投入 (台幣)',
+  'planner.contributionGrowth': '投入每年成長 (%)',
+  'planner.hint': '以目前總資產 {total} 為起點，模擬 {runs} 次每月對數常態報酬。',
+  'planner.addGoal': '新增目標',
+  'planner.goalNamePlaceholder': '例如：買房頭期款',
+  'planner.goalTargetPlaceholder': '目標金額 ({currency})',
+  'planner.goals': '財務目標',
+  'planner.goal': '目標',
+  'planner.goalTarget': '目標金額',
+  'planner.probability': '達成機率',
+  'planner.required': '所需每月投入',
+  'planner.reached': '已可達成',
+  'planner.empty': '尚未設定目標，例如 2030 年的買房頭期款',
+  'planner.tableHint': '達成機率 = 模擬中目標日期資產不低於目標金額的比例；所需每月投入以中位數報酬計算 (約 50% 機率達成)，並依投入成長率逐年調高。',
+
+  // assets
+  'assets.editTitle': '編輯資產記錄',
+  'assets.newTitle': '新增資產快照',
+  'assets.category': '類別',
+  'assets.positionsOn': '依持股計算中 (改回整筆金額)',
+  'assets.positionsOff': '依持股 × 價格計算',
+  'assets.noPositions': '此日期沒有持股，請先在下方新增交易。',
+  'assets.sharesTimes': '{shares} 股 ×',
+  'assets.amountLocal': '金額 (原幣)',
+  'assets.liabilityHint': '負債帳戶請輸入尚未償還的餘額 (正數)',
+  'assets.rate': '匯率 ({currency}/TWD)',
+  'assets.notePlaceholder': '例如：賣出台積電...',
+  'assets.history': '歷史記錄',
+  'assets.amountLocalShort': '金額(原幣)',
+  'assets.valueTwd': '台幣現值',
+  'assets.positionCount': '持股 {count} 檔',
+
+  // holdings
+  'holdings.confirmDelete': '確定刪除此筆交易？',
+  'holdings.price': '價格',
+  'holdings.title': '持股與交易明細',
+  'holdings.accountLabel': '帳戶:',
+  'holdings.noAccounts': '尚無股票類帳戶，請先在設定中新增。',
+  'holdings.editTitle': '編輯交易',
+  'holdings.newTitle': '新增交易',
+  'holdings.kind': '種類',
+  'holdings.ticker': '代號',
+  'holdings.tickerPlaceholder': '例如：2330、VTI',
+  'holdings.shares': '股數',
+  'holdings.fee': '手續費',
+  'holdings.dividendAmount': '股利金額 ({currency})',
+  'holdings.splitRatio': '分割比例 (1 股變成幾股)',
+  'holdings.update': '更新交易',
+  'holdings.save': '儲存交易',
+  'holdings.pnlTitle': '個股損益 ({currency})',
+  'holdings.avgCost': '平均成本',
+  'holdings.lastPrice': '最新價格',
+  'holdings.marketValue': '市值',
+  'holdings.unrealised': '未實現損益',
+  'holdings.realised': '已實現損益',
+  'holdings.dividends': '股利',
+  'holdings.empty': '目前沒有交易記錄',
+  'holdings.priceHint': '最新價格取自最近一次「依持股計算」的快照，沒有快照時使用最近一筆成交價。',
+  'holdings.transactions': '交易記錄',
+  'holdings.detail': '內容',
+  'holdings.trade': '{shares} 股 @ {price}',
+  'holdings.tradeWithFee': '{shares} 股 @ {price}，手續費 {fee}',
+  'holdings.oversold': '{date} {ticker} 賣出 {shares} 股，超過持有的 {held} 股',
+  'holdings.invalidSplit': '{date} {ticker} 分割比例無效',
+
+  // transactionKinds
+  'transactionKinds.buy': '買進',
+  'transactionKinds.sell': '賣出',
+  'transactionKinds.dividend': '股利',
+  'transactionKinds.split': '分割',
+
+  // contributions
+  'contributions.amountPositive': '金額請輸入正數，提領請選擇「提領」種類',
+  'contributions.sameMember': '請選擇不同的轉入成員',
+  'contributions.editTitle': '編輯資金記錄',
+  'contributions.newTitle': '新增資金記錄',
+  'contributions.fromMember': '轉出成員',
+  'contributions.withdrawer': '提領者',
+  'contributions.depositor': '投入者',
+  'contributions.toMember': '轉入成員',
+  'contributions.accountOptional': '帳戶 (選填)',
+  'contributions.noAccount': '不指定',
+  'contributions.amount': '金額',
+  'contributions.rate': '匯率 (1 {currency} = ? TWD)',
+  'contributions.approx': '約 {amount}',
+  'contributions.history': '資金明細',
+  'contributions.kind': '種類',
+  'contributions.empty': '目前沒有資金記錄',
+
+  // flowKinds
+  'flowKinds.deposit': '投入',
+  'flowKinds.withdrawal': '提領',
+  'flowKinds.transfer': '成員間轉移',
+
+  // fx
+  'fx.confirmDelete': '確定刪除此筆匯率？',
+  'fx.editTitle': '新增 / 修改匯率',
+  'fx.save': '儲存匯率',
+  'fx.overwriteHint': '同一天已有匯率時會直接覆蓋。',
+  'fx.importCsv': '從 CSV 匯入',
+  'fx.csvHint': '欄位：date, rate (可選 currency，未填則為 {currency})。日期可用 YYYY-MM-DD 或 YYYY/MM/DD。',
+  'fx.imported': '{fileName}：已匯入 {count} 筆',
+  'fx.issueRow': '第 {row} 列：',
+  'fx.history': '匯率歷史',
+  'fx.rate': '匯率',
+  'fx.empty': '目前沒有匯率記錄',
+
+  // settings
+  'settings.addMember': '新增成員',
+  'settings.name': '名稱',
+  'settings.color': '顏色',
+  'settings.memberPlaceholder': '例如：小寶',
+  'settings.members': '成員管理',
+  'settings.preview': '預覽',
+  'settings.flowCount': '投入筆數',
+  'settings.unarchive': '取消封存',
+  'settings.archive': '封存',
+  'settings.memberArchiveHint': '封存的成員不會出現在新增投入的選單中，但其歷史記錄與持分仍會保留。',
+  'settings.addAccount': '新增帳戶',
+  'settings.accountPlaceholder': '例如：日圓定存',
+  'settings.class': '分類',
+  'settings.accounts': '帳戶管理',
+  'settings.recordCount': '記錄筆數',
+  'settings.accountArchiveHint': '封存的帳戶不會出現在新增快照的選單中，但其最新一筆快照仍會計入總資產。',
+
+  // accountClasses
+  'accountClasses.stock': '股票',
+  'accountClasses.cash': '現金',
+  'accountClasses.other': '其他',
+  'accountClasses.liability': '負債',
+
+  // history
+  'history.confirmPurge': '永久刪除後將無法還原，確定繼續？',
+  'history.items': '{count} 筆',
+  'history.trash': '資源回收筒',
+  'history.trashHint': '刪除的資產與投入記錄會保留在這裡，可隨時還原。',
+  'history.deletedBy': '{name} 刪除',
+  'history.restore': '還原',
+  'history.purge': '永久刪除',
+  'history.trashEmpty': '回收筒是空的',
+  'history.title': '編輯歷史',
+  'history.time': '時間',
+  'history.actor': '操作者',
+  'history.action': '動作',
+  'history.record': '記錄',
+  'history.changes': '變更內容',
+  'history.empty': '目前沒有編輯記錄',
+  'history.truncated': '僅顯示最近 {shown} 筆 (共 {total} 筆)',
+
+  // historyActions
+  'historyActions.create': '新增',
+  'historyActions.update': '修改',
+  'historyActions.delete': '刪除',
+  'historyActions.restore': '還原',
+  'historyActions.purge': '永久刪除',
+
+  // historySources
+  'historySources.undo': '復原',
+  'historySources.redo': '重做',
+  'historySources.import': '匯入',
+
+  // health
+  'health.title': '資料檢查 ({count} 個問題)',
+  'health.thresholds': '檢查門檻',
+  'health.jumpPercent': '快照變動 (%)',
+  'health.fxTolerance': '匯率偏離 (%)',
+  'health.staleDays': '沿用舊值 (天)',
+  'health.flowMultiple': '資金進出 (倍數)',
+  'health.hint': '快照變動：與同帳戶前一筆快照相比的原幣金額變化；匯率偏離：與匯率歷史 (沒有時用預設匯率) 相比；沿用舊值：其他帳戶已更新、此帳戶仍沿用舊快照的天數；資金進出：相對於該成員同種類記錄中位數的倍數。',
+  'health.problem': '問題',
+  'health.empty': '沒有發現問題',
+  'health.confirmSave': '這筆記錄可能有誤：\n{issues}\n\n仍要儲存嗎？',
+  'health.unknownAccount': '類別「{type}」不在帳戶清單中',
+  'health.duplicateAsset': '{account} 在同一天已有其他快照',
+  'health.jump': '與 {since} 的快照相比變動 {change} ({previous} → {current})',
+  'health.implausibleRate': '匯率 {rate} 與參考匯率 {reference} 相差過大 ({currency}/TWD)',
+  'health.duplicateFlow': '同一天已有相同成員、種類與金額的記錄',
+  'health.flowOutlier': '金額 {amount} 是此成員同類記錄中位數 {typical} 的 {multiple} 倍',
+  'health.stale': '{account} 的快照被沿用到 {until} ({days} 天未更新)',
+
+  // reports
+  'reports.title': '{year} 年度投資對帳單 ({currency})',
+  'reports.popupBlocked': '瀏覽器封鎖了彈出視窗，請允許後再試一次，或改用「下載 HTML」。',
+  'reports.period': '期初 {opening} → 期末 {closing}',
+  'reports.print': '列印 / PDF',
+  'reports.download': '下載 HTML',
+  'reports.openingTotal': '期初總資產',
+  'reports.closingTotal': '期末總資產',
+  'reports.netFlow': '資金淨流入',
+  'reports.netGain': '淨損益',
+  'reports.twr': '時間加權報酬',
+  'reports.noChart': '該年度資料不足，無法繪製走勢',
+  'reports.accounts': '各帳戶期初 / 期末',
+  'reports.opening': '期初',
+  'reports.closing': '期末',
+  'reports.change': '變化',
+  'reports.noAssets': '該年度沒有資產記錄',
+  'reports.members': '成員資金',
+  'reports.deposits': '投入',
+  'reports.withdrawals': '提領',
+  'reports.transfers': '轉入 / 轉出',
+  'reports.net': '淨投入',
+  'reports.noFlows': '該年度沒有資金進出',
+  'reports.months': '逐月明細',
+  'reports.month': '月份',
+  'reports.gain': '損益',
+  'reports.return': '報酬',
+  'reports.meta': '期初 {opening}，期末 {closing}，產生於 {generated}',
+  'reports.trend': '總資產走勢',
+  'reports.accountsShort': '各帳戶',
+  'reports.transfersIn': '轉入',
+  'reports.transfersOut': '轉出',
+
+  // backup
+  'backup.readFailed': '無法讀取檔案：{message}',
+  'backup.confirmReplace': '取代將刪除目前所有記錄，確定繼續？',
+  'backup.exportTitle': '匯出備份',
+  'backup.exportHint': '目前共有 {assets} 筆資產記錄、{contributions} 筆投入記錄、{transactions} 筆交易記錄、{rates} 筆匯率、{dividends} 筆股利記錄。資料只存在這個瀏覽器中，請定期備份。',
+  'backup.importTitle': '匯入備份',
+  'backup.chooseFile': '選擇 JSON 或 CSV 檔',
+  'backup.preview': '匯入預覽',
+  'backup.noFile': '尚未選擇檔案',
+  'backup.previewSummary': '{fileName}：可匯入 {assets} 筆資產記錄、{contributions} 筆投入記錄、{transactions} 筆交易記錄、{rates} 筆匯率',
+  'backup.skipped': '，{count} 筆有問題將被略過',
+  'backup.previewExtras': '另有 {goals} 個目標、{benchmarks} 個基準指數、{dividends} 筆股利記錄',
+  'backup.issues': '驗證問題',
+  'backup.issueRow': '第 {row} 筆：',
+  'backup.ledger': '帳本',
+  'backup.typeOrPerson': '類別 / 投入者',
+  'backup.merge': '合併 (依 id，同日期同類別視為重複)',
+  'backup.replace': '取代全部記錄',
+
+  // validation
+  'validation.badDate': '日期格式錯誤：{value}',
+  'validation.unknownType': '未知的類別：{value}',
+  'validation.badAmount': '金額無效：{value}',
+  'validation.negativeAmount': '只有負債帳戶的餘額可以是負數：{value}',
+  'validation.badRate': '匯率無效：{value}',
+  'validation.badPrice': '價格無效：{value}',
+  'validation.unknownAccount': '未知的帳戶：{value}',
+  'validation.unknownTransactionKind': '未知的交易種類：{value}',
+  'validation.unknownMember': '未知的成員：{value}',
+  'validation.unknownFlowKind': '未知的資金種類：{value}',
+  'validation.badToPerson': '轉入成員無效：{value}',
+  'validation.badCurrency': '幣別無效：{value}',
+  'validation.blank': '(空白)',
+  'validation.badPositions': '持股明細 (positions) 格式錯誤',
+  'validation.missingTicker': '缺少代號',
+  'validation.badField': '{field} 無效：{value}',
+  'validation.notBackup': '不是本程式的備份檔',
+  'validation.unsupportedVersion': '不支援的備份版本：{version}',
+  'validation.missingLedger': 'CSV 缺少 ledger 欄位',
+  'validation.unknownLedger': '未知的 ledger：{value}',
+};
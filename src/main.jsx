@@ -1,10 +1,30 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import UnlockScreen from "./UnlockScreen.jsx";
+import { loadStorage } from "./lib/storage";
+import { createTranslator, detectLocale } from "./lib/i18n";
 import "./index.css";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-);
+const root = ReactDOM.createRoot(document.getElementById("root"));
+
+// 先從 IndexedDB 載入資料 (第一次會匯入 localStorage 舊資料)，再渲染畫面
+loadStorage()
+  .then((data) => {
+    root.render(
+      <React.StrictMode>
+        {data.locked ? <UnlockScreen /> : <App />}
+      </React.StrictMode>,
+    );
+  })
+  .catch((err) => {
+    // 資料庫打不開時讀不到使用者選的語系，改依瀏覽器語言顯示
+    const t = createTranslator(detectLocale());
+    root.render(
+      <div className="p-8 text-center text-red-600">
+        {t("storage.openFailed", {
+          message: err.code === "blocked" ? t("storage.blocked") : err.message,
+        })}
+      </div>,
+    );
+  });